@@ -0,0 +1,65 @@
+/**
+ * Catalog sync preview
+ * Runs the same merge as scripts/sync-catalog.js (NetSuite items + dim sheet +
+ * PRODUCT_MODELS) against the deployed public/products.json and returns the
+ * diff report. Read-only - new catalog versions are written by the script and
+ * shipped through git.
+ *
+ * GET /api/catalog-sync              → { success, report, markdown }
+ * GET /api/catalog-sync?catalog=1    → also returns the merged catalog
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { syncCatalog, normalizeNetSuiteItem, formatSyncReport } from '../src/catalogSync.js';
+import dimSheet from '../src/data/dim-sheet.json' with { type: 'json' };
+import { suiteqlConfigured } from './lib/netsuite-client.js';
+import { fetchCatalogItems } from './lib/netsuite-items.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  // Items come from SuiteQL, not the RESTlet
+  if (!suiteqlConfigured()) {
+    return res.status(500).json({
+      success: false,
+      error: "NetSuite SuiteQL not configured. Set NETSUITE_ACCOUNT_ID, NETSUITE_CONSUMER_KEY, NETSUITE_CONSUMER_SECRET, NETSUITE_TOKEN_ID and NETSUITE_TOKEN_SECRET."
+    });
+  }
+
+  try {
+    const catalog = JSON.parse(readFileSync(join(process.cwd(), 'public/products.json'), 'utf8'));
+    const items = (await fetchCatalogItems()).map(normalizeNetSuiteItem).filter(Boolean);
+    if (items.length === 0) {
+      return res.status(502).json({ success: false, error: "NetSuite returned no items" });
+    }
+
+    const families = req.query?.families ? String(req.query.families).split(',') : undefined;
+    const { catalog: next, report } = syncCatalog(catalog, items, dimSheet, { families });
+
+    return res.status(200).json({
+      success: true,
+      report,
+      markdown: formatSyncReport(report),
+      ...(req.query?.catalog && { catalog: next })
+    });
+
+  } catch (error) {
+    console.error('[catalog-sync] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Warehouse checklist sync
+ * Shared packing progress for an order across every tablet in Warehouse mode,
+ * plus the office dashboard of orders in progress.
+ *
+ * GET  /api/checklist                           → { success, orders: [{ key, percent, checkedCount, totalItems, packers, ... }] }
+ * GET  /api/checklist?key=QUO33924[&since=ISO]  → { success, order, entries, cursor }
+ * POST /api/checklist { key, deviceId, packer?, planSignature?, totalItems?,
+ *                       changes: [{ kind: 'item' | 'note', key, value, changedAt }] }
+ *      → { success, applied, rejected, order }
+ *
+ * Tablets poll with `since` (the last cursor) and apply entries whose
+ * changedAt beats their own; `rejected` are the entries that beat theirs.
+ * See api/lib/checklist-store.js for the conflict rule.
+ */
+
+import { ENTRY_KINDS, loadChecklist, applyChanges, listOrders } from './lib/checklist-store.js';
+import { normalizePlanKey } from './lib/plan-store.js';
+
+const MAX_CHANGES = 500;
+const MAX_NOTE_LENGTH = 2000;
+
+// Returns an error message for the first bad change, or null
+function validateChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return "changes must be a non-empty array";
+  }
+  if (changes.length > MAX_CHANGES) {
+    return `Too many changes (max ${MAX_CHANGES})`;
+  }
+
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i];
+    if (!change || typeof change !== 'object') return `changes[${i}] must be an object`;
+    if (!ENTRY_KINDS.includes(change.kind)) return `changes[${i}].kind must be one of ${ENTRY_KINDS.join(', ')}`;
+    if (!change.key || typeof change.key !== 'string' || change.key.length > 64) return `changes[${i}].key is required`;
+    if (change.kind === 'item' && typeof change.value !== 'boolean') return `changes[${i}].value must be true or false`;
+    if (change.kind === 'note' && (typeof change.value !== 'string' || change.value.length > MAX_NOTE_LENGTH)) {
+      return `changes[${i}].value must be text (max ${MAX_NOTE_LENGTH} characters)`;
+    }
+    if (Number.isNaN(Date.parse(change.changedAt))) return `changes[${i}].changedAt must be a timestamp`;
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") {
+      const { key: rawKey, since } = req.query || {};
+      if (!rawKey) {
+        return res.status(200).json({ success: true, orders: await listOrders() });
+      }
+
+      const key = normalizePlanKey(rawKey);
+      if (!key) {
+        return res.status(400).json({ success: false, error: "key must be a quote or sales order number" });
+      }
+      if (since && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ success: false, error: "since must be a cursor from a previous response" });
+      }
+      return res.status(200).json({ success: true, key, ...(await loadChecklist(key, since || null)) });
+    }
+
+    if (req.method === "POST") {
+      const { key: rawKey, deviceId, packer, planSignature, totalItems, changes } = req.body || {};
+      const key = normalizePlanKey(rawKey);
+      if (!key) {
+        return res.status(400).json({ success: false, error: "key must be a quote or sales order number" });
+      }
+      if (!deviceId || typeof deviceId !== 'string') {
+        return res.status(400).json({ success: false, error: "deviceId is required" });
+      }
+      if (totalItems != null && !(Number.isInteger(totalItems) && totalItems >= 0)) {
+        return res.status(400).json({ success: false, error: "totalItems must be a whole number" });
+      }
+      const invalid = validateChanges(changes);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const result = await applyChanges(
+        key,
+        changes.map(change => ({ ...change, changedAt: new Date(change.changedAt).toISOString() })),
+        {
+          deviceId,
+          packer: typeof packer === 'string' ? packer.trim().slice(0, 64) || null : null,
+          planSignature: typeof planSignature === 'string' ? planSignature : null,
+          totalItems: totalItems ?? null
+        }
+      );
+      return res.status(200).json({ success: true, key, ...result });
+    }
+
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+
+  } catch (error) {
+    console.error('[checklist] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Warehouse adjustment store
+ * Layer reorders from the PackingPlan editor, each with the plan before and
+ * after, the rules that made the original, and a review status:
+ * pending → accepted (turned into a packing rule version) or rejected.
+ *
+ * Stored in the Supabase packing_adjustments table; without Supabase, in JSON
+ * files under ADJUSTMENT_STORE_DIR (default .adjustments/ in the project), one
+ * file per adjustment.
+ *
+ * Used by /api/log-adjustment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const STATUSES = ['pending', 'accepted', 'rejected'];
+const ID_PATTERN = /^adj-[a-z0-9-]{1,64}$/;
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    palletId: row.pallet_id,
+    palletType: row.pallet_type || 'unknown',
+    change: row.change || null,
+    details: row.details || null,
+    reason: row.reason || '',
+    suggestedChange: row.suggested_change || '',
+    quoteNumber: row.quote_number || null,
+    planSignature: row.plan_signature || null,
+    rulesVersion: row.rules_version || null,
+    compatibilityVersion: row.compatibility_version ?? null,
+    originalPlan: row.original_plan || null,
+    adjustedPlan: row.adjusted_plan || null,
+    orderSnapshot: row.order_snapshot || null,
+    proposedRule: row.proposed_rule || [],
+    source: row.source || 'warehouse-ui',
+    createdAt: row.created_at,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at || null,
+    reviewNote: row.review_note || null,
+    acceptedRule: row.accepted_rule || null,
+    acceptedVersion: row.accepted_version ?? null
+  };
+}
+
+// ---- Local file stand-in ----
+
+const storeDir = () => process.env.ADJUSTMENT_STORE_DIR || path.join(process.cwd(), '.adjustments');
+
+function readRow(id) {
+  const file = path.join(storeDir(), `${id}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function writeRow(row) {
+  const dir = storeDir();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${row.id}.json`), JSON.stringify(row, null, 2));
+}
+
+function readAllRows() {
+  const dir = storeDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+}
+
+// ---- Store ----
+
+/**
+ * Store a new adjustment (caller validates it) → entry
+ * @param {Object} adjustment - { palletId, palletType, change, details, reason, suggestedChange,
+ *   quoteNumber, planSignature, rulesVersion, compatibilityVersion, originalPlan, adjustedPlan,
+ *   orderSnapshot, proposedRule, createdAt }
+ */
+async function logAdjustment(adjustment) {
+  const row = {
+    id: `adj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 11)}`,
+    status: 'pending',
+    pallet_id: String(adjustment.palletId),
+    pallet_type: adjustment.palletType || null,
+    change: adjustment.change || null,
+    details: adjustment.details || null,
+    reason: adjustment.reason || null,
+    suggested_change: adjustment.suggestedChange || null,
+    quote_number: adjustment.quoteNumber || null,
+    plan_signature: adjustment.planSignature || null,
+    rules_version: adjustment.rulesVersion || null,
+    compatibility_version: adjustment.compatibilityVersion ?? null,
+    original_plan: adjustment.originalPlan || null,
+    adjusted_plan: adjustment.adjustedPlan,
+    order_snapshot: adjustment.orderSnapshot || null,
+    proposed_rule: adjustment.proposedRule || [],
+    source: 'warehouse-ui',
+    created_at: adjustment.createdAt || new Date().toISOString()
+  };
+
+  if (supabase) {
+    const { error } = await supabase.from('packing_adjustments').insert(row);
+    if (error) throw new Error(`Failed to save adjustment: ${error.message}`);
+  } else {
+    writeRow(row);
+  }
+  return toEntry(row);
+}
+
+/**
+ * One adjustment, null if not found
+ */
+async function getAdjustment(id) {
+  if (!ID_PATTERN.test(String(id || ''))) return null;
+  if (supabase) {
+    const { data, error } = await supabase.from('packing_adjustments').select('*').eq('id', id).limit(1);
+    if (error) throw new Error(error.message);
+    return data?.[0] ? toEntry(data[0]) : null;
+  }
+  const row = readRow(id);
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * Adjustments, newest first
+ * @param {Object} options - { status: 'pending' | 'accepted' | 'rejected' (all if not given), limit }
+ */
+async function listAdjustments({ status = null, limit = 100 } = {}) {
+  if (supabase) {
+    let query = supabase.from('packing_adjustments').select('*');
+    if (status) query = query.eq('status', status);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+    if (error) throw new Error(error.message);
+    return data.map(toEntry);
+  }
+  return readAllRows()
+    .filter(row => !status || row.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit)
+    .map(toEntry);
+}
+
+/**
+ * Record the review of a pending adjustment → updated entry
+ * (null if it doesn't exist or was already reviewed)
+ * @param {Object} review - { status: 'accepted' | 'rejected', reviewedBy, note, acceptedRule, acceptedVersion }
+ */
+async function reviewAdjustment(id, { status, reviewedBy, note = null, acceptedRule = null, acceptedVersion = null }) {
+  const changes = {
+    status,
+    reviewed_by: reviewedBy,
+    reviewed_at: new Date().toISOString(),
+    review_note: note,
+    accepted_rule: acceptedRule,
+    accepted_version: acceptedVersion
+  };
+
+  if (supabase) {
+    // Only while pending - two admins reviewing at once can't both win
+    const { data, error } = await supabase
+      .from('packing_adjustments')
+      .update(changes)
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select('*');
+    if (error) throw new Error(`Failed to review adjustment: ${error.message}`);
+    return data?.[0] ? toEntry(data[0]) : null;
+  }
+
+  const row = ID_PATTERN.test(String(id || '')) ? readRow(id) : null;
+  if (!row || row.status !== 'pending') return null;
+  const updated = { ...row, ...changes };
+  writeRow(updated);
+  return toEntry(updated);
+}
+
+module.exports = {
+  STATUSES,
+  logAdjustment,
+  getAdjustment,
+  listAdjustments,
+  reviewAdjustment
+};
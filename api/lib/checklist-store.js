@@ -0,0 +1,266 @@
+/**
+ * Warehouse checklist store
+ * Checked items and per-pallet notes from every tablet packing an order, so
+ * packers see each other's progress and the office sees percent complete.
+ *
+ * State is kept per entry (one checkbox or one pallet's notes), not per order:
+ * two packers ticking different items never conflict. For the same entry the
+ * last change wins - latest changedAt (clamped to server time so a tablet with
+ * a fast clock can't win forever), ties broken by device id. Losing writes get
+ * the winning entry back so the tablet can correct itself. In Supabase the
+ * comparison and write are one statement (apply_checklist_changes) and
+ * synced_at comes from the database clock.
+ *
+ * Poll cursors never pass now - SYNC_OVERLAP_MS, so a write that commits just
+ * after a poll with an earlier synced_at still comes through.
+ *
+ * Stored in Supabase checklist_orders / checklist_entries; without Supabase, in
+ * JSON files under CHECKLIST_STORE_DIR (default .checklists/ in the project).
+ *
+ * Used by /api/checklist.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const ENTRY_KINDS = ['item', 'note'];
+const ACTIVE_DAYS = 7; // Same as the tablet's local checklist TTL
+const SYNC_OVERLAP_MS = 5000; // Cursor lag - entries in the window come again (apply is idempotent)
+
+const entryId = (entry) => `${entry.kind}:${entry.key}`;
+
+// Does change a beat entry b for the same item?
+function wins(a, b) {
+  if (!b) return true;
+  if (a.changedAt !== b.changedAt) return a.changedAt > b.changedAt;
+  return String(a.deviceId || '') >= String(b.deviceId || '');
+}
+
+function toEntry(row) {
+  return {
+    kind: row.kind,
+    key: row.entry_key,
+    value: row.value,
+    changedAt: row.changed_at,
+    deviceId: row.device_id || null,
+    packer: row.packer || null,
+    syncedAt: row.synced_at && new Date(row.synced_at).toISOString()
+  };
+}
+
+// apply_checklist_changes() input (synced_at is set by the database)
+function toChangeRow(entry) {
+  return {
+    kind: entry.kind,
+    entry_key: entry.key,
+    value: entry.value,
+    changed_at: entry.changedAt,
+    device_id: entry.deviceId,
+    packer: entry.packer
+  };
+}
+
+function toOrder(row, checkedCount = 0) {
+  const totalItems = row.total_items || 0;
+  return {
+    key: row.order_key,
+    planSignature: row.plan_signature || null,
+    totalItems,
+    checkedCount,
+    percent: totalItems > 0 ? Math.min(100, Math.round((checkedCount / totalItems) * 100)) : 0,
+    packers: row.packers || [],
+    startedAt: row.started_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ---- Local file stand-in ----
+
+const storeDir = () => process.env.CHECKLIST_STORE_DIR || path.join(process.cwd(), '.checklists');
+
+function readFile(orderKey) {
+  const file = path.join(storeDir(), `${orderKey}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeFile(orderKey, data) {
+  fs.mkdirSync(storeDir(), { recursive: true });
+  fs.writeFileSync(path.join(storeDir(), `${orderKey}.json`), JSON.stringify(data, null, 2));
+}
+
+const checkedCountOf = (entries) => entries.filter(e => e.kind === 'item' && e.value === true).length;
+
+// ---- Store ----
+
+async function readEntries(orderKey, since = null) {
+  if (supabase) {
+    let query = supabase.from('checklist_entries').select('*').eq('order_key', orderKey);
+    if (since) query = query.gte('synced_at', since);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data.map(toEntry);
+  }
+  const file = readFile(orderKey);
+  const entries = Object.values(file?.entries || {});
+  return since ? entries.filter(e => e.syncedAt >= since) : entries;
+}
+
+async function readOrderRow(orderKey) {
+  if (supabase) {
+    const { data, error } = await supabase.from('checklist_orders').select('*').eq('order_key', orderKey).limit(1);
+    if (error) throw new Error(error.message);
+    return data?.[0] || null;
+  }
+  return readFile(orderKey)?.order || null;
+}
+
+/**
+ * Checklist for an order - all entries, or those synced since a cursor
+ * @returns {Object} { order (null if nobody started it), entries, cursor } - pass
+ *   cursor back as `since`; entries at the cursor or synced in the last
+ *   SYNC_OVERLAP_MS come again (apply is idempotent)
+ */
+async function loadChecklist(orderKey, since = null) {
+  const [row, entries] = await Promise.all([readOrderRow(orderKey), readEntries(orderKey, since)]);
+  const all = since ? await readEntries(orderKey) : entries;
+  // Writes still in flight have a synced_at within SYNC_OVERLAP_MS of now
+  const settled = new Date(Date.now() - SYNC_OVERLAP_MS).toISOString();
+  const newest = entries.reduce((max, e) => (e.syncedAt > max ? e.syncedAt : max), '');
+  const trailing = newest > settled ? settled : newest;
+  const cursor = since && since > trailing ? since : trailing;
+  return {
+    order: row ? toOrder(row, checkedCountOf(all)) : null,
+    entries,
+    cursor: cursor || null
+  };
+}
+
+// Supabase: conditional upsert in the database - returns the entries that won
+async function saveEntries(orderKey, entries) {
+  const { data, error } = await supabase.rpc('apply_checklist_changes', {
+    p_order_key: orderKey,
+    p_changes: entries.map(toChangeRow)
+  });
+  if (error) throw new Error(`Failed to save checklist: ${error.message}`);
+  return (data || []).map(toEntry);
+}
+
+/**
+ * Apply changes from one tablet, last change per entry wins
+ * @param {string} orderKey
+ * @param {Array} changes - [{ kind: 'item' | 'note', key, value, changedAt }]
+ * @param {Object} meta - { deviceId, packer, planSignature, totalItems }
+ * @returns {Object} { applied: [entries], rejected: [winning entries], order }
+ */
+async function applyChanges(orderKey, changes, { deviceId = null, packer = null, planSignature = null, totalItems = null } = {}) {
+  const now = new Date().toISOString();
+  const existing = new Map((await readEntries(orderKey)).map(e => [entryId(e), e]));
+
+  // Last change per entry within this batch (the database compares the rest)
+  const incoming = new Map();
+  for (const change of changes) {
+    const entry = {
+      kind: change.kind,
+      key: change.key,
+      value: change.value,
+      changedAt: change.changedAt < now ? change.changedAt : now,
+      deviceId,
+      packer,
+      syncedAt: now
+    };
+    if (wins(entry, incoming.get(entryId(entry)))) incoming.set(entryId(entry), entry);
+  }
+
+  const applied = [];
+  const rejected = [];
+  if (supabase) {
+    const saved = incoming.size > 0 ? await saveEntries(orderKey, [...incoming.values()]) : [];
+    const savedIds = new Set(saved.map(entryId));
+    const lost = [...incoming.keys()].filter(id => !savedIds.has(id));
+    if (lost.length > 0) {
+      // A newer change got there first - report it as it is stored now
+      (await readEntries(orderKey)).forEach(e => existing.set(entryId(e), e));
+      lost.forEach(id => existing.has(id) && rejected.push(existing.get(id)));
+    }
+    saved.forEach(entry => existing.set(entryId(entry), entry));
+    applied.push(...saved);
+  } else {
+    for (const [id, entry] of incoming) {
+      if (wins(entry, existing.get(id))) {
+        existing.set(id, entry);
+        applied.push(entry);
+      } else {
+        rejected.push(existing.get(id));
+      }
+    }
+  }
+
+  const previous = await readOrderRow(orderKey);
+  const orderRow = {
+    order_key: orderKey,
+    plan_signature: planSignature || previous?.plan_signature || null,
+    total_items: totalItems ?? previous?.total_items ?? 0,
+    packers: [...new Set([...(previous?.packers || []), packer].filter(Boolean))],
+    started_at: previous?.started_at || now,
+    updated_at: applied.length > 0 ? now : previous?.updated_at || now
+  };
+
+  if (supabase) {
+    const { error } = await supabase.from('checklist_orders').upsert(orderRow, { onConflict: 'order_key' });
+    if (error) throw new Error(`Failed to save checklist order: ${error.message}`);
+  } else {
+    writeFile(orderKey, { order: orderRow, entries: Object.fromEntries(existing) });
+  }
+
+  return { applied, rejected, order: toOrder(orderRow, checkedCountOf([...existing.values()])) };
+}
+
+/**
+ * Orders touched in the last ACTIVE_DAYS with progress, most recent first (office dashboard)
+ */
+async function listOrders() {
+  const cutoff = new Date(Date.now() - ACTIVE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  if (supabase) {
+    const { data: rows, error } = await supabase
+      .from('checklist_orders')
+      .select('*')
+      .gte('updated_at', cutoff)
+      .order('updated_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    if (rows.length === 0) return [];
+
+    const { data: checked, error: entriesError } = await supabase
+      .from('checklist_entries')
+      .select('order_key')
+      .in('order_key', rows.map(row => row.order_key))
+      .eq('kind', 'item')
+      .eq('value', true);
+    if (entriesError) throw new Error(entriesError.message);
+    const counts = new Map();
+    checked.forEach(e => counts.set(e.order_key, (counts.get(e.order_key) || 0) + 1));
+    return rows.map(row => toOrder(row, counts.get(row.order_key) || 0));
+  }
+
+  const dir = storeDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+    .filter(file => file.order?.updated_at >= cutoff)
+    .sort((a, b) => b.order.updated_at.localeCompare(a.order.updated_at))
+    .map(file => toOrder(file.order, checkedCountOf(Object.values(file.entries || {}))));
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  loadChecklist,
+  applyChanges,
+  listOrders
+};
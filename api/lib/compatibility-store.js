@@ -0,0 +1,129 @@
+/**
+ * Packing compatibility matrix store
+ * Versions saved from the Rules screen go to the Supabase packing_compatibility
+ * table (in memory without Supabase); the bundled
+ * src/data/packing-compatibility.json is version 1 and the fallback.
+ *
+ * Used by /api/packing-compatibility (read/save), /api/pack and /api/optimize.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const bundled = require('../../src/data/packing-compatibility.json');
+
+const CACHE_TTL_MS = 60000;
+
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+// Saved versions when Supabase isn't configured (per warm instance)
+let memoryVersions = [];
+let cached = null;
+
+function toEntry(row) {
+  return {
+    version: row.version,
+    matrix: row.matrix,
+    updatedBy: row.updated_by || null,
+    note: row.note || null,
+    createdAt: row.created_at
+  };
+}
+
+const bundledEntry = () => ({
+  version: bundled.version || 1,
+  matrix: bundled,
+  updatedBy: null,
+  note: 'Bundled default (src/data/packing-compatibility.json)',
+  createdAt: bundled.updated || null
+});
+
+async function latestSaved() {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_compatibility')
+      .select('*')
+      .order('version', { ascending: false })
+      .limit(1);
+    if (error) throw new Error(error.message);
+    return data?.[0] ? toEntry(data[0]) : null;
+  }
+  return memoryVersions[memoryVersions.length - 1] || null;
+}
+
+/**
+ * Current matrix → { version, matrix, updatedBy, note, createdAt, source }
+ * Falls back to the bundled file if nothing is saved or Supabase fails.
+ */
+async function loadCompatibility({ fresh = false } = {}) {
+  if (!fresh && cached && cached.expires > Date.now()) return cached.entry;
+
+  let entry;
+  try {
+    const saved = await latestSaved();
+    entry = saved ? { ...saved, source: supabase ? 'supabase' : 'memory' } : { ...bundledEntry(), source: 'default' };
+  } catch (err) {
+    console.error('[compatibility-store] Load failed, using bundled matrix:', err.message);
+    entry = { ...bundledEntry(), source: 'default' };
+  }
+  cached = { entry, expires: Date.now() + CACHE_TTL_MS };
+  return entry;
+}
+
+/**
+ * Save a new version (caller validates the matrix first)
+ * @returns {Object} saved entry
+ */
+async function saveCompatibility(matrix, { updatedBy = null, note = null } = {}) {
+  const current = await loadCompatibility({ fresh: true });
+  const version = (current.version || 1) + 1;
+  const createdAt = new Date().toISOString();
+  const stored = { ...matrix, version, updated: createdAt };
+
+  if (supabase) {
+    const { error } = await supabase.from('packing_compatibility').insert({
+      version,
+      matrix: stored,
+      updated_by: updatedBy,
+      note,
+      created_at: createdAt
+    });
+    if (error) throw new Error(`Failed to save matrix: ${error.message}`);
+  } else {
+    memoryVersions.push({ version, matrix: stored, updatedBy, note, createdAt });
+    if (memoryVersions.length > 50) memoryVersions = memoryVersions.slice(-50);
+  }
+
+  cached = null;
+  return { version, matrix: stored, updatedBy, note, createdAt };
+}
+
+/**
+ * Saved versions, newest first (without the matrices), ending with the bundled default
+ */
+async function listVersions(limit = 20) {
+  let saved;
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_compatibility')
+      .select('version, updated_by, note, created_at')
+      .order('version', { ascending: false })
+      .limit(limit);
+    if (error) throw new Error(error.message);
+    saved = data.map(toEntry);
+  } else {
+    saved = memoryVersions.slice(-limit).reverse();
+  }
+  return [...saved, bundledEntry()].map(entry => ({
+    version: entry.version,
+    updatedBy: entry.updatedBy,
+    note: entry.note,
+    createdAt: entry.createdAt
+  }));
+}
+
+module.exports = {
+  loadCompatibility,
+  saveCompatibility,
+  listVersions
+};
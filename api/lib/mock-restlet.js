@@ -0,0 +1,73 @@
+/**
+ * In-memory stand-in for the GCS RESTlet
+ * A fetch()-compatible function answering the RESTlet actions the API uses, so
+ * endpoints can run without NetSuite (NETSUITE_RESTLET_MOCK=1) and callers can
+ * inspect what would have been written.
+ *
+ * Actions:
+ *   GET  quoteByNumber&num=QUO123                 → { success, quote }
+ *   GET  getPalletEstimate&recordType&tranId      → { success, id, fields }
+ *   POST updatePalletEstimate { recordType, tranId, fields } → { success, id, fields }
+ *
+ * Like the real RESTlet, only records that exist (seed.records) can be read or
+ * updated - anything else answers { success: false, error }.
+ */
+
+function createMockRestlet(seed = {}) {
+  // "estimate:QUO123" → { id, fields }
+  const records = new Map(Object.entries(seed.records || {}));
+  const calls = [];
+
+  function getRecord(recordType, tranId) {
+    return records.get(`${recordType}:${tranId}`) || null;
+  }
+
+  const notFound = (recordType, tranId) => ({ success: false, error: `${recordType} ${tranId} not found` });
+
+  function reply(body, status = 200) {
+    return {
+      ok: status < 400,
+      status,
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  }
+
+  async function mockFetch(url, init = {}) {
+    const { searchParams } = new URL(url);
+    const action = searchParams.get('action');
+    const body = init.body ? JSON.parse(init.body) : null;
+    calls.push({ action, method: init.method || 'GET', params: Object.fromEntries(searchParams), body });
+
+    switch (action) {
+      case 'quoteByNumber': {
+        const quote = (seed.quotes || {})[searchParams.get('num')];
+        return reply(quote
+          ? { success: true, quote }
+          : { success: false, error: `Quote ${searchParams.get('num')} not found` });
+      }
+      case 'getPalletEstimate': {
+        const record = getRecord(searchParams.get('recordType'), searchParams.get('tranId'));
+        if (!record) return reply(notFound(searchParams.get('recordType'), searchParams.get('tranId')));
+        return reply({ success: true, id: record.id, fields: { ...record.fields } });
+      }
+      case 'updatePalletEstimate': {
+        if (!body?.recordType || !body?.tranId || !body?.fields) {
+          return reply({ success: false, error: 'recordType, tranId and fields are required' }, 400);
+        }
+        const record = getRecord(body.recordType, body.tranId);
+        if (!record) return reply(notFound(body.recordType, body.tranId));
+        Object.assign(record.fields, body.fields);
+        return reply({ success: true, id: record.id, fields: { ...record.fields } });
+      }
+      default:
+        return reply({ success: false, error: `Unknown action: ${action}` }, 400);
+    }
+  }
+
+  mockFetch.records = records;
+  mockFetch.calls = calls;
+  return mockFetch;
+}
+
+module.exports = { createMockRestlet };
@@ -0,0 +1,311 @@
+/**
+ * Shared NetSuite client
+ * One token-based OAuth signer for every endpoint, plus:
+ * - callNetSuite(): GCS RESTlet actions (GET params / POST JSON body)
+ * - suiteql(): SuiteQL with offset pagination (hasMore) instead of a fixed limit=1000
+ * - Retry with exponential backoff on 429/5xx and network errors (honours Retry-After)
+ * - Short TTL cache for quote and item lookups (per warm function instance)
+ * - Fixtures: NETSUITE_FIXTURES=record saves every response to NETSUITE_FIXTURES_DIR,
+ *   NETSUITE_FIXTURES=replay serves them back so endpoints run offline
+ * - NETSUITE_RESTLET_MOCK=1 answers RESTlet calls from api/lib/mock-restlet.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OAuth = require('oauth-1.0a');
+const { createMockRestlet } = require('./mock-restlet');
+
+// NetSuite credentials from environment variables (trim to handle whitespace from Vercel UI)
+const config = {
+  accountId: process.env.NETSUITE_ACCOUNT_ID?.trim(),
+  consumerKey: process.env.NETSUITE_CONSUMER_KEY?.trim(),
+  consumerSecret: process.env.NETSUITE_CONSUMER_SECRET?.trim(),
+  tokenId: process.env.NETSUITE_TOKEN_ID?.trim(),
+  tokenSecret: process.env.NETSUITE_TOKEN_SECRET?.trim(),
+  restletUrl: process.env.NETSUITE_RESTLET_URL?.trim(),
+  // NETSUITE_RESTLET_MOCK=1 answers from an in-memory RESTlet (local dev / tests)
+  mock: process.env.NETSUITE_RESTLET_MOCK === '1',
+  mockSeed: process.env.NETSUITE_RESTLET_MOCK_SEED?.trim() || null, // JSON { records, quotes } for the mock
+  fixtures: process.env.NETSUITE_FIXTURES?.trim() || null, // 'record' | 'replay'
+  fixturesDir: process.env.NETSUITE_FIXTURES_DIR?.trim() || path.join(process.cwd(), 'fixtures/netsuite'),
+  cacheTtlMs: Number(process.env.NETSUITE_CACHE_TTL_MS ?? 60000),
+  maxRetries: 3,
+  retryBaseMs: 500
+};
+
+const SUITEQL_PAGE_SIZE = 1000; // NetSuite's max page size
+
+class NetSuiteError extends Error {
+  constructor(message, status = null, body = null) {
+    super(message);
+    this.name = 'NetSuiteError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function createOAuthClient() {
+  return OAuth({
+    consumer: {
+      key: config.consumerKey,
+      secret: config.consumerSecret
+    },
+    signature_method: 'HMAC-SHA256',
+    hash_function(base_string, key) {
+      return crypto
+        .createHmac('sha256', key)
+        .update(base_string)
+        .digest('base64');
+    }
+  });
+}
+
+// Authorization header for one request (fresh nonce/timestamp every attempt)
+function signRequest(url, method) {
+  const oauth = createOAuthClient();
+  const token = { key: config.tokenId, secret: config.tokenSecret };
+  const authHeader = oauth.toHeader(oauth.authorize({ url, method }, token));
+  return authHeader.Authorization.replace(
+    'OAuth ',
+    `OAuth realm="${config.accountId.toUpperCase()}", `
+  );
+}
+
+function isConfigured() {
+  return config.mock || config.fixtures === 'replay' || Boolean(config.restletUrl);
+}
+
+// SuiteQL goes straight to the REST API - it needs the account + token credentials, not the RESTlet
+function suiteqlConfigured() {
+  return config.fixtures === 'replay' || Boolean(
+    config.accountId && config.consumerKey && config.consumerSecret && config.tokenId && config.tokenSecret
+  );
+}
+
+function suiteqlBaseUrl() {
+  return `https://${config.accountId || 'mock'}.suitetalk.api.netsuite.com/services/rest/query/v1/suiteql`;
+}
+
+// ============================================================
+// FIXTURES - record real responses, replay them offline
+// ============================================================
+
+function fixturePath(method, url, body) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url} ${body || ''}`).digest('hex').slice(0, 12);
+  const action = new URL(url).searchParams.get('action') || (url.includes('/suiteql') ? 'suiteql' : 'request');
+  return path.join(config.fixturesDir, `${action}-${hash}.json`);
+}
+
+function fixtureResponse(status, text) {
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: () => null },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+}
+
+let mockFetch = null;
+
+// fetch() for the current mode: mock RESTlet, replayed fixtures, or the network (optionally recording)
+function getTransport(fetchImpl) {
+  if (fetchImpl) return fetchImpl;
+  if (config.mock) {
+    return (mockFetch = mockFetch || createMockRestlet(config.mockSeed ? JSON.parse(fs.readFileSync(config.mockSeed, 'utf8')) : {}));
+  }
+
+  if (config.fixtures === 'replay') {
+    return async (url, init) => {
+      const file = fixturePath(init.method, url, init.body);
+      if (!fs.existsSync(file)) {
+        throw new NetSuiteError(`No recorded fixture for ${init.method} ${url} (${path.basename(file)})`, 404);
+      }
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return fixtureResponse(fixture.status, JSON.stringify(fixture.body));
+    };
+  }
+
+  if (config.fixtures === 'record') {
+    return async (url, init) => {
+      const response = await fetch(url, init);
+      const text = await response.text();
+      let body = text;
+      try { body = JSON.parse(text); } catch { /* keep raw text */ }
+      fs.mkdirSync(config.fixturesDir, { recursive: true });
+      fs.writeFileSync(fixturePath(init.method, url, init.body), JSON.stringify({
+        request: { method: init.method, url, body: init.body ? JSON.parse(init.body) : null },
+        status: response.status,
+        body
+      }, null, 2));
+      return fixtureResponse(response.status, typeof body === 'string' ? JSON.stringify(body) : text);
+    };
+  }
+
+  return fetch;
+}
+
+// ============================================================
+// TRANSPORT - signing + retry with backoff
+// ============================================================
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers?.get?.('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return config.retryBaseMs * 2 ** attempt + Math.floor(Math.random() * 100);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Signed request with retries → parsed JSON body
+ * @throws {NetSuiteError} non-2xx after retries (status + body attached)
+ */
+async function request(url, options = {}) {
+  const { method = 'GET', body, headers = {}, fetchImpl, retries = config.maxRetries } = options;
+  const transport = getTransport(fetchImpl);
+  const payload = body ? JSON.stringify(body) : undefined;
+  // Mocked RESTlets (config.mock or an injected fetchImpl without credentials) skip signing
+  const sign = !config.mock && config.fixtures !== 'replay' && Boolean(config.accountId);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await transport(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...headers,
+          ...(sign && { 'Authorization': signRequest(url, method) })
+        },
+        body: payload
+      });
+    } catch (err) {
+      if (err instanceof NetSuiteError || attempt >= retries) throw err;
+      console.warn(`[netsuite] ${method} ${url} failed (${err.message}), retry ${attempt + 1}/${retries}`);
+      await sleep(retryDelay(attempt));
+      continue;
+    }
+
+    if (isRetryable(response.status) && attempt < retries) {
+      console.warn(`[netsuite] ${method} ${url} → ${response.status}, retry ${attempt + 1}/${retries}`);
+      await sleep(retryDelay(attempt, response));
+      continue;
+    }
+
+    const text = await response.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+
+    if (!response.ok) {
+      const detail = data?.error?.message || data?.error || data?.['o:errorDetails']?.[0]?.detail || text;
+      throw new NetSuiteError(`NetSuite ${response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, response.status, data);
+    }
+    return data;
+  }
+}
+
+// ============================================================
+// CACHE - quote and item lookups
+// ============================================================
+
+const cache = new Map();
+
+async function cached(key, ttlMs, load) {
+  if (!ttlMs || ttlMs <= 0) return load();
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+
+  const value = await load();
+  cache.set(key, { value, expires: Date.now() + ttlMs });
+  // Keep the cache small on long-lived instances
+  if (cache.size > 500) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+
+/**
+ * Call a GCS RESTlet action
+ * GET: action + params go in the query string (quote lookups)
+ * POST: action in the query string, body sent as JSON (write-backs)
+ *
+ * @param {string} action - RESTlet action (quoteByNumber, updatePalletEstimate...)
+ * @param {Object} params - Query string parameters
+ * @param {Object} options - { method = 'GET', body, restletUrl, cacheTtlMs, fetchImpl, retries }
+ *   cacheTtlMs: cache GET responses for this long (0 = no cache)
+ */
+async function callNetSuite(action, params = {}, options = {}) {
+  const { method = 'GET', cacheTtlMs = 0 } = options;
+  const urlObj = new URL(options.restletUrl || config.restletUrl || 'https://mock.restlets.api.netsuite.com/app/site/hosting/restlet.nl');
+  urlObj.searchParams.set('action', action);
+  for (const [key, value] of Object.entries(params)) {
+    urlObj.searchParams.set(key, value);
+  }
+  const url = urlObj.toString();
+
+  const load = () => request(url, options);
+  return method === 'GET' && !options.fetchImpl ? cached(`restlet:${url}`, cacheTtlMs, load) : load();
+}
+
+/**
+ * Run a SuiteQL query, following pages until hasMore is false
+ * @param {string} query - SuiteQL
+ * @param {Object} options - { maxRows = Infinity, pageSize = 1000, cacheTtlMs, fetchImpl }
+ * @returns {Array} rows (items across all pages)
+ */
+async function suiteql(query, options = {}) {
+  const { maxRows = Infinity, cacheTtlMs = 0 } = options;
+  const pageSize = Math.min(options.pageSize || SUITEQL_PAGE_SIZE, SUITEQL_PAGE_SIZE, maxRows);
+
+  const load = async () => {
+    const rows = [];
+    for (let offset = 0; rows.length < maxRows; offset += pageSize) {
+      const page = await request(`${suiteqlBaseUrl()}?limit=${pageSize}&offset=${offset}`, {
+        ...options,
+        method: 'POST',
+        headers: { 'Prefer': 'transient' },
+        body: { q: query }
+      });
+      rows.push(...(page?.items || []));
+      if (!page?.hasMore || !page?.items?.length) break;
+    }
+    return rows.slice(0, maxRows);
+  };
+
+  return options.fetchImpl ? load() : cached(`suiteql:${maxRows}:${query}`, cacheTtlMs, load);
+}
+
+// Cached lookups - quotes and items change rarely within a minute
+const getQuoteByNumber = (num) => callNetSuite('quoteByNumber', { num }, { cacheTtlMs: config.cacheTtlMs });
+const getQuote = (id) => callNetSuite('quote', { id }, { cacheTtlMs: config.cacheTtlMs });
+const getProduct = (id) => callNetSuite('product', { id }, { cacheTtlMs: config.cacheTtlMs });
+const getProducts = ({ limit = 1000, offset = 0 } = {}) =>
+  callNetSuite('products', { limit, offset }, { cacheTtlMs: config.cacheTtlMs });
+
+module.exports = {
+  config,
+  NetSuiteError,
+  createOAuthClient,
+  isConfigured,
+  suiteqlConfigured,
+  callNetSuite,
+  suiteql,
+  getQuoteByNumber,
+  getQuote,
+  getProduct,
+  getProducts,
+  clearCache
+};
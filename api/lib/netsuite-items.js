@@ -0,0 +1,24 @@
+const { suiteql } = require('./netsuite-client');
+
+// Physical items only - services, discounts and other charges never ship
+const CATALOG_ITEMS_QUERY = `
+  SELECT
+    i.itemid AS sku,
+    i.displayname AS displayname,
+    BUILTIN.DF(i.class) AS family,
+    i.weight,
+    i.weightunit,
+    i.isinactive
+  FROM item i
+  WHERE i.itemtype IN ('Assembly', 'InvtPart', 'Kit')
+`;
+
+/**
+ * Item records for the catalog sync (all pages)
+ * Rows are shaped for normalizeNetSuiteItem() in src/catalogSync.js
+ */
+async function fetchCatalogItems(options = {}) {
+  return suiteql(CATALOG_ITEMS_QUERY, options);
+}
+
+module.exports = { CATALOG_ITEMS_QUERY, fetchCatalogItems };
@@ -0,0 +1,202 @@
+/**
+ * Saved packing plan store
+ * Plans are keyed by quote / sales order number (QUO33924, SO7706) and every
+ * save is a new immutable revision - nothing is updated or deleted, so the
+ * warehouse can always open the exact plan sales quoted.
+ *
+ * Stored in the Supabase packing_plans table; without Supabase, in JSON files
+ * under PLAN_STORE_DIR (default .saved-plans/ in the project), one file per key.
+ *
+ * Used by /api/plans.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+const PLAN_KEY_PATTERN = /^[A-Z0-9][A-Z0-9_-]{0,63}$/;
+
+// Columns for revision lists (everything but the plan itself)
+const SUMMARY_COLUMNS = 'plan_key, revision, signature, rules_version, total_pallets, total_weight, saved_by, note, created_at';
+
+/**
+ * Quote / SO number → plan key (trimmed, upper case), null if not usable
+ */
+function normalizePlanKey(value) {
+  const key = String(value || '').trim().toUpperCase();
+  return PLAN_KEY_PATTERN.test(key) ? key : null;
+}
+
+function toSummary(row) {
+  return {
+    key: row.plan_key,
+    revision: row.revision,
+    signature: row.signature,
+    rulesVersion: row.rules_version || null,
+    totalPallets: row.total_pallets ?? null,
+    totalWeight: row.total_weight ?? null,
+    savedBy: row.saved_by || null,
+    note: row.note || null,
+    createdAt: row.created_at
+  };
+}
+
+function toEntry(row) {
+  return { ...toSummary(row), items: row.items || [], result: row.plan };
+}
+
+// ---- Local file stand-in ----
+
+const storeDir = () => process.env.PLAN_STORE_DIR || path.join(process.cwd(), '.saved-plans');
+
+function readRows(key) {
+  const file = path.join(storeDir(), `${key}.json`);
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function appendRow(row) {
+  const dir = storeDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const rows = readRows(row.plan_key);
+  if (rows.some(r => r.revision === row.revision)) {
+    throw new Error(`Revision ${row.revision} of ${row.plan_key} already exists`);
+  }
+  fs.writeFileSync(path.join(dir, `${row.plan_key}.json`), JSON.stringify([...rows, row], null, 2));
+}
+
+function allFileKeys() {
+  const dir = storeDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+}
+
+// ---- Store ----
+
+async function latestRow(key, columns = '*') {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_plans')
+      .select(columns)
+      .eq('plan_key', key)
+      .order('revision', { ascending: false })
+      .limit(1);
+    if (error) throw new Error(error.message);
+    return data?.[0] || null;
+  }
+  const rows = readRows(key);
+  return rows[rows.length - 1] || null;
+}
+
+/**
+ * Save a plan as the next revision of its key (caller validates the plan).
+ * Saving the same plan (same signature) as the latest revision is a no-op.
+ * @param {string} key - Plan key (normalizePlanKey)
+ * @param {Object} plan - { items, result, signature, rulesVersion }
+ * @param {Object} meta - { savedBy, note }
+ * @returns {Object} { status: 'saved' | 'unchanged', ...revision summary }
+ */
+async function savePlan(key, plan, { savedBy = null, note = null } = {}) {
+  const latest = await latestRow(key, SUMMARY_COLUMNS);
+  if (latest && latest.signature === plan.signature) {
+    return { status: 'unchanged', ...toSummary(latest) };
+  }
+
+  const row = {
+    plan_key: key,
+    revision: (latest?.revision || 0) + 1,
+    signature: plan.signature,
+    rules_version: plan.rulesVersion || null,
+    total_pallets: plan.result.totalPallets ?? plan.result.pallets.length,
+    total_weight: plan.result.totalWeight ?? null,
+    items: plan.items || [],
+    plan: plan.result,
+    saved_by: savedBy,
+    note,
+    created_at: new Date().toISOString()
+  };
+
+  if (supabase) {
+    // (plan_key, revision) is unique - a concurrent save of the same revision fails here
+    const { error } = await supabase.from('packing_plans').insert(row);
+    if (error) throw new Error(`Failed to save plan: ${error.message}`);
+  } else {
+    appendRow(row);
+  }
+  return { status: 'saved', ...toSummary(row) };
+}
+
+/**
+ * One revision (latest if not given) with items + result, null if not found
+ */
+async function loadPlan(key, revision = null) {
+  if (revision == null) {
+    const row = await latestRow(key);
+    return row ? toEntry(row) : null;
+  }
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_plans')
+      .select('*')
+      .eq('plan_key', key)
+      .eq('revision', revision)
+      .limit(1);
+    if (error) throw new Error(error.message);
+    return data?.[0] ? toEntry(data[0]) : null;
+  }
+  const row = readRows(key).find(r => r.revision === revision);
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * Revisions of a plan, newest first (without the plans)
+ */
+async function listRevisions(key) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_plans')
+      .select(SUMMARY_COLUMNS)
+      .eq('plan_key', key)
+      .order('revision', { ascending: false });
+    if (error) throw new Error(error.message);
+    return data.map(toSummary);
+  }
+  return readRows(key).map(toSummary).reverse();
+}
+
+/**
+ * Latest revision of each saved plan, most recently saved first
+ */
+async function listPlans(limit = 50) {
+  let rows;
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('packing_plans')
+      .select(SUMMARY_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(limit * 5);
+    if (error) throw new Error(error.message);
+    rows = data;
+  } else {
+    rows = allFileKeys().map(key => readRows(key).pop()).filter(Boolean);
+    rows.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  const latest = new Map();
+  for (const row of rows) {
+    if (!latest.has(row.plan_key)) latest.set(row.plan_key, toSummary(row));
+  }
+  return [...latest.values()].slice(0, limit);
+}
+
+module.exports = {
+  normalizePlanKey,
+  savePlan,
+  loadPlan,
+  listRevisions,
+  listPlans
+};
@@ -1,79 +1,190 @@
 /**
  * API endpoint to log warehouse packing adjustments
- * Used by PackingPlan.jsx when warehouse clicks "Adjust" on a pallet
- * 
- * Stores adjustments for learning loop - helps improve packing rules over time
+ * Used by PackingPlan.jsx when warehouse reorders layers, and by the review
+ * queue in the Rules screen (AdjustmentReview.jsx).
+ *
+ * Stores adjustments for learning loop - helps improve packing rules over time.
+ * Each one keeps the plan before and after the change and the rules version;
+ * an admin accepts it as a layer order rule (new mixing matrix version with
+ * layerPriority overrides, see src/layerPriority.js) or rejects it.
+ *
+ * GET   /api/log-adjustment[?status=pending]   → { success, count, adjustments }
+ * GET   /api/log-adjustment?id=adj-...         → { success, adjustment }
+ * POST  /api/log-adjustment { palletId, adjustedPlan (or layers), originalPlan?, change?, details?,
+ *         reason?, suggestedChange?, quoteNumber?, planSignature?, rulesVersion?, orderSnapshot?, timestamp? }
+ *       → { success, adjustmentId, proposedRule }
+ * PATCH /api/log-adjustment { id, status: 'accepted' | 'rejected', reviewedBy, note?, layerPriority? }
+ *       → { success, adjustment, version? } - layerPriority defaults to the proposed rule
+ *
+ * Stored in Supabase packing_adjustments (JSON files without Supabase, see
+ * api/lib/adjustment-store.js).
  */
 
-// In-memory storage for serverless (will persist to file locally)
-let adjustments = [];
+import { STATUSES, logAdjustment, getAdjustment, listAdjustments, reviewAdjustment } from './lib/adjustment-store.js';
+import { loadCompatibility, saveCompatibility } from './lib/compatibility-store.js';
+import { proposeLayerPriority, validateLayerPriority } from '../src/layerPriority.js';
+import { validateCompatibility } from '../src/packingCompatibility.js';
+import { PRODUCT_FAMILIES } from '../src/palletPrediction.js';
+
+const MAX_PALLETS = 100;
+
+// Returns an error message if the plan isn't [{ layers: [{ productKey, ... }] }], or null
+function validatePlanLayers(plan, field) {
+  if (!Array.isArray(plan) || plan.length === 0) return `${field} must be a non-empty array of pallets`;
+  if (plan.length > MAX_PALLETS) return `${field} has too many pallets (max ${MAX_PALLETS})`;
+  for (let i = 0; i < plan.length; i++) {
+    if (!Array.isArray(plan[i]?.layers)) return `${field}[${i}].layers must be an array`;
+  }
+  return null;
+}
+
+async function handleReview(req, res) {
+  const { id, status, reviewedBy, note, layerPriority } = req.body || {};
+  if (status !== 'accepted' && status !== 'rejected') {
+    return res.status(400).json({ success: false, error: "status must be accepted or rejected" });
+  }
+  if (!reviewedBy || typeof reviewedBy !== 'string') {
+    return res.status(400).json({ success: false, error: "reviewedBy is required" });
+  }
+
+  const adjustment = await getAdjustment(id);
+  if (!adjustment) {
+    return res.status(404).json({ success: false, error: `Adjustment ${id} not found` });
+  }
+  if (adjustment.status !== 'pending') {
+    return res.status(409).json({ success: false, error: `Adjustment ${id} was already ${adjustment.status}` });
+  }
+
+  const review = { status, reviewedBy: reviewedBy.trim(), note: note || null };
+
+  if (status === 'accepted') {
+    // The rule: the reviewer's edited priorities, or what this adjustment implies under today's rules
+    const current = await loadCompatibility({ fresh: true });
+    const rule = layerPriority ?? Object.fromEntries(
+      proposeLayerPriority(adjustment.adjustedPlan, current.matrix).map(change => [change.key, change.to])
+    );
+    const ruleErrors = validateLayerPriority(rule);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ success: false, error: ruleErrors[0], errors: ruleErrors });
+    }
+    if (Object.keys(rule).length === 0) {
+      return res.status(400).json({ success: false, error: "The current rules already give this layer order - nothing to accept, reject it instead" });
+    }
+
+    const matrix = { ...current.matrix, layerPriority: { ...current.matrix.layerPriority, ...rule } };
+    const errors = validateCompatibility(matrix, PRODUCT_FAMILIES.families);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors[0], errors });
+    }
+
+    const saved = await saveCompatibility(matrix, {
+      updatedBy: review.reviewedBy,
+      note: `Layer order from warehouse adjustment ${adjustment.id}${note ? ` - ${note}` : ''}`
+    });
+    review.acceptedRule = rule;
+    review.acceptedVersion = saved.version;
+    console.log(`[log-adjustment] ${adjustment.id} accepted as rules v${saved.version} by ${review.reviewedBy}`);
+  }
+
+  const reviewed = await reviewAdjustment(adjustment.id, review);
+  if (!reviewed) {
+    return res.status(409).json({ success: false, error: `Adjustment ${id} was reviewed by someone else` });
+  }
+  return res.status(200).json({ success: true, adjustment: reviewed, version: review.acceptedVersion ?? null });
+}
 
 export default async function handler(req, res) {
   // CORS
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "POST, GET, PATCH, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 
   if (req.method === "OPTIONS") {
     return res.status(200).end();
   }
 
-  // GET - retrieve adjustments
-  if (req.method === "GET") {
-    return res.status(200).json({
-      success: true,
-      count: adjustments.length,
-      adjustments: adjustments.slice(-100) // Last 100
-    });
-  }
+  try {
+    // GET - retrieve adjustments
+    if (req.method === "GET") {
+      const { id, status } = req.query || {};
+      if (id) {
+        const adjustment = await getAdjustment(id);
+        if (!adjustment) {
+          return res.status(404).json({ success: false, error: `Adjustment ${id} not found` });
+        }
+        return res.status(200).json({ success: true, adjustment });
+      }
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      const adjustments = await listAdjustments({ status: status || null, limit: 100 }); // Last 100
+      return res.status(200).json({ success: true, count: adjustments.length, adjustments });
+    }
 
-  // POST - log new adjustment
-  if (req.method === "POST") {
-    try {
-      const { palletId, palletType, layers, reason, suggestedChange, orderSnapshot, timestamp } = req.body;
+    // POST - log new adjustment
+    if (req.method === "POST") {
+      const {
+        palletId, palletType, layers, originalPlan, adjustedPlan, change, details, reason, suggestedChange,
+        quoteNumber, planSignature, rulesVersion, orderSnapshot, timestamp
+      } = req.body || {};
 
-      if (!palletId || !layers) {
-        return res.status(400).json({ 
-          success: false, 
-          error: "Missing required fields: palletId, layers" 
+      // Older clients send just the adjusted pallet's layers
+      const adjusted = adjustedPlan ?? (Array.isArray(layers) ? [{ id: palletId, layers }] : null);
+      if (palletId == null || !adjusted) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing required fields: palletId, adjustedPlan"
         });
       }
+      const invalid = validatePlanLayers(adjusted, 'adjustedPlan') || (originalPlan != null && validatePlanLayers(originalPlan, 'originalPlan'));
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+      if (timestamp && Number.isNaN(Date.parse(timestamp))) {
+        return res.status(400).json({ success: false, error: "timestamp must be an ISO date" });
+      }
 
-      const adjustment = {
-        id: `adj-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      const current = await loadCompatibility();
+      const adjustment = await logAdjustment({
         palletId,
         palletType: palletType || 'unknown',
-        layers,
+        change,
+        details,
         reason: reason || '',
         suggestedChange: suggestedChange || '',
-        orderSnapshot: orderSnapshot || null,
-        timestamp: timestamp || new Date().toISOString(),
-        source: 'warehouse-ui'
-      };
-
-      adjustments.push(adjustment);
-
-      // Keep only last 1000 adjustments in memory
-      if (adjustments.length > 1000) {
-        adjustments = adjustments.slice(-1000);
-      }
+        quoteNumber,
+        planSignature,
+        rulesVersion,
+        compatibilityVersion: current.version,
+        originalPlan,
+        adjustedPlan: adjusted,
+        orderSnapshot,
+        proposedRule: proposeLayerPriority(adjusted, current.matrix),
+        createdAt: timestamp ? new Date(timestamp).toISOString() : undefined
+      });
 
       console.log(`[log-adjustment] Logged adjustment ${adjustment.id} for pallet ${palletId}`);
 
       return res.status(200).json({
         success: true,
         adjustmentId: adjustment.id,
+        proposedRule: adjustment.proposedRule,
         message: 'Adjustment logged successfully'
       });
+    }
 
-    } catch (error) {
-      console.error('[log-adjustment] Error:', error);
-      return res.status(500).json({
-        success: false,
-        error: error.message
-      });
+    // PATCH - review (accept as a rule / reject)
+    if (req.method === "PATCH") {
+      return await handleReview(req, res);
     }
-  }
 
-  return res.status(405).json({ error: "Method not allowed" });
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+
+  } catch (error) {
+    console.error('[log-adjustment] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 }
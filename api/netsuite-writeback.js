@@ -0,0 +1,202 @@
+/**
+ * Write the pallet estimate back to NetSuite
+ * Used by the Sales-mode "Write to NetSuite" button so reps don't copy the
+ * estimate into the quote by hand.
+ *
+ * POST /api/netsuite-writeback
+ * { tranId: "QUO33924" | "SO7706", recordType?: "estimate" | "salesorder",
+ *   pallets, weight, freightClass, planUrl, rulesVersion?, requestedBy? }
+ *
+ * Idempotent: current field values are read first and nothing is written when
+ * they already match. Every attempt (written / unchanged / failed) gets an
+ * audit entry - Supabase netsuite_writebacks table, in-memory without Supabase.
+ *
+ * GET /api/netsuite-writeback?tranId=QUO33924 → recent audit entries
+ *
+ * RESTlet actions (see api/lib/mock-restlet.js for the contract):
+ *   GET  getPalletEstimate&recordType&tranId
+ *   POST updatePalletEstimate { recordType, tranId, fields }
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { callNetSuite, isConfigured } = require('./lib/netsuite-client');
+
+// Custom body fields on quotes and sales orders
+const WRITEBACK_FIELDS = {
+  pallets: 'custbody_gcs_est_pallets',
+  weight: 'custbody_gcs_est_weight',
+  freightClass: 'custbody_gcs_freight_class',
+  planUrl: 'custbody_gcs_pallet_plan_url'
+};
+
+// Supabase client
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
+
+// In-memory audit log when Supabase isn't configured
+let memoryAudit = [];
+
+const defaultAuditStore = {
+  async record(entry) {
+    if (supabase) {
+      const { data, error } = await supabase.from('netsuite_writebacks').insert(entry).select('id');
+      if (error) throw new Error(`Failed to record audit entry: ${error.message}`);
+      return data?.[0]?.id;
+    }
+    const id = `wb-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    memoryAudit.push({ id, ...entry });
+    if (memoryAudit.length > 1000) memoryAudit = memoryAudit.slice(-1000);
+    return id;
+  },
+
+  async list(tranId, limit = 20) {
+    if (supabase) {
+      const { data, error } = await supabase
+        .from('netsuite_writebacks')
+        .select('*')
+        .eq('tran_id', tranId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw new Error(error.message);
+      return data;
+    }
+    return memoryAudit.filter(e => e.tran_id === tranId).slice(-limit).reverse();
+  }
+};
+
+function inferRecordType(tranId) {
+  return /^SO/i.test(tranId) ? 'salesorder' : 'estimate';
+}
+
+/**
+ * Request body → { recordType, tranId, fields } or { error }
+ */
+function buildWriteback(body) {
+  const { recordType, pallets, weight, freightClass, planUrl } = body || {};
+  const tranId = typeof body?.tranId === 'string' ? body.tranId.trim().toUpperCase() : '';
+
+  if (!tranId) {
+    return { error: 'tranId is required (e.g. QUO33924 or SO7706)' };
+  }
+  if (recordType && !['estimate', 'salesorder'].includes(recordType)) {
+    return { error: 'recordType must be "estimate" or "salesorder"' };
+  }
+  if (!Number.isInteger(pallets) || pallets < 0) {
+    return { error: 'pallets must be a whole number' };
+  }
+  if (!(Number(weight) > 0)) {
+    return { error: 'weight must be a positive number (lbs)' };
+  }
+
+  return {
+    recordType: recordType || inferRecordType(tranId),
+    tranId,
+    fields: {
+      [WRITEBACK_FIELDS.pallets]: pallets,
+      [WRITEBACK_FIELDS.weight]: Math.round(Number(weight)),
+      [WRITEBACK_FIELDS.freightClass]: freightClass != null ? String(freightClass) : '',
+      [WRITEBACK_FIELDS.planUrl]: planUrl || ''
+    }
+  };
+}
+
+function fieldsMatch(current = {}, next) {
+  return Object.entries(next).every(([id, value]) => String(current[id] ?? '') === String(value));
+}
+
+/**
+ * Handler with injectable RESTlet + audit store (tests pass a mock RESTlet fetch)
+ * @param {Object} deps - { fetchImpl, auditStore }
+ */
+function createWritebackHandler(deps = {}) {
+  const auditStore = deps.auditStore || defaultAuditStore;
+  const restlet = (action, params, options = {}) =>
+    callNetSuite(action, params, { ...options, fetchImpl: deps.fetchImpl });
+
+  return async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method === 'GET') {
+      const tranId = String(req.query?.tranId || '').trim().toUpperCase();
+      if (!tranId) {
+        return res.status(400).json({ success: false, error: 'Missing tranId' });
+      }
+      try {
+        return res.status(200).json({ success: true, tranId, entries: await auditStore.list(tranId) });
+      } catch (err) {
+        return res.status(500).json({ success: false, error: err.message });
+      }
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (!deps.fetchImpl && !isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        error: 'NetSuite not configured. Set environment variables.'
+      });
+    }
+
+    const writeback = buildWriteback(req.body);
+    if (writeback.error) {
+      return res.status(400).json({ success: false, error: writeback.error });
+    }
+
+    const { recordType, tranId, fields } = writeback;
+    const audit = {
+      tran_id: tranId,
+      record_type: recordType,
+      fields,
+      rules_version: req.body.rulesVersion || null,
+      requested_by: req.body.requestedBy || null,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      const current = await restlet('getPalletEstimate', { recordType, tranId });
+      if (!current?.success) {
+        throw new Error(current?.error || `${tranId} not found in NetSuite`);
+      }
+
+      if (fieldsMatch(current.fields, fields)) {
+        const auditId = await auditStore.record({ ...audit, status: 'unchanged', previous_fields: current.fields });
+        return res.status(200).json({ success: true, status: 'unchanged', tranId, recordId: current.id, fields, auditId });
+      }
+
+      const result = await restlet('updatePalletEstimate', {}, {
+        method: 'POST',
+        body: { recordType, tranId, fields }
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'NetSuite rejected the update');
+      }
+
+      const auditId = await auditStore.record({ ...audit, status: 'written', previous_fields: current.fields });
+      console.log(`[netsuite-writeback] ${tranId}: wrote ${JSON.stringify(fields)}`);
+      return res.status(200).json({ success: true, status: 'written', tranId, recordId: result.id, fields, auditId });
+
+    } catch (err) {
+      console.error('[netsuite-writeback] Error:', err);
+      try {
+        await auditStore.record({ ...audit, status: 'failed', error: err.message });
+      } catch (auditErr) {
+        console.error('[netsuite-writeback] Audit error:', auditErr);
+      }
+      return res.status(502).json({ success: false, error: err.message });
+    }
+  };
+}
+
+module.exports = createWritebackHandler();
+module.exports.createWritebackHandler = createWritebackHandler;
+module.exports.WRITEBACK_FIELDS = WRITEBACK_FIELDS;
@@ -1,22 +1,19 @@
 import Anthropic from "@anthropic-ai/sdk";
+import { describeCompatibility } from "../src/packingCompatibility.js";
+import { describePalletBases } from "../src/palletBases.js";
+import { loadCompatibility } from "./lib/compatibility-store.js";
 
 const PACKING_RULES = `
 ## PACKING CONSTRAINTS
 - Max pallet height: 96 inches (prefer 84" for safety)
 - Max pallet weight: 2,500 lbs
-- Standard pallet bases: 48x40 (most common), 80x32 (long items), 86x40 (DD/stretch)
-- Empty pallet weight: 50 lbs
+
+## PALLET BASES
+${describePalletBases()}
 
 ## STACKING RULES
 - Heavy items on bottom, light on top
 - Same product family can stack together
-- Varsity + VR2 = OK (both bike racks)
-- HR101 + HR201 = OK (both hoop runners)
-
-## CANNOT MIX
-- Lockers with bike racks (different footprints)
-- Double Dockers with small racks (DD trays fragile)
-- Stretch Racks with anything (ship flat, separate)
 
 ## PRODUCT-SPECIFIC
 - Varsity (DV215): 34x14x11" box @ 49 lbs (2-pack)
@@ -46,6 +43,9 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: "No items provided" });
   }
 
+  // Mixing rules come from the saved compatibility matrix (Rules screen)
+  const { matrix } = await loadCompatibility();
+
   // Format items for prompt
   const itemsText = items
     .map(
@@ -60,6 +60,7 @@ export default async function handler(req, res) {
 ${itemsText}
 
 ${PACKING_RULES}
+${describeCompatibility(matrix)}
 
 ## OUTPUT FORMAT
 Return ONLY valid JSON:
@@ -0,0 +1,140 @@
+/**
+ * Headless packing API
+ * Runs the same pipeline as "Calculate Pallets" in the app (kit/BOM explosion,
+ * STEP dims, BOL-calibrated weights, layer optimizer, freight class) so other
+ * systems can get pallets without the UI.
+ *
+ * POST /api/pack
+ * {
+ *   "items": [
+ *     { "sku": "80101-0370-BLK23", "qty": 4 },
+ *     { "sku": "CUSTOM-1", "qty": 2, "dims": { "l": 30, "w": 20, "h": 10 }, "weight": 40, "name": "Spare parts box" }
+ *   ],
+ *   "baseSelection": "cost",  // optional: "count" (fewest pallets, default) or "cost" (cheapest bases)
+ *   "seed": 42,               // optional: number or string - also tries seeded shuffled packing orders
+ *   "preferLowCog": true      // optional: 3D packer placements keep the center of gravity low and centered
+ * }
+ *
+ * Items without dims are matched against the product catalog (unknown SKUs get
+ * 24×18×12" fallback boxes and a warning). Response:
+ * { success, rulesVersion, compatibilityVersion, signature, seed, summary, pallets: [{ id, dims, base, metrics, items, boxes }], warnings, skipped }
+ *
+ * Packing is deterministic: the same items (in any order), rules version and
+ * seed always give the same pallets and the same `signature` (content hash of
+ * the plan - saved plans, validations and packing slips show it).
+ *
+ * Which items may share a pallet follows the saved compatibility matrix
+ * (/api/packing-compatibility).
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { packOrder, resolveOrderLines, serializePackResult } from '../src/packingPipeline.js';
+import { RULES_VERSION } from '../src/rulesVersion.js';
+import { BASE_SELECTION_MODES } from '../src/palletBases.js';
+import { loadCompatibility } from './lib/compatibility-store.js';
+
+const MAX_LINES = 500;
+
+let catalog = null;
+
+function loadCatalog() {
+  if (!catalog) {
+    const data = JSON.parse(readFileSync(join(process.cwd(), 'public/products.json'), 'utf8'));
+    catalog = data.products || [];
+  }
+  return catalog;
+}
+
+// Returns an error message for the first bad line, or null
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "items must be a non-empty array of { sku, qty }";
+  }
+  if (items.length > MAX_LINES) {
+    return `Too many items (max ${MAX_LINES} lines)`;
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (!item || typeof item !== 'object') return `items[${i}] must be an object`;
+    if (!item.sku || typeof item.sku !== 'string') return `items[${i}].sku is required`;
+    if (!(Number(item.qty) > 0)) return `items[${i}].qty must be a positive number`;
+    if (item.dims != null) {
+      const { l, w, h } = item.dims;
+      if (![l, w, h].every(v => Number(v) > 0)) {
+        return `items[${i}].dims must have positive l, w, h (inches)`;
+      }
+    }
+    if (item.weight != null && !(Number(item.weight) > 0)) {
+      return `items[${i}].weight must be a positive number (lbs)`;
+    }
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  const { items, baseSelection, seed, preferLowCog } = req.body || {};
+  const invalid = validateItems(items);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+  if (baseSelection != null && !BASE_SELECTION_MODES.includes(baseSelection)) {
+    return res.status(400).json({ success: false, error: `baseSelection must be one of ${BASE_SELECTION_MODES.join(', ')}` });
+  }
+  if (seed != null && !(Number.isFinite(seed) || (typeof seed === 'string' && seed.length > 0))) {
+    return res.status(400).json({ success: false, error: "seed must be a number or a non-empty string" });
+  }
+  if (preferLowCog != null && typeof preferLowCog !== 'boolean') {
+    return res.status(400).json({ success: false, error: "preferLowCog must be true or false" });
+  }
+
+  try {
+    const { items: matched, unmatched, skipped } = resolveOrderLines(items, loadCatalog());
+    const orderItems = [...matched, ...unmatched];
+
+    if (orderItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No packable items (all lines were services or kit hardware)",
+        skipped
+      });
+    }
+
+    const { matrix: compatibility } = await loadCompatibility();
+    const result = packOrder(orderItems, {
+      compatibility,
+      ...(baseSelection && { baseSelection }),
+      ...(seed != null && { seed }),
+      ...(preferLowCog && { preferLowCog })
+    });
+
+    return res.status(200).json({
+      success: true,
+      rulesVersion: RULES_VERSION,
+      compatibilityVersion: result.compatibilityVersion,
+      ...serializePackResult(result),
+      skipped
+    });
+
+  } catch (error) {
+    console.error('[pack] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Packing compatibility matrix
+ * Which product groups may share a pallet + per-group pallet configs. Edited
+ * by the warehouse lead in the Rules screen; every save is a new version.
+ *
+ * GET  /api/packing-compatibility              → { success, version, matrix, updatedBy, note, createdAt, source }
+ * GET  /api/packing-compatibility?history=1    → also { versions: [{ version, updatedBy, note, createdAt }] }
+ * POST /api/packing-compatibility { matrix, updatedBy, note? } → { success, version }
+ *
+ * Stored in Supabase packing_compatibility (in memory without Supabase); the
+ * bundled src/data/packing-compatibility.json is version 1.
+ */
+
+import { validateCompatibility } from '../src/packingCompatibility.js';
+import { PRODUCT_FAMILIES } from '../src/palletPrediction.js';
+import { loadCompatibility, saveCompatibility, listVersions } from './lib/compatibility-store.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") {
+      const current = await loadCompatibility({ fresh: true });
+      return res.status(200).json({
+        success: true,
+        ...current,
+        ...(req.query?.history && { versions: await listVersions() })
+      });
+    }
+
+    if (req.method === "POST") {
+      const { matrix, updatedBy, note } = req.body || {};
+      if (!updatedBy || typeof updatedBy !== 'string') {
+        return res.status(400).json({ success: false, error: "updatedBy is required" });
+      }
+      const errors = validateCompatibility(matrix, PRODUCT_FAMILIES.families);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors[0], errors });
+      }
+
+      const saved = await saveCompatibility(matrix, { updatedBy: updatedBy.trim(), note: note || null });
+      console.log(`[packing-compatibility] v${saved.version} saved by ${saved.updatedBy}`);
+      return res.status(200).json({ success: true, version: saved.version, createdAt: saved.createdAt });
+    }
+
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+
+  } catch (error) {
+    console.error('[packing-compatibility] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
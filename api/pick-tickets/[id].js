@@ -2,51 +2,7 @@
 // Fetches item fulfillment / pick ticket data from NetSuite
 // Returns items + runs them through the pallet configurator for prediction
 
-import crypto from 'crypto'
-
-// NetSuite OAuth 1.0 signature generation
-function generateOAuthSignature(method, url, params, consumerSecret, tokenSecret) {
-  const sortedParams = Object.keys(params)
-    .sort()
-    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-    .join('&')
-  
-  const baseString = [
-    method.toUpperCase(),
-    encodeURIComponent(url.split('?')[0]),
-    encodeURIComponent(sortedParams)
-  ].join('&')
-  
-  const signingKey = `${encodeURIComponent(consumerSecret)}&${encodeURIComponent(tokenSecret)}`
-  const signature = crypto.createHmac('sha256', signingKey).update(baseString).digest('base64')
-  
-  return signature
-}
-
-// Build OAuth header
-function buildOAuthHeader(url, method, consumerKey, consumerSecret, tokenId, tokenSecret) {
-  const timestamp = Math.floor(Date.now() / 1000).toString()
-  const nonce = crypto.randomBytes(16).toString('hex')
-  
-  const oauthParams = {
-    oauth_consumer_key: consumerKey,
-    oauth_token: tokenId,
-    oauth_signature_method: 'HMAC-SHA256',
-    oauth_timestamp: timestamp,
-    oauth_nonce: nonce,
-    oauth_version: '1.0'
-  }
-  
-  const signature = generateOAuthSignature(method, url, oauthParams, consumerSecret, tokenSecret)
-  oauthParams.oauth_signature = signature
-  
-  const headerParts = Object.keys(oauthParams)
-    .sort()
-    .map(key => `${key}="${encodeURIComponent(oauthParams[key])}"`)
-    .join(', ')
-  
-  return `OAuth realm="${process.env.NETSUITE_ACCOUNT_ID}", ${headerParts}`
-}
+import { config, callNetSuite, NetSuiteError } from '../lib/netsuite-client.js'
 
 export default async function handler(req, res) {
   // CORS headers
@@ -69,13 +25,7 @@ export default async function handler(req, res) {
   }
   
   // Check if NetSuite is configured
-  const accountId = process.env.NETSUITE_ACCOUNT_ID
-  const consumerKey = process.env.NETSUITE_CONSUMER_KEY
-  const consumerSecret = process.env.NETSUITE_CONSUMER_SECRET
-  const tokenId = process.env.NETSUITE_TOKEN_ID
-  const tokenSecret = process.env.NETSUITE_TOKEN_SECRET
-  
-  if (!accountId || !consumerKey || !tokenId) {
+  if (!config.accountId || !config.consumerKey || !config.tokenId) {
     // Return mock data if NetSuite not configured
     // TODO: Remove mock once NetSuite is wired up
     console.log('[PICK-TICKET] NetSuite not configured, returning mock data')
@@ -115,41 +65,16 @@ export default async function handler(req, res) {
     
     // Build RESTlet URL
     // TODO: Update script/deploy IDs based on actual RESTlet
-    const baseUrl = `https://${accountId}.restlets.api.netsuite.com/app/site/hosting/restlet.nl`
+    const baseUrl = `https://${config.accountId}.restlets.api.netsuite.com/app/site/hosting/restlet.nl`
     const scriptId = process.env.NETSUITE_PICKTICKET_SCRIPT_ID || '576' // Same as quote script for now
     const deployId = process.env.NETSUITE_PICKTICKET_DEPLOY_ID || '1'
     
-    const url = `${baseUrl}?script=${scriptId}&deploy=${deployId}&action=getPickTicket&id=${internalId}&type=${recordType}`
-    
-    // Generate OAuth header
-    const authHeader = buildOAuthHeader(url, 'GET', consumerKey, consumerSecret, tokenId, tokenSecret)
-    
     console.log(`[PICK-TICKET] Fetching: ${id} (type: ${recordType}, internal: ${internalId})`)
     
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json',
-      },
+    const data = await callNetSuite('getPickTicket', { id: internalId, type: recordType }, {
+      restletUrl: `${baseUrl}?script=${scriptId}&deploy=${deployId}`,
     })
     
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('[PICK-TICKET] NetSuite error:', response.status, errorText)
-      
-      if (response.status === 404) {
-        return res.status(404).json({ error: 'Pick ticket not found' })
-      }
-      
-      return res.status(500).json({ 
-        error: 'Failed to fetch pick ticket',
-        details: errorText,
-      })
-    }
-    
-    const data = await response.json()
-    
     // Transform NetSuite response to our format
     // TODO: Adjust field names based on actual response
     const pickTicket = {
@@ -173,6 +98,19 @@ export default async function handler(req, res) {
     return res.status(200).json(pickTicket)
     
   } catch (error) {
+    if (error instanceof NetSuiteError) {
+      console.error('[PICK-TICKET] NetSuite error:', error.status, error.message)
+      
+      if (error.status === 404) {
+        return res.status(404).json({ error: 'Pick ticket not found' })
+      }
+      
+      return res.status(500).json({ 
+        error: 'Failed to fetch pick ticket',
+        details: error.message,
+      })
+    }
+    
     console.error('[PICK-TICKET] Error:', error)
     return res.status(500).json({ 
       error: 'Internal server error',
@@ -0,0 +1,155 @@
+/**
+ * Saved packing plans
+ * Plans saved from the app, keyed by quote / sales order number, so the sales
+ * rep and the warehouse tablet open the same plan. Every save is a new
+ * immutable revision.
+ *
+ * GET  /api/plans                          → { success, plans: [latest revision summary per key] }
+ * GET  /api/plans?key=QUO33924             → { success, plan: { key, revision, signature, ..., items, result }, revisions }
+ * GET  /api/plans?key=QUO33924&revision=2  → that revision
+ * GET  /api/plans?key=QUO33924&from=1&to=2 → { success, diff, lines }
+ * POST /api/plans { key, items, result, rulesVersion?, savedBy?, note? }
+ *      → { success, status: 'saved' | 'unchanged', key, revision, signature }
+ *
+ * `result` is the packOrder() output shown in the app, `items` the order lines.
+ * The signature is recomputed here (src/planSignature.js); saving the same
+ * plan as the latest revision doesn't add a revision.
+ *
+ * Stored in Supabase packing_plans (JSON files under PLAN_STORE_DIR without Supabase).
+ */
+
+import { getPlanSignature } from '../src/planSignature.js';
+import { diffPlans, describePlanDiff } from '../src/planDiff.js';
+import { RULES_VERSION } from '../src/rulesVersion.js';
+import { normalizePlanKey, savePlan, loadPlan, listRevisions, listPlans } from './lib/plan-store.js';
+
+const MAX_PALLETS = 200;
+
+// Revision query param → positive integer, undefined if absent, null if bad
+function parseRevision(value) {
+  if (value == null || value === '') return undefined;
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isListOf = (value, check) => value == null || (Array.isArray(value) && value.every(check));
+
+// The fields getPlanSignature() reads - dims/boxes/items may be missing, not malformed
+function isPallet(pallet) {
+  return isObject(pallet) &&
+    isListOf(pallet.dims, v => v == null || typeof v === 'number') &&
+    isListOf(pallet.boxes, box => isObject(box) && (box.item == null || isObject(box.item))) &&
+    isListOf(pallet.items, isObject);
+}
+
+// Returns an error message for a bad save body, or null
+function validatePlan({ items, result }) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.pallets)) {
+    return "result must be a packing result with a pallets array";
+  }
+  if (result.pallets.length > MAX_PALLETS) {
+    return `Too many pallets (max ${MAX_PALLETS})`;
+  }
+  const badPallet = result.pallets.findIndex(pallet => !isPallet(pallet));
+  if (badPallet !== -1) {
+    return `pallets[${badPallet}] must be a pallet: an object with dims (numbers), boxes and items (objects)`;
+  }
+  if (items != null && !Array.isArray(items)) {
+    return "items must be an array of order lines";
+  }
+  return null;
+}
+
+async function handleGet(req, res) {
+  const { key: rawKey, revision: rawRevision, from: rawFrom, to: rawTo } = req.query || {};
+
+  if (!rawKey) {
+    return res.status(200).json({ success: true, plans: await listPlans() });
+  }
+
+  const key = normalizePlanKey(rawKey);
+  if (!key) {
+    return res.status(400).json({ success: false, error: "key must be a quote or sales order number" });
+  }
+
+  const [revision, from, to] = [parseRevision(rawRevision), parseRevision(rawFrom), parseRevision(rawTo)];
+  if (revision === null || from === null || to === null) {
+    return res.status(400).json({ success: false, error: "revision, from and to must be positive integers" });
+  }
+
+  if (from !== undefined || to !== undefined) {
+    const [before, after] = await Promise.all([loadPlan(key, from ?? null), loadPlan(key, to ?? null)]);
+    if (!before || !after) {
+      return res.status(404).json({ success: false, error: `Revision not found for ${key}` });
+    }
+    const diff = diffPlans(before.result, after.result);
+    return res.status(200).json({
+      success: true,
+      key,
+      from: before.revision,
+      to: after.revision,
+      diff,
+      lines: describePlanDiff(diff)
+    });
+  }
+
+  const plan = await loadPlan(key, revision ?? null);
+  if (!plan) {
+    return res.status(404).json({ success: false, error: `No saved plan for ${key}${revision ? ` revision ${revision}` : ''}` });
+  }
+  return res.status(200).json({ success: true, plan, revisions: await listRevisions(key) });
+}
+
+async function handlePost(req, res) {
+  const { key: rawKey, items, result, rulesVersion, savedBy, note } = req.body || {};
+  const key = normalizePlanKey(rawKey);
+  if (!key) {
+    return res.status(400).json({ success: false, error: "key must be a quote or sales order number" });
+  }
+  const invalid = validatePlan({ items, result });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  const signature = getPlanSignature(result);
+  const saved = await savePlan(
+    key,
+    { items: items || [], result: { ...result, signature }, signature, rulesVersion: rulesVersion || RULES_VERSION },
+    { savedBy: typeof savedBy === 'string' ? savedBy.trim() || null : null, note: note || null }
+  );
+
+  console.log(`[plans] ${key} r${saved.revision} ${saved.status} (${signature})`);
+  return res.status(200).json({
+    success: true,
+    status: saved.status,
+    key,
+    revision: saved.revision,
+    signature: saved.signature,
+    createdAt: saved.createdAt
+  });
+}
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === "GET") return await handleGet(req, res);
+    if (req.method === "POST") return await handlePost(req, res);
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+
+  } catch (error) {
+    console.error('[plans] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,94 +1,17 @@
-const crypto = require('crypto');
-const OAuth = require('oauth-1.0a');
 const { createClient } = require('@supabase/supabase-js');
 const { sendValidationEmail, saveToGoogleSheets } = require('./lib/notifications');
-
-// NetSuite credentials from environment variables (trim to handle whitespace from Vercel UI)
-const config = {
-  accountId: process.env.NETSUITE_ACCOUNT_ID?.trim(),
-  consumerKey: process.env.NETSUITE_CONSUMER_KEY?.trim(),
-  consumerSecret: process.env.NETSUITE_CONSUMER_SECRET?.trim(),
-  tokenId: process.env.NETSUITE_TOKEN_ID?.trim(),
-  tokenSecret: process.env.NETSUITE_TOKEN_SECRET?.trim(),
-  restletUrl: process.env.NETSUITE_RESTLET_URL?.trim()
-};
+const { config, suiteql } = require('./lib/netsuite-client');
 
 // Supabase client
 const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
   : null;
 
-function createOAuthClient() {
-  return OAuth({
-    consumer: {
-      key: config.consumerKey,
-      secret: config.consumerSecret
-    },
-    signature_method: 'HMAC-SHA256',
-    hash_function(base_string, key) {
-      return crypto
-        .createHmac('sha256', key)
-        .update(base_string)
-        .digest('base64');
-    }
-  });
-}
-
-async function callNetSuite(action, params = {}) {
-  const urlObj = new URL(config.restletUrl);
-  urlObj.searchParams.set('action', action);
-  for (const [key, value] of Object.entries(params)) {
-    urlObj.searchParams.set(key, value);
-  }
-  
-  const url = urlObj.toString();
-  const oauth = createOAuthClient();
-  const token = { key: config.tokenId, secret: config.tokenSecret };
-  
-  const authHeader = oauth.toHeader(oauth.authorize({ url, method: 'GET' }, token));
-  authHeader.Authorization = authHeader.Authorization.replace(
-    'OAuth ',
-    `OAuth realm="${config.accountId.toUpperCase()}", `
-  );
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': authHeader.Authorization,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-  
-  return response.json();
-}
-
 async function getSalesOrderViaSuiteQL(soNumber) {
   // Step 1: Look up sales order by tranid to get internal ID
   // Try both with and without SO prefix, filter for sales orders only, order by ID desc to get most recent
   const soQuery = `SELECT id, tranid, type FROM transaction WHERE tranid IN ('SO${soNumber}', '${soNumber}') AND type = 'SalesOrd' ORDER BY id DESC`;
-  const soUrl = `https://${config.accountId}.suitetalk.api.netsuite.com/services/rest/query/v1/suiteql?limit=10&offset=0`;
-  
-  const oauth = createOAuthClient();
-  const token = { key: config.tokenId, secret: config.tokenSecret };
-  const authHeader = oauth.toHeader(oauth.authorize({ url: soUrl, method: 'POST' }, token));
-  authHeader.Authorization = authHeader.Authorization.replace(
-    'OAuth ',
-    `OAuth realm="${config.accountId.toUpperCase()}", `
-  );
-  
-  const soResponse = await fetch(soUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': authHeader.Authorization,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'Prefer': 'transient'
-    },
-    body: JSON.stringify({ q: soQuery })
-  });
-  
-  const soData = await soResponse.json();
+  const soData = { items: await suiteql(soQuery, { maxRows: 10 }) };
   
   console.log('SuiteQL SO lookup response:', JSON.stringify(soData, null, 2));
   
@@ -116,25 +39,8 @@ async function getSalesOrderViaSuiteQL(soNumber) {
       AND tl.item IS NOT NULL
   `;
   
-  const itemsUrl = `https://${config.accountId}.suitetalk.api.netsuite.com/services/rest/query/v1/suiteql?limit=1000&offset=0`;
-  const itemsAuthHeader = oauth.toHeader(oauth.authorize({ url: itemsUrl, method: 'POST' }, token));
-  itemsAuthHeader.Authorization = itemsAuthHeader.Authorization.replace(
-    'OAuth ',
-    `OAuth realm="${config.accountId.toUpperCase()}", `
-  );
-  
-  const itemsResponse = await fetch(itemsUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': itemsAuthHeader.Authorization,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'Prefer': 'transient'
-    },
-    body: JSON.stringify({ q: itemsQuery })
-  });
-  
-  const itemsData = await itemsResponse.json();
+  // Paginates past 1000 rows (large orders)
+  const itemsData = { items: await suiteql(itemsQuery) };
   
   console.log('SuiteQL items query response:', JSON.stringify(itemsData, null, 2));
   
@@ -156,77 +62,6 @@ async function getSalesOrderViaSuiteQL(soNumber) {
   return { success: true, items };
 }
 
-// Simple pallet prediction logic (matches productModels.js)
-function predictPallets(items) {
-  // Hardware SKU patterns to skip (small items that pack with main products)
-  const hardwarePatterns = ['3000P-', '3000Q-', '31000-', '32000-', '34010-', '39000-', '50801-', '81000-', '26268'];
-  
-  // Filter out hardware items
-  items = items.filter(item => {
-    const sku = item.sku || '';
-    return !hardwarePatterns.some(pattern => sku.includes(pattern));
-  });
-  
-  const unitsPerPallet = {
-    'dv215': 70, '90101-2287': 70,
-    'dismount': 15,
-    'vr2': 50, 'vr1': 50,
-    'dd4': 12, 'dd6': 8,
-    'mbv1': 4, 'mbv2': 2,
-    'visi1': 6, 'visi2': 3,
-    'hr101': 60, 'hr201': 20,
-    'undergrad': 4,
-    'sm10x': 16, 'sm10': 16, '89901-121': 16,
-    'default': 10
-  };
-  
-  const weightPerUnit = {
-    'dv215': 55, '90101-2287': 55,
-    'dismount': 10,
-    'vr2': 31, 'vr1': 31,
-    'dd4': 206, 'dd6': 260,
-    'mbv1': 312, 'mbv2': 420,
-    'visi1': 280, 'visi2': 375,
-    'hr101': 14, 'hr201': 48,
-    'undergrad': 85,
-    'sm10x': 28, 'sm10': 28, '89901-121': 28,
-    'default': 50
-  };
-  
-  let totalPallets = 0;
-  let totalWeight = 0;
-  const breakdown = [];
-  
-  for (const item of items) {
-    const skuLower = item.sku.toLowerCase();
-    let upp = unitsPerPallet.default;
-    let wpu = weightPerUnit.default;
-    
-    for (const [key, val] of Object.entries(unitsPerPallet)) {
-      if (key !== 'default' && skuLower.includes(key.toLowerCase())) {
-        upp = val;
-        wpu = weightPerUnit[key] || weightPerUnit.default;
-        break;
-      }
-    }
-    
-    const pallets = Math.ceil(item.qty / upp);
-    const weight = item.qty * wpu;
-    
-    totalPallets += pallets;
-    totalWeight += weight;
-    breakdown.push({ 
-      sku: item.sku, 
-      name: item.name, 
-      qty: item.qty, 
-      pallets, 
-      weight: Math.round(weight)
-    });
-  }
-  
-  return { totalPallets, totalWeight: Math.round(totalWeight), breakdown };
-}
-
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -242,7 +77,7 @@ module.exports = async (req, res) => {
   }
   
   try {
-    const { soNumber, pallets, validatedBy, notes } = req.body;
+    const { soNumber, pallets, validatedBy, notes, submissionId } = req.body;
     
     console.log('=== VALIDATE REQUEST ===');
     console.log('SO#:', soNumber);
@@ -255,6 +90,9 @@ module.exports = async (req, res) => {
         error: 'Missing required fields: soNumber, pallets, validatedBy' 
       });
     }
+    if (submissionId != null && (typeof submissionId !== 'string' || submissionId.length > 64)) {
+      return res.status(400).json({ success: false, error: 'submissionId must be a string (max 64 characters)' });
+    }
     
     // 1. Look up sales order in NetSuite using SuiteQL
     console.log('Calling getSalesOrderViaSuiteQL for SO' + soNumber);
@@ -269,7 +107,9 @@ module.exports = async (req, res) => {
       });
     }
     
-    // 2. Run pallet prediction
+    // 2. Run pallet prediction (same engine + rules as the app)
+    const { predictPallets } = await import('../src/palletPrediction.js');
+    const { RULES_VERSION } = await import('../src/rulesVersion.js');
     console.log('Items being sent to predictPallets:', JSON.stringify(soData.items, null, 2));
     const prediction = predictPallets(soData.items);
     console.log('Prediction result:', JSON.stringify(prediction, null, 2));
@@ -285,8 +125,23 @@ module.exports = async (req, res) => {
     const withinOnePallet = Math.abs(palletVariance) <= 1;
     
     // 5. Save to Supabase
+    // A tablet replaying its offline queue may send the same submission again
+    // (the first response was lost) - save and notify only once
     let validationId = null;
-    if (supabase) {
+    let duplicate = false;
+    if (supabase && submissionId) {
+      const { data: existing } = await supabase
+        .from('validations')
+        .select('id')
+        .eq('client_submission_id', submissionId)
+        .limit(1);
+      if (existing?.length) {
+        validationId = existing[0].id;
+        duplicate = true;
+        console.log('Submission already saved as validation', validationId);
+      }
+    }
+    if (supabase && !duplicate) {
       console.log('Attempting Supabase save for SO' + soNumber);
       const insertData = {
         pick_ticket_id: `SO${soNumber}`,
@@ -294,13 +149,15 @@ module.exports = async (req, res) => {
         predicted_pallets: prediction.totalPallets,
         predicted_weight: prediction.totalWeight,
         predicted_breakdown: prediction.breakdown,
+        rules_version: RULES_VERSION,
         actual_pallets: actualPallets,
         actual_weight: actualWeight,
         actual_dimensions: pallets,
         actual_notes: notes || null,
         validated_by: validatedBy,
         validated_at: new Date().toISOString(),
-        status: 'validated'
+        status: 'validated',
+        client_submission_id: submissionId || null
       };
       console.log('Insert data:', JSON.stringify(insertData, null, 2));
       
@@ -326,7 +183,7 @@ module.exports = async (req, res) => {
       
       validationId = data?.[0]?.id;
       console.log('Validation saved with ID:', validationId);
-    } else {
+    } else if (!supabase) {
       console.warn('Supabase client not configured - skipping save');
     }
     
@@ -352,7 +209,7 @@ module.exports = async (req, res) => {
     };
     
     // Send email and save to Sheets (non-blocking, don't wait)
-    Promise.all([
+    if (!duplicate) Promise.all([
       sendValidationEmail(notificationData).catch(err => console.error('Email error:', err)),
       saveToGoogleSheets(notificationData).catch(err => console.error('Sheets error:', err))
     ]);
@@ -361,11 +218,13 @@ module.exports = async (req, res) => {
     return res.status(200).json({
       success: true,
       validationId,
+      duplicate,
       soNumber: `SO${soNumber}`,
       predicted: {
         pallets: prediction.totalPallets,
         weight: prediction.totalWeight,
-        breakdown: prediction.breakdown
+        breakdown: prediction.breakdown,
+        rulesVersion: RULES_VERSION
       },
       actual: {
         pallets: actualPallets,
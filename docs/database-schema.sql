@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS validations (
   predicted_weight_lbs NUMERIC(10,2),
   predicted_items JSONB, -- [{sku, qty, dims, weight}]
   prediction_timestamp TIMESTAMPTZ,
+  rules_version TEXT, -- Packing rules that made the prediction (src/rulesVersion.js)
   
   -- Actual data (from warehouse)
   actual_pallets INTEGER,
@@ -41,6 +42,15 @@ CREATE INDEX IF NOT EXISTS idx_validations_pick_ticket ON validations(pick_ticke
 CREATE INDEX IF NOT EXISTS idx_validations_status ON validations(status);
 CREATE INDEX IF NOT EXISTS idx_validations_created ON validations(created_at DESC);
 
+-- Existing databases: add the rules version column
+ALTER TABLE validations ADD COLUMN IF NOT EXISTS rules_version TEXT;
+CREATE INDEX IF NOT EXISTS idx_validations_rules_version ON validations(rules_version);
+
+-- Existing databases: id the tablet gives each submission, so a validation
+-- replayed from the offline queue is only saved once
+ALTER TABLE validations ADD COLUMN IF NOT EXISTS client_submission_id TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_validations_client_submission ON validations(client_submission_id);
+
 -- ============================================
 -- CORRECTIONS TABLE
 -- Stores product-level corrections when prediction was wrong
@@ -162,3 +172,174 @@ CREATE POLICY "Allow all for authenticated users" ON attachments
 -- Public: No
 -- File size limit: 10MB
 -- Allowed MIME types: image/jpeg, image/png, image/webp
+
+-- ============================================
+-- NETSUITE WRITEBACKS TABLE
+-- Audit log for api/netsuite-writeback.js (pallet estimate → quote/SO fields)
+-- ============================================
+CREATE TABLE IF NOT EXISTS netsuite_writebacks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  tran_id TEXT NOT NULL, -- QUO33924 / SO7706
+  record_type TEXT NOT NULL, -- estimate / salesorder
+  status TEXT NOT NULL, -- written / unchanged / failed
+  fields JSONB NOT NULL, -- Custom field values sent
+  previous_fields JSONB, -- Values in NetSuite before the write
+  rules_version TEXT,
+  requested_by TEXT,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_netsuite_writebacks_tran ON netsuite_writebacks(tran_id, created_at DESC);
+ALTER TABLE netsuite_writebacks ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all for authenticated users" ON netsuite_writebacks
+  FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================
+-- PACKING COMPATIBILITY TABLE
+-- Versions of the mixing matrix saved from the Rules screen
+-- (api/packing-compatibility.js); src/data/packing-compatibility.json is version 1
+-- ============================================
+CREATE TABLE IF NOT EXISTS packing_compatibility (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  version INTEGER NOT NULL UNIQUE,
+  matrix JSONB NOT NULL, -- { defaults, footprintTolerance, groups, rules, layerPriority? }
+  updated_by TEXT,
+  note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_compatibility_version ON packing_compatibility(version DESC);
+ALTER TABLE packing_compatibility ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all for authenticated users" ON packing_compatibility
+  FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================
+-- PACKING PLANS TABLE
+-- Saved packing plans by quote / SO (api/plans.js); one immutable row per
+-- revision, never updated or deleted
+-- ============================================
+CREATE TABLE IF NOT EXISTS packing_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  plan_key TEXT NOT NULL, -- QUO33924 / SO7706
+  revision INTEGER NOT NULL,
+  signature TEXT NOT NULL, -- src/planSignature.js content hash
+  rules_version TEXT,
+  total_pallets INTEGER,
+  total_weight DECIMAL(10,2),
+  items JSONB NOT NULL, -- Order lines
+  plan JSONB NOT NULL, -- packOrder() result (pallets with box positions)
+  saved_by TEXT,
+  note TEXT,
+
+  UNIQUE (plan_key, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_plans_key ON packing_plans(plan_key, revision DESC);
+CREATE INDEX IF NOT EXISTS idx_packing_plans_created ON packing_plans(created_at DESC);
+ALTER TABLE packing_plans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all for authenticated users" ON packing_plans
+  FOR ALL USING (true) WITH CHECK (true);
+
+-- ============================================
+-- WAREHOUSE CHECKLIST TABLES
+-- Shared packing progress from the Warehouse tablets (api/checklist.js);
+-- one row per checkbox / pallet note, last change wins
+-- ============================================
+CREATE TABLE IF NOT EXISTS checklist_orders (
+  order_key TEXT PRIMARY KEY, -- QUO33924 / SO7706
+  plan_signature TEXT, -- Plan the tablets are packing
+  total_items INTEGER DEFAULT 0,
+  packers JSONB DEFAULT '[]'::jsonb,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS checklist_entries (
+  order_key TEXT NOT NULL,
+  kind TEXT NOT NULL, -- item / note
+  entry_key TEXT NOT NULL, -- "<pallet>-<line>" for items, pallet number for notes
+  value JSONB NOT NULL, -- true/false or note text
+  changed_at TIMESTAMPTZ NOT NULL, -- When the packer changed it (conflict rule)
+  device_id TEXT,
+  packer TEXT,
+  synced_at TIMESTAMPTZ DEFAULT NOW(), -- When the server got it (poll cursor)
+
+  PRIMARY KEY (order_key, kind, entry_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_checklist_orders_updated ON checklist_orders(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_checklist_entries_synced ON checklist_entries(order_key, synced_at);
+ALTER TABLE checklist_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE checklist_entries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all for authenticated users" ON checklist_orders
+  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Allow all for authenticated users" ON checklist_entries
+  FOR ALL USING (true) WITH CHECK (true);
+-- Live updates: add checklist_entries to the supabase_realtime publication
+ALTER PUBLICATION supabase_realtime ADD TABLE checklist_entries;
+
+-- Apply a batch from one tablet (api/lib/checklist-store.js): each row is
+-- written only if it beats the stored one (later changed_at, ties by device id),
+-- in the same statement as the comparison. Returns the rows that were written;
+-- synced_at is the database clock so poll cursors never run ahead of a commit.
+CREATE OR REPLACE FUNCTION apply_checklist_changes(p_order_key TEXT, p_changes JSONB)
+RETURNS SETOF checklist_entries
+LANGUAGE sql AS $$
+  INSERT INTO checklist_entries AS e (order_key, kind, entry_key, value, changed_at, device_id, packer, synced_at)
+  SELECT p_order_key, c.kind, c.entry_key, c.value, c.changed_at, c.device_id, c.packer, clock_timestamp()
+  FROM jsonb_to_recordset(p_changes)
+    AS c(kind TEXT, entry_key TEXT, value JSONB, changed_at TIMESTAMPTZ, device_id TEXT, packer TEXT)
+  ON CONFLICT (order_key, kind, entry_key) DO UPDATE
+    SET value = EXCLUDED.value,
+        changed_at = EXCLUDED.changed_at,
+        device_id = EXCLUDED.device_id,
+        packer = EXCLUDED.packer,
+        synced_at = EXCLUDED.synced_at
+    WHERE (EXCLUDED.changed_at, COALESCE(EXCLUDED.device_id, '')) >= (e.changed_at, COALESCE(e.device_id, ''))
+  RETURNING e.*;
+$$;
+
+-- ============================================
+-- PACKING ADJUSTMENTS TABLE
+-- Layer reorders from the PackingPlan editor (api/log-adjustment.js) with the
+-- plan before/after; reviewed in the Rules screen, accepted ones become
+-- layerPriority overrides in a new packing_compatibility version
+-- ============================================
+CREATE TABLE IF NOT EXISTS packing_adjustments (
+  id TEXT PRIMARY KEY, -- adj-<time>-<random>
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  pallet_id TEXT NOT NULL,
+  pallet_type TEXT,
+  change TEXT, -- layer-reordered
+  details JSONB, -- { from: { pallet, index }, to: { pallet, index } }
+  reason TEXT,
+  suggested_change TEXT,
+  quote_number TEXT,
+  plan_signature TEXT,
+  rules_version TEXT, -- src/rulesVersion.js when the plan was made
+  compatibility_version INTEGER, -- Mixing matrix version when logged
+  original_plan JSONB, -- [{ id, type, layers: [{ sku, productKey, quantity }] }] bottom → top
+  adjusted_plan JSONB NOT NULL,
+  order_snapshot JSONB, -- [{ sku, qty }]
+  proposed_rule JSONB, -- [{ key, from, to }] layer priority changes
+  source TEXT DEFAULT 'warehouse-ui',
+
+  -- Review
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  accepted_rule JSONB, -- { productKey: priority } saved to the matrix
+  accepted_version INTEGER -- packing_compatibility version it became
+);
+
+CREATE INDEX IF NOT EXISTS idx_packing_adjustments_status ON packing_adjustments(status, created_at DESC);
+ALTER TABLE packing_adjustments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow all for authenticated users" ON packing_adjustments
+  FOR ALL USING (true) WITH CHECK (true);
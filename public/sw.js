@@ -0,0 +1,77 @@
+/**
+ * Service worker - lets Warehouse and Validate modes start with no connection.
+ *
+ *   app shell + built assets (/assets/*)   cache first (file names are hashed)
+ *   /models/*.glb                          cache first (src/utils/planCache.js pre-caches a plan's models)
+ *   pages, products, tariffs, mixing rules network first, last copy when offline
+ *
+ * Everything else (the other /api routes, NetSuite, Supabase) goes straight
+ * to the network; the offline queue in the app handles those.
+ */
+
+const SHELL_CACHE = 'gcs-shell-v1'
+const MODEL_CACHE = 'gcs-models' // Same name in src/utils/planCache.js
+const SHELL = ['/', '/index.html', '/products.json', '/freight-tariffs.json']
+
+const NETWORK_FIRST = [
+  /^\/products\.json$/,
+  /^\/freight-tariffs/,
+  /^\/shipping-reference\.json$/,
+  /^\/api\/packing-compatibility$/,
+]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('gcs-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: !!fallbackUrl }) ||
+      (fallbackUrl && await cache.match(fallbackUrl))
+    if (cached) return cached
+    throw err
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    // ?plan=…&mode=warehouse links open the app shell offline
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'))
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+  } else if (url.pathname.startsWith('/models/')) {
+    event.respondWith(cacheFirst(request, MODEL_CACHE))
+  } else if (NETWORK_FIRST.some(pattern => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request, SHELL_CACHE))
+  }
+})
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Packing Rules Backtest
+ *
+ * Replays every stored validation (validations table + parsed BOLs) through
+ * two versions of the packing rules and reports exact-match, ±1 pallet and
+ * weight error for each, so a rules edit can be judged before it ships.
+ *
+ * Rule versions:
+ *   current     working tree src/data/product-families.json
+ *   vN          src/data/rule-history/product-families.vN.json (written by calibrate-rules.js)
+ *   <git ref>   product-families.json at that commit/branch/tag (e.g. HEAD, main, HEAD~3)
+ *
+ * Only the family rules are replayed: predictions (palletPrediction.js) come
+ * from product-families.json alone. PRODUCT_MODELS and pallet base edits move
+ * the rules version but can't move these numbers - compare packed plans with
+ * scripts/pack.js for those.
+ *
+ * Usage:
+ *   node scripts/backtest-rules.js                          # HEAD vs working tree
+ *   node scripts/backtest-rules.js --base v1 --candidate v2
+ *   node scripts/backtest-rules.js --base main --db validations.json
+ *
+ * Options:
+ *   --base REF          Baseline rules (default: HEAD)
+ *   --candidate REF     Rules under test (default: current)
+ *   --db FILE           Local .json/.sqlite stand-in for the validations table
+ *   --bols DIR          Parsed BOL results (default: validation-results/)
+ *   --no-bols           Validations only
+ *   --no-validations    Parsed BOLs only (no database needed)
+ *   --show N            Changed orders to list (default: 20)
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdtempSync, rmSync } from 'fs'
+import { join, dirname } from 'path'
+import { tmpdir } from 'os'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { execFileSync } from 'child_process'
+import dotenv from 'dotenv'
+import { compareRules } from '../src/ruleCalibration.js'
+import { getRulesVersion, hashRules } from '../src/rulesVersion.js'
+import { PRODUCT_MODELS } from '../src/productModels.js'
+import { loadRecords } from './lib/validation-records.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+dotenv.config({ path: join(__dirname, '../.env.local') })
+
+const ROOT = join(__dirname, '..')
+const RULES_PATH = 'src/data/product-families.json'
+const VERSION_PATH = 'src/rulesVersion.js'
+const HISTORY_DIR = join(ROOT, 'src/data/rule-history')
+const DEFAULT_BOLS_DIR = join(ROOT, 'validation-results')
+
+function gitShow(ref, path) {
+  return execFileSync('git', ['show', `${ref}:${path}`], { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] })
+}
+
+// getRulesVersion() as it was at a git ref: src/ extracted to a temp dir so its
+// own PRODUCT_MODELS, pallet bases and imports are used. Null when the ref
+// predates rulesVersion.js (no version hash back then).
+async function loadRulesVersionAtRef(ref) {
+  const tempDir = mkdtempSync(join(tmpdir(), 'rules-at-ref-'))
+  try {
+    const archive = execFileSync('git', ['archive', '--format=tar', ref, 'src'], { cwd: ROOT, maxBuffer: 256 * 1024 * 1024 })
+    execFileSync('tar', ['-x', '-C', tempDir], { input: archive })
+    writeFileSync(join(tempDir, 'package.json'), '{ "type": "module" }\n')
+    const versionModule = join(tempDir, VERSION_PATH)
+    if (!existsSync(versionModule)) return null
+    const { getRulesVersion: getVersionAtRef } = await import(pathToFileURL(versionModule).href)
+    return getVersionAtRef
+  } finally {
+    rmSync(tempDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Rule set + version label for current / vN / git ref
+ */
+async function loadRuleSet(ref) {
+  if (ref === 'current') {
+    const rules = JSON.parse(readFileSync(join(ROOT, RULES_PATH), 'utf8'))
+    return { ref, rules, version: getRulesVersion(rules, PRODUCT_MODELS) }
+  }
+
+  const numbered = ref.match(/^v(\d+)$/)
+  if (numbered) {
+    const current = JSON.parse(readFileSync(join(ROOT, RULES_PATH), 'utf8'))
+    const archived = join(HISTORY_DIR, `product-families.${ref}.json`)
+    let rules = null
+    if ((current.version || 1) === Number(numbered[1])) {
+      return { ref, rules: current, version: getRulesVersion(current, PRODUCT_MODELS) }
+    }
+    if (existsSync(archived)) rules = JSON.parse(readFileSync(archived, 'utf8'))
+    if (!rules) throw new Error(`Rules ${ref} not found (current is v${current.version || 1}, nothing in ${HISTORY_DIR})`)
+    // Archived files don't record the models/bases they ran with - no full version
+    return { ref, rules, version: `v${rules.version || 1}-?` }
+  }
+
+  let rules
+  try {
+    rules = JSON.parse(gitShow(ref, RULES_PATH))
+  } catch {
+    throw new Error(`No ${RULES_PATH} at git ref "${ref}"`)
+  }
+  const getVersionAtRef = await loadRulesVersionAtRef(ref)
+  return { ref, rules, version: getVersionAtRef ? getVersionAtRef(rules) : `v${rules.version || 1}-?` }
+}
+
+function formatRow(label, base, candidate) {
+  return `   ${label.padEnd(18)}${String(base).padEnd(22)}${candidate}`
+}
+
+function formatDelta(base, candidate, unit = '', lowerIsBetter = false) {
+  if (base == null || candidate == null) return ''
+  const delta = Math.round((candidate - base) * 100) / 100
+  if (delta === 0) return '  (=)'
+  const better = lowerIsBetter ? delta < 0 : delta > 0
+  return `  (${delta > 0 ? '+' : ''}${delta}${unit} ${better ? '✅' : '❌'})`
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null)
+
+  const show = parseInt(option('--show'), 10) || 20
+  const bolsDir = args.includes('--no-bols') ? null : (option('--bols') || DEFAULT_BOLS_DIR)
+
+  const base = await loadRuleSet(option('--base') || 'HEAD')
+  const candidate = await loadRuleSet(option('--candidate') || 'current')
+  const { records, counts } = await loadRecords({
+    db: option('--db'),
+    bolsDir,
+    includeValidations: !args.includes('--no-validations'),
+  })
+
+  console.log('🧪 Packing rules backtest')
+  console.log(`   Records: ${records.length} orders (${counts.validations} validations, ${counts.bols} parsed BOLs)`)
+
+  if (records.length === 0) {
+    console.error('❌ No validated shipments to replay')
+    process.exit(1)
+  }
+
+  const result = compareRules(records, base.rules, candidate.rules)
+  const a = result.base
+  const b = result.candidate
+  const weight = (acc) => (acc.avgWeightError == null ? 'n/a' : `±${acc.avgWeightError} lbs`)
+
+  console.log('')
+  console.log(formatRow('', `base (${base.ref})`, `candidate (${candidate.ref})`))
+  console.log(formatRow('Rules version', base.version, candidate.version))
+  console.log(formatRow('Family rules', hashRules(base.rules), hashRules(candidate.rules)))
+  console.log(formatRow('Exact match', `${a.exactPct}% (${a.exact})`, `${b.exactPct}% (${b.exact})${formatDelta(a.exactPct, b.exactPct, '%')}`))
+  console.log(formatRow('±1 pallet', `${a.withinOnePct}% (${a.withinOne})`, `${b.withinOnePct}% (${b.withinOne})${formatDelta(a.withinOnePct, b.withinOnePct, '%')}`))
+  console.log(formatRow('Avg pallet error', a.avgPalletError, `${b.avgPalletError}${formatDelta(a.avgPalletError, b.avgPalletError, '', true)}`))
+  console.log(formatRow('Avg weight error', weight(a), `${weight(b)}${formatDelta(a.avgWeightError, b.avgWeightError, ' lbs', true)}`))
+
+  if (hashRules(base.rules) === hashRules(candidate.rules) && base.version !== candidate.version) {
+    console.log('\n   ⚠️ Same family rules - the versions differ only in PRODUCT_MODELS / pallet bases,')
+    console.log('      which this backtest does not replay (family rules only)')
+  }
+
+  // Which rules made the stored predictions
+  const recordedVersions = new Map()
+  records.forEach(r => {
+    const version = r.rulesVersion || 'unstamped'
+    recordedVersions.set(version, (recordedVersions.get(version) || 0) + 1)
+  })
+  console.log(`\n   Stored predictions by rules version: ${[...recordedVersions].map(([v, n]) => `${v} (${n})`).join(', ')}`)
+
+  console.log(`\n🔀 Orders with a different prediction: ${result.changed.length}`)
+  result.changed.slice(0, show).forEach(({ record, base: p, candidate: q }) => {
+    const mark = (pallets) => (pallets === record.actualPallets ? '✓' : ' ')
+    console.log(`   SO${record.soNumber || '?'}  actual ${record.actualPallets} plt${record.actualWeight ? ` / ${record.actualWeight} lbs` : ''}  ` +
+      `base ${p.pallets}${mark(p.pallets)} / ${p.weight} lbs  candidate ${q.pallets}${mark(q.pallets)} / ${q.weight} lbs`)
+  })
+  if (result.changed.length > show) {
+    console.log(`   ... ${result.changed.length - show} more (--show N)`)
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Backtest failed:', err.message)
+  process.exit(1)
+})
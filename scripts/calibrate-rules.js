@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Packing Rule Calibration
+ *
+ * Fits per-family units per pallet, weight per unit and pallet count
+ * breakpoints to validated shipments, reports the accuracy change and
+ * writes the next version of src/data/product-families.json (the rule set
+ * the app, api/validate-shipment.js and the BOL scripts load).
+ *
+ * Sources: validations table (Supabase, or a local .json/.sqlite stand-in)
+ * + parsed BOLs in validation-results/. Previous rule versions are kept in
+ * src/data/rule-history/.
+ *
+ * Usage:
+ *   node scripts/calibrate-rules.js                     # Report only (Supabase + BOLs)
+ *   node scripts/calibrate-rules.js --write             # Write the new rules version
+ *   node scripts/calibrate-rules.js --db validations.json   # Local JSON stand-in
+ *   node scripts/calibrate-rules.js --db validations.sqlite # Local SQLite stand-in (Node 22+)
+ *
+ * Options:
+ *   --bols DIR          Parsed BOL results (default: validation-results/)
+ *   --no-bols           Validations only
+ *   --no-validations    Parsed BOLs only (no database needed)
+ *   --min-samples N     Single-family orders needed to refit a family (default: 3)
+ *   --force             Write even if accuracy drops
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import dotenv from 'dotenv'
+import { calibrateRules } from '../src/ruleCalibration.js'
+import { loadRecords } from './lib/validation-records.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+dotenv.config({ path: join(__dirname, '../.env.local') })
+
+const RULES_FILE = join(__dirname, '../src/data/product-families.json')
+const HISTORY_DIR = join(__dirname, '../src/data/rule-history')
+const DEFAULT_BOLS_DIR = join(__dirname, '../validation-results')
+
+// Same layout as the checked-in file: short arrays stay on one line
+function formatRulesJson(rules) {
+  return JSON.stringify(rules, null, 2)
+    .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, inner) => `[${inner.split(/,\s+/).join(', ')}]`)
+    .replace(/\[\s+(\[[^{}]*?\])\s+\]/g, (_, inner) => `[${inner.replace(/\],\s+\[/g, '], [')}]`) + '\n'
+}
+
+function formatAccuracy(label, acc) {
+  const weight = acc.avgWeightError == null ? 'n/a' : `±${acc.avgWeightError} lbs`
+  return `   ${label.padEnd(8)} exact ${String(acc.exactPct).padStart(5)}%  ` +
+    `±1 ${String(acc.withinOnePct).padStart(5)}%  ` +
+    `avg ${acc.avgPalletError} pallets  weight ${weight}`
+}
+
+function formatRanges(ranges) {
+  return ranges ? ranges.map(([min, max, pallets]) => `${min}-${max}:${pallets}`).join(' ') : '—'
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null)
+
+  const write = args.includes('--write')
+  const force = args.includes('--force')
+  const minSamples = parseInt(option('--min-samples'), 10) || 3
+  const bolsDir = args.includes('--no-bols') ? null : (option('--bols') || DEFAULT_BOLS_DIR)
+
+  const rules = JSON.parse(readFileSync(RULES_FILE, 'utf8'))
+  const { records, counts } = await loadRecords({
+    db: option('--db'),
+    bolsDir,
+    includeValidations: !args.includes('--no-validations'),
+  })
+
+  console.log('🎯 Packing rule calibration')
+  console.log(`   Rules: v${rules.version || 1}`)
+  console.log(`   Records: ${records.length} orders (${counts.validations} validations, ${counts.bols} parsed BOLs)`)
+
+  if (records.length === 0) {
+    console.error('❌ No validated shipments to calibrate against')
+    process.exit(1)
+  }
+
+  const result = calibrateRules(records, rules, { minSamples })
+
+  console.log(`\n📦 Families refit (≥${minSamples} single-family orders): ${result.families.length}`)
+  result.families.forEach(({ key, samples, before, after }) => {
+    console.log(`   ${key} (${samples} orders)`)
+    console.log(`      units/pallet  ${before.unitsPerPallet ?? '—'} → ${after.unitsPerPallet}`)
+    console.log(`      lbs/unit      ${before.weightPerUnit ?? '—'} → ${after.weightPerUnit}`)
+    console.log(`      breakpoints   ${formatRanges(before.palletCounts)} → ${formatRanges(after.palletCounts)}`)
+  })
+
+  console.log('\n📊 Accuracy (all records)')
+  console.log(formatAccuracy(`v${rules.version || 1}`, result.before))
+  console.log(formatAccuracy(`v${result.rules.version}`, result.after))
+
+  const worse = result.after.withinOnePct < result.before.withinOnePct ||
+    (result.after.withinOnePct === result.before.withinOnePct && result.after.exactPct < result.before.exactPct)
+
+  if (!write) {
+    console.log('\n(report only - pass --write to save the new rules version)')
+    return
+  }
+  if (result.families.length === 0) {
+    console.log('\nNothing to write - no family had enough samples')
+    return
+  }
+  if (worse && !force) {
+    console.error('\n❌ Accuracy dropped - not writing (pass --force to override)')
+    process.exit(1)
+  }
+
+  if (!existsSync(HISTORY_DIR)) {
+    mkdirSync(HISTORY_DIR, { recursive: true })
+  }
+  const archivePath = join(HISTORY_DIR, `product-families.v${rules.version || 1}.json`)
+  if (!existsSync(archivePath)) {
+    writeFileSync(archivePath, formatRulesJson(rules))
+  }
+  writeFileSync(RULES_FILE, formatRulesJson(result.rules))
+
+  console.log(`\n✅ Wrote rules v${result.rules.version} (previous version archived to ${archivePath})`)
+}
+
+main().catch(err => {
+  console.error('❌ Calibration failed:', err.message)
+  process.exit(1)
+})
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * SKU Classification Table
+ *
+ * Runs every catalog SKU (public/products.json) through the classification
+ * rules in src/data/product-families.json and compares the result with the
+ * expected table in src/data/sku-classes.json. Run it after editing the rules
+ * or syncing the catalog.
+ *
+ * Usage:
+ *   node scripts/classify-skus.js                         # Print the table
+ *   node scripts/classify-skus.js --check                 # Exit 1 if any SKU differs from the expected table
+ *   node scripts/classify-skus.js --write                 # Accept the current classification as expected
+ *   node scripts/classify-skus.js --explain DD-DS-08-GAV  # Why a SKU gets its class
+ *
+ * Options:
+ *   --family "Double Docker"   NetSuite class for --explain (default: catalog family)
+ *   --name "DOUBLE DOCKER..."  Quote line description for --explain (default: catalog name)
+ *
+ * Expected entries for SKUs that aren't in the catalog (quote-only SKUs,
+ * description-only lines) are kept by --write.
+ */
+
+import { readFileSync, writeFileSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { classifySku, explainSku, formatExplanation, validateClassificationRules } from '../src/skuClassifier.js'
+import { PRODUCT_MODELS } from '../src/productModels.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const CATALOG_FILE = join(__dirname, '../public/products.json')
+const RULES_FILE = join(__dirname, '../src/data/product-families.json')
+const EXPECTED_FILE = join(__dirname, '../src/data/sku-classes.json')
+
+const CLASS_FIELDS = ['key', 'model', 'group']
+
+function loadCatalogRows() {
+  const catalog = JSON.parse(readFileSync(CATALOG_FILE, 'utf8'))
+  const seen = new Set()
+  return (catalog.products || [])
+    .filter(product => !seen.has(product.sku) && seen.add(product.sku))
+    .map(product => ({ sku: product.sku, family: product.family || '', name: product.displayName || '' }))
+}
+
+function classifyRow(row, rules) {
+  const { key, model, group, rule } = classifySku(row.sku, row.family, row.name, rules)
+  return { ...row, key, model, group, rule }
+}
+
+// One entry per line, spaced like the dim sheet
+const formatEntry = (entry) =>
+  `{${Object.entries(entry).map(([field, value]) => `${JSON.stringify(field)}: ${JSON.stringify(value)}`).join(', ')}}`
+
+const describe = (entry) => CLASS_FIELDS.map(field => `${field}=${entry[field] ?? '-'}`).join(' ')
+
+function printTable(rows) {
+  const width = Math.max(...rows.map(r => r.sku.length), 3)
+  console.log(`${'SKU'.padEnd(width)}  ${'KEY'.padEnd(10)} ${'MODEL'.padEnd(16)} ${'GROUP'.padEnd(14)} RULE`)
+  rows.forEach(r => {
+    console.log(`${r.sku.padEnd(width)}  ${(r.key || '-').padEnd(10)} ${(r.model || '-').padEnd(16)} ${r.group.padEnd(14)} ${r.rule || '(none)'}`)
+  })
+}
+
+function main() {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null)
+
+  const rules = JSON.parse(readFileSync(RULES_FILE, 'utf8'))
+  const catalogRows = loadCatalogRows()
+
+  const explainSkuArg = option('--explain')
+  if (explainSkuArg) {
+    const known = catalogRows.find(row => row.sku.toLowerCase() === explainSkuArg.toLowerCase())
+    const family = option('--family') ?? known?.family ?? ''
+    const name = option('--name') ?? known?.name ?? ''
+    console.log(formatExplanation(explainSku(explainSkuArg, family, name, rules)))
+    return
+  }
+
+  const errors = validateClassificationRules(rules, PRODUCT_MODELS)
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} classification rule problem(s):`)
+    errors.forEach(error => console.error(`   ${error}`))
+    process.exit(1)
+  }
+
+  const expected = JSON.parse(readFileSync(EXPECTED_FILE, 'utf8'))
+  const catalogSkus = new Set(catalogRows.map(row => row.sku))
+  const extraRows = expected.entries
+    .filter(entry => !catalogSkus.has(entry.sku))
+    .map(({ sku, family = '', name = '' }) => ({ sku, family, name }))
+  const rows = [...catalogRows, ...extraRows].map(row => classifyRow(row, rules))
+
+  if (args.includes('--write')) {
+    const entries = rows.map(({ sku, family, name, key, model, group }) => {
+      const entry = { sku }
+      if (!catalogSkus.has(sku)) Object.assign(entry, family && { family }, name && { name })
+      return { ...entry, key, model, group }
+    })
+    const lines = entries.map(entry => `    ${formatEntry(entry)}`)
+    writeFileSync(EXPECTED_FILE, [
+      '{',
+      `  "source": ${JSON.stringify(expected.source)},`,
+      `  "updated": "${new Date().toISOString().slice(0, 10)}",`,
+      '  "entries": [',
+      lines.join(',\n'),
+      '  ]',
+      '}',
+      '',
+    ].join('\n'))
+    console.log(`✅ Wrote ${entries.length} expected classes to ${EXPECTED_FILE}`)
+    return
+  }
+
+  if (!args.includes('--check')) {
+    printTable(rows)
+    console.log(`\n${rows.length} SKUs, ${rows.filter(r => !r.rule).length} unclassified`)
+  }
+
+  const expectedBySku = new Map(expected.entries.map(entry => [entry.sku, entry]))
+  const missing = rows.filter(row => !expectedBySku.has(row.sku))
+  const mismatches = rows.filter(row => {
+    const entry = expectedBySku.get(row.sku)
+    return entry && CLASS_FIELDS.some(field => (entry[field] ?? null) !== row[field])
+  })
+
+  if (missing.length === 0 && mismatches.length === 0) {
+    console.log(`✅ All ${rows.length} SKUs match ${EXPECTED_FILE}`)
+    return
+  }
+
+  mismatches.forEach(row => {
+    console.error(`❌ ${row.sku}: expected ${describe(expectedBySku.get(row.sku))}, got ${describe(row)}`)
+    console.error(formatExplanation(explainSku(row.sku, row.family, row.name, rules)).replace(/^/gm, '   '))
+  })
+  missing.forEach(row => console.error(`❌ ${row.sku}: not in the expected table (got ${describe(row)})`))
+  console.error(`\n${mismatches.length} mismatched, ${missing.length} missing - fix the rules, or run with --write if the new classes are right`)
+  process.exit(1)
+}
+
+try {
+  main()
+} catch (err) {
+  console.error('❌ SKU classification failed:', err.message)
+  process.exit(1)
+}
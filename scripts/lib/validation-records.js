@@ -0,0 +1,119 @@
+/**
+ * Validation record sources for calibration / backtests
+ *
+ * Loads the validations table from Supabase or a local stand-in plus the
+ * parsed BOLs in validation-results/, normalized to calibration records
+ * (see src/ruleCalibration.js).
+ *
+ * Stand-ins for the validations table (same columns as Supabase):
+ *   *.json            - array of rows, or { "validations": [rows] }
+ *   *.sqlite / *.db   - SQLite file with a validations table (needs node:sqlite, Node 22+)
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs'
+import { join, extname } from 'path'
+import { createClient } from '@supabase/supabase-js'
+import { normalizeValidation, normalizeBolResult, dedupeRecords } from '../../src/ruleCalibration.js'
+
+const PAGE_SIZE = 1000
+const JSON_COLUMNS = ['predicted_breakdown', 'predicted_items', 'actual_dimensions']
+
+async function loadSupabaseRows() {
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+  const key = process.env.SUPABASE_SERVICE_KEY || process.env.VITE_SUPABASE_ANON_KEY
+  if (!url || !key) {
+    throw new Error('Supabase not configured (SUPABASE_URL / SUPABASE_SERVICE_KEY) - pass --db for a local stand-in')
+  }
+
+  const supabase = createClient(url, key)
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('validations')
+      .select('*')
+      .eq('status', 'validated')
+      .range(from, from + PAGE_SIZE - 1)
+    if (error) throw new Error(`Supabase query failed: ${error.message}`)
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) break
+  }
+  return rows
+}
+
+function loadJsonRows(path) {
+  const data = JSON.parse(readFileSync(path, 'utf8'))
+  const rows = Array.isArray(data) ? data : data.validations || []
+  return rows.filter(row => !row.status || row.status === 'validated')
+}
+
+async function loadSqliteRows(path) {
+  let sqlite
+  try {
+    sqlite = await import('node:sqlite')
+  } catch {
+    throw new Error(`SQLite stand-in needs Node 22+ (node:sqlite) - running ${process.version}`)
+  }
+
+  const db = new sqlite.DatabaseSync(path, { readOnly: true })
+  try {
+    const rows = db.prepare("SELECT * FROM validations WHERE status = 'validated'").all()
+    // JSONB columns are TEXT in SQLite
+    return rows.map(row => {
+      const parsed = { ...row }
+      JSON_COLUMNS.forEach(col => {
+        if (typeof parsed[col] === 'string') parsed[col] = JSON.parse(parsed[col])
+      })
+      return parsed
+    })
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Validations table rows from Supabase (db = null) or a local stand-in file
+ */
+export async function loadValidationRows(db = null) {
+  if (!db) return loadSupabaseRows()
+  if (!existsSync(db)) throw new Error(`Stand-in not found: ${db}`)
+
+  const ext = extname(db).toLowerCase()
+  if (ext === '.json') return loadJsonRows(db)
+  if (ext === '.sqlite' || ext === '.db') return loadSqliteRows(db)
+  throw new Error(`Unsupported stand-in (use .json, .sqlite or .db): ${db}`)
+}
+
+/**
+ * Parsed BOL results written by process-bol.js / watch-drive-bols.js
+ */
+export function loadBolResults(dir) {
+  if (!dir || !existsSync(dir)) return []
+
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return normalizeBolResult(JSON.parse(readFileSync(join(dir, file), 'utf8')), file)
+      } catch (err) {
+        console.warn(`⚠️  Skipping ${file}: ${err.message}`)
+        return null
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * All calibration records, one per sales order
+ * @param {Object} options - { db, bolsDir, includeValidations = true }
+ */
+export async function loadRecords({ db = null, bolsDir = null, includeValidations = true } = {}) {
+  const validations = includeValidations
+    ? (await loadValidationRows(db)).map(normalizeValidation).filter(Boolean)
+    : []
+  const bols = loadBolResults(bolsDir)
+
+  return {
+    records: dedupeRecords([...validations, ...bols]),
+    counts: { validations: validations.length, bols: bols.length },
+  }
+}
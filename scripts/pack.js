@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Batch Packer
+ *
+ * Runs orders through the same packing pipeline as "Calculate Pallets"
+ * (src/packingPipeline.js) and writes one CSV row per order: pallets,
+ * weight, cube, freight class and shipping method. Packing is deterministic:
+ * re-running the same orders with the same rules version (and --seed) gives
+ * the same plan_signature.
+ *
+ * Usage:
+ *   node scripts/pack.js orders.csv                      # CSV: order,sku,qty[,length,width,height,weight,description]
+ *   node scripts/pack.js orders.json                     # [{ order, items: [{ sku, qty, dims?, weight? }] }]
+ *   node scripts/pack.js --quotes QUO33924,QUO33925      # Quote lines from NetSuite
+ *   node scripts/pack.js --quotes-file quotes.txt --slips slips/
+ *
+ * Options:
+ *   --out FILE          Results CSV (default: pack-results.csv)
+ *   --quotes LIST       Comma-separated quote numbers
+ *   --quotes-file FILE  One quote number per line
+ *   --slips DIR         Also write each order's text packing slip to DIR/<order>.txt
+ *   --bases count|cost  Pick pallet bases by fewest pallets or lowest cost (default: pallet-bases.json)
+ *   --seed SEED         Also try seeded shuffled packing orders (same seed = same pallets)
+ *   --compatibility FILE  Mixing matrix JSON (default: src/data/packing-compatibility.json;
+ *                         GET /api/packing-compatibility for the saved one)
+ *   --low-cog           3D packer placements keep the center of gravity low and centered
+ *   --verbose           Show packer logs and warnings
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join, dirname, extname } from 'path'
+import { fileURLToPath } from 'url'
+import dotenv from 'dotenv'
+import { packOrder, resolveOrderLines } from '../src/packingPipeline.js'
+import { generatePackingSlip } from '../src/packingSlipGenerator.js'
+import { getShipmentFreightClass } from '../src/freightClass.js'
+import { RULES_VERSION } from '../src/rulesVersion.js'
+import { PACKING_COMPATIBILITY, validateCompatibility } from '../src/packingCompatibility.js'
+import { BASE_SELECTION_MODES } from '../src/palletBases.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+dotenv.config({ path: join(__dirname, '../.env.local') })
+
+const CATALOG_PATH = join(__dirname, '../public/products.json')
+
+const QUOTE_NUMBER_PATTERN = /^[A-Z0-9-]+$/
+
+const RESULT_COLUMNS = [
+  'order', 'status', 'pallets', 'weight_lbs', 'cubic_feet', 'freight_class', 'pallet_classes', 'pallet_bases', 'base_cost',
+  'shipping_method', 'items', 'unmatched_skus', 'skipped_skus', 'warnings', 'rules_version', 'plan_signature', 'error',
+]
+
+// Split one CSV line, honouring "quoted, fields"
+function splitCsvLine(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else cell += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === ',') { cells.push(cell.trim()); cell = '' }
+    else cell += ch
+  }
+  cells.push(cell.trim())
+  return cells
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Orders CSV → [{ order, lines }]
+ * Columns: order,sku,qty (header row required); optional length,width,height
+ * (inches) + weight (lbs) for explicit boxes and description
+ */
+function parseOrdersCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'))
+  if (lines.length === 0) return []
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase())
+  const col = (name) => header.indexOf(name)
+  const orderCol = ['order', 'quote', 'so'].map(col).find(i => i !== -1)
+  const missing = ['sku', 'qty'].filter(name => col(name) === -1)
+  if (orderCol === undefined) missing.unshift('order')
+  if (missing.length > 0) {
+    throw new Error(`Orders CSV missing columns: ${missing.join(', ')}`)
+  }
+
+  const orders = new Map()
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line)
+    const cell = (name) => (col(name) === -1 ? '' : cells[col(name)])
+    const order = cells[orderCol]
+    const entry = { sku: cell('sku'), qty: parseFloat(cell('qty')), description: cell('description') || null }
+    if (cell('length') && cell('width') && cell('height')) {
+      entry.dims = { l: parseFloat(cell('length')), w: parseFloat(cell('width')), h: parseFloat(cell('height')) }
+      entry.weight = parseFloat(cell('weight')) || null
+    }
+    if (!orders.has(order)) orders.set(order, [])
+    orders.get(order).push(entry)
+  }
+  return [...orders].map(([order, lines]) => ({ order, lines }))
+}
+
+/**
+ * Orders JSON → [{ order, lines }]
+ * Accepts [{ order, items }] or { "<order>": [items] }
+ */
+function parseOrdersJson(data) {
+  const entries = Array.isArray(data)
+    ? data.map((o, i) => [o.order || o.quoteNumber || o.id || `order-${i + 1}`, o.items || o.lines])
+    : Object.entries(data)
+  return entries.map(([order, lines]) => {
+    if (!Array.isArray(lines)) throw new Error(`Order ${order} has no items array`)
+    return { order: String(order), lines }
+  })
+}
+
+/**
+ * Quote line items from NetSuite (SuiteQL via api/lib/netsuite-client.js)
+ */
+async function getQuoteLines(quoteNumber) {
+  // Interpolated into SuiteQL below - only plain quote numbers get that far
+  if (!QUOTE_NUMBER_PATTERN.test(quoteNumber)) {
+    throw new Error(`Invalid quote number "${quoteNumber}"`)
+  }
+  // Loaded lazily so file input works without NetSuite credentials
+  const { suiteql } = await import('../api/lib/netsuite-client.js')
+
+  const [quote] = await suiteql(
+    `SELECT id, tranid FROM transaction WHERE recordtype = 'estimate' AND tranid = '${quoteNumber}'`,
+    { maxRows: 1 }
+  )
+  if (!quote) {
+    throw new Error(`Quote ${quoteNumber} not found`)
+  }
+
+  const rows = await suiteql(`
+    SELECT tl.quantity, tl.memo, i.itemid, i.displayname
+    FROM transactionline tl
+    JOIN item i ON tl.item = i.id
+    WHERE tl.transaction = ${Number(quote.id)}
+      AND tl.mainline = 'F'
+      AND tl.itemtype IN ('Assembly', 'InvtPart', 'Kit')
+      AND tl.assemblycomponent = 'F'
+      AND ABS(tl.quantity) > 0
+  `)
+
+  return rows.map(r => ({
+    sku: r.itemid,
+    qty: Math.abs(r.quantity),
+    description: r.displayname || r.memo,
+  }))
+}
+
+function normalizeQuoteNumber(value) {
+  const num = String(value).trim().toUpperCase()
+  return /^\d+$/.test(num) ? `QUO${num}` : num
+}
+
+// Packer logs and warnings are for the browser console - keep stdout/stderr
+// readable unless --verbose
+function quietly(verbose, fn) {
+  if (verbose) return fn()
+  const { log, warn } = console
+  console.log = console.warn = () => {}
+  try {
+    return fn()
+  } finally {
+    Object.assign(console, { log, warn })
+  }
+}
+
+/**
+ * Pack one order → results CSV row (+ packing slip text)
+ */
+function packOne({ order, lines }, catalog, packOptions, verbose) {
+  const { items, unmatched, skipped } = quietly(verbose, () => resolveOrderLines(lines, catalog))
+  const orderItems = [...items, ...unmatched]
+  const row = {
+    order,
+    unmatched_skus: unmatched.map(i => i.sku).join(' '),
+    skipped_skus: skipped.join(' '),
+    rules_version: RULES_VERSION,
+  }
+
+  if (orderItems.length === 0) {
+    return { row: { ...row, status: 'empty', error: 'No packable items' }, slip: null }
+  }
+
+  const result = quietly(verbose, () => packOrder(orderItems, packOptions))
+  const classes = result.pallets.map(p => p.freightClass).filter(c => c != null)
+
+  return {
+    row: {
+      ...row,
+      status: 'ok',
+      pallets: result.totalPallets,
+      weight_lbs: result.totalWeight,
+      cubic_feet: result.totalCubicFeet,
+      freight_class: getShipmentFreightClass(result.pallets) ?? '',
+      pallet_classes: classes.join(' '),
+      pallet_bases: result.pallets.map(p => p.base || p.palletSize).join(' '),
+      base_cost: result.totalBaseCost,
+      shipping_method: result.shippingMethod,
+      items: result.totalItems,
+      warnings: result.warnings.map(w => w.message).join(' | '),
+      plan_signature: result.signature,
+    },
+    slip: generatePackingSlip(result.pallets, {
+      quoteNumber: order,
+      shippingMethod: result.shippingMethod,
+      totalItems: result.totalItems,
+      planSignature: result.signature,
+    }),
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null)
+  const optionsWithValues = ['--out', '--quotes', '--quotes-file', '--slips', '--compatibility', '--bases', '--seed']
+  const inputFile = args.find((arg, i) => !arg.startsWith('--') && !optionsWithValues.includes(args[i - 1]))
+
+  const outFile = option('--out') || 'pack-results.csv'
+  const slipsDir = option('--slips')
+  const verbose = args.includes('--verbose')
+
+  // Orders to pack
+  let orders = []
+  const quoteNumbers = [
+    ...(option('--quotes') || '').split(','),
+    ...(option('--quotes-file') ? readFileSync(option('--quotes-file'), 'utf8').split(/\r?\n/) : []),
+  ].map(q => q.trim()).filter(Boolean).map(normalizeQuoteNumber)
+
+  if (inputFile) {
+    const text = readFileSync(inputFile, 'utf8')
+    orders = extname(inputFile).toLowerCase() === '.json'
+      ? parseOrdersJson(JSON.parse(text))
+      : parseOrdersCsv(text)
+  }
+
+  if (orders.length === 0 && quoteNumbers.length === 0) {
+    console.log('Usage: node scripts/pack.js <orders.csv|orders.json> | --quotes QUO1,QUO2 [--out results.csv] [--slips DIR]')
+    process.exit(1)
+  }
+
+  const catalog = JSON.parse(readFileSync(CATALOG_PATH, 'utf8')).products || []
+
+  let compatibility = PACKING_COMPATIBILITY
+  if (option('--compatibility')) {
+    const file = JSON.parse(readFileSync(option('--compatibility'), 'utf8'))
+    compatibility = file.matrix || file
+    const errors = validateCompatibility(compatibility)
+    if (errors.length > 0) throw new Error(`Invalid compatibility matrix: ${errors.join('; ')}`)
+  }
+
+  const baseSelection = option('--bases')
+  if (baseSelection && !BASE_SELECTION_MODES.includes(baseSelection)) {
+    throw new Error(`--bases must be one of ${BASE_SELECTION_MODES.join(', ')}`)
+  }
+  const seed = option('--seed')
+  const packOptions = {
+    compatibility,
+    ...(baseSelection && { baseSelection }),
+    ...(seed != null && { seed: /^\d+$/.test(seed) ? Number(seed) : seed }),
+    ...(args.includes('--low-cog') && { preferLowCog: true }),
+  }
+
+  for (const quoteNumber of quoteNumbers) {
+    try {
+      orders.push({ order: quoteNumber, lines: await getQuoteLines(quoteNumber) })
+    } catch (err) {
+      orders.push({ order: quoteNumber, lines: [], error: err.message })
+    }
+  }
+
+  if (slipsDir && !existsSync(slipsDir)) {
+    mkdirSync(slipsDir, { recursive: true })
+  }
+
+  console.log(`📦 Packing ${orders.length} orders (rules ${RULES_VERSION}, mixing matrix v${compatibility.version}${seed != null ? `, seed ${seed}` : ''})`)
+  const rows = []
+  let failed = 0
+
+  for (const order of orders) {
+    let row
+    try {
+      if (order.error) throw new Error(order.error)
+      const packed = packOne(order, catalog, packOptions, verbose)
+      row = packed.row
+      if (slipsDir && packed.slip) {
+        writeFileSync(join(slipsDir, `${order.order.replace(/[^\w.-]+/g, '_')}.txt`), packed.slip)
+      }
+    } catch (err) {
+      row = { order: order.order, status: 'error', error: err.message, rules_version: RULES_VERSION }
+    }
+
+    if (row.status !== 'ok') failed++
+    rows.push(row)
+    console.log(row.status === 'ok'
+      ? `   ✅ ${row.order}: ${row.pallets} pallets, ${row.weight_lbs} lbs, class ${row.freight_class || '-'} (${row.shipping_method})`
+      : `   ❌ ${row.order}: ${row.error}`)
+  }
+
+  const csv = [
+    RESULT_COLUMNS.join(','),
+    ...rows.map(row => RESULT_COLUMNS.map(c => csvCell(row[c])).join(',')),
+  ].join('\n') + '\n'
+  writeFileSync(outFile, csv)
+
+  console.log(`\n💾 ${rows.length - failed}/${rows.length} orders packed → ${outFile}`)
+  if (slipsDir) console.log(`📋 Packing slips → ${slipsDir}`)
+  if (failed > 0) process.exit(1)
+}
+
+main().catch(err => {
+  console.error('❌ Pack failed:', err.message)
+  process.exit(1)
+})
@@ -15,6 +15,8 @@ import { execSync, spawn } from 'child_process'
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
+import { predictPallets } from '../src/palletPrediction.js'
+import { RULES_VERSION } from '../src/rulesVersion.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const RESULTS_DIR = join(__dirname, '../validation-results')
@@ -147,97 +149,6 @@ async function getSalesOrderItems(soNumber) {
   }
 }
 
-/**
- * Run configurator prediction for items
- * (Simplified version - uses the calibrated rules from App.jsx)
- */
-function predictPallets(items) {
-  // Calibrated units per pallet (from App.jsx PACKING_RULES)
-  const unitsPerPallet = {
-    'dv215': 70,    // Varsity
-    '90101-2287': 70, // Varsity numeric SKU
-    'dismount': 15,
-    'vr2': 50,
-    'vr1': 50,
-    'dd4': 12,
-    'dd6': 8,
-    'mbv1': 4,
-    'mbv2': 2,
-    'visi1': 6,
-    'visi2': 3,
-    'hr101': 60,
-    'hr201': 20,
-    'undergrad': 4,
-    'sm10x': 16,
-    'sm10': 16,
-    '89901-121': 16, // SkateDock numeric
-    'default': 10
-  }
-  
-  // Weight per unit (lbs)
-  const weightPerUnit = {
-    'dv215': 55,      // Varsity 2-pack - UPDATED from BOL validation
-    '90101-2287': 55, // Varsity numeric SKU
-    'dismount': 10,
-    'vr2': 31,
-    'vr1': 31,
-    'dd4': 206,
-    'dd6': 260,
-    'mbv1': 312,
-    'mbv2': 420,
-    'visi1': 280,
-    'visi2': 375,
-    'hr101': 14,
-    'hr201': 48,
-    'undergrad': 85,
-    'sm10x': 28,
-    'sm10': 28,
-    '89901-121': 28,
-    'default': 50
-  }
-  
-  let totalPallets = 0
-  let totalWeight = 0
-  const breakdown = []
-  
-  for (const item of items) {
-    const skuLower = item.sku.toLowerCase()
-    
-    // Find matching rule
-    let upp = unitsPerPallet.default
-    let wpu = weightPerUnit.default
-    
-    for (const [key, val] of Object.entries(unitsPerPallet)) {
-      if (key !== 'default' && skuLower.includes(key.toLowerCase())) {
-        upp = val
-        wpu = weightPerUnit[key] || weightPerUnit.default
-        break
-      }
-    }
-    
-    const pallets = Math.ceil(item.qty / upp)
-    const weight = item.qty * wpu
-    
-    totalPallets += pallets
-    totalWeight += weight
-    
-    breakdown.push({
-      sku: item.sku,
-      name: item.name,
-      qty: item.qty,
-      pallets,
-      weight,
-      rule: `${upp}/pallet, ${wpu}lbs/unit`
-    })
-  }
-  
-  return {
-    totalPallets,
-    totalWeight: Math.round(totalWeight),
-    breakdown
-  }
-}
-
 /**
  * Process a single BOL
  */
@@ -294,7 +205,8 @@ async function processBol(pdfPath, options = {}) {
     predicted: {
       pallets: prediction.totalPallets,
       weight: prediction.totalWeight,
-      breakdown: prediction.breakdown
+      breakdown: prediction.breakdown,
+      rulesVersion: RULES_VERSION
     },
     variance: {
       pallets: palletVariance,
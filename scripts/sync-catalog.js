@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Product Catalog Sync
+ *
+ * Pulls item records from NetSuite, merges them with the dim sheet
+ * (src/data/dim-sheet.json) and PRODUCT_MODELS, and reports new SKUs with no
+ * dimensions, changed weights/dims and discontinued items. With --write it
+ * saves the next version of public/products.json; the previous version and a
+ * Markdown diff report go to src/data/catalog-history/.
+ *
+ * Usage:
+ *   node scripts/sync-catalog.js                        # Report only
+ *   node scripts/sync-catalog.js --write                # Write the new catalog version
+ *   node scripts/sync-catalog.js --items items.json     # Offline: NetSuite item rows from a file
+ *
+ * Options:
+ *   --families A,B      NetSuite classes that belong in the catalog (default: families already in it)
+ *   --force             Write even if more than a quarter of the catalog would be discontinued
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import dotenv from 'dotenv'
+import { syncCatalog, normalizeNetSuiteItem, formatSyncReport, hasCatalogChanges } from '../src/catalogSync.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+dotenv.config({ path: join(__dirname, '../.env.local') })
+
+const CATALOG_FILE = join(__dirname, '../public/products.json')
+const DIM_SHEET_FILE = join(__dirname, '../src/data/dim-sheet.json')
+const HISTORY_DIR = join(__dirname, '../src/data/catalog-history')
+
+// A sync that discontinues this much of the catalog is more likely a bad pull
+const MAX_DISCONTINUED_SHARE = 0.25
+
+async function loadNetSuiteItems(itemsFile) {
+  if (itemsFile) {
+    const data = JSON.parse(readFileSync(itemsFile, 'utf8'))
+    return Array.isArray(data) ? data : data.items || []
+  }
+  // Loaded lazily so --items works without NetSuite credentials
+  const { fetchCatalogItems } = await import('../api/lib/netsuite-items.js')
+  return fetchCatalogItems()
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null)
+
+  const write = args.includes('--write')
+  const force = args.includes('--force')
+  const families = option('--families')?.split(',').map(f => f.trim()).filter(Boolean)
+
+  const catalog = JSON.parse(readFileSync(CATALOG_FILE, 'utf8'))
+  const dimSheet = JSON.parse(readFileSync(DIM_SHEET_FILE, 'utf8'))
+
+  console.log('🔄 Product catalog sync')
+  const rows = await loadNetSuiteItems(option('--items'))
+  const items = rows.map(normalizeNetSuiteItem).filter(Boolean)
+  if (items.length === 0) {
+    console.error('❌ NetSuite returned no items - not syncing')
+    process.exit(1)
+  }
+
+  const { catalog: next, report } = syncCatalog(catalog, items, dimSheet, { families })
+
+  console.log(`   NetSuite items: ${report.counts.netsuiteItems}`)
+  console.log(`   Catalog: v${report.previousVersion} ${report.counts.before} products → v${report.version} ${report.counts.after} (${report.counts.active} active)`)
+  console.log('')
+  console.log(formatSyncReport(report))
+
+  if (!write) {
+    console.log('(report only - pass --write to save the new catalog version)')
+    return
+  }
+  if (!hasCatalogChanges(report)) {
+    console.log('Nothing to write - catalog is up to date')
+    return
+  }
+  if (report.discontinued.length > report.counts.before * MAX_DISCONTINUED_SHARE && !force) {
+    console.error(`❌ ${report.discontinued.length} of ${report.counts.before} products would be discontinued - not writing (pass --force to override)`)
+    process.exit(1)
+  }
+
+  if (!existsSync(HISTORY_DIR)) {
+    mkdirSync(HISTORY_DIR, { recursive: true })
+  }
+  const archivePath = join(HISTORY_DIR, `products.v${report.previousVersion}.json`)
+  if (!existsSync(archivePath)) {
+    writeFileSync(archivePath, JSON.stringify(catalog, null, 2) + '\n')
+  }
+  const reportPath = join(HISTORY_DIR, `products.v${report.version}.diff.md`)
+  writeFileSync(reportPath, formatSyncReport(report))
+  writeFileSync(CATALOG_FILE, JSON.stringify(next, null, 2) + '\n')
+
+  console.log(`✅ Wrote catalog v${report.version} (previous version archived to ${archivePath}, report in ${reportPath})`)
+}
+
+main().catch(err => {
+  console.error('❌ Catalog sync failed:', err.message)
+  process.exit(1)
+})
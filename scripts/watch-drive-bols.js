@@ -22,6 +22,8 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync } from '
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
 import dotenv from 'dotenv'
+import { predictPallets } from '../src/palletPrediction.js'
+import { RULES_VERSION } from '../src/rulesVersion.js'
 
 // Load environment variables from .env.local
 const __dirname = dirname(fileURLToPath(import.meta.url))
@@ -222,62 +224,6 @@ async function getSalesOrderItems(soNumber) {
   }
 }
 
-// Run configurator prediction
-function predictPallets(items) {
-  const unitsPerPallet = {
-    'dv215': 70, '90101-2287': 70,
-    'dismount': 15,
-    'vr2': 50, 'vr1': 50,
-    'dd4': 12, 'dd6': 8,
-    'mbv1': 4, 'mbv2': 2,
-    'visi1': 6, 'visi2': 3,
-    'hr101': 60, 'hr201': 20,
-    'undergrad': 4,
-    'sm10x': 16, 'sm10': 16, '89901-121': 16,
-    'default': 10
-  }
-  
-  const weightPerUnit = {
-    'dv215': 55, '90101-2287': 55,  // UPDATED from BOL validation
-    'dismount': 10,
-    'vr2': 31, 'vr1': 31,
-    'dd4': 206, 'dd6': 260,
-    'mbv1': 312, 'mbv2': 420,
-    'visi1': 280, 'visi2': 375,
-    'hr101': 14, 'hr201': 48,
-    'undergrad': 85,
-    'sm10x': 28, 'sm10': 28, '89901-121': 28,
-    'default': 50
-  }
-  
-  let totalPallets = 0
-  let totalWeight = 0
-  const breakdown = []
-  
-  for (const item of items) {
-    const skuLower = item.sku.toLowerCase()
-    let upp = unitsPerPallet.default
-    let wpu = weightPerUnit.default
-    
-    for (const [key, val] of Object.entries(unitsPerPallet)) {
-      if (key !== 'default' && skuLower.includes(key.toLowerCase())) {
-        upp = val
-        wpu = weightPerUnit[key] || weightPerUnit.default
-        break
-      }
-    }
-    
-    const pallets = Math.ceil(item.qty / upp)
-    const weight = item.qty * wpu
-    
-    totalPallets += pallets
-    totalWeight += weight
-    breakdown.push({ sku: item.sku, name: item.name, qty: item.qty, pallets, weight })
-  }
-  
-  return { totalPallets, totalWeight: Math.round(totalWeight), breakdown }
-}
-
 // Process a single BOL from a PDF (may contain multiple BOLs)
 async function processBolFile(drive, fileId, fileName) {
   console.log(`\n📋 Processing: ${fileName}`)
@@ -336,28 +282,10 @@ async function processOneBol(bol, fileId, fileName) {
     
     console.log(`   Items: ${items.length} line items (before filtering)`)
     
-    // Filter out hardware/kit items that pack with main products
-    const kitSkuPatterns = [
-      /^80101-0257-.+-KIT$/i, // DD4 hardware kit
-      /^80101-0258-.+-KIT$/i, // DD6 hardware kit
-      /^91000-/i,             // Hardware tools
-      /^WAK\d+$/i,            // Wall anchor kits
-      /^26268$/i,             // Work Stand Install Kit
-      /^3000[PQ]-/i,          // Screws
-      /^31000-/i,             // Washers
-      /^39000-/i,             // Nuts
-      /^50801-/i,             // Unistrut
-      /^81000-/i,             // Anchor/hardware kits
-    ]
-    
-    const filteredItems = items.filter(item => {
-      return !kitSkuPatterns.some(pattern => pattern.test(item.sku))
-    })
-    
-    console.log(`   Items: ${filteredItems.length} line items (after filtering, ${items.length - filteredItems.length} hardware items skipped)`)
+    // Run prediction (hardware/kit lines that pack with main products are skipped)
+    const prediction = predictPallets(items)
     
-    // Run prediction
-    const prediction = predictPallets(filteredItems)
+    console.log(`   Items: ${items.length - prediction.skipped.length} line items (after filtering, ${prediction.skipped.length} hardware items skipped)`)
     
     console.log(`\n   🎯 Prediction: ${prediction.totalPallets} pallets, ${prediction.totalWeight} lbs`)
     
@@ -377,7 +305,7 @@ async function processOneBol(bol, fileId, fileName) {
       shipDate: bol.shipDate,
       consignee: bol.consignee,
       actual: { pallets: bol.pallets, weight: bol.weight },
-      predicted: { pallets: prediction.totalPallets, weight: prediction.totalWeight, breakdown: prediction.breakdown },
+      predicted: { pallets: prediction.totalPallets, weight: prediction.totalWeight, breakdown: prediction.breakdown, rulesVersion: RULES_VERSION },
       variance: {
         pallets: palletVariance,
         weight: weightVariance,
@@ -401,6 +329,7 @@ async function processOneBol(bol, fileId, fileName) {
           predicted_pallets: prediction.totalPallets,
           predicted_weight: prediction.totalWeight,
           predicted_breakdown: prediction.breakdown,
+          rules_version: RULES_VERSION,
           actual_pallets: bol.pallets,
           actual_weight: bol.weight,
           actual_notes: `HAWB: ${bol.hawb}, Consignee: ${bol.consignee}`,
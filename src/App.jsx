@@ -1,17 +1,32 @@
-import { useState, useEffect, Suspense, lazy, Component } from 'react'
+import { useState, useEffect, useMemo, Suspense, lazy, Component } from 'react'
 import PackingPlan from './PackingPlan'
 import PackingSlip from './PackingSlip'
 import WarehouseView from './WarehouseView'
+import LoadPlanView from './LoadPlanView'
 import BOLValidator from './BOLValidator'
 import PackingComparison from './PackingComparison'
 import TextPackingOutput from './TextPackingOutput'
 import ValidationForm from './components/ValidationForm'
 import ModeSwitcher from './components/ModeSwitcher'
-import { getProductDims, getProductModelKey, calculateDDPallets, DD_COMPONENTS } from './productModels'
-import { packItemsWithConstraints, PALLET, validateAgainstBOL } from './binPacking3D'
-import { optimizePalletPacking, validatePacking } from './palletOptimizer.js'
+import CompatibilityAdmin from './components/CompatibilityAdmin'
+import SavedPlans from './components/SavedPlans'
+import ChecklistDashboard from './components/ChecklistDashboard'
+import AdjustmentReview from './components/AdjustmentReview'
+import SyncStatus from './components/SyncStatus'
+import { getProductModelKey, calculateDDPallets, DD_COMPONENTS } from './productModels'
+import { PALLET, validateAgainstBOL } from './binPacking3D'
+import { validatePacking } from './palletOptimizer.js'
 import { applyOverridesToItems, getOverride } from './utils/dimensionOverrides'
 import DimensionOverrideModal from './components/DimensionOverrideModal'
+import FreightQuotePanel from './components/FreightQuotePanel'
+import { loadTariffs, defaultFreightEngine } from './freightRating'
+import { applyFreightClasses, getShipmentFreightClass } from './freightClass'
+import { getProductKey, getEstimatedPallets } from './palletPrediction'
+import { PACKING_RULES, packOrder, resolveOrderLines, getRealWeight, getAccurateDims } from './packingPipeline'
+import { RULES_VERSION } from './rulesVersion'
+import { PACKING_COMPATIBILITY } from './packingCompatibility'
+import { describeOverhang } from './palletBases'
+import { rememberPlan, getCachedPlan, getLastPlan } from './utils/planCache'
 
 // Import responsive styles
 import './styles/responsive.css'
@@ -30,8 +45,10 @@ function logPackingCalculation(data) {
     const logEntry = {
       id: `calc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       version: PACKING_LOG_VERSION,
+      rulesVersion: RULES_VERSION, // Packing rules that produced this output
       timestamp: new Date().toISOString(),
       quoteNumber: data.quoteNumber || null,
+      planSignature: data.planSignature || null, // Same plan = same signature (planSignature.js)
       
       // Input: what was requested
       input: {
@@ -58,6 +75,8 @@ function logPackingCalculation(data) {
           items: p.items?.map(i => ({ sku: i.sku, qty: i.qty })),
           utilization: p.utilization,
           palletSize: p.palletSize,
+          base: p.base,
+          overhang: p.overhang || null,
         })),
         totalWeight: data.pallets.reduce((sum, p) => sum + (p.weight || 0), 0),
         totalCubicFeet: data.pallets.reduce((sum, p) => sum + (p.cubicFeet || 0), 0),
@@ -168,299 +187,23 @@ class ErrorBoundary extends Component {
   }
 }
 
-// 3D viewer components removed per Berto (2026-02-11)
-
-// Packing rules configuration - CALIBRATED against 115 real BOL records
-// Accuracy: 57.4% exact match, 91.3% within ±1 pallet (Jan 2026 calibration run)
-const PACKING_RULES = {
-  maxPalletHeight: 96, // inches
-  maxPalletWeight: 2500, // lbs
-  palletWeight: 50, // empty pallet weight
-  
-  // Real shipping weights per unit (CALIBRATED from 115 BOL training records)
-  realShippingWeights: {
-    'dv215': 55,      // Varsity 2-pack - UPDATED from BOL validation (was 15, actual 55 lbs)
-    'dismount': 10,   // Dismount components - light
-    'vr2': 31,        // VR2 Offset - confirmed
-    'vr1': 31,        // VR1 XL - similar to VR2
-    'dd4': 206,       // Double Docker 4 - confirmed ✓
-    'dd6': 260,       // Double Docker 6
-    'mbv1': 312,      // Metal Bike Vault 1 - confirmed ✓
-    'mbv2': 420,      // Metal Bike Vault 2
-    'visi1': 280,     // VisiLocker 1 - confirmed ✓
-    'visi2': 375,     // VisiLocker 2
-    'hr101': 14,      // Hoop Runner 101 - light flat pack
-    'hr201': 48,      // Hoop Runner 201
-    'undergrad': 85,  // Undergrad
-    'sm10x': 28,      // SkateDock - CALIBRATED (packs efficiently)
-    'radius': 34,     // Radius
-    'cs200': 40,      // Circle Series
-    'wave': 58,       // Wave Rack
-    '2up': 20,        // 2-Up racks
-    'fs_mba': 5,      // Mounting bracket - very light
-    // SIK Struts - INSTALL KITS (rails + hardware) - 0.5 pallets each!
-    'sik120': 150,    // 120" install kit - bulky
-    'sik114': 130,    // 114" install kit
-    'sik86': 100,     // 86" install kit
-    'sik57': 65,      // 57" install kit
-    'sik24': 30,      // 24" install kit
-    'sik_other': 80,  // Generic strut kit
-    // Base Station products - STRUCTURAL pieces (long!)
-    'ss120': 85,      // Side Stage 120" - long structural
-    'ss95': 70,       // Side Stage 95"
-    'ss66': 50,       // Side Stage 66"
-    'ss38': 35,       // Side Stage 38"
-    'ssa114': 60,     // Add-on 114"
-    'ssa86': 45,      // Add-on 86"
-    'ssa57': 35,      // Add-on 57"
-    'cs95': 75,       // Center Stage 95"
-    'csa114': 65,     // Center Stage add-on
-    'hoop': 25,       // Generic hoop rack
-  },
-  
-  // Units per pallet (CALIBRATED from 115 BOL training records)
-  // KEY INSIGHT: Varsity/VR/Dismount pack EXTREMELY efficiently!
-  unitsPerPallet: {
-    'dv215': 70,    // Varsity - VERY efficient! (80 varsity = 2 pallets max)
-    'dismount': 15, // Dismount complete units per pallet
-    'vr2': 50,      // VR2 - CALIBRATED (very efficient flat pack)
-    'vr1': 50,      // VR1 - similar to VR2
-    'dd4': 12,      // DD4 - CALIBRATED (more per pallet than thought)
-    'dd6': 8,       // DD6
-    'mbv1': 4,      // MBV1 - confirmed ✓
-    'mbv2': 2,      // MBV2
-    'visi1': 6,     // VISI1
-    'visi2': 3,     // VISI2
-    'hr101': 60,    // HR101 - very efficient flat pack
-    'hr201': 20,    // HR201
-    'undergrad': 4, // Undergrad
-    'sm10x': 16,    // SkateDock - CALIBRATED
-    'radius': 20,   // Radius
-    'cs200': 15,    // CS200
-    'wave': 4,      // Wave
-    '2up': 30,      // 2-Up (flat packed)
-    'fs_mba': 50,   // Mounting brackets - many per pallet
-    // SIK Install Kits - BIG! Only 2-4 per pallet
-    'sik120': 2,    // 120" kit - ~2 per pallet
-    'sik114': 3,    // 114" kit
-    'sik86': 3,     // 86" kit
-    'sik57': 4,     // 57" kit
-    'sik24': 6,     // 24" kit
-    'sik_other': 3, // Generic kit
-    // Base Station products - LONG structural pieces
-    'ss120': 3,     // Side Stage 120" - ~3 per pallet
-    'ss95': 4,      // Side Stage 95"
-    'ss66': 5,      // Side Stage 66"
-    'ss38': 8,      // Side Stage 38"
-    'ssa114': 3,    // Add-on 114"
-    'ssa86': 4,     // Add-on 86"
-    'ssa57': 5,     // Add-on 57"
-    'cs95': 3,      // Center Stage 95"
-    'csa114': 3,    // Center Stage add-on
-    'hoop': 20,     // Generic hoop rack
-  },
-  
-  // Real pallet counts from BOL data (qty range → number of pallets)
-  // CALIBRATED from 115 training records - Jan 2026
-  realPalletCounts: {
-    'dv215': [[1, 70, 1], [71, 140, 2], [141, 210, 3]], // Varsity packs VERY efficiently
-    'dismount': [[1, 15, 1], [16, 30, 2], [31, 45, 3]], // Dismount
-    'vr2': [[1, 50, 1], [51, 100, 2], [101, 150, 3]], // VR2 - efficient
-    'vr1': [[1, 50, 1], [51, 100, 2]],
-    'dd4': [[1, 12, 1], [13, 24, 2], [25, 36, 3]], // DD - CALIBRATED
-    'dd6': [[1, 8, 1], [9, 16, 2]],
-    'mbv1': [[1, 4, 1], [5, 8, 2], [9, 12, 3]],
-    'mbv2': [[1, 2, 1], [3, 4, 2]],
-    'visi1': [[1, 6, 1], [7, 12, 2], [13, 18, 3]],
-    'visi2': [[1, 3, 1], [4, 6, 2]],
-    'hr101': [[1, 60, 1], [61, 120, 2], [121, 180, 3]], // Very efficient flat pack
-    'hr201': [[1, 20, 1], [21, 40, 2]],
-    'undergrad': [[1, 4, 1], [5, 8, 2], [9, 16, 3]],
-    'sm10x': [[1, 16, 1], [17, 32, 2], [33, 48, 3]], // CALIBRATED
-    'radius': [[1, 20, 1], [21, 40, 2]],
-    'cs200': [[1, 15, 1], [16, 30, 2]],
-    'wave': [[1, 4, 1], [5, 8, 2]],
-    '2up': [[1, 30, 1], [31, 60, 2]],
-    // SIK Install Kits - BIG items, only 2-4 per pallet
-    'sik120': [[1, 2, 1], [3, 4, 2], [5, 6, 3], [7, 8, 4]],
-    'sik114': [[1, 3, 1], [4, 6, 2], [7, 9, 3]],
-    'sik86': [[1, 3, 1], [4, 6, 2], [7, 9, 3]],
-    'sik57': [[1, 4, 1], [5, 8, 2], [9, 12, 3]],
-    'sik24': [[1, 6, 1], [7, 12, 2]],
-    'sik_other': [[1, 3, 1], [4, 6, 2]],
-    // Base Station products - LONG structural pieces
-    'ss120': [[1, 3, 1], [4, 6, 2], [7, 9, 3]],
-    'ss95': [[1, 4, 1], [5, 8, 2], [9, 12, 3]],
-    'ss66': [[1, 5, 1], [6, 10, 2], [11, 15, 3]],
-    'ss38': [[1, 8, 1], [9, 16, 2]],
-    'ssa114': [[1, 3, 1], [4, 6, 2], [7, 9, 3]],
-    'ssa86': [[1, 4, 1], [5, 8, 2], [9, 12, 3]],
-    'ssa57': [[1, 5, 1], [6, 10, 2], [11, 15, 3]],
-    'cs95': [[1, 3, 1], [4, 6, 2]],
-    'csa114': [[1, 3, 1], [4, 6, 2]],
-  },
-  
-  // Product family colors for visualization
-  familyColors: {
-    'Varsity': 'varsity',
-    'VR2 Offset': 'vr2',
-    'VR1 XL': 'vr1',
-    'Undergrad': 'undergrad',
-    'Skatedock': 'skatedock',
-    'Dismount': 'dismount',
-    'Double Docker': 'dd',
-    'Metal Bike Vault / VisiLocker': 'locker',
-    'Hoop Runner': 'hr',
-    'Circle Series (Omega)': 'circle',
-    'Saris': 'stretch',
-  }
-}
-
-// Map product families/SKUs to reference keys
-function getProductKey(sku, family, name = '') {
-  const skuLower = (sku || '').toLowerCase()
-  const familyLower = (family || '').toLowerCase()
-  const nameLower = (name || '').toLowerCase()
-  
-  // Varsity products - multiple SKU patterns including numeric part numbers
-  // 80101-0088 = HEAD assembled, 80101-0287 = BASE assembled
-  // 80301-0088 = HEAD raw, 80301-0287 = BASE raw
-  // 90101-2287 = 2-PACK (complete units)
-  if (skuLower.includes('dv215') || familyLower.includes('varsity')) return 'dv215'
-  if (skuLower.startsWith('80101-0088') || skuLower.startsWith('80301-0088')) return 'dv215'
-  if (skuLower.startsWith('80101-0287') || skuLower.startsWith('80301-0287')) return 'dv215'
-  if (skuLower.startsWith('90101-2287')) return 'dv215'
-  
-  // Dismount products (scooter racks)
-  // 80101-2050, 80301-2048/2049/2050/2051/2052 = components
-  // 89901-2050 = complete unit
-  if (skuLower.startsWith('80101-205') || skuLower.startsWith('80301-204') || skuLower.startsWith('80301-205')) return 'dismount'
-  if (skuLower.startsWith('89901-205')) return 'dismount'
-  if (familyLower.includes('dismount')) return 'dismount'
-  
-  // SkateDock - 89901-1210 / SM10X patterns
-  if (skuLower.includes('sm10') || skuLower.startsWith('89901-121') || skuLower.startsWith('89901-140')) return 'sm10x'
-  if (familyLower.includes('skatedock') || familyLower.includes('snowdock')) return 'sm10x'
-  
-  // VR2/VR1 - vertical racks
-  if (skuLower.includes('vr2') || skuLower.includes('vr-2') || skuLower.includes('vr-vr2')) return 'vr2'
-  if (skuLower.startsWith('90101-0172') || skuLower.startsWith('80101-0172')) return 'vr2' // VR2 numeric SKUs
-  if (skuLower.includes('vr1') || skuLower.includes('vr-1') || skuLower.includes('vr-vr1')) return 'vr1'
-  
-  // Double Docker - detect by SKU patterns OR product name containing bike count
-  // SKU patterns: dd-04, dd4, dd-ss-04, 80101-0257-*, 80101-0258-*
-  // Name patterns: "DOUBLE DOCKER...4 BIKES", "DOUBLE DOCKER...6 BIKES"
-  if (skuLower.includes('dd-04') || skuLower.includes('dd4') || skuLower.includes('dd-ss-04')) return 'dd4'
-  if (skuLower.includes('dd-06') || skuLower.includes('dd6') || skuLower.includes('dd-ss-06')) return 'dd6'
-  if (skuLower.startsWith('80101-0257')) return 'dd4'
-  if (skuLower.startsWith('80101-0258')) return 'dd6'
-  // Detect from family OR name containing "Double Docker" with bike count
-  const ddText = familyLower.includes('double docker') ? familyLower : 
-                 nameLower.includes('double docker') ? nameLower : ''
-  if (ddText) {
-    if (ddText.includes('4 bike') || ddText.includes('4-bike') || ddText.includes(', 4 ')) return 'dd4'
-    if (ddText.includes('6 bike') || ddText.includes('6-bike') || ddText.includes(', 6 ')) return 'dd6'
-    return 'dd4' // Default to DD4 if Double Docker but no specific size
-  }
-  
-  // Lockers
-  if (skuLower.includes('mbv-1') || skuLower.includes('mbv1')) return 'mbv1'
-  if (skuLower.includes('mbv-2') || skuLower.includes('mbv2')) return 'mbv2'
-  if (skuLower.includes('visi-1') || skuLower.includes('visi1') || (skuLower.includes('visi') && skuLower.includes('-1'))) return 'visi1'
-  if (skuLower.includes('visi-2') || skuLower.includes('visi2') || (skuLower.includes('visi') && skuLower.includes('-2'))) return 'visi2'
-  
-  // Hoop Runners
-  if (skuLower.includes('hr-101') || skuLower.includes('hr101') || skuLower.includes('sm-hr101')) return 'hr101'
-  if (skuLower.includes('hr-201') || skuLower.includes('hr201')) return 'hr201'
-  
-  // SIK Struts - these are BIG (2-3 per pallet)
-  if (skuLower.startsWith('sik120') || skuLower.startsWith('sik-120')) return 'sik120'
-  if (skuLower.startsWith('sik114') || skuLower.startsWith('sik-114')) return 'sik114'
-  if (skuLower.startsWith('sik86') || skuLower.startsWith('sik-86')) return 'sik86'
-  if (skuLower.startsWith('sik57') || skuLower.startsWith('sik-57')) return 'sik57'
-  if (skuLower.startsWith('sik')) return 'sik_other'
-  
-  // Base Station products - Side Stage (SS) and Center Stage (CS)
-  if (skuLower.includes('ss120') || skuLower.includes('ss-120')) return 'ss120'
-  if (skuLower.includes('ssa114') || skuLower.includes('ssa-114')) return 'ssa114'
-  if (skuLower.includes('ss95') || skuLower.includes('ss-95')) return 'ss95'
-  if (skuLower.includes('ssa86') || skuLower.includes('ssa-86')) return 'ssa86'
-  if (skuLower.includes('ss66') || skuLower.includes('ss-66')) return 'ss66'
-  if (skuLower.includes('ssa57') || skuLower.includes('ssa-57')) return 'ssa57'
-  if (skuLower.includes('ss38') || skuLower.includes('ss-38')) return 'ss38'
-  if (skuLower.includes('cs95') || skuLower.includes('cs-95')) return 'cs95'
-  if (skuLower.includes('csa114') || skuLower.includes('csa-114')) return 'csa114'
-  
-  // Mounting brackets
-  if (skuLower.includes('fs-mba') || skuLower.includes('fsmba')) return 'fs_mba'
-  
-  // SIK 24" strut
-  if (skuLower.startsWith('sik24') || skuLower.startsWith('sik-24')) return 'sik24'
-  
-  if (familyLower.includes('undergrad')) return 'undergrad'
-  if (familyLower.includes('radius') || familyLower.includes('circle')) return 'radius'
-  if (familyLower.includes('wave')) return 'wave'
-  
-  return null
-}
-
-// Get real shipping weight for a product
-// First checks STEP-measured data, then falls back to BOL-calibrated weights
-function getRealWeight(sku, family, fallbackWeight) {
-  // Try STEP-measured data first
-  const stepDims = getProductDims(sku)
-  if (stepDims && stepDims.weight) {
-    return stepDims.weight
-  }
-  
-  // Fall back to BOL-calibrated weights
-  const key = getProductKey(sku, family)
-  if (key && PACKING_RULES.realShippingWeights[key]) {
-    return PACKING_RULES.realShippingWeights[key]
-  }
-  return fallbackWeight
-}
-
-// Get accurate dimensions from STEP files when available
-function getAccurateDims(sku, fallbackDims) {
-  const stepDims = getProductDims(sku)
-  if (stepDims) {
-    return {
-      length_in: stepDims.length,
-      width_in: stepDims.width,
-      height_in: stepDims.height,
-      weight_lbs: stepDims.weight
-    }
-  }
-  return fallbackDims
-}
-
-// Get estimated pallet count for a product type and quantity
-function getEstimatedPallets(sku, family, qty) {
-  const key = getProductKey(sku, family)
-  if (key && PACKING_RULES.realPalletCounts[key]) {
-    const ranges = PACKING_RULES.realPalletCounts[key]
-    for (const [minQty, maxQty, pallets] of ranges) {
-      if (qty >= minQty && qty <= maxQty) {
-        return pallets
-      }
-    }
-    // If qty exceeds all ranges, extrapolate from last range
-    const lastRange = ranges[ranges.length - 1]
-    const unitsPerPallet = lastRange[1] / lastRange[2]
-    return Math.ceil(qty / unitsPerPallet)
-  }
-  return null
-}
+// 3D viewer - only for box-level plan edits, loaded on demand (three.js is heavy)
+const PalletViewer3D = lazy(() => import('./PalletViewer3D'))
 
 // NetSuite API configuration - uses Vercel serverless functions as proxy
 const NETSUITE_CONFIG = {
   quoteEndpoint: '/api/quote',
   productsEndpoint: '/api/products',
+  writebackEndpoint: '/api/netsuite-writeback',
+  plansEndpoint: '/api/plans',
 }
 
+// Shareable link to a saved plan revision (?plan=QUO33924&rev=2)
+const getPlanUrl = (key, revision) =>
+  `${window.location.origin}${window.location.pathname}?plan=${encodeURIComponent(key)}&rev=${revision}`
+
 function App() {
-  // App mode: 'sales' | 'validation' | 'warehouse'
+  // App mode: 'sales' | 'validate' | 'warehouse' | 'floor' | 'plans' | 'rules'
   const [appMode, setAppMode] = useState('sales')
   
   const [products, setProducts] = useState([])
@@ -476,10 +219,49 @@ function App() {
   const [aiPlan, setAiPlan] = useState(null)
   const [showPackingSlip, setShowPackingSlip] = useState(false)
   const [showWarehouseView, setShowWarehouseView] = useState(false)
+  const [showLoadPlan, setShowLoadPlan] = useState(false)
   const [unknownItems, setUnknownItems] = useState([]) // Track items that couldn't be matched
   const [showBOLValidator, setShowBOLValidator] = useState(false)
   const [showComparison, setShowComparison] = useState(false)
+  const [showLayerPlan, setShowLayerPlan] = useState(false)
+  const [editPalletId, setEditPalletId] = useState(null) // Pallet open in the 3D box editor (null = closed)
   const [overrideItem, setOverrideItem] = useState(null) // Item being edited for dimension override
+  const [tariffsLoaded, setTariffsLoaded] = useState(false)
+  const [freightDestination, setFreightDestination] = useState({ zipCode: '', state: '' })
+  const [freightAccessorials, setFreightAccessorials] = useState([])
+  const [writeback, setWriteback] = useState(null) // { status: 'saving' | 'written' | 'unchanged' | 'error', message }
+  const [compatibility, setCompatibility] = useState(PACKING_COMPATIBILITY) // Mixing matrix (saved version once loaded)
+  const [savedPlan, setSavedPlan] = useState(null) // { status: 'saving' | 'saved' | 'unchanged' | 'error', key, revision, signature, message }
+  const [lastPlan, setLastPlan] = useState(null) // { plan, savedAt } - offline copy for Warehouse mode
+
+  // Load the saved mixing matrix (bundled default until then / if offline)
+  useEffect(() => {
+    fetch('/api/packing-compatibility')
+      .then(res => res.json())
+      .then(data => {
+        if (data.success && data.matrix) {
+          console.log(`⚙️ Mixing rules v${data.version} (${data.source})`)
+          setCompatibility(data.matrix)
+        }
+      })
+      .catch(err => console.warn('⚙️ Mixing rules not loaded, using bundled default:', err.message))
+  }, [])
+
+  // Load carrier tariffs for freight quotes
+  useEffect(() => {
+    loadTariffs('/freight-tariffs.json')
+      .catch(err => console.warn('🚚 Freight tariffs not loaded:', err.message))
+      .finally(() => setTariffsLoaded(true))
+  }, [])
+
+  // Freight quote for current results (LTL only, needs a destination)
+  const freightQuote = useMemo(() => {
+    if (!results || !tariffsLoaded || results.shippingMethod === 'Parcel') return null
+    if (!freightDestination.zipCode && !freightDestination.state) return null
+    return defaultFreightEngine.rate(results.pallets, freightDestination, {
+      accessorials: freightAccessorials,
+    })
+  }, [results, tariffsLoaded, freightDestination, freightAccessorials])
 
   // Load products
   useEffect(() => {
@@ -499,12 +281,16 @@ function App() {
       })
   }, [])
   
-  // Auto-load quote from URL parameter (wait for products to load first)
+  // Auto-load saved plan / quote from URL parameter (wait for products to load first)
   useEffect(() => {
     if (products.length === 0) return // Wait for products to load
     const params = new URLSearchParams(window.location.search)
+    const planParam = params.get('plan')
     const quoteParam = params.get('quote')
-    if (quoteParam && orderItems.length === 0) { // Only auto-load once
+    if (orderItems.length > 0) return // Only auto-load once
+    if (planParam) {
+      loadSavedPlan(planParam, params.get('rev'), params.get('mode') === 'warehouse' ? 'warehouse' : 'sales')
+    } else if (quoteParam) {
       loadQuote(quoteParam)
     }
   }, [products])
@@ -523,10 +309,11 @@ function App() {
     }
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [orderItems])
+  }, [orderItems, compatibility])
 
-  // Filter products by search
+  // Filter products by search (discontinued SKUs still resolve on quotes, but aren't offered)
   const filteredProducts = products.filter(p => {
+    if (p?.discontinued) return false
     const term = String(searchTerm || '').toLowerCase()
     const sku = String(p?.sku || '').toLowerCase()
     const displayName = String(p?.displayName || '').toLowerCase()
@@ -534,6 +321,100 @@ function App() {
     return sku.includes(term) || displayName.includes(term) || family.includes(term)
   })
 
+  // Offer the last plan on this tablet when Warehouse mode has nothing to show
+  useEffect(() => {
+    if (appMode === 'warehouse' && !results) getLastPlan().then(setLastPlan)
+  }, [appMode, results])
+
+  // Show a saved plan revision exactly as saved (not re-packed)
+  // offlineSince: when the offline copy was cached (opened with no connection)
+  const openSavedPlan = (plan, mode = 'sales', offlineSince = null) => {
+    setOrderItems(plan.items || [])
+    setResults(plan.result)
+    setQuoteNumber(plan.key)
+    setSelectedPallet(null)
+    setUnknownItems([])
+    setWriteback(null)
+    setSavedPlan({
+      status: 'saved',
+      key: plan.key,
+      revision: plan.revision,
+      signature: plan.signature,
+      rulesVersion: plan.rulesVersion,
+      offlineSince,
+      message: offlineSince
+        ? `Offline copy of ${plan.key} r${plan.revision} (from ${new Date(offlineSince).toLocaleString()})`
+        : `Saved plan ${plan.key} r${plan.revision}`,
+    })
+    setAppMode(mode)
+    window.history.replaceState(null, '', getPlanUrl(plan.key, plan.revision))
+    if (!offlineSince) rememberPlan(plan)
+  }
+
+  // Load a saved plan (latest revision if none given) → true if opened
+  const loadSavedPlan = async (key, revision = null, mode = 'sales') => {
+    setQuoteLoading(true)
+    setQuoteError(null)
+    try {
+      const query = `key=${encodeURIComponent(key)}${revision ? `&revision=${encodeURIComponent(revision)}` : ''}`
+      const response = await fetch(`${NETSUITE_CONFIG.plansEndpoint}?${query}`)
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+      openSavedPlan(data.plan, mode)
+      return true
+    } catch (err) {
+      // No connection (or server down) - the copy cached on this tablet will do
+      const cached = await getCachedPlan(key, revision).catch(() => null)
+      if (cached) {
+        console.warn(`📴 Saved plan ${key} not loaded (${err.message}), using offline copy`)
+        openSavedPlan(cached.plan, mode, cached.savedAt)
+        return true
+      }
+      console.error('Saved plan load error:', err)
+      setQuoteError(`Could not load saved plan ${key}: ${err.message}`)
+      return false
+    } finally {
+      setQuoteLoading(false)
+    }
+  }
+
+  // Save the current results (or a just-edited plan) as a new revision of the quote's plan
+  const saveCurrentPlan = async (result = results) => {
+    const key = String(quoteNumber || '').trim()
+    if (!key || !result) return
+
+    setSavedPlan({ status: 'saving', message: 'Saving plan...' })
+    try {
+      const response = await fetch(NETSUITE_CONFIG.plansEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          key,
+          items: orderItems,
+          result,
+          rulesVersion: RULES_VERSION,
+          note: result.manualEdits?.length ? `${result.manualEdits.length} box edit(s) in the 3D viewer` : undefined,
+        }),
+      })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+
+      setSavedPlan({
+        status: data.status,
+        key: data.key,
+        revision: data.revision,
+        signature: data.signature,
+        message: data.status === 'unchanged'
+          ? `Same as ${data.key} r${data.revision}`
+          : `Saved ${data.key} r${data.revision}`,
+      })
+      window.history.replaceState(null, '', getPlanUrl(data.key, data.revision))
+    } catch (err) {
+      console.error('Plan save error:', err)
+      setSavedPlan({ status: 'error', message: `Save failed: ${err.message}` })
+    }
+  }
+
   // Load quote from NetSuite via API proxy
   const loadQuote = async (quoteNum = null) => {
     const numToLoad = quoteNum || String(quoteNumber || '').trim()
@@ -568,79 +449,11 @@ function App() {
       }
 
       // Map NetSuite line items to our product format
-      // Skip Product Summary items and items with no quantity
-      const newItems = []
-      const unmatchedItems = []
-      for (const line of quote.lines) {
-        try {
-          // Ensure line.item is a string and has content
-          const item = String(line?.item || '').trim()
-          const qty = Number(line?.quantity) || 0
-          if (!item || qty <= 0) continue
-          if (item === 'Product Summary' || item.includes('Product Summary')) continue
-          
-          // Skip common non-product items (services, fees, etc.)
-          const skipPatterns = ['freight', 'shipping', 'labor', 'install', 'service', 'fee', 'tax', 'discount']
-          if (skipPatterns.some(p => item.toLowerCase().includes(p))) continue
-          
-          // Skip kit SKUs that ship with main products (DD kits, anchor kits, etc.)
-          // These are hardware bundles already included in the main product dims/weight
-          const kitSkuPatterns = [
-            /^80101-0257-.+-KIT$/i, // DD4 hardware kit
-            /^80101-0258-.+-KIT$/i, // DD6 hardware kit
-            /^91000-/i,             // Hardware tools (trident sockets, etc.)
-            /^WAK\d+$/i,            // Wall anchor kits
-            /^26268$/i,             // Public Work Stand Install Kit - small, packs with hardware
-            /^\d{5}\s*\(/i,         // SKUs like "26246 (HSO Pump...)" - Saris accessories
-            /^3000[PQ]-/i,          // Screws (3000P-, 3000Q-)
-            /^31000-/i,             // Washers (31000-)
-            /^39000-/i,             // Nuts (39000-)
-            /^50801-/i,             // Unistrut (50801-)
-            /^81000-/i,             // Anchor/hardware kits (81000-)
-          ]
-          if (kitSkuPatterns.some(pattern => pattern.test(item))) {
-            console.log(`[MATCH] ⏭️ Skipping kit/hardware SKU: "${item}"`)
-            continue
-          }
-          
-          // Normalize item SKU to string
-          const itemSku = item
-          const safeQty = Math.max(1, Math.round(qty))
-          
-          // Match by SKU - try exact match first, then prefix match
-          console.log(`[MATCH] Trying to match SKU: "${itemSku}" against ${products.length} products`)
-          const product = products.find(p => {
-            const pSku = String(p?.sku || '')
-            return pSku === itemSku || 
-              pSku.startsWith(itemSku) ||
-              itemSku.startsWith(pSku)
-          })
-          if (product) {
-            console.log(`[MATCH] ✅ Found: ${product.sku} -> ${product.displayName}`)
-            newItems.push({ ...product, qty: safeQty })
-          } else {
-            // Track unknown item with fallback dimensions
-            console.log(`[MATCH] ❌ No match for: "${itemSku}"`)
-            unmatchedItems.push({
-              sku: itemSku,
-              displayName: line.description || itemSku,
-              qty: safeQty,
-              family: 'Unknown',
-              packaged: {
-                // Fallback dimensions for unknown products
-                length_in: 24,
-                width_in: 18,
-                height_in: 12,
-                weight_lbs: 25
-              },
-              isUnknown: true // Flag for UI warning
-            })
-          }
-        } catch (lineErr) {
-          console.error('Error processing line:', line, lineErr)
-          // Continue with other lines
-        }
-      }
+      // Skips Product Summary, non-product and kit/hardware lines; unknown SKUs get fallback dims
+      const { items: newItems, unmatched: unmatchedItems } = resolveOrderLines(
+        quote.lines.map(line => ({ sku: line?.item, qty: line?.quantity, description: line?.description })),
+        products
+      )
       
       // Store unknown items for warning display
       setUnknownItems(unmatchedItems)
@@ -787,516 +600,78 @@ function App() {
 
   // Calculate pallets - TRUE 3D BIN PACKING with exact positions
   const calculatePallets = () => {
-    console.log('🎯 Running 3D bin-packing algorithm...')
-    
-    // Prepare items for bin-packing with accurate dimensions
-    const packingItems = []
-    
-    // Handle DD products specially (component-based packing)
-    let dd4Count = 0
-    let dd6Count = 0
-    
-    orderItems.forEach(item => {
-      const key = getProductKey(item.sku, item.family, item.name)
-      
-      if (key === 'dd4') {
-        dd4Count += item.qty
-        return // Handle DD separately
-      }
-      if (key === 'dd6') {
-        dd6Count += item.qty
-        return // Handle DD separately
-      }
-      
-      // Get accurate dims from STEP files if available
-      const accurateDims = getAccurateDims(item.sku, item.packaged)
-      const realWeight = getRealWeight(item.sku, item.family, accurateDims.weight_lbs || 50)
-      
-      packingItems.push({
-        sku: item.sku,
-        name: item.displayName || item.sku,
-        family: item.family,
-        qty: item.qty,
-        dims: {
-          l: accurateDims.length_in || 24,
-          w: accurateDims.width_in || 18,
-          h: accurateDims.height_in || 12,
-        },
-        weight: realWeight,
-        color: getBoxColor(item.family),
-      })
-    })
-    
-    // ============================================================
-    // OVERSIZED ITEMS - Handle separately (won't fit on standard pallets)
-    // Standard pallet: 86" × 40". Items larger than this need oversized pallets.
-    // ============================================================
-    const STANDARD_PALLET_L = 86
-    const STANDARD_PALLET_W = 40
-    
-    const oversizedItems = []
-    const regularItems = []
-    
-    packingItems.forEach(item => {
-      const l = item.dims.l || 24
-      const w = item.dims.w || 18
-      // Check if item fits on standard pallet (including rotated)
-      const fitsNormal = l <= STANDARD_PALLET_L && w <= STANDARD_PALLET_W
-      const fitsRotated = w <= STANDARD_PALLET_L && l <= STANDARD_PALLET_W
-      
-      if (fitsNormal || fitsRotated) {
-        regularItems.push(item)
-      } else {
-        console.log(`📦 Oversized item detected: ${item.name} (${l}×${w})`)
-        oversizedItems.push(item)
-      }
-    })
-    
-    // Create oversized pallets for items that won't fit standard pallets
-    const oversizedPallets = []
-    oversizedItems.forEach(item => {
-      // Each oversized item (or group of same item) gets its own pallet
-      const l = item.dims.l || 24
-      const w = item.dims.w || 18
-      const h = item.dims.h || 12
-      const weight = (item.weight || 50) * (item.qty || 1)
-      
-      // Determine pallet size needed (with overhang allowance)
-      const palletL = Math.max(Math.ceil(l / 12) * 12, 48) // Round up to nearest foot, min 48"
-      const palletW = Math.max(Math.ceil(w / 12) * 12, 40) // Round up to nearest foot, min 40"
-      
-      oversizedPallets.push({
-        id: `oversized-${oversizedPallets.length + 1}`,
-        items: [{
-          ...item,
-          positions: [{
-            x: 0, y: 0, z: 0,
-            l: l, w: w, h: h * (item.qty || 1), // Stack height
-          }]
-        }],
-        boxes: Array.from({ length: item.qty || 1 }, (_, idx) => ({
-          x: 0, y: idx * h, z: 0,
-          l: l, w: w, h: h,
-          item: item,
-          orientation: 0,
-        })),
-        dims: [palletL, palletW, Math.ceil(h * (item.qty || 1) + 6)],
-        weight: weight + 50, // Include pallet weight
-        cubicFeet: Math.round((palletL * palletW * (h * (item.qty || 1))) / 1728 * 10) / 10,
-        density: Math.round(weight / ((palletL * palletW * (h * (item.qty || 1))) / 1728) * 10) / 10,
-        utilization: 0.8, // Estimated
-        family: item.family,
-        palletSize: 'oversized',
-        note: `Oversized pallet (${palletL}"×${palletW}")`,
-      })
-    })
-    
-    console.log(`📦 Items split: ${regularItems.length} regular, ${oversizedItems.length} oversized`)
-    
-    // Run 3D bin-packing for REGULAR products only
-    // DD products are handled separately below (completely isolated)
-    let packedPallets = []
-    
-    if (regularItems.length > 0) {
-      // Try new optimizer for regular products
-      try {
-        const optimizerResult = optimizePalletPacking(
-          regularItems.map(item => ({
-            l: item.dims.l,
-            w: item.dims.w,
-            h: item.dims.h,
-            weight: item.weight || 50,
-            qty: item.qty || 1,
-            sku: item.sku,
-            name: item.name,
-            family: item.family,
-            color: item.color,
-            item: item, // Keep original reference
-          })),
-          {
-            length: 86,
-            width: 40,
-            maxHeight: PACKING_RULES.maxPalletHeight || 72,
-            maxWeight: 2500,
-            deckHeight: 6,
-          }
-        )
-        
-        // Convert optimizer output to match old packer format
-        packedPallets = optimizerResult.pallets.map((p, idx) => ({
-          id: idx + 1,
-          boxes: p.boxes.map(b => ({
-            x: b.x,
-            y: b.y,
-            z: b.z,
-            l: b.l,
-            w: b.w,
-            h: b.h,
-            item: b.item?.item || b.item, // Unwrap nested item
-            orientation: b.rotated ? 1 : 0,
-          })),
-          metrics: {
-            weight: p.weight || 0,
-            height: Math.max(...p.boxes.map(b => b.y + b.h), 0),
-            utilization: p.utilization || 0,
-          },
-          dims: p.dims,
-        }))
-        
-        console.log('📦 Layer-based packing result:', {
-          strategy: optimizerResult.strategy,
-          pallets: packedPallets.length,
-          utilization: ((optimizerResult.metrics?.avgUtilization || 0) * 100).toFixed(1) + '%'
-        })
-      } catch (err) {
-        console.warn('📦 Optimizer failed, falling back to old packer:', err.message)
-        packedPallets = packItemsWithConstraints(packingItems, {
-          maxHeight: PACKING_RULES.maxPalletHeight,
-          allowRotation: true,
-        })
-      }
-    }
-    
-    console.log('📦 Regular products packing result:', packedPallets.length, 'pallets')
-    
-    // Convert packed pallets to our format with exact positions
-    const pallets = packedPallets.map(p => {
-      // Group items by SKU for summary
-      const itemSummary = {}
-      p.boxes.forEach(box => {
-        const key = box.item.sku
-        if (!itemSummary[key]) {
-          itemSummary[key] = {
-            ...box.item,
-            qty: 0,
-            positions: [],
-          }
-        }
-        itemSummary[key].qty += 1
-        itemSummary[key].positions.push({
-          x: box.x,
-          y: box.y,
-          z: box.z,
-          l: box.l,
-          w: box.w,
-          h: box.h,
-        })
-      })
-      
-      const items = Object.values(itemSummary)
-      const maxDims = p.boxes.reduce((max, b) => ({
-        l: Math.max(max.l, b.x + b.l),
-        w: Math.max(max.w, b.z + b.w),
-        h: Math.max(max.h, b.y + b.h),
-      }), { l: 0, w: 0, h: 0 })
-      
-      // Calculate cubic feet and density
-      const cubicFeet = (48 * 40 * maxDims.h) / 1728
-      const density = p.metrics.weight / cubicFeet
-      
-      return {
-        id: p.id,
-        items,
-        boxes: p.boxes, // Exact positions for 3D viewer!
-        dims: [48, 40, Math.ceil(maxDims.h + 6)], // Include pallet height
-        weight: p.metrics.weight + 50, // Include pallet weight
-        cubicFeet: Math.round(cubicFeet * 10) / 10,
-        density: Math.round(density * 10) / 10,
-        utilization: p.metrics.utilization,
-        family: items.length === 1 ? items[0].family : 'Mixed',
-        group: p.group,
-      }
-    })
-    
-    // Add freight class to each pallet
-    pallets.forEach(pallet => {
-      const density = pallet.density
-      if (density >= 50) pallet.freightClass = 50
-      else if (density >= 35) pallet.freightClass = 55
-      else if (density >= 30) pallet.freightClass = 60
-      else if (density >= 22.5) pallet.freightClass = 65
-      else if (density >= 15) pallet.freightClass = 70
-      else if (density >= 13.5) pallet.freightClass = 77.5
-      else if (density >= 12) pallet.freightClass = 85
-      else if (density >= 10.5) pallet.freightClass = 92.5
-      else if (density >= 9) pallet.freightClass = 100
-      else if (density >= 8) pallet.freightClass = 110
-      else if (density >= 7) pallet.freightClass = 125
-      else if (density >= 6) pallet.freightClass = 150
-      else if (density >= 5) pallet.freightClass = 175
-      else if (density >= 4) pallet.freightClass = 200
-      else if (density >= 3) pallet.freightClass = 250
-      else if (density >= 2) pallet.freightClass = 300
-      else pallet.freightClass = 400
-    })
-    
-    // ============================================================
-    // ============================================================
-    // DD PACKING - SEPARATE CRATES (per Chad 2026-02-02)
-    // ============================================================
-    // DD ships as 3 SEPARATE crate types - never mixed:
-    // 1. Slide/Track crates (80×43×56", 21 sets each)
-    // 2. Manifold crate (54×28×55", 40 per crate)
-    // 3. Legs pallet (48×45×53", 30 per pallet)
-    // ============================================================
-    if (dd4Count > 0 || dd6Count > 0) {
-      console.log('📦 DD packing: creating separate crates per Chad specs...')
-      
-      const totalDDUnits = dd4Count + dd6Count
-      
-      // Component counts
-      const totalSlides = (dd4Count * 2) + (dd6Count * 3)  // DD4=2, DD6=3 slides
-      const totalTracks = (dd4Count * 2) + (dd6Count * 3)  // DD4=2, DD6=3 tracks
-      const totalLegs = totalDDUnits * 1                    // 1 leg per unit
-      const totalManifolds = totalDDUnits * 1               // 1 manifold per unit
-      
-      // Crate capacities (per Chad)
-      const SLIDE_TRACK_SETS_PER_CRATE = 21  // 7 per layer × 3 layers
-      const MANIFOLDS_PER_CRATE = 40
-      const LEGS_PER_PALLET = 40  // Updated per Chad 2026-02-03
-      
-      // Calculate crates needed
-      const totalSets = totalSlides  // slides = tracks = sets
-      const slideTrackCrates = Math.ceil(totalSets / SLIDE_TRACK_SETS_PER_CRATE)
-      const manifoldCrates = Math.ceil(totalManifolds / MANIFOLDS_PER_CRATE)
-      const legPallets = Math.ceil(totalLegs / LEGS_PER_PALLET)
-      
-      console.log(`   Slide/Track crates: ${slideTrackCrates} (${totalSets} sets ÷ 21)`)
-      console.log(`   Manifold crates: ${manifoldCrates} (${totalManifolds} ÷ 40)`)
-      console.log(`   Leg pallets: ${legPallets} (${totalLegs} ÷ 40)`)
-      
-      // ========================================
-      // CRATE 1: SLIDE/TRACK CRATES (80×43×56")
-      // ========================================
-      // Simple box representation - one box per crate
-      let setsRemaining = totalSets
-      for (let crateIdx = 0; crateIdx < slideTrackCrates; crateIdx++) {
-        const setsOnCrate = Math.min(SLIDE_TRACK_SETS_PER_CRATE, setsRemaining)
-        setsRemaining -= setsOnCrate
-        
-        // Single box representing the entire crate
-        const boxes = [{
-          x: 0, y: 0, z: 0,
-          l: 78, w: 41, h: 54,
-          item: { 
-            sku: 'dd-crate-slidetrack', 
-            name: `Slide/Track Crate - ${setsOnCrate} sets`, 
-            family: 'DD Crate',
-            color: '#dc2626'  // Red for slides/tracks
-          }
-        }]
-        
-        pallets.push({
-          id: pallets.length + 1,
-          items: [
-            { sku: 'dd-slide', name: 'Upper Slide', qty: setsOnCrate },
-            { sku: 'dd-lower', name: 'Lower Track', qty: setsOnCrate }
-          ],
-          boxes,
-          dims: [80, 43, 56],
-          weight: Math.round((setsOnCrate / 21) * 1510) + 50,
-          family: 'Double Docker',
-          group: 'double-docker',
-          palletSize: '80x43',
-          packingNote: `Slide/Track Crate: ${setsOnCrate} sets`,
-          source: 'dd-slide-track'
-        })
-      }
-      
-      // ========================================
-      // CRATE 2: MANIFOLD CRATES (54×28×55")
-      // ========================================
-      let manifoldsRemaining = totalManifolds
-      for (let crateIdx = 0; crateIdx < manifoldCrates; crateIdx++) {
-        const manifoldsOnCrate = Math.min(MANIFOLDS_PER_CRATE, manifoldsRemaining)
-        manifoldsRemaining -= manifoldsOnCrate
-        
-        // Single box representing the entire crate
-        const boxes = [{
-          x: 0, y: 0, z: 0,
-          l: 52, w: 26, h: 53,
-          item: { 
-            sku: 'dd-crate-manifold', 
-            name: `Manifold Crate - ${manifoldsOnCrate} pcs`, 
-            family: 'DD Crate',
-            color: '#3b82f6'  // Blue for manifolds
-          }
-        }]
-        
-        pallets.push({
-          id: pallets.length + 1,
-          items: [{ sku: 'dd-manifold', name: 'Manifold', qty: manifoldsOnCrate }],
-          boxes,
-          dims: [54, 28, 55],
-          weight: manifoldsOnCrate * 25 + 50,
-          family: 'Double Docker',
-          group: 'double-docker',
-          palletSize: '54x28',
-          packingNote: `Manifold Crate: ${manifoldsOnCrate} pcs`,
-          source: 'dd-manifold'
-        })
-      }
-      
-      // ========================================
-      // CRATE 3: LEGS PALLETS (48×45×53")
-      // ========================================
-      let legsRemaining = totalLegs
-      for (let palletIdx = 0; palletIdx < legPallets; palletIdx++) {
-        const legsOnPallet = Math.min(LEGS_PER_PALLET, legsRemaining)
-        legsRemaining -= legsOnPallet
-        
-        const stackHeight = Math.ceil(legsOnPallet * 1.8)
-        
-        // Single box representing the stacked legs
-        const boxes = [{
-          x: 0, y: 0, z: 0,
-          l: 44, w: 43, h: stackHeight,
-          item: { 
-            sku: 'dd-pallet-legs', 
-            name: `Legs Pallet - ${legsOnPallet} pcs`, 
-            family: 'DD Crate',
-            color: '#737373'  // Gray for legs
-          }
-        }]
-        
-        pallets.push({
-          id: pallets.length + 1,
-          items: [{ sku: 'dd-leg', name: 'Support Leg', qty: legsOnPallet }],
-          boxes,
-          dims: [48, 45, stackHeight],
-          weight: legsOnPallet * 30 + 50,
-          family: 'Double Docker',
-          group: 'double-docker',
-          palletSize: '48x45',
-          packingNote: `Legs Pallet: ${legsOnPallet} pcs`,
-          source: 'dd-legs'
-        })
-      }
-      
-      const totalDDPallets = slideTrackCrates + manifoldCrates + legPallets
-      console.log(`✅ DD pallets total: ${totalDDPallets} (${slideTrackCrates} slide/track + ${manifoldCrates} manifold + ${legPallets} legs)`)
-    }
-    
-    // ============================================================
-    // Add oversized pallets (Undergrad, etc.)
-    // ============================================================
-    if (oversizedPallets.length > 0) {
-      console.log(`📦 Adding ${oversizedPallets.length} oversized pallets`)
-      
-      // Add freight class to oversized pallets
-      oversizedPallets.forEach(pallet => {
-        const density = pallet.density || 10
-        if (density >= 50) pallet.freightClass = 50
-        else if (density >= 35) pallet.freightClass = 55
-        else if (density >= 30) pallet.freightClass = 60
-        else if (density >= 22.5) pallet.freightClass = 65
-        else if (density >= 15) pallet.freightClass = 70
-        else if (density >= 13.5) pallet.freightClass = 77.5
-        else if (density >= 12) pallet.freightClass = 85
-        else if (density >= 10.5) pallet.freightClass = 92.5
-        else if (density >= 9) pallet.freightClass = 100
-        else if (density >= 8) pallet.freightClass = 110
-        else if (density >= 7) pallet.freightClass = 125
-        else if (density >= 6) pallet.freightClass = 150
-        else if (density >= 5) pallet.freightClass = 175
-        else if (density >= 4) pallet.freightClass = 200
-        else if (density >= 3) pallet.freightClass = 250
-        else if (density >= 2) pallet.freightClass = 300
-        else pallet.freightClass = 400
-        
-        pallet.group = 'oversized'
-      })
-      
-      pallets.push(...oversizedPallets)
-    }
-    
-    // Sort pallets: DD, oversized, then mixed
-    pallets.sort((a, b) => {
-      // DD pallets first
-      if (a.group === 'double-docker' && b.group !== 'double-docker') return -1
-      if (b.group === 'double-docker' && a.group !== 'double-docker') return 1
-      // Oversized pallets second
-      if (a.group === 'oversized' && b.group !== 'oversized' && b.group !== 'double-docker') return -1
-      if (b.group === 'oversized' && a.group !== 'oversized' && a.group !== 'double-docker') return 1
-      return a.id - b.id
-    })
-    
-    // Renumber pallets
-    pallets.forEach((p, i) => p.id = i + 1)
-    
-    // Calculate totals
-    const totalWeight = pallets.reduce((sum, p) => sum + p.weight, 0)
-    const totalCubicFeet = pallets.reduce((sum, p) => sum + p.cubicFeet, 0)
-    const totalPallets = pallets.length
-    
-    // Log for debugging
-    console.log('✅ 3D Packing complete:', totalPallets, 'pallets')
-    
-    // Check for parcel-eligible items
-    // Parcel = individual item <50 lbs AND <1 cubic foot (1728 cubic inches)
-    const PARCEL_WEIGHT_LIMIT = 50
-    const PARCEL_CUBIC_INCH_LIMIT = 1728 // 1 cubic foot
-    
-    const parcelEligible = orderItems.every(item => {
-      const dims = getAccurateDims(item.sku, item.packaged)
-      const weight = getRealWeight(item.sku, item.family, dims.weight_lbs || 50)
-      const cubicInches = (dims.length_in || 24) * (dims.width_in || 18) * (dims.height_in || 12)
-      return weight <= PARCEL_WEIGHT_LIMIT && cubicInches <= PARCEL_CUBIC_INCH_LIMIT
-    })
-    
-    // If all items parcel-eligible AND total <150 lbs → ship parcel (no pallet needed)
-    const allParcel = parcelEligible && totalWeight < 150
-    
-    // Determine shipping method
-    let shippingMethod = 'LTL'
-    let parcelItems = []
-    
-    if (allParcel) {
-      shippingMethod = 'Parcel'
-      // Calculate parcel packages (UPS/FedEx limit ~50 lbs per box)
-      let parcelWeight = 0
-      let parcelCount = 1
-      orderItems.forEach(item => {
-        const itemWeight = getRealWeight(item.sku, item.family, item.packaged?.weight_lbs || 25)
-        for (let i = 0; i < item.qty; i++) {
-          if (parcelWeight + itemWeight > 50) {
-            parcelCount++
-            parcelWeight = itemWeight
-          } else {
-            parcelWeight += itemWeight
-          }
-        }
-      })
-      parcelItems = [{ count: parcelCount, totalWeight }]
-    } else if (totalWeight > 15000 || totalPallets > 10) {
-      shippingMethod = 'Full Truckload'
-    } else if (totalWeight > 10000 || totalPallets > 6) {
-      shippingMethod = 'Partial TL'
-    }
-    
-    // Check for unknown items
-    const hasUnknownItems = orderItems.some(item => item.isUnknown)
+    const result = packOrder(orderItems, { compatibility })
     
     // Log this calculation for ML training
     logPackingCalculation({
       quoteNumber: quoteNumber || null,
       items: orderItems,
-      pallets: allParcel ? [] : pallets,
-      ddExpanded: dd4Count > 0 || dd6Count > 0,
-      shipMethod: shippingMethod,
+      pallets: result.pallets,
+      ddExpanded: result.ddExpanded,
+      shipMethod: result.shippingMethod,
+      planSignature: result.signature,
     })
 
-    setResults({
-      pallets: allParcel ? [] : pallets,
-      totalWeight,
-      totalCubicFeet: Math.round(totalCubicFeet * 10) / 10,
-      totalPallets: allParcel ? 0 : totalPallets,
-      shippingMethod,
-      totalItems: orderItems.reduce((sum, item) => sum + item.qty, 0),
-      has3DPositions: !allParcel, // Flag for 3D viewer
-      parcelItems, // For parcel shipments
-      hasUnknownItems, // Flag if accuracy might be affected
-    })
+    setResults(result)
+    setWriteback(null)
+    setSavedPlan(null)
+    rememberPlan({ key: String(quoteNumber || '').trim() || null, items: orderItems, result, signature: result.signature })
+  }
+
+  // Box-level edit from the 3D viewer (planEditor.js) - the slip and PDF come
+  // from the edited plan, and each edit is saved as a revision of the quote's plan
+  const applyPlanEdit = (edited, palletId) => {
+    setResults(edited)
+    setEditPalletId(palletId)
+    setWriteback(null)
+    rememberPlan({ key: String(quoteNumber || '').trim() || null, items: orderItems, result: edited, signature: edited.signature })
+    saveCurrentPlan(edited)
+  }
+
+  // Open the last plan cached on this tablet (Warehouse mode, offline)
+  const openLastPlan = () => {
+    const { plan, savedAt } = lastPlan
+    if (plan.revision) return openSavedPlan(plan, 'warehouse', savedAt)
+    setOrderItems(plan.items || [])
+    setResults(plan.result)
+    setQuoteNumber(plan.key || '')
+    setSelectedPallet(null)
+  }
+
+  // Write pallets/weight/freight class + plan link into the quote's custom fields
+  const writeBackToNetSuite = async () => {
+    const tranId = String(quoteNumber || '').trim()
+    if (!tranId || !results) return
+
+    setWriteback({ status: 'saving', message: 'Writing to NetSuite...' })
+    try {
+      const response = await fetch(NETSUITE_CONFIG.writebackEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tranId,
+          pallets: results.totalPallets,
+          weight: results.totalWeight,
+          freightClass: getShipmentFreightClass(results.pallets),
+          planUrl: savedPlan?.signature && savedPlan.signature === results.signature && savedPlan.key === tranId.toUpperCase()
+            ? getPlanUrl(savedPlan.key, savedPlan.revision)
+            : `${window.location.origin}${window.location.pathname}?quote=${encodeURIComponent(tranId)}`,
+          rulesVersion: RULES_VERSION,
+        }),
+      })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+
+      setWriteback({
+        status: data.status,
+        message: data.status === 'unchanged'
+          ? `${data.tranId} already has this estimate`
+          : `Saved to ${data.tranId}`,
+      })
+    } catch (err) {
+      console.error('NetSuite write-back error:', err)
+      setWriteback({ status: 'error', message: `Write-back failed: ${err.message}` })
+    }
   }
 
   // Legacy calculation kept for reference
@@ -1540,33 +915,7 @@ function App() {
     }
 
     // Calculate freight class for each pallet based on density
-    pallets.forEach(pallet => {
-      const cubicFeet = (pallet.dims[0] * pallet.dims[1] * pallet.dims[2]) / 1728
-      const density = pallet.weight / cubicFeet
-      
-      // Freight class lookup based on density (lbs per cubic foot)
-      if (density >= 50) pallet.freightClass = 50
-      else if (density >= 35) pallet.freightClass = 55
-      else if (density >= 30) pallet.freightClass = 60
-      else if (density >= 22.5) pallet.freightClass = 65
-      else if (density >= 15) pallet.freightClass = 70
-      else if (density >= 13.5) pallet.freightClass = 77.5
-      else if (density >= 12) pallet.freightClass = 85
-      else if (density >= 10.5) pallet.freightClass = 92.5
-      else if (density >= 9) pallet.freightClass = 100
-      else if (density >= 8) pallet.freightClass = 110
-      else if (density >= 7) pallet.freightClass = 125
-      else if (density >= 6) pallet.freightClass = 150
-      else if (density >= 5) pallet.freightClass = 175
-      else if (density >= 4) pallet.freightClass = 200
-      else if (density >= 3) pallet.freightClass = 250
-      else if (density >= 2) pallet.freightClass = 300
-      else if (density >= 1) pallet.freightClass = 400
-      else pallet.freightClass = 500
-      
-      pallet.density = Math.round(density * 10) / 10
-      pallet.cubicFeet = Math.round(cubicFeet * 10) / 10
-    })
+    applyFreightClasses(pallets)
 
     // Calculate totals
     const totalWeight = pallets.reduce((sum, p) => sum + p.weight, 0)
@@ -1593,10 +942,6 @@ function App() {
     })
   }
 
-  const getBoxColor = (family) => {
-    return PACKING_RULES.familyColors[family] || 'default'
-  }
-
   if (loading) {
     return (
       <div className="container">
@@ -1617,6 +962,9 @@ function App() {
         <div style={{ display: 'flex', justifyContent: 'center', marginTop: '16px', marginBottom: '8px' }}>
           <ModeSwitcher currentMode={appMode} onModeChange={setAppMode} />
         </div>
+
+        {/* Offline queue - checklist changes, validations, photos */}
+        {(appMode === 'warehouse' || appMode === 'validate') && <SyncStatus />}
         
         {appMode === 'sales' && (
         <div style={{ display: 'flex', gap: '12px', marginTop: '12px', justifyContent: 'center', flexWrap: 'wrap' }}>
@@ -1662,6 +1010,28 @@ function App() {
         )}
       </header>
 
+      {/* Floor Mode - Packing progress from the warehouse tablets (office) */}
+      {appMode === 'floor' && (
+        <div className="container">
+          <ChecklistDashboard onOpen={(key) => loadSavedPlan(key, null, 'warehouse')} />
+        </div>
+      )}
+
+      {/* Plans Mode - Saved plans by quote/SO, revisions + diff */}
+      {appMode === 'plans' && (
+        <div className="container">
+          <SavedPlans initialKey={savedPlan?.key || String(quoteNumber || '').trim().toUpperCase() || null} onOpen={openSavedPlan} />
+        </div>
+      )}
+
+      {/* Rules Mode - Mixing matrix + group pallets (warehouse lead) */}
+      {appMode === 'rules' && (
+        <div className="container">
+          <CompatibilityAdmin compatibility={compatibility} onSaved={setCompatibility} />
+          <AdjustmentReview onAccepted={setCompatibility} />
+        </div>
+      )}
+
       {/* Validate Mode - Manual pallet data entry */}
       {appMode === 'validate' && (
         <div className="container">
@@ -1672,8 +1042,14 @@ function App() {
       {/* Warehouse Mode - Use existing WarehouseView if results exist */}
       {appMode === 'warehouse' && results && (
         <div className="container">
+          {savedPlan?.offlineSince && (
+            <div style={{ padding: '10px 16px', marginBottom: '12px', background: '#78350f', color: '#fde68a', borderRadius: '8px', fontSize: '14px' }}>
+              📴 {savedPlan.message} - the latest revision couldn't be loaded
+            </div>
+          )}
           <WarehouseView 
-            pallets={results.pallets} 
+            results={results}
+            quoteNumber={quoteNumber || undefined}
             onClose={() => setAppMode('sales')} 
           />
         </div>
@@ -1693,6 +1069,14 @@ function App() {
             >
               Go to Sales Mode
             </button>
+            {lastPlan && (
+              <button
+                onClick={openLastPlan}
+                style={{ marginTop: '20px', marginLeft: '12px', padding: '10px 24px', background: '#334155', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}
+              >
+                Open last plan{lastPlan.plan.key ? ` ${lastPlan.plan.key}` : ''} (offline copy)
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -2025,6 +1409,16 @@ function App() {
                       {results.shippingMethod === 'Parcel' ? 'Packages' : 'Pallets'}
                     </div>
                   </div>
+                  {results.shippingMethod !== 'Parcel' && (
+                    <div className="summary-stat">
+                      <div className="value" style={{ fontSize: freightQuote?.totalCost != null ? '1.5rem' : undefined }}>
+                        {freightQuote?.totalCost != null ? `$${Math.round(freightQuote.totalCost).toLocaleString()}` : '—'}
+                      </div>
+                      <div className="label">
+                        Est. Freight{freightQuote?.cheapest?.sample ? ' (sample)' : ''}
+                      </div>
+                    </div>
+                  )}
                   <div className="summary-stat">
                     <div className="value">{(results.totalWeight || 0).toLocaleString()}</div>
                     <div className="label">Total lbs</div>
@@ -2040,6 +1434,28 @@ function App() {
                     <div className="label">Ship Method</div>
                   </div>
                 </div>
+                {results.signature && (
+                  <div
+                    style={{ marginBottom: '12px', fontSize: '0.8rem', color: '#64748b' }}
+                    title="Same order + rules version = same plan. Packing slips and BOL validations show this too."
+                  >
+                    Plan <code>{results.signature}</code> • rules {(savedPlan?.signature === results.signature && savedPlan.rulesVersion) || RULES_VERSION}
+                    {savedPlan?.revision && savedPlan.signature === results.signature && ` • saved as ${savedPlan.key} r${savedPlan.revision}`}
+                    {results.manualEdits?.length > 0 && ` • ${results.manualEdits.length} manual edit${results.manualEdits.length > 1 ? 's' : ''}`}
+                  </div>
+                )}
+                
+                {/* Freight quote (LTL) */}
+                {results.shippingMethod !== 'Parcel' && (
+                  <FreightQuotePanel
+                    quote={freightQuote}
+                    destination={freightDestination}
+                    onDestinationChange={setFreightDestination}
+                    accessorials={freightAccessorials}
+                    onAccessorialsChange={setFreightAccessorials}
+                    tariffsLoaded={tariffsLoaded}
+                  />
+                )}
                 
                 {/* Parcel shipment info */}
                 {results.shippingMethod === 'Parcel' && (
@@ -2152,6 +1568,20 @@ function App() {
                   >
                     📦 Warehouse Mode
                   </button>
+                  <button 
+                    style={{ 
+                      padding: '10px 20px', 
+                      cursor: 'pointer',
+                      background: '#1e293b',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      fontWeight: '600'
+                    }}
+                    onClick={() => setShowLoadPlan(true)}
+                  >
+                    🚛 Truck Load Plan
+                  </button>
                   <button 
                     style={{ 
                       padding: '10px 20px', 
@@ -2166,6 +1596,38 @@ function App() {
                   >
                     🔄 Compare Strategies
                   </button>
+                  <button 
+                    style={{ 
+                      padding: '10px 20px', 
+                      cursor: 'pointer',
+                      background: showLayerPlan ? '#475569' : '#64748b',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      fontWeight: '600'
+                    }}
+                    onClick={() => setShowLayerPlan(!showLayerPlan)}
+                    title="Layer-by-layer plan - warehouse can reorder layers, changes go to the rules review queue"
+                  >
+                    🧱 {showLayerPlan ? 'Hide' : 'Layer'} Plan
+                  </button>
+                  {results.has3DPositions && results.pallets?.length > 0 && (
+                    <button 
+                      style={{ 
+                        padding: '10px 20px', 
+                        cursor: 'pointer',
+                        background: editPalletId ? '#c2410c' : '#ea580c',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        fontWeight: '600'
+                      }}
+                      onClick={() => setEditPalletId(editPalletId ? null : results.pallets[0].id)}
+                      title="Move, rotate or transfer single boxes in 3D - checked for collisions and support, saved as a new plan revision"
+                    >
+                      🧊 {editPalletId ? 'Close 3D Editor' : 'Edit in 3D'}
+                    </button>
+                  )}
                   <button 
                     style={{ 
                       padding: '10px 20px', 
@@ -2192,7 +1654,7 @@ function App() {
                     }}
                     onClick={() => {
                       const text = results.pallets.map(p => 
-                        `Pallet ${p.id}: ${p.dims.join('×')}" @ ${p.weight} lbs (Class ${p.freightClass})\n` +
+                        `Pallet ${p.id}: ${p.dims.join('×')}"${p.baseLabel ? ` on ${p.baseLabel}` : ''}${p.overhang ? ` (overhang ${describeOverhang(p.overhang)})` : ''} @ ${p.weight} lbs (Class ${p.freightClass})\n` +
                         p.items.map(i => `  - ${i.qty}× ${i.displayName || i.family}`).join('\n')
                       ).join('\n\n')
                       navigator.clipboard.writeText(text)
@@ -2201,8 +1663,116 @@ function App() {
                   >
                     📋 Copy Summary
                   </button>
+                  {quoteNumber && results.signature && (
+                    <button 
+                      style={{ 
+                        padding: '10px 20px', 
+                        cursor: savedPlan?.status === 'saving' ? 'wait' : 'pointer',
+                        background: '#2563eb',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        fontWeight: '600'
+                      }}
+                      disabled={savedPlan?.status === 'saving'}
+                      onClick={() => saveCurrentPlan()}
+                      title="Save this plan as a new revision for the quote - the warehouse opens it from the Plans tab or the link"
+                    >
+                      💾 Save Plan
+                    </button>
+                  )}
+                  {savedPlan && (
+                    <span style={{
+                      alignSelf: 'center',
+                      fontSize: '0.9rem',
+                      color: savedPlan.status === 'error' ? '#dc2626' : '#2563eb'
+                    }}>
+                      {savedPlan.status === 'error' ? '⚠️' : savedPlan.status === 'saving' ? '⏳' : '✅'} {savedPlan.message}
+                      {savedPlan.revision && (
+                        <button
+                          style={{ marginLeft: '8px', background: 'none', border: 'none', color: '#2563eb', cursor: 'pointer', textDecoration: 'underline' }}
+                          onClick={() => {
+                            navigator.clipboard.writeText(getPlanUrl(savedPlan.key, savedPlan.revision))
+                            alert('Plan link copied!')
+                          }}
+                        >
+                          Copy link
+                        </button>
+                      )}
+                    </span>
+                  )}
+                  {quoteNumber && (
+                    <button 
+                      style={{ 
+                        padding: '10px 20px', 
+                        cursor: writeback?.status === 'saving' ? 'wait' : 'pointer',
+                        background: '#0f766e',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        fontWeight: '600'
+                      }}
+                      disabled={writeback?.status === 'saving'}
+                      onClick={writeBackToNetSuite}
+                      title="Write pallets, weight, freight class and plan link to the NetSuite quote/sales order"
+                    >
+                      📤 Write to NetSuite
+                    </button>
+                  )}
+                  {writeback && (
+                    <span style={{
+                      alignSelf: 'center',
+                      fontSize: '0.9rem',
+                      color: writeback.status === 'error' ? '#dc2626' : '#0f766e'
+                    }}>
+                      {writeback.status === 'error' ? '⚠️' : writeback.status === 'saving' ? '⏳' : '✅'} {writeback.message}
+                    </span>
+                  )}
                 </div>
 
+                {/* Layer plan with drag-and-drop reordering (adjustments → Rules review queue) */}
+                {showLayerPlan && (
+                  <PackingPlan
+                    orderItems={orderItems}
+                    results={results}
+                    compatibility={compatibility}
+                    quoteNumber={quoteNumber || null}
+                  />
+                )}
+
+                {/* 3D box editor - edits replace the results (new plan signature) */}
+                {editPalletId && results.pallets?.some(p => p.id === editPalletId) && (
+                  <div style={{ marginTop: '20px' }}>
+                    <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                      {results.pallets.map(p => (
+                        <button
+                          key={p.id}
+                          style={{
+                            padding: '6px 12px',
+                            cursor: 'pointer',
+                            background: p.id === editPalletId ? '#ea580c' : '#f3f4f6',
+                            color: p.id === editPalletId ? 'white' : '#374151',
+                            border: '1px solid #d1d5db',
+                            borderRadius: '6px',
+                            fontWeight: '600'
+                          }}
+                          onClick={() => setEditPalletId(p.id)}
+                        >
+                          Pallet {p.id}
+                        </button>
+                      ))}
+                    </div>
+                    <Suspense fallback={<div style={{ padding: '20px', color: '#6b7280' }}>Loading 3D viewer...</div>}>
+                      <PalletViewer3D
+                        pallet={results.pallets.find(p => p.id === editPalletId)}
+                        result={results}
+                        compatibility={compatibility}
+                        onEdit={applyPlanEdit}
+                      />
+                    </Suspense>
+                  </div>
+                )}
+
               </>
             )}
           </div>
@@ -2247,11 +1817,21 @@ function App() {
         />
       )}
 
+      {/* Truck Load Plan */}
+      {showLoadPlan && results && (
+        <LoadPlanView 
+          results={results}
+          quoteNumber={quoteNumber || undefined}
+          onClose={() => setShowLoadPlan(false)}
+        />
+      )}
+
       {/* BOL Validator Modal */}
       {showBOLValidator && results && (
         <BOLValidator
           packingResult={results.pallets}
           quoteNumber={quoteNumber}
+          planSignature={results.signature}
           onClose={() => setShowBOLValidator(false)}
         />
       )}
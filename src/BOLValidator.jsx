@@ -51,7 +51,7 @@ function calculateAccuracyStats(validations) {
   }
 }
 
-export default function BOLValidator({ packingResult, quoteNumber, onClose }) {
+export default function BOLValidator({ packingResult, quoteNumber, planSignature, onClose }) {
   const [actualPallets, setActualPallets] = useState('')
   const [actualWeight, setActualWeight] = useState('')
   const [notes, setNotes] = useState('')
@@ -78,6 +78,7 @@ export default function BOLValidator({ packingResult, quoteNumber, onClose }) {
     
     const validation = {
       quoteNumber,
+      planSignature: planSignature || null,
       predicted: {
         pallets: predictedPallets,
         weight: predictedWeight,
@@ -268,6 +269,7 @@ export default function BOLValidator({ packingResult, quoteNumber, onClose }) {
               {quoteNumber && (
                 <div style={{ marginBottom: '20px', color: '#6b7280', fontSize: '0.9rem' }}>
                   Quote: <strong>{quoteNumber}</strong>
+                  {planSignature && <> • Plan <code>{planSignature}</code></>}
                 </div>
               )}
               
@@ -382,6 +384,11 @@ export default function BOLValidator({ packingResult, quoteNumber, onClose }) {
                   <span style={{ fontWeight: '500' }}>
                     {v.quoteNumber || 'No quote #'}
                   </span>
+                  {v.planSignature && (
+                    <span style={{ color: '#6b7280', marginLeft: '8px' }}>
+                      <code>{v.planSignature}</code>
+                    </span>
+                  )}
                   <span style={{ color: '#6b7280', marginLeft: '8px' }}>
                     {new Date(v.timestamp).toLocaleDateString()}
                   </span>
@@ -0,0 +1,430 @@
+/**
+ * LoadPlanView Component
+ *
+ * Truck/trailer load plan for packed pallets.
+ * Top-down and side views of each trailer, unload stops, axle weights.
+ *
+ * Uses planTruckLoad() from loadPlanner.js:
+ * - 53' dry van, 48' flatbed, 26' box truck
+ * - Door-side unload order by stop
+ * - Double-stack rules, axle weight balance
+ */
+
+import { useState, useMemo } from 'react'
+import { planTruckLoad, TRAILERS } from './loadPlanner'
+
+// Stop colors (stop 1 = first off the truck)
+const STOP_COLORS = [
+  '#2563eb', // Blue
+  '#059669', // Green
+  '#d97706', // Amber
+  '#7c3aed', // Purple
+  '#dc2626', // Red
+  '#0891b2', // Cyan
+]
+
+const getStopColor = (stop) => STOP_COLORS[(stop - 1) % STOP_COLORS.length]
+
+// Axle load bar
+function AxleBar({ axle }) {
+  const percent = Math.min(100, (axle.load / axle.max) * 100)
+  const over = axle.load > axle.max
+
+  return (
+    <div style={{ marginBottom: '8px' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '13px',
+        color: over ? '#dc2626' : '#374151',
+        marginBottom: '4px',
+      }}>
+        <span>{axle.label}</span>
+        <span style={{ fontWeight: '600' }}>
+          {axle.load.toLocaleString()} / {axle.max.toLocaleString()} lbs
+        </span>
+      </div>
+      <div style={{ height: '10px', background: '#e5e7eb', borderRadius: '5px', overflow: 'hidden' }}>
+        <div style={{
+          height: '100%',
+          width: `${Math.max(0, percent)}%`,
+          background: over ? '#dc2626' : percent > 85 ? '#f59e0b' : '#22c55e',
+          transition: 'width 0.3s ease',
+        }} />
+      </div>
+    </div>
+  )
+}
+
+// Top-down view of the trailer floor (nose on the left, door on the right)
+function TrailerTopView({ truck, trailer }) {
+  const floorBoxes = truck.boxes.filter(b => !b.stacked)
+  const stackedOn = (floor) => truck.boxes.filter(b =>
+    b.stacked &&
+    b.x < floor.x + floor.l && b.x + b.l > floor.x &&
+    b.z < floor.z + floor.w && b.z + b.w > floor.z
+  )
+
+  return (
+    <svg
+      viewBox={`-30 -10 ${trailer.length + 60} ${trailer.width + 20}`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      {/* Trailer outline */}
+      <rect x={0} y={0} width={trailer.length} height={trailer.width} fill="#f8fafc" stroke="#1e293b" strokeWidth={2} />
+      <text x={-15} y={trailer.width / 2} fontSize={14} fill="#64748b" textAnchor="middle"
+        transform={`rotate(-90 -15 ${trailer.width / 2})`}>NOSE</text>
+      <text x={trailer.length + 15} y={trailer.width / 2} fontSize={14} fill="#64748b" textAnchor="middle"
+        transform={`rotate(90 ${trailer.length + 15} ${trailer.width / 2})`}>DOOR</text>
+
+      {/* Axle positions */}
+      {Object.values(trailer.axles).filter(a => a.position >= 0).map(axle => (
+        <line key={axle.label} x1={axle.position} y1={-6} x2={axle.position} y2={trailer.width + 6}
+          stroke="#94a3b8" strokeDasharray="6 4" strokeWidth={2} />
+      ))}
+
+      {floorBoxes.map(box => {
+        const top = stackedOn(box)
+        return (
+          <g key={box.palletId}>
+            <rect x={box.x + 1} y={box.z + 1} width={box.l - 2} height={box.w - 2}
+              fill={getStopColor(box.stop)} fillOpacity={0.85} stroke="#1e293b" strokeWidth={1} rx={3} />
+            {top.length > 0 && (
+              <rect x={box.x + 5} y={box.z + 5} width={box.l - 10} height={box.w - 10}
+                fill="none" stroke="white" strokeWidth={2} strokeDasharray="4 3" rx={2} />
+            )}
+            <text x={box.x + box.l / 2} y={box.z + box.w / 2 + (top.length > 0 ? -2 : 5)}
+              fontSize={14} fontWeight="bold" fill="white" textAnchor="middle">
+              P{box.palletId}
+            </text>
+            {top.length > 0 && (
+              <text x={box.x + box.l / 2} y={box.z + box.w / 2 + 14}
+                fontSize={11} fill="white" textAnchor="middle">
+                +{top.map(t => `P${t.palletId}`).join(', ')}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+// Side view (height) - shows double stacking
+function TrailerSideView({ truck, trailer }) {
+  // Draw back-to-front so the nearest row (lowest Z) is painted last
+  const boxes = [...truck.boxes].sort((a, b) => b.z - a.z || a.y - b.y)
+
+  return (
+    <svg
+      viewBox={`-30 -10 ${trailer.length + 60} ${trailer.height + 30}`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      <rect x={0} y={0} width={trailer.length} height={trailer.height} fill="#f8fafc" stroke="#1e293b" strokeWidth={2} />
+      {boxes.map(box => (
+        <g key={box.palletId}>
+          <rect x={box.x + 1} y={trailer.height - box.y - box.h} width={box.l - 2} height={box.h}
+            fill={getStopColor(box.stop)} fillOpacity={0.75} stroke="#1e293b" strokeWidth={1} rx={2} />
+          <text x={box.x + box.l / 2} y={trailer.height - box.y - box.h / 2 + 5}
+            fontSize={12} fontWeight="bold" fill="white" textAnchor="middle">
+            P{box.palletId}
+          </text>
+        </g>
+      ))}
+      {/* Axle markers under the floor */}
+      {Object.values(trailer.axles).filter(a => a.position >= 0).map(axle => (
+        <circle key={axle.label} cx={axle.position} cy={trailer.height + 10} r={8} fill="#475569" />
+      ))}
+    </svg>
+  )
+}
+
+// Single truck card
+function TruckCard({ truck, trailer, totalTrucks }) {
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: '16px',
+      overflow: 'hidden',
+      boxShadow: '0 4px 6px -1px rgba(0,0,0,0.1)',
+      marginBottom: '20px',
+    }}>
+      <div style={{
+        background: truck.warnings.length > 0 ? '#991b1b' : '#1e293b',
+        color: 'white',
+        padding: '16px 20px',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+      }}>
+        <div>
+          <div style={{ fontSize: '24px', fontWeight: 'bold' }}>
+            TRUCK {truck.id}
+            <span style={{ fontSize: '16px', opacity: 0.8, marginLeft: '8px' }}>of {totalTrucks}</span>
+          </div>
+          <div style={{ fontSize: '14px', opacity: 0.9, marginTop: '4px' }}>
+            {trailer.name} • {truck.palletCount} pallets
+            {truck.stackedCount > 0 && ` (${truck.stackedCount} double-stacked)`}
+          </div>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div style={{ fontSize: '24px', fontWeight: 'bold' }}>
+            {truck.weight.toLocaleString()} lbs
+          </div>
+          <div style={{ fontSize: '14px', opacity: 0.9 }}>
+            {truck.linearFeet} linear ft • {truck.floorUtilization}% floor
+          </div>
+        </div>
+      </div>
+
+      <div style={{ padding: '16px' }}>
+        <div style={{ fontSize: '12px', color: '#64748b', textTransform: 'uppercase', marginBottom: '6px' }}>
+          Top view
+        </div>
+        <TrailerTopView truck={truck} trailer={trailer} />
+
+        <div style={{ fontSize: '12px', color: '#64748b', textTransform: 'uppercase', margin: '16px 0 6px' }}>
+          Side view
+        </div>
+        <TrailerSideView truck={truck} trailer={trailer} />
+
+        <div style={{ marginTop: '16px' }}>
+          <AxleBar axle={truck.axleLoads.front} />
+          <AxleBar axle={truck.axleLoads.rear} />
+        </div>
+
+        {truck.notes.length > 0 && (
+          <div style={{ marginTop: '12px', fontSize: '14px', color: '#1e40af' }}>
+            {truck.notes.map((note, idx) => (
+              <div key={idx}>ℹ️ {note}</div>
+            ))}
+          </div>
+        )}
+
+        {truck.warnings.length > 0 && (
+          <div style={{
+            marginTop: '12px',
+            padding: '12px 16px',
+            background: '#fef3c7',
+            border: '1px solid #fcd34d',
+            borderRadius: '8px',
+            color: '#92400e',
+            fontSize: '14px',
+          }}>
+            {truck.warnings.map((warning, idx) => (
+              <div key={idx}>⚠️ {warning}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Main LoadPlanView component
+export default function LoadPlanView({ results, quoteNumber, onClose }) {
+  const [trailerType, setTrailerType] = useState('53-dry-van')
+  const [allowDoubleStack, setAllowDoubleStack] = useState(true)
+  const [stops, setStops] = useState({})
+
+  const pallets = results?.pallets || []
+
+  const plan = useMemo(() => {
+    if (pallets.length === 0) return null
+    return planTruckLoad(pallets, { trailerType, allowDoubleStack, stops })
+  }, [pallets, trailerType, allowDoubleStack, stops])
+
+  if (!results || !plan) return null
+
+  const stopCount = Math.max(1, ...Object.values(stops))
+
+  const handleStopChange = (palletId, value) => {
+    setStops(prev => ({
+      ...prev,
+      [palletId]: parseInt(value) || 1,
+    }))
+  }
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: '#f1f5f9',
+      zIndex: 1000,
+      overflow: 'auto',
+      fontFamily: 'system-ui, -apple-system, sans-serif',
+    }}>
+      {/* Header */}
+      <div style={{
+        background: '#1e293b',
+        color: 'white',
+        padding: '16px 20px',
+        position: 'sticky',
+        top: 0,
+        zIndex: 10,
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          maxWidth: '1000px',
+          margin: '0 auto',
+        }}>
+          <div>
+            <div style={{ fontSize: '24px', fontWeight: 'bold' }}>🚛 TRUCK LOAD PLAN</div>
+            <div style={{ fontSize: '14px', opacity: 0.9, marginTop: '4px' }}>
+              {quoteNumber && <span style={{ marginRight: '12px' }}>{quoteNumber}</span>}
+              {pallets.length} pallets → {plan.totalTrucks} × {plan.trailer.name}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '12px 24px',
+              background: 'rgba(255,255,255,0.2)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              fontSize: '16px',
+              fontWeight: '600',
+              cursor: 'pointer',
+            }}
+          >
+            ✕ Close
+          </button>
+        </div>
+      </div>
+
+      <div style={{ maxWidth: '1000px', margin: '20px auto', padding: '0 20px' }}>
+        {/* Trailer + options */}
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+          {Object.entries(TRAILERS).map(([key, trailer]) => (
+            <button
+              key={key}
+              onClick={() => setTrailerType(key)}
+              style={{
+                padding: '10px 18px',
+                background: trailerType === key ? '#2563eb' : 'white',
+                color: trailerType === key ? 'white' : '#374151',
+                border: trailerType === key ? 'none' : '1px solid #d1d5db',
+                borderRadius: '8px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              {trailer.name}
+            </button>
+          ))}
+          <label style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            marginLeft: 'auto',
+            fontSize: '14px',
+            color: '#374151',
+          }}>
+            <input
+              type="checkbox"
+              checked={allowDoubleStack}
+              onChange={(e) => setAllowDoubleStack(e.target.checked)}
+            />
+            Allow double stacking
+          </label>
+        </div>
+
+        {/* Summary */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(4, 1fr)',
+          gap: '12px',
+          marginBottom: '20px',
+        }}>
+          {[
+            { label: 'Trucks', value: plan.totalTrucks, color: '#2563eb' },
+            { label: 'Total Lbs', value: plan.totalWeight.toLocaleString(), color: '#7c3aed' },
+            { label: 'Linear Ft', value: plan.trucks.reduce((sum, t) => sum + t.linearFeet, 0), color: '#059669' },
+            { label: 'Stops', value: stopCount, color: '#dc2626' },
+          ].map((stat, idx) => (
+            <div key={idx} style={{
+              background: 'white',
+              borderRadius: '12px',
+              padding: '16px',
+              textAlign: 'center',
+              boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+            }}>
+              <div style={{ fontSize: '24px', fontWeight: 'bold', color: stat.color }}>{stat.value}</div>
+              <div style={{ fontSize: '12px', color: '#64748b', textTransform: 'uppercase' }}>{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Unload stops */}
+        <div style={{
+          background: 'white',
+          borderRadius: '12px',
+          padding: '16px',
+          marginBottom: '20px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+        }}>
+          <div style={{ fontWeight: '600', color: '#1e293b', marginBottom: '8px' }}>
+            Unload stops <span style={{ fontWeight: '400', color: '#64748b', fontSize: '13px' }}>
+              (stop 1 comes off first - loaded at the door)
+            </span>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            {pallets.map((pallet, idx) => {
+              const id = pallet.id ?? idx + 1
+              const stop = stops[id] ?? pallet.stop ?? 1
+              return (
+                <label key={id} style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '6px 10px',
+                  borderRadius: '6px',
+                  border: `2px solid ${getStopColor(stop)}`,
+                  fontSize: '13px',
+                }}>
+                  P{id}
+                  <select value={stop} onChange={(e) => handleStopChange(id, e.target.value)}>
+                    {Array.from({ length: Math.min(pallets.length, STOP_COLORS.length) }, (_, i) => (
+                      <option key={i + 1} value={i + 1}>Stop {i + 1}</option>
+                    ))}
+                  </select>
+                </label>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Pallets that cannot go on this trailer */}
+        {plan.unplaced.length > 0 && (
+          <div style={{
+            padding: '12px 16px',
+            background: '#fee2e2',
+            border: '1px solid #fca5a5',
+            borderRadius: '8px',
+            marginBottom: '20px',
+            color: '#991b1b',
+            fontSize: '14px',
+          }}>
+            <strong>🚨 Cannot load on {plan.trailer.name}:</strong>
+            {plan.unplaced.map(p => (
+              <div key={p.id}>Pallet {p.id} ({p.dims.join('×')}", {p.weight.toLocaleString()} lbs) - {p.reason}</div>
+            ))}
+          </div>
+        )}
+
+        {/* Truck cards */}
+        {plan.trucks.map(truck => (
+          <TruckCard key={truck.id} truck={truck} trailer={plan.trailer} totalTrucks={plan.totalTrucks} />
+        ))}
+
+        <div style={{ height: '100px' }} />
+      </div>
+    </div>
+  )
+}
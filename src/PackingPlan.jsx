@@ -1,4 +1,9 @@
 import { useState, useRef, useEffect } from 'react'
+import { classifySku } from './skuClassifier.js'
+import { getLayerPriority } from './layerPriority.js'
+import { RULES_VERSION } from './rulesVersion.js'
+
+const ADJUSTMENT_ENDPOINT = '/api/log-adjustment'
 
 /**
  * PackingPlan Component
@@ -14,6 +19,7 @@ const PRODUCT_COLORS = {
   'vr1': '#8b5cf6',        // VR1 - light purple
   'dd4': '#dc2626',        // DD4 - red
   'dd6': '#b91c1c',        // DD6 - dark red
+  'dsdd': '#991b1b',       // Double sided DD - darker red
   'sm10x': '#d97706',      // SkateDock - orange
   'dismount': '#0891b2',   // Dismount - cyan
   'hr101': '#16a34a',      // Hoop Runner - green
@@ -32,92 +38,33 @@ const PRODUCT_COLORS = {
   'default': '#9ca3af'
 }
 
-// Packing priority (lower = pack first / bottom)
-const PACKING_PRIORITY = {
-  'dd4': 1, 'dd6': 1,           // DD goes on own pallets, first
-  'mbv1': 2, 'mbv2': 2,         // Lockers - heavy, own pallets
-  'visi1': 2, 'visi2': 2,
-  'ss120': 3, 'ss95': 3,        // Base stations - long, grouped
-  'ss66': 3, 'ssa114': 3,
-  'sik120': 4, 'sik114': 4,     // SIK struts - long
-  'sik86': 4, 'sik57': 4,
-  'vr2': 5, 'vr1': 5,           // VR - medium, stackable
-  'dv215': 6,                   // Varsity - light, top
-  'sm10x': 6, 'dismount': 6,    // Light items on top
-  'hr101': 6,
-  'default': 7
+function getProductKey(item) {
+  return classifySku(item.sku, item.family, item.displayName).key || 'default'
 }
 
-function getProductKey(sku) {
-  const skuLower = (sku || '').toLowerCase()
-  
-  // Varsity
-  if (skuLower.includes('dv215') || skuLower.includes('varsity')) return 'dv215'
-  if (skuLower.startsWith('80101-008') || skuLower.startsWith('80301-008')) return 'dv215'
-  if (skuLower.startsWith('80101-028') || skuLower.startsWith('80301-028')) return 'dv215'
-  if (skuLower.startsWith('90101-2287')) return 'dv215'
-  
-  // VR
-  if (skuLower.includes('vr2') || skuLower.includes('vr-vr2')) return 'vr2'
-  if (skuLower.includes('vr1') || skuLower.includes('vr-vr1')) return 'vr1'
-  
-  // DD
-  if (skuLower.includes('dd-04') || skuLower.includes('dd4') || skuLower.includes('dd-ss-04')) return 'dd4'
-  if (skuLower.includes('dd-06') || skuLower.includes('dd6') || skuLower.includes('dd-ss-06')) return 'dd6'
-  
-  // Lockers
-  if (skuLower.includes('mbv-1') || skuLower.includes('mbv1')) return 'mbv1'
-  if (skuLower.includes('mbv-2') || skuLower.includes('mbv2')) return 'mbv2'
-  if (skuLower.includes('visi-1') || skuLower.includes('visi1')) return 'visi1'
-  if (skuLower.includes('visi-2') || skuLower.includes('visi2')) return 'visi2'
-  
-  // SkateDock
-  if (skuLower.includes('sm10') || skuLower.includes('skatedock')) return 'sm10x'
-  
-  // Dismount
-  if (skuLower.includes('dismount') || skuLower.startsWith('89901-205')) return 'dismount'
-  
-  // Hoop Runner
-  if (skuLower.includes('hr101') || skuLower.includes('hr-101')) return 'hr101'
-  
-  // Base stations
-  if (skuLower.includes('ss120') || skuLower.includes('ss-120')) return 'ss120'
-  if (skuLower.includes('ss95') || skuLower.includes('ss-95')) return 'ss95'
-  if (skuLower.includes('ss66') || skuLower.includes('ss-66')) return 'ss66'
-  if (skuLower.includes('ssa114')) return 'ssa114'
-  if (skuLower.includes('ssa86')) return 'ssa86'
-  
-  // SIK struts
-  if (skuLower.includes('sik120')) return 'sik120'
-  if (skuLower.includes('sik114')) return 'sik114'
-  if (skuLower.includes('sik86')) return 'sik86'
-  if (skuLower.includes('sik57')) return 'sik57'
-  
-  return 'default'
-}
-
-function getColor(sku) {
-  const key = getProductKey(sku)
+function getColor(item) {
+  const key = getProductKey(item)
   return PRODUCT_COLORS[key] || PRODUCT_COLORS.default
 }
 
-function getPriority(sku) {
-  const key = getProductKey(sku)
-  return PACKING_PRIORITY[key] || PACKING_PRIORITY.default
+// Layer order priority - built-in, or the matrix's accepted layerPriority rules
+function getPriority(item, matrix) {
+  return getLayerPriority(getProductKey(item), matrix)
 }
 
 /**
  * Generate a detailed packing plan from order items
+ * @param {Object} matrix - Mixing matrix (layerPriority overrides), bundled one if not given
  */
-export function generatePackingPlan(orderItems, palletResults) {
+export function generatePackingPlan(orderItems, palletResults, matrix) {
   if (!orderItems || orderItems.length === 0) return null
   
   // Expand items into individual units with metadata
   const units = []
   orderItems.forEach(item => {
-    const key = getProductKey(item.sku)
-    const priority = getPriority(item.sku)
-    const color = getColor(item.sku)
+    const key = getProductKey(item)
+    const priority = getPriority(item, matrix)
+    const color = getColor(item)
     const weight = item.packaged?.weight_lbs || 50
     const height = item.packaged?.height_in || 12
     
@@ -177,6 +124,7 @@ export function generatePackingPlan(orderItems, palletResults) {
         products: [{
           sku,
           name: items[0].name,
+          productKey: items[0].productKey,
           quantity: items.length,
           color: items[0].color
         }],
@@ -229,7 +177,8 @@ export function generatePackingPlan(orderItems, palletResults) {
   // Base station + mixable (can share)
   const shareableUnits = [...baseUnits, ...mixableUnits]
   if (shareableUnits.length > 0) {
-    shareableUnits.sort((a, b) => b.weight - a.weight)
+    // Layer priority first (so accepted layer rules apply here too), then heaviest first
+    shareableUnits.sort((a, b) => a.priority - b.priority || b.weight - a.weight)
     const unitsPerPallet = 60
     for (let i = 0; i < shareableUnits.length; i += unitsPerPallet) {
       const batch = shareableUnits.slice(i, i + unitsPerPallet)
@@ -246,6 +195,23 @@ export function generatePackingPlan(orderItems, palletResults) {
   }
 }
 
+/**
+ * Layer order of a plan, bottom → top, as logged with adjustments
+ * → [{ id, type, layers: [{ sku, productKey, quantity }] }]
+ */
+export function summarizeLayers(plan) {
+  return plan.pallets.map(pallet => ({
+    id: pallet.id,
+    type: pallet.type,
+    layers: pallet.layers.map(layer => ({
+      sku: layer.products[0].sku,
+      name: layer.products[0].name,
+      productKey: layer.products[0].productKey,
+      quantity: layer.products[0].quantity,
+    })),
+  }))
+}
+
 /**
  * Draggable Layer Component
  */
@@ -338,8 +304,9 @@ function DropZone({ palletId, index, onDragOver, onDrop, isActive }) {
 /**
  * PackingPlan visualization component with drag-and-drop reordering
  */
-export default function PackingPlan({ orderItems, results, onAdjustment }) {
+export default function PackingPlan({ orderItems, results, compatibility, quoteNumber, onAdjustment }) {
   const [plan, setPlan] = useState(null)
+  const originalRef = useRef(null) // Layer order as generated, logged with every adjustment
   const [editMode, setEditMode] = useState(false)
   const [adjustments, setAdjustments] = useState([])
   const [dragState, setDragState] = useState({ 
@@ -350,21 +317,21 @@ export default function PackingPlan({ orderItems, results, onAdjustment }) {
     targetIndex: null 
   })
   
-  // Auto-generate plan when results change
+  // Generate a fresh plan and remember its layer order
+  const generate = () => {
+    const newPlan = generatePackingPlan(orderItems, results, compatibility)
+    originalRef.current = newPlan && summarizeLayers(newPlan)
+    setPlan(newPlan)
+  }
+
+  // Auto-generate plan when results (or accepted layer rules) change
   useEffect(() => {
     if (results && results.totalPallets > 0 && orderItems.length > 0) {
-      const newPlan = generatePackingPlan(orderItems, results)
-      setPlan(newPlan)
+      generate()
     } else {
       setPlan(null)
     }
-  }, [results, orderItems])
-  
-  // Manual regenerate (for reset button)
-  const handleGeneratePlan = () => {
-    const newPlan = generatePackingPlan(orderItems, results)
-    setPlan(newPlan)
-  }
+  }, [results, orderItems, compatibility])
   
   // Drag handlers
   const handleDragStart = (e, palletId, layerIndex) => {
@@ -407,71 +374,69 @@ export default function PackingPlan({ orderItems, results, onAdjustment }) {
     }
     
     // Update the plan with reordered layers
-    setPlan(prevPlan => {
-      const newPlan = { ...prevPlan, pallets: [...prevPlan.pallets] }
+    const newPlan = { ...plan, pallets: [...plan.pallets] }
+    
+    if (sourcePalletId === targetPalletId) {
+      // Reordering within the same pallet
+      const palletIndex = newPlan.pallets.findIndex(p => p.id === sourcePalletId)
+      const pallet = { ...newPlan.pallets[palletIndex] }
+      const layers = [...pallet.layers]
       
-      if (sourcePalletId === targetPalletId) {
-        // Reordering within the same pallet
-        const palletIndex = newPlan.pallets.findIndex(p => p.id === sourcePalletId)
-        const pallet = { ...newPlan.pallets[palletIndex] }
-        const layers = [...pallet.layers]
-        
-        // Remove from source
-        const [movedLayer] = layers.splice(sourceIndex, 1)
-        
-        // Insert at target (adjust index if needed)
-        const insertIndex = targetIndex > sourceIndex ? targetIndex - 1 : targetIndex
-        layers.splice(insertIndex, 0, movedLayer)
-        
-        // Renumber layers
-        layers.forEach((layer, idx) => {
-          layer.layerNumber = idx + 1
-        })
-        
-        pallet.layers = layers
-        newPlan.pallets[palletIndex] = pallet
-      } else {
-        // Moving between pallets
-        const sourcePalletIndex = newPlan.pallets.findIndex(p => p.id === sourcePalletId)
-        const targetPalletIndex = newPlan.pallets.findIndex(p => p.id === targetPalletId)
-        
-        const sourcePallet = { ...newPlan.pallets[sourcePalletIndex] }
-        const targetPallet = { ...newPlan.pallets[targetPalletIndex] }
-        
-        const sourceLayers = [...sourcePallet.layers]
-        const targetLayers = [...targetPallet.layers]
-        
-        // Remove from source
-        const [movedLayer] = sourceLayers.splice(sourceIndex, 1)
-        
-        // Insert at target
-        targetLayers.splice(targetIndex, 0, movedLayer)
-        
-        // Renumber both pallets
-        sourceLayers.forEach((layer, idx) => layer.layerNumber = idx + 1)
-        targetLayers.forEach((layer, idx) => layer.layerNumber = idx + 1)
-        
-        // Update weights
-        const movedWeight = movedLayer.layerWeight
-        sourcePallet.totalWeight -= movedWeight
-        targetPallet.totalWeight += movedWeight
-        
-        sourcePallet.layers = sourceLayers
-        targetPallet.layers = targetLayers
-        
-        newPlan.pallets[sourcePalletIndex] = sourcePallet
-        newPlan.pallets[targetPalletIndex] = targetPallet
-        
-        // Remove empty pallets
-        newPlan.pallets = newPlan.pallets.filter(p => p.layers.length > 0)
-        newPlan.totalPallets = newPlan.pallets.length
-      }
+      // Remove from source
+      const [movedLayer] = layers.splice(sourceIndex, 1)
       
-      return newPlan
-    })
+      // Insert at target (adjust index if needed)
+      const insertIndex = targetIndex > sourceIndex ? targetIndex - 1 : targetIndex
+      layers.splice(insertIndex, 0, movedLayer)
+      
+      // Renumber layers
+      layers.forEach((layer, idx) => {
+        layer.layerNumber = idx + 1
+      })
+      
+      pallet.layers = layers
+      newPlan.pallets[palletIndex] = pallet
+    } else {
+      // Moving between pallets
+      const sourcePalletIndex = newPlan.pallets.findIndex(p => p.id === sourcePalletId)
+      const targetPalletIndex = newPlan.pallets.findIndex(p => p.id === targetPalletId)
+      
+      const sourcePallet = { ...newPlan.pallets[sourcePalletIndex] }
+      const targetPallet = { ...newPlan.pallets[targetPalletIndex] }
+      
+      const sourceLayers = [...sourcePallet.layers]
+      const targetLayers = [...targetPallet.layers]
+      
+      // Remove from source
+      const [movedLayer] = sourceLayers.splice(sourceIndex, 1)
+      
+      // Insert at target
+      targetLayers.splice(targetIndex, 0, movedLayer)
+      
+      // Renumber both pallets
+      sourceLayers.forEach((layer, idx) => layer.layerNumber = idx + 1)
+      targetLayers.forEach((layer, idx) => layer.layerNumber = idx + 1)
+      
+      // Update weights
+      const movedWeight = movedLayer.layerWeight
+      sourcePallet.totalWeight -= movedWeight
+      targetPallet.totalWeight += movedWeight
+      
+      sourcePallet.layers = sourceLayers
+      targetPallet.layers = targetLayers
+      
+      newPlan.pallets[sourcePalletIndex] = sourcePallet
+      newPlan.pallets[targetPalletIndex] = targetPallet
+      
+      // Remove empty pallets
+      newPlan.pallets = newPlan.pallets.filter(p => p.layers.length > 0)
+      newPlan.totalPallets = newPlan.pallets.length
+    }
+    
+    setPlan(newPlan)
     
     // Log the adjustment
-    logAdjustment(targetPalletId, 'layer-reordered', {
+    logAdjustment(targetPalletId, 'layer-reordered', newPlan, {
       from: { pallet: sourcePalletId, index: sourceIndex },
       to: { pallet: targetPalletId, index: targetIndex }
     })
@@ -483,16 +448,34 @@ export default function PackingPlan({ orderItems, results, onAdjustment }) {
     setDragState({ dragging: false, sourcePallet: null, sourceIndex: null, targetPallet: null, targetIndex: null })
   }
   
-  // Log an adjustment
-  const logAdjustment = (palletId, change, details = {}) => {
+  // Log an adjustment (stored for the review queue in the Rules screen)
+  const logAdjustment = (palletId, change, adjustedPlan, details = {}) => {
     const adjustment = {
       timestamp: new Date().toISOString(),
       palletId,
+      palletType: adjustedPlan.pallets.find(p => p.id === palletId)?.type,
       change,
       details,
+      quoteNumber: quoteNumber || null,
+      planSignature: results.signature || null,
+      rulesVersion: RULES_VERSION,
+      originalPlan: originalRef.current,
+      adjustedPlan: summarizeLayers(adjustedPlan),
       orderSnapshot: orderItems.map(i => ({ sku: i.sku, qty: i.qty }))
     }
     setAdjustments(prev => [...prev, adjustment])
+
+    fetch(ADJUSTMENT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(adjustment),
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error)
+        console.log(`🧱 Adjustment ${data.adjustmentId} logged for review`)
+      })
+      .catch(err => console.warn('🧱 Adjustment not logged:', err.message))
     
     if (onAdjustment) {
       onAdjustment(adjustment)
@@ -501,8 +484,7 @@ export default function PackingPlan({ orderItems, results, onAdjustment }) {
   
   // Reset to original
   const handleReset = () => {
-    const newPlan = generatePackingPlan(orderItems, results)
-    setPlan(newPlan)
+    generate()
     setAdjustments([])
   }
   
@@ -806,7 +788,7 @@ export default function PackingPlan({ orderItems, results, onAdjustment }) {
             }}>
               <strong>✅ Adjustments Made ({adjustments.length})</strong>
               <p style={{ margin: '8px 0 0 0', fontSize: '0.875rem', color: '#166534' }}>
-                Your reordering changes have been logged for learning.
+                Your reordering changes have been logged for review - an admin can turn them into layer order rules.
               </p>
             </div>
           )}
@@ -8,6 +8,7 @@
 
 import { useMemo, useState } from 'react'
 import { generatePDF, isPDFSupported } from './utils/pdfExport'
+import { describeOverhang } from './palletBases'
 
 // Print styles - injected when printing
 const printStyles = `
@@ -82,7 +83,15 @@ function PalletSection({ pallet, palletNumber, totalPallets }) {
           </div>
           <div style={{ fontSize: '14px', opacity: 0.9 }}>
             {pallet.dims?.[0] || 48}" × {pallet.dims?.[1] || 40}" × {pallet.dims?.[2] || 48}"
+            {pallet.baseLabel && <> • {pallet.baseLabel}</>}
+            {pallet.overhang?.max > 0 && <> • overhang {describeOverhang(pallet.overhang)}</>}
           </div>
+          {pallet.freightClass && (
+            <div style={{ fontSize: '14px', fontWeight: 'bold' }}>
+              Class {pallet.freightClass}
+              {pallet.density ? <span style={{ fontWeight: 'normal', opacity: 0.9 }}> • {pallet.density} lbs/ft³</span> : null}
+            </div>
+          )}
         </div>
       </div>
 
@@ -308,6 +317,11 @@ export default function PackingSlip({ results, quoteNumber, onClose }) {
             <div style={{ fontSize: '14px', color: '#64748b' }}>
               {formatDate()}
             </div>
+            {results.signature && (
+              <div style={{ fontSize: '12px', color: '#64748b' }}>
+                Plan {results.signature}{results.manualEdits?.length > 0 && ' (edited by hand)'}
+              </div>
+            )}
           </div>
         </div>
 
@@ -3,6 +3,9 @@ import { OrbitControls, Html, useGLTF, Center } from '@react-three/drei'
 import { useState, useRef, useMemo, Suspense, useEffect } from 'react'
 import * as THREE from 'three'
 import { getProductModelKey, PRODUCT_MODELS, DD_COMPONENTS } from './productModels'
+import { calculateCenterOfGravity } from './binPacking3D'
+import { describeOverhang } from './palletBases'
+import { getEditBlocker, getMoveBlocker, moveBox, rotateBox, transferBox } from './planEditor'
 
 // Product family colors (fallback when no model)
 const FAMILY_COLORS = {
@@ -76,11 +79,11 @@ function getDDComponents(item) {
   if (key !== 'dd4' && key !== 'dd6') return []
   
   const qty = item.qty || 1
-  const isDD6 = key === 'dd6'
+  const bom = PRODUCT_MODELS[key].bom || []
   
   const components = []
   Object.entries(DD_COMPONENTS).forEach(([compKey, comp]) => {
-    const perUnit = isDD6 ? comp.perDD6 : comp.perDD4
+    const perUnit = bom.find(line => line.child === compKey)?.qty || 0
     const totalQty = qty * perUnit
     if (totalQty > 0) {
       components.push({
@@ -471,6 +474,42 @@ function DDComponentOnPallet({ component, position, scale = 0.4, overrideColor =
   return <FallbackBox position={adjustedPosition} size={size} color={color} opacity={opacity} />
 }
 
+// Center of gravity marker: sphere at the COG with a plumb line down to the deck
+// Red when the COG is top-heavy or off-center, green when within limits
+function CogMarker({ cog, palletWidth, palletDepth, scale = 0.5 }) {
+  const x = cog.x * scale - palletWidth / 2
+  const y = cog.y * scale + 3 * scale // +3 for pallet base height
+  const z = cog.z * scale - palletDepth / 2
+  const color = cog.warnings?.length ? '#dc2626' : '#16a34a'
+  const lineHeight = cog.y * scale
+
+  return (
+    <group>
+      <mesh position={[x, y, z]}>
+        <sphereGeometry args={[1.2, 16, 16]} />
+        <meshStandardMaterial color={color} depthTest={false} transparent opacity={0.9} />
+      </mesh>
+      <mesh position={[x, 3 * scale + lineHeight / 2, z]}>
+        <cylinderGeometry args={[0.15, 0.15, lineHeight, 8]} />
+        <meshStandardMaterial color={color} depthTest={false} transparent opacity={0.7} />
+      </mesh>
+      <Html position={[x, y + 2.5, z]} center style={{ pointerEvents: 'none' }}>
+        <div style={{
+          background: color,
+          color: 'white',
+          padding: '2px 6px',
+          borderRadius: '3px',
+          fontSize: '11px',
+          fontWeight: '600',
+          whiteSpace: 'nowrap',
+        }}>
+          COG {cog.y}"
+        </div>
+      </Html>
+    </group>
+  )
+}
+
 // Pallet base - standard 48" x 40" pallet
 function PalletBase({ width = 24, depth = 20, scale = 0.5 }) {
   // Standard pallet is 48" x 40" x 6" tall
@@ -504,12 +543,34 @@ function PalletBase({ width = 24, depth = 20, scale = 0.5 }) {
   )
 }
 
+// Shipping footprint outline when the load overhangs the deck
+// offsetX/offsetZ: footprint center relative to the deck center
+function FootprintOutline({ width, depth, offsetX = 0, offsetZ = 0, scale = 0.5 }) {
+  return (
+    <mesh position={[offsetX, 3 * scale + 0.05, offsetZ]}>
+      <boxGeometry args={[width, 0.1, depth]} />
+      <meshStandardMaterial color="#f59e0b" transparent opacity={0.35} />
+    </mesh>
+  )
+}
+
 // Check if item is a DD component (dd-slide, dd-lower, dd-leg, dd-manifold)
 function isDDComponent(item) {
   const sku = String(item?.sku || '').toLowerCase()
   return sku.startsWith('dd-') && !sku.includes('dd-ss') && !sku.includes('dd-ds')
 }
 
+// Outline around the box picked for editing
+function SelectionOutline({ position, size }) {
+  const geometry = useMemo(() => new THREE.BoxGeometry(...size), [size[0], size[1], size[2]])
+  return (
+    <lineSegments position={position}>
+      <edgesGeometry args={[geometry]} />
+      <lineBasicMaterial color="#f97316" />
+    </lineSegments>
+  )
+}
+
 // Animated item wrapper - smoothly transitions position
 function AnimatedItem({ children, targetPosition }) {
   const groupRef = useRef()
@@ -531,7 +592,7 @@ function AnimatedItem({ children, targetPosition }) {
 }
 
 // Main 3D pallet scene
-function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', showLayerColors = false, layerColors = [], showLabels = false }) {
+function PalletScene({ pallet, cog = null, exploded, showComponents, activeLayer = 'all', showLayerColors = false, layerColors = [], showLabels = false, showCog = false, selectedBox = null, onSelectBox = null }) {
   const scale = 0.5 // Increased scale for better visibility
   
   const products = useMemo(() => {
@@ -546,9 +607,11 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
       console.log('🎯 DEBUG BOX POSITIONS:\n' + debugInfo)
       console.log('🎯 Using exact 3D positions for pallet', pallet.id, 'boxes:', pallet.boxes.map(b => ({ y: b.y, h: b.h })))
       
-      // Calculate center for explode effect
-      const palletL = (pallet.dims?.[0] || 48) * scale
-      const palletW = (pallet.dims?.[1] || 40) * scale
+      // Calculate center for explode effect (box coords are from the deck corner,
+      // dims are the shipping footprint when the load overhangs)
+      const deckDims = pallet.overhang?.deck || pallet.dims || [48, 40]
+      const palletL = (deckDims[0] || 48) * scale
+      const palletW = (deckDims[1] || 40) * scale
       
       pallet.boxes.forEach((box, idx) => {
         const item = box.item || {}
@@ -594,6 +657,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
             },
             position: [x + explodeX, y + explodeY, z + explodeZ],
             basePosition: [x, y, z],
+            boxIndex: idx,
           })
         } else {
           result.push({
@@ -607,6 +671,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
             },
             position: [x + explodeX, y + explodeY, z + explodeZ],
             basePosition: [x, y, z],
+            boxIndex: idx,
           })
         }
       })
@@ -786,7 +851,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
           labelMap.set(key, { qty: 0, name: shortName, positions: [] })
         }
         const entry = labelMap.get(key)
-        entry.qty += 1
+        entry.qty += p.item?.nestedQty || 1 // Nested stack box = several units
         entry.positions.push(p.position)
       } else if (p.type === 'dd-component') {
         const key = p.component?.key || 'dd-component'
@@ -831,8 +896,16 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
   }, [filteredProducts, showLabels])
   
   const palletDims = pallet.dims || [48, 40]
-  const palletWidth = palletDims[0] * scale
-  const palletDepth = palletDims[1] * scale
+  const overhang = pallet.overhang
+  const deckDims = overhang?.deck || palletDims
+  const palletWidth = deckDims[0] * scale
+  const palletDepth = deckDims[1] * scale
+
+  // Tap a box to pick it for editing (nearest box only)
+  const selectable = (boxIndex) => onSelectBox && boxIndex != null
+    ? { onClick: (e) => { e.stopPropagation(); onSelectBox(boxIndex) } }
+    : {}
+  const selected = selectedBox != null ? pallet.boxes?.[selectedBox] : null
   
   return (
     <>
@@ -841,6 +914,15 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
       <directionalLight position={[-10, 10, -10]} intensity={0.4} />
       
       <PalletBase width={palletWidth} depth={palletDepth} scale={scale} />
+      {overhang?.max > 0 && (
+        <FootprintOutline
+          width={overhang.footprint[0] * scale}
+          depth={overhang.footprint[1] * scale}
+          offsetX={(overhang.right - overhang.left) / 2 * scale}
+          offsetZ={(overhang.front - overhang.back) / 2 * scale}
+          scale={scale}
+        />
+      )}
       
       {/* Dimension labels */}
       {/* Length label (X axis) */}
@@ -854,7 +936,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
           fontWeight: '600',
           whiteSpace: 'nowrap',
         }}>
-          {palletDims[0]}"
+          {deckDims[0]}"{overhang?.left + overhang?.right > 0 && ` → ${palletDims[0]}"`}
         </div>
       </Html>
       
@@ -869,7 +951,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
           fontWeight: '600',
           whiteSpace: 'nowrap',
         }}>
-          {palletDims[1]}"
+          {deckDims[1]}"{overhang?.back + overhang?.front > 0 && ` → ${palletDims[1]}"`}
         </div>
       </Html>
       
@@ -896,7 +978,7 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
         // DIRECT POSITIONING - bypass AnimatedItem for DD components
         if (p.type === 'dd-component') {
           return (
-            <group key={`item-${idx}`} position={p.position}>
+            <group key={`item-${idx}`} position={p.position} {...selectable(p.boxIndex)}>
               <DDComponentOnPallet 
                 component={p.component}
                 position={[0, 0, 0]}
@@ -909,17 +991,30 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
         }
         
         return (
-          <AnimatedItem key={`item-${idx}`} targetPosition={p.position}>
-            <ProductOnPallet 
-              item={p.item} 
-              position={[0, 0, 0]}
-              scale={scale}
-              overrideColor={layerColor}
-              opacity={isDimmed ? 0.3 : 1}
-            />
-          </AnimatedItem>
+          <group key={`item-${idx}`} {...selectable(p.boxIndex)}>
+            <AnimatedItem targetPosition={p.position}>
+              <ProductOnPallet 
+                item={p.item} 
+                position={[0, 0, 0]}
+                scale={scale}
+                overrideColor={layerColor}
+                opacity={isDimmed ? 0.3 : 1}
+              />
+            </AnimatedItem>
+          </group>
         )
       })}
+
+      {selected && !exploded && (
+        <SelectionOutline
+          position={[
+            (selected.x + selected.l / 2) * scale - palletWidth / 2,
+            (selected.y + selected.h / 2) * scale + 3 * scale,
+            (selected.z + selected.w / 2) * scale - palletDepth / 2,
+          ]}
+          size={[selected.l * scale + 0.4, selected.h * scale + 0.4, selected.w * scale + 0.4]}
+        />
+      )}
       
       {/* Floating product labels */}
       {showLabels && uniqueLabels.map((label, idx) => (
@@ -947,6 +1042,11 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
         </Html>
       ))}
       
+      {/* Center of gravity marker */}
+      {showCog && cog && !exploded && (
+        <CogMarker cog={cog} palletWidth={palletWidth} palletDepth={palletDepth} scale={scale} />
+      )}
+      
       {/* Ground plane */}
       <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.5, 0]}>
         <planeGeometry args={[100, 100]} />
@@ -956,13 +1056,71 @@ function PalletScene({ pallet, exploded, showComponents, activeLayer = 'all', sh
   )
 }
 
+// How far one nudge moves a box being edited (inches)
+const NUDGE_STEPS = [1, 6, 12]
+
+const editButtonStyle = {
+  padding: '6px 12px',
+  background: 'white',
+  color: '#1f2937',
+  border: '1px solid #fdba74',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+}
+
 // Exported component
-export default function PalletViewer3D({ pallet }) {
+// Box editing (planEditor.js) when given the whole plan (`result`) and `onEdit(newResult, palletId)`
+export default function PalletViewer3D({ pallet, result = null, compatibility, onEdit = null }) {
   const [exploded, setExploded] = useState(false)
   const [showComponents, setShowComponents] = useState(true)
   const [activeLayer, setActiveLayer] = useState('all') // 'all' or layer number
   const [showLayerColors, setShowLayerColors] = useState(false)
   const [showLabels, setShowLabels] = useState(false) // Toggle 3D product labels
+  const [showCog, setShowCog] = useState(true) // Toggle center of gravity marker
+  const [editing, setEditing] = useState(false)
+  const [selection, setSelection] = useState(null) // { palletId, boxIndex } - follows a box moved to another pallet
+  const [nudgeStep, setNudgeStep] = useState(NUDGE_STEPS[0])
+  const [transferTo, setTransferTo] = useState('')
+  const [editError, setEditError] = useState(null)
+
+  const canEdit = Boolean(onEdit && result)
+  const editBlocker = canEdit ? getEditBlocker(pallet) : null
+  const selectedBox = editing && pallet && selection?.palletId === pallet.id ? selection.boxIndex : null
+  const selected = selectedBox != null ? pallet.boxes?.[selectedBox] : null
+  const transferTargets = canEdit
+    ? result.pallets.filter(p => p.id !== pallet?.id && !getEditBlocker(p))
+    : []
+
+  const selectBox = (boxIndex) => {
+    setSelection({ palletId: pallet.id, boxIndex })
+    setEditError(getMoveBlocker(pallet, boxIndex))
+  }
+
+  // Apply a planEditor edit ({ result, palletId, boxIndex } or { error }) → true if applied
+  const applyEdit = (edit) => {
+    if (edit.error) {
+      setEditError(edit.error)
+      return false
+    }
+    setEditError(null)
+    setSelection({ palletId: edit.palletId, boxIndex: edit.boxIndex })
+    onEdit(edit.result, edit.palletId)
+    return true
+  }
+
+  const nudge = (dx, dz) => applyEdit(moveBox(result, pallet.id, selectedBox, { x: selected.x + dx, z: selected.z + dz }))
+  const rotate = () => applyEdit(rotateBox(result, pallet.id, selectedBox))
+  const transfer = () => {
+    if (applyEdit(transferBox(result, pallet.id, selectedBox, Number(transferTo), { compatibility }))) setTransferTo('')
+  }
+  
+  // Center of gravity - use packer result when present, else compute from boxes
+  const cog = useMemo(() => {
+    if (!pallet) return null
+    if (pallet.cog) return pallet.cog
+    return calculateCenterOfGravity(pallet.boxes, pallet.overhang?.deck || pallet.dims || [48, 40])
+  }, [pallet])
   
   // Check if pallet has DD products
   const hasDD = useMemo(() => {
@@ -1133,6 +1291,46 @@ export default function PalletViewer3D({ pallet }) {
           >
             {showLabels ? '🏷️ Labels' : '🏷️ Labels'}
           </button>
+          
+          {cog && (
+            <button
+              onClick={() => setShowCog(!showCog)}
+              style={{
+                padding: '8px 16px',
+                background: showCog ? (cog.warnings?.length ? '#dc2626' : '#16a34a') : '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontWeight: '600',
+                fontSize: '0.875rem',
+              }}
+            >
+              ⚖️ COG
+            </button>
+          )}
+
+          {canEdit && (
+            <button
+              onClick={() => {
+                setEditing(!editing)
+                setExploded(false)
+                setEditError(null)
+              }}
+              style={{
+                padding: '8px 16px',
+                background: editing ? '#ea580c' : '#6b7280',
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontWeight: '600',
+                fontSize: '0.875rem',
+              }}
+            >
+              ✏️ Edit Boxes
+            </button>
+          )}
         </div>
         
         {/* Layer selector - shows when layer colors are on */}
@@ -1218,6 +1416,21 @@ export default function PalletViewer3D({ pallet }) {
           <div style={{ fontWeight: '600', marginBottom: '4px' }}>Pallet {pallet.id}</div>
           <div style={{ color: '#6b7280' }}>{pallet.dims?.[0] || 48}×{pallet.dims?.[1] || 40}×{pallet.dims?.[2] || 48}"</div>
           <div style={{ color: '#6b7280' }}>{pallet.weight?.toLocaleString()} lbs</div>
+          {pallet.overhang?.max > 0 && (
+            <div style={{ color: '#b45309' }}>
+              Overhang {describeOverhang(pallet.overhang)} - ships {pallet.dims[0]}×{pallet.dims[1]}"
+            </div>
+          )}
+          {cog && (
+            <div style={{ color: cog.warnings?.length ? '#dc2626' : '#6b7280' }}>
+              COG {cog.y}" high, {cog.offsetX}" / {cog.offsetZ}" off center
+            </div>
+          )}
+          {cog?.warnings?.map((warning, idx) => (
+            <div key={idx} style={{ color: '#dc2626', fontSize: '0.75rem', marginTop: '2px' }}>
+              ⚠️ {warning}
+            </div>
+          ))}
         </div>
         
         <Canvas
@@ -1245,6 +1458,10 @@ export default function PalletViewer3D({ pallet }) {
               showLayerColors={showLayerColors}
               layerColors={LAYER_COLORS}
               showLabels={showLabels}
+              cog={cog}
+              showCog={showCog}
+              selectedBox={selectedBox}
+              onSelectBox={editing && !editBlocker ? selectBox : null}
             />
           </Suspense>
           <OrbitControls 
@@ -1265,6 +1482,66 @@ export default function PalletViewer3D({ pallet }) {
         </Canvas>
       </div>
       
+      {/* Box editing - move / rotate / transfer the selected box */}
+      {editing && (
+        <div style={{
+          background: '#fff7ed',
+          padding: '12px 16px',
+          borderTop: '1px solid #fed7aa',
+          fontSize: '0.875rem',
+          color: '#1f2937',
+        }}>
+          {editBlocker ? (
+            <div style={{ color: '#9a3412' }}>Pallet {pallet.id} can't be edited box by box: {editBlocker}</div>
+          ) : !selected ? (
+            <div style={{ color: '#6b7280' }}>
+              Tap a box to select it. Boxes snap to edges and drop onto whatever is below; a box with others on top can't be moved.
+            </div>
+          ) : (
+            <>
+              <div style={{ fontWeight: '600', marginBottom: '8px' }}>
+                {selected.item?.sku || 'Box'} - {selected.l}×{selected.w}×{selected.h}" at {selected.x}", {selected.z}" ({selected.y}" up)
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+                {[
+                  ['◀ Left', -nudgeStep, 0],
+                  ['Right ▶', nudgeStep, 0],
+                  ['▲ Back', 0, -nudgeStep],
+                  ['Front ▼', 0, nudgeStep],
+                ].map(([label, dx, dz]) => (
+                  <button key={label} onClick={() => nudge(dx, dz)} style={editButtonStyle}>
+                    {label}
+                  </button>
+                ))}
+                <select value={nudgeStep} onChange={(e) => setNudgeStep(Number(e.target.value))} style={{ padding: '6px', borderRadius: '6px' }}>
+                  {NUDGE_STEPS.map(step => <option key={step} value={step}>{step}"</option>)}
+                </select>
+                <button onClick={rotate} style={editButtonStyle}>⟳ Rotate</button>
+                {transferTargets.length > 0 && (
+                  <>
+                    <select value={transferTo} onChange={(e) => setTransferTo(e.target.value)} style={{ padding: '6px', borderRadius: '6px' }}>
+                      <option value="">Move to pallet...</option>
+                      {transferTargets.map(p => <option key={p.id} value={p.id}>Pallet {p.id}</option>)}
+                    </select>
+                    <button onClick={transfer} disabled={!transferTo} style={{ ...editButtonStyle, opacity: transferTo ? 1 : 0.5 }}>
+                      Transfer
+                    </button>
+                  </>
+                )}
+              </div>
+            </>
+          )}
+          {editError && (
+            <div style={{ color: '#dc2626', marginTop: '8px' }}>⚠️ {editError}</div>
+          )}
+          {result?.manualEdits?.length > 0 && (
+            <div style={{ color: '#9a3412', marginTop: '8px', fontSize: '0.75rem' }}>
+              {result.manualEdits.length} manual edit{result.manualEdits.length > 1 ? 's' : ''} - plan {result.signature}. Save the plan to keep them as a new revision.
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Contents Legend - Below the 3D view */}
       <div style={{
         background: 'white',
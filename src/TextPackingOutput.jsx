@@ -51,6 +51,7 @@ export default function TextPackingOutput({ results, quoteNumber }) {
       quoteNumber: quoteNumber || null,
       shippingMethod: results.shippingMethod,
       totalItems: results.totalItems,
+      planSignature: results.signature,
     }
     
     return generatePackingSlip(results.pallets, orderInfo)
@@ -9,10 +9,14 @@
  * - Per-pallet notes
  * - Resume banner when loading saved state
  * - Reset checklist button
+ * - Shared progress: checks and notes sync to every tablet on the same
+ *   quote/SO and the office dashboard (/api/checklist, last change per item wins)
  */
 
 import { useState, useMemo, useEffect, useCallback, useRef } from 'react'
 import { saveChecklist, loadChecklist, clearChecklist } from './utils/checklistStorage'
+import { createChecklistSync, entryId, isNewer, getDeviceId, getPackerName, setPackerName } from './utils/checklistSync'
+import { describeOverhang } from './palletBases'
 
 // Large status badge
 function StatusBadge({ status }) {
@@ -94,6 +98,8 @@ function PalletCard({
           </div>
           <div style={{ fontSize: '16px', opacity: 0.9, marginTop: '4px' }}>
             {pallet.dims?.[0] || 48}" × {pallet.dims?.[1] || 40}" × {pallet.dims?.[2] || 48}"
+            {pallet.baseLabel && <> • {pallet.baseLabel}</>}
+            {pallet.overhang?.max > 0 && <> • overhang {describeOverhang(pallet.overhang)}</>}
           </div>
         </div>
         <div style={{ textAlign: 'right' }}>
@@ -266,6 +272,54 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
   const [isResuming, setIsResuming] = useState(false)
   const [resumeTime, setResumeTime] = useState(null)
   const saveTimeoutRef = useRef(null)
+  const [sync, setSync] = useState(null) // { state: 'live' | 'syncing' | 'offline', pending, order }
+  const [packer, setPacker] = useState(getPackerName)
+  const syncRef = useRef(null)
+  const entryTimesRef = useRef(new Map()) // entryId → { changedAt, deviceId } of the value shown
+  const noteTimersRef = useRef({})
+  const metaRef = useRef({})
+  const orderKey = String(quoteNumber || '').trim().toUpperCase()
+
+  metaRef.current = {
+    planSignature: results?.signature || null,
+    totalItems: (results?.pallets || []).reduce((sum, p) => sum + (p.items?.length || 0), 0),
+  }
+
+  // Apply entries from other tablets that are newer than what we show
+  const applyRemoteEntries = useCallback((entries) => {
+    const fresh = entries.filter(e => isNewer(e, entryTimesRef.current.get(entryId(e.kind, e.key))))
+    if (fresh.length === 0) return
+    fresh.forEach(e => entryTimesRef.current.set(entryId(e.kind, e.key), { changedAt: e.changedAt, deviceId: e.deviceId }))
+
+    const items = fresh.filter(e => e.kind === 'item')
+    const noteEntries = fresh.filter(e => e.kind === 'note')
+    if (items.length > 0) setCheckedItems(prev => ({ ...prev, ...Object.fromEntries(items.map(e => [e.key, e.value])) }))
+    if (noteEntries.length > 0) setNotes(prev => ({ ...prev, ...Object.fromEntries(noteEntries.map(e => [e.key, e.value])) }))
+  }, [])
+
+  // Shared progress for the order (quote/SO only - manual orders stay on this tablet)
+  useEffect(() => {
+    if (!orderKey) return
+    const checklistSync = createChecklistSync({
+      orderKey,
+      getMeta: () => metaRef.current,
+      onEntries: applyRemoteEntries,
+      onStatus: setSync,
+    })
+    syncRef.current = checklistSync
+    return () => {
+      checklistSync.stop()
+      syncRef.current = null
+      Object.values(noteTimersRef.current).forEach(clearTimeout)
+    }
+  }, [orderKey, applyRemoteEntries])
+
+  // Stamp a local change (newest wins against remote entries)
+  const recordChange = (kind, key, value) => {
+    const changedAt = new Date().toISOString()
+    entryTimesRef.current.set(entryId(kind, String(key)), { changedAt, deviceId: getDeviceId() })
+    return { kind, key: String(key), value, changedAt }
+  }
 
   // Load saved state on mount
   useEffect(() => {
@@ -274,6 +328,7 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
       if (saved) {
         setCheckedItems(saved.checkedItems || {})
         setNotes(saved.notes || {})
+        entryTimesRef.current = new Map(Object.entries(saved.entryTimes || {}))
         setIsResuming(true)
         setResumeTime(saved.updatedAt)
         
@@ -291,7 +346,7 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
     
     saveTimeoutRef.current = setTimeout(() => {
       if (quoteNumber) {
-        saveChecklist(quoteNumber, { checkedItems, notes })
+        saveChecklist(quoteNumber, { checkedItems, notes, entryTimes: Object.fromEntries(entryTimesRef.current) })
       }
     }, 300)
   }, [quoteNumber])
@@ -310,10 +365,12 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
   if (!results || !results.pallets) return null
 
   const handleItemCheck = (itemKey) => {
+    const checked = !checkedItems[itemKey]
     setCheckedItems(prev => ({
       ...prev,
-      [itemKey]: !prev[itemKey]
+      [itemKey]: checked
     }))
+    syncRef.current?.push([recordChange('item', itemKey, checked)])
 
     // Haptic feedback on mobile (if supported)
     if (navigator.vibrate) {
@@ -326,15 +383,31 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
       ...prev,
       [palletNumber]: value
     }))
+
+    // Sync once typing pauses, stamped with the last keystroke
+    const change = recordChange('note', palletNumber, value)
+    clearTimeout(noteTimersRef.current[palletNumber])
+    noteTimersRef.current[palletNumber] = setTimeout(() => syncRef.current?.push([change]), 600)
+  }
+
+  const handlePackerChange = (value) => {
+    setPacker(value)
+    setPackerName(value.trim())
   }
 
   const handleResetChecklist = () => {
     if (confirm('Reset all progress? This will clear all checked items and notes.')) {
+      // Reset is a change like any other - every tablet clears
+      const changes = [
+        ...Object.keys(checkedItems).filter(key => checkedItems[key]).map(key => recordChange('item', key, false)),
+        ...Object.keys(notes).filter(key => notes[key]).map(key => recordChange('note', key, '')),
+      ]
       setCheckedItems({})
       setNotes({})
       if (quoteNumber) {
         clearChecklist(quoteNumber)
       }
+      if (changes.length > 0) syncRef.current?.push(changes)
     }
   }
 
@@ -349,6 +422,14 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
   // Check if any notes exist
   const hasNotes = Object.values(notes).some(n => n && n.trim())
 
+  const otherPackers = (sync?.order?.packers || []).filter(name => name !== packer.trim())
+  const planMismatch = sync?.order?.planSignature && results.signature && sync.order.planSignature !== results.signature
+  const SYNC_LABELS = {
+    live: '🟢 Live',
+    syncing: '🔄 Syncing',
+    offline: `🟠 Offline - ${sync?.pending || 0} change(s) saved on this tablet`,
+  }
+
   return (
     <div style={{
       position: 'fixed',
@@ -384,8 +465,27 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
             </div>
             <div style={{ fontSize: '14px', opacity: 0.9, marginTop: '4px' }}>
               {quoteNumber && <span style={{ marginRight: '12px' }}>{quoteNumber}</span>}
+              {results.signature && <span style={{ marginRight: '12px' }}>Plan {results.signature}</span>}
               {checkedCount} of {totalItems} items packed
             </div>
+            {orderKey && (
+              <div style={{ fontSize: '13px', opacity: 0.9, marginTop: '6px', display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <span>{sync ? SYNC_LABELS[sync.state] : '🔄 Connecting'}</span>
+                {otherPackers.length > 0 && <span>👥 Also packing: {otherPackers.join(', ')}</span>}
+                <input
+                  value={packer}
+                  onChange={(e) => handlePackerChange(e.target.value)}
+                  placeholder="Your name"
+                  style={{
+                    padding: '4px 8px',
+                    borderRadius: '6px',
+                    border: 'none',
+                    fontSize: '13px',
+                    width: '120px',
+                  }}
+                />
+              </div>
+            )}
           </div>
           <div style={{ display: 'flex', gap: '8px' }}>
             <button
@@ -443,6 +543,27 @@ export default function WarehouseView({ results, quoteNumber, onClose }) {
         </div>
       </div>
 
+      {/* Different plan on other tablets - item checkboxes won't line up */}
+      {planMismatch && (
+        <div style={{
+          maxWidth: '800px',
+          margin: '12px auto 0',
+          padding: '0 20px',
+        }}>
+          <div style={{
+            padding: '12px 16px',
+            background: '#fef3c7',
+            border: '1px solid #fcd34d',
+            borderRadius: '8px',
+            color: '#92400e',
+            fontSize: '14px',
+          }}>
+            ⚠️ Other tablets are packing plan {sync.order.planSignature}, this one shows plan {results.signature}.
+            Open the same saved plan (Plans tab) on every tablet.
+          </div>
+        </div>
+      )}
+
       {/* Resume banner */}
       {isResuming && (
         <div style={{
@@ -18,12 +18,41 @@
  *    - After all items placed, scan for items that can move to earlier pallets
  *    - Uses full grid scan to find gaps that edge scanning missed
  *    - Removes empty pallets after consolidation
+ *
+ * Stacking limits (per SKU, from PRODUCT_MODELS):
+ * - maxLoadOnTop: cumulative lbs above a box may not exceed its rating
+ * - topOnly / bottomOnly: nothing on top / must sit on the deck
+ * Rejected positions are recorded in pallet.stackingRejections
+ *
+ * Nesting: nestable SKUs (HR101, Undergrad SS) are expanded into nested
+ * stacks - one box per stack, sized by the product's nesting rules, with
+ * box.item.nestedQty holding the unit count
+ *
+ * Deterministic: the same items in the same order give the same pallets.
+ * With a `seed`, extra passes pack seeded shuffles of the items
+ * (seededRandom.js) - same seed, same result.
+ *
+ * Overhang: a box that fits nowhere on the deck may stick out past it, up to
+ * its SKU's maxOverhang (else the base's) per side - positions closest to
+ * centered win. Box coordinates stay relative to the deck corner (negative =
+ * past the left/back edge); pallet.overhang and the freight dims report the
+ * shipping footprint.
  */
 
+import { getStackingRules, getNestingRules, calculateNestedStack, splitIntoNestedStacks } from './productModels.js'
+import { defaultFreightEngine } from './freightRating.js'
+import { applyFreightClasses } from './freightClass.js'
+import { PACKING_COMPATIBILITY, partitionByCompatibility, getGroupPalletConfig, canMix } from './packingCompatibility.js'
+import { PALLET_BASES, getBase, getBases, selectBase, calculateOverhang } from './palletBases.js'
+import { createRandom, shuffle } from './seededRandom.js'
+
+// Standard GMA pallet from the base catalog (data/pallet-bases.json)
+const STANDARD_BASE = getBase('gma-48x40')
+
 // Pallet constraints (inches)
 const PALLET = {
-  length: 48,    // X axis
-  width: 40,     // Z axis  
+  length: STANDARD_BASE.length, // X axis
+  width: STANDARD_BASE.width,   // Z axis
   maxHeight: 96, // Y axis (updated to match packing-rules.md)
   maxWeight: 2500, // lbs
 }
@@ -33,6 +62,74 @@ const PACKING_CONFIG = {
   minSupportPercent: 0.30,     // Require 30% support (more flexible)
   heightMapResolution: 0.5,    // 0.5 inch grid for precision
   multiPassStrategies: ['height', 'footprint', 'volume', 'weight'], // Height first for stable base
+  seededPasses: 4,             // Extra shuffled-order passes when packing with a seed
+  cogLimits: {
+    maxHeightRatio: 0.6,       // Flag COG above 60% of load height (top-heavy)
+    maxOffCenterRatio: 0.1,    // Flag COG more than 10% of length/width from center
+  },
+  cogPenalty: 2000,            // Score penalty per inch of COG drift (preferLowCog only)
+  overhangPenalty: 5000,       // Score penalty per inch past the deck (worst side) - keeps overhang centered
+}
+
+/**
+ * Calculate the 3D center of gravity for a set of placed boxes
+ * Each box's weight is treated as sitting at its geometric center.
+ * Coordinates are inches from the pallet corner, Y measured from the deck.
+ *
+ * @param {Array} boxes - Boxes with { x, y, z, l, w, h, item: { weight } }
+ * @param {Array} palletDims - [length, width] of the pallet footprint
+ * @param {Object} limits - { maxHeightRatio, maxOffCenterRatio }
+ * @returns {Object|null} { x, y, z, offsetX, offsetZ, heightRatio, tooHigh, offCenter, warnings }
+ */
+export function calculateCenterOfGravity(boxes, palletDims = [PALLET.length, PALLET.width], limits = PACKING_CONFIG.cogLimits) {
+  if (!boxes || boxes.length === 0) return null
+
+  let totalWeight = 0
+  let momentX = 0, momentY = 0, momentZ = 0
+  let loadHeight = 0
+
+  for (const b of boxes) {
+    const weight = b.item?.weight || 50
+    totalWeight += weight
+    momentX += weight * (b.x + b.l / 2)
+    momentY += weight * (b.y + b.h / 2)
+    momentZ += weight * (b.z + b.w / 2)
+    loadHeight = Math.max(loadHeight, b.y + b.h)
+  }
+
+  const [length, width] = palletDims
+  const round = (v) => Math.round(v * 10) / 10
+  const x = momentX / totalWeight
+  const y = momentY / totalWeight
+  const z = momentZ / totalWeight
+  const offsetX = x - length / 2
+  const offsetZ = z - width / 2
+  const heightRatio = loadHeight > 0 ? y / loadHeight : 0
+
+  const { maxHeightRatio, maxOffCenterRatio } = { ...PACKING_CONFIG.cogLimits, ...limits }
+  const tooHigh = heightRatio > maxHeightRatio
+  const offCenter = Math.abs(offsetX) > length * maxOffCenterRatio ||
+    Math.abs(offsetZ) > width * maxOffCenterRatio
+
+  const warnings = []
+  if (tooHigh) {
+    warnings.push(`Top-heavy: COG at ${round(y)}" (${Math.round(heightRatio * 100)}% of ${round(loadHeight)}" load)`)
+  }
+  if (offCenter) {
+    warnings.push(`Off-center: COG ${round(offsetX)}" along length, ${round(offsetZ)}" along width`)
+  }
+
+  return {
+    x: round(x),
+    y: round(y),
+    z: round(z),
+    offsetX: round(offsetX),
+    offsetZ: round(offsetZ),
+    heightRatio: Math.round(heightRatio * 100) / 100,
+    tooHigh,
+    offCenter,
+    warnings,
+  }
 }
 
 /**
@@ -48,6 +145,7 @@ class Box {
     this.h = h
     this.item = item // Reference to original item
     this.orientation = orientation // Which of 6 orientations was used
+    this.loadAbove = 0 // lbs resting on this box (directly or through boxes above)
   }
   
   get maxX() { return this.x + this.l }
@@ -101,34 +199,54 @@ function getAllOrientations(dims) {
   return unique
 }
 
+/**
+ * Orientations a box may be placed in
+ * allowRotation: true = all 6, 'upright' = turned on the deck only (height kept), false = as given
+ */
+function getAllowedOrientations(dims, allowRotation) {
+  if (allowRotation === 'upright') return getAllOrientations(dims).filter(o => o.h === dims.h)
+  return allowRotation
+    ? getAllOrientations(dims)
+    : [{ l: dims.l, w: dims.w, h: dims.h, id: 0 }]
+}
+
 /**
  * Height map for tracking support surfaces
- * A 2D grid where each cell stores the height of the tallest box at that position
+ * A 2D grid where each cell stores the height of the tallest box at that position.
+ * `margin` extends the grid past every edge (overhang) - coordinates stay
+ * relative to the deck corner.
  */
 class HeightMap {
-  constructor(length, width, resolution = 1) {
+  constructor(length, width, resolution = 1, margin = 0) {
     this.length = length
     this.width = width
     this.resolution = resolution
-    this.cols = Math.ceil(length / resolution)
-    this.rows = Math.ceil(width / resolution)
+    this.margin = margin
+    this.cols = Math.ceil((length + margin * 2) / resolution)
+    this.rows = Math.ceil((width + margin * 2) / resolution)
     this.grid = new Array(this.cols * this.rows).fill(0)
   }
+
+  // Grid column / row for a deck coordinate
+  _col(x) { return Math.floor((x + this.margin) / this.resolution) }
+  _row(z) { return Math.floor((z + this.margin) / this.resolution) }
+  _endCol(x) { return Math.ceil((x + this.margin) / this.resolution) }
+  _endRow(z) { return Math.ceil((z + this.margin) / this.resolution) }
   
   // Get height at a position
   getHeight(x, z) {
-    const col = Math.floor(x / this.resolution)
-    const row = Math.floor(z / this.resolution)
+    const col = this._col(x)
+    const row = this._row(z)
     if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return Infinity
     return this.grid[row * this.cols + col]
   }
   
   // Update height map after placing a box
   placeBox(box) {
-    const startCol = Math.floor(box.x / this.resolution)
-    const endCol = Math.ceil(box.maxX / this.resolution)
-    const startRow = Math.floor(box.z / this.resolution)
-    const endRow = Math.ceil(box.maxZ / this.resolution)
+    const startCol = this._col(box.x)
+    const endCol = this._endCol(box.maxX)
+    const startRow = this._row(box.z)
+    const endRow = this._endRow(box.maxZ)
     
     // Round the height to avoid floating point accumulation errors
     const roundedMaxY = Math.round(box.maxY * 10) / 10
@@ -148,10 +266,10 @@ class HeightMap {
   getSupportPercent(x, z, l, w, targetY) {
     if (targetY === 0) return 1.0 // Floor always provides 100% support
     
-    const startCol = Math.floor(x / this.resolution)
-    const endCol = Math.ceil((x + l) / this.resolution)
-    const startRow = Math.floor(z / this.resolution)
-    const endRow = Math.ceil((z + w) / this.resolution)
+    const startCol = this._col(x)
+    const endCol = this._endCol(x + l)
+    const startRow = this._row(z)
+    const endRow = this._endRow(z + w)
     
     let supportedCells = 0
     let totalCells = 0
@@ -178,10 +296,10 @@ class HeightMap {
   // Returns the Y where the box would rest on existing boxes
   // Rounds to 0.1" precision for clean Tetris layers
   findRestingY(x, z, l, w) {
-    const startCol = Math.floor(x / this.resolution)
-    const endCol = Math.ceil((x + l) / this.resolution)
-    const startRow = Math.floor(z / this.resolution)
-    const endRow = Math.ceil((z + w) / this.resolution)
+    const startCol = this._col(x)
+    const endCol = this._endCol(x + l)
+    const startRow = this._row(z)
+    const endRow = this._endRow(z + w)
     
     let maxHeight = 0
     for (let row = startRow; row < endRow && row < this.rows; row++) {
@@ -195,7 +313,7 @@ class HeightMap {
   
   // Clone the height map
   clone() {
-    const copy = new HeightMap(this.length, this.width, this.resolution)
+    const copy = new HeightMap(this.length, this.width, this.resolution, this.margin)
     copy.grid = [...this.grid]
     return copy
   }
@@ -217,9 +335,15 @@ class Pallet {
     this.width = config.width || PALLET.width
     this.maxHeight = config.maxHeight || PALLET.maxHeight
     this.maxWeight = config.maxWeight || PALLET.maxWeight
+    this.cogLimits = config.cogLimits || PACKING_CONFIG.cogLimits
+    this.preferLowCog = !!config.preferLowCog
+    this.maxOverhang = config.maxOverhang || 0 // Base limit per side (SKUs may set their own)
+    this.overhangMargin = Math.max(this.maxOverhang, config.overhangMargin || 0) // Largest overhang any item may use
     this.boxes = []
-    this.heightMap = new HeightMap(this.length, this.width, PACKING_CONFIG.heightMapResolution)
+    this.heightMap = new HeightMap(this.length, this.width, PACKING_CONFIG.heightMapResolution, this.overhangMargin)
     this.totalWeight = 0
+    this.stackingRejections = [] // [{ sku, reason, placed }] - why positions were refused
+    this._pendingRejections = null
   }
 
   /**
@@ -233,6 +357,9 @@ class Pallet {
    * - Runs if edge-based pass fails OR if edge placement leaves gaps
    *
    * This guarantees ZERO gaps by checking all possible positions.
+   *
+   * OVERHANG - only if neither pass fits the box on the deck: both passes
+   * again with the item's allowed overhang
    */
   tryPlace(item, allowRotation = true) {
     const dims = item.dims || { l: 12, w: 12, h: 12 }
@@ -244,22 +371,31 @@ class Pallet {
     }
 
     // Get all orientations - sorted by height (flattest first for stable base)
-    let orientations = allowRotation
-      ? getAllOrientations(dims)
-      : [{ l: dims.l, w: dims.w, h: dims.h, id: 0 }]
+    let orientations = getAllowedOrientations(dims, allowRotation)
 
     // Sort: smallest height first (flat = stable)
     orientations.sort((a, b) => a.h - b.h)
 
+    // Collect stacking-limit rejections seen while scanning
+    this._pendingRejections = new Set()
+
     // PASS 1: Edge-based scanning (fast, handles most cases)
-    let bestPlacement = this._findPlacementAtEdges(orientations)
+    let bestPlacement = this._findPlacementAtEdges(orientations, item)
 
     // PASS 2: Grid scanning ONLY if edge scan fails (performance optimization)
     // The consolidation pass at the end will fill any remaining gaps
     if (!bestPlacement) {
-      bestPlacement = this._findPlacementOnGrid(orientations)
+      bestPlacement = this._findPlacementOnGrid(orientations, item)
+    }
+
+    const overhang = this._getItemOverhang(item)
+    if (!bestPlacement && overhang > 0) {
+      bestPlacement = this._findPlacementAtEdges(orientations, item, overhang) ||
+        this._findPlacementOnGrid(orientations, item, overhang)
     }
 
+    this._recordRejections(item, !!bestPlacement)
+
     if (!bestPlacement) {
       console.log(`   ❌ No fit for ${item.sku || 'item'}`)
       return null
@@ -277,21 +413,28 @@ class Pallet {
       bestPlacement.orient.id
     )
 
-    this.boxes.push(box)
-    this.totalWeight += weight
-    this.heightMap.placeBox(box)
+    this._commitBox(box)
 
     console.log(`   ✓ (${box.x}, ${box.y}, ${box.z}) ${box.l}×${box.w}×${box.h}"`)
     return box
   }
 
+  /**
+   * How far (per side) an item may stick out past this deck
+   */
+  _getItemOverhang(item) {
+    return Math.min(item?.maxOverhang ?? this.maxOverhang, this.overhangMargin)
+  }
+
   /**
    * PASS 1: Find placement at box edges (fast)
    * Checks positions at existing box boundaries for flush placement
+   * (overhang > 0: may stick out up to that far, also tries centered on the deck)
    */
-  _findPlacementAtEdges(orientations) {
+  _findPlacementAtEdges(orientations, item = null, overhang = 0) {
     let bestPlacement = null
     let bestScore = Infinity
+    const cogBase = this._getCogBase(item)
 
     // Collect all edge positions
     const xEdges = new Set([0])
@@ -308,13 +451,22 @@ class Pallet {
     const zPositions = [...zEdges].sort((a, b) => a - b)
 
     for (const orient of orientations) {
-      for (const z of zPositions) {
-        if (z + orient.w > this.width + 0.001) continue
-
-        for (const x of xPositions) {
-          if (x + orient.l > this.length + 0.001) continue
-
-          const placement = this._evaluatePosition(x, z, orient)
+      // COG-aware: also try centered and far-wall positions for this orientation
+      // Overhang: centered and both overhang limits
+      const xs = cogBase || overhang > 0
+        ? [...xPositions, (this.length - orient.l) / 2, this.length - orient.l, -overhang, this.length + overhang - orient.l]
+        : xPositions
+      const zs = cogBase || overhang > 0
+        ? [...zPositions, (this.width - orient.w) / 2, this.width - orient.w, -overhang, this.width + overhang - orient.w]
+        : zPositions
+
+      for (const z of zs) {
+        if (z < -overhang - 0.001 || z + orient.w > this.width + overhang + 0.001) continue
+
+        for (const x of xs) {
+          if (x < -overhang - 0.001 || x + orient.l > this.length + overhang + 0.001) continue
+
+          const placement = this._evaluatePosition(x, z, orient, item, cogBase, overhang)
           if (placement && placement.score < bestScore) {
             bestScore = placement.score
             bestPlacement = placement
@@ -330,9 +482,10 @@ class Pallet {
    * PASS 2: Find placement by scanning ALL grid positions
    * Fills gaps that edge-based scanning misses
    */
-  _findPlacementOnGrid(orientations) {
+  _findPlacementOnGrid(orientations, item = null, overhang = 0) {
     let bestPlacement = null
     let bestScore = Infinity
+    const cogBase = this._getCogBase(item)
 
     // Use 1" step for performance (4x faster than 0.5")
     // Edge scanning handles most placements; this is just fallback
@@ -340,9 +493,9 @@ class Pallet {
 
     for (const orient of orientations) {
       // Scan all grid positions within bounds
-      for (let z = 0; z + orient.w <= this.width + 0.001; z += step) {
-        for (let x = 0; x + orient.l <= this.length + 0.001; x += step) {
-          const placement = this._evaluatePosition(x, z, orient)
+      for (let z = -overhang; z + orient.w <= this.width + overhang + 0.001; z += step) {
+        for (let x = -overhang; x + orient.l <= this.length + overhang + 0.001; x += step) {
+          const placement = this._evaluatePosition(x, z, orient, item, cogBase, overhang)
           if (placement && placement.score < bestScore) {
             bestScore = placement.score
             bestPlacement = placement
@@ -395,11 +548,28 @@ class Pallet {
     return adjacency
   }
 
+  /**
+   * Current weight moments plus the incoming item's weight, for COG-aware scoring
+   * Returns null unless preferLowCog is enabled
+   */
+  _getCogBase(item) {
+    if (!this.preferLowCog || !item) return null
+    const base = { total: 0, mx: 0, my: 0, mz: 0, weight: item.weight || 50 }
+    for (const b of this.boxes) {
+      const w = b.item?.weight || 50
+      base.total += w
+      base.mx += w * (b.x + b.l / 2)
+      base.my += w * (b.y + b.h / 2)
+      base.mz += w * (b.z + b.w / 2)
+    }
+    return base
+  }
+
   /**
    * Evaluate a single position for placement
    * Returns placement object with score, or null if invalid
    */
-  _evaluatePosition(x, z, orient) {
+  _evaluatePosition(x, z, orient, item = null, cogBase = null, overhang = 0) {
     // GRAVITY: Find where item lands at this (x, z)
     const restY = this.heightMap.findRestingY(x, z, orient.l, orient.w)
 
@@ -407,7 +577,7 @@ class Pallet {
     if (restY + orient.h > this.maxHeight) return null
 
     // Check collision with existing boxes
-    if (!this.canPlace(x, restY, z, orient)) return null
+    if (!this.canPlace(x, restY, z, orient, overhang)) return null
 
     // Check support (floor always OK, stacked needs support)
     if (restY > 0) {
@@ -415,9 +585,38 @@ class Pallet {
       if (support < PACKING_CONFIG.minSupportPercent) return null
     }
 
+    // Check stacking limits (crush rating, top/bottom only)
+    if (item) {
+      const rejection = this._checkStacking(x, restY, z, orient, item)
+      if (rejection) {
+        if (this._pendingRejections) this._pendingRejections.add(rejection)
+        return null
+      }
+    }
+
     // Calculate adjacency bonus (flush placement reduces gaps)
     const adjacency = this._getAdjacencyScore(x, restY, z, orient)
 
+    // COG penalty: resulting COG height + drift from pallet center
+    let cogPenalty = 0
+    if (cogBase) {
+      const { total, mx, my, mz, weight } = cogBase
+      const sum = total + weight
+      const cogX = (mx + weight * (x + orient.l / 2)) / sum
+      const cogY = (my + weight * (restY + orient.h / 2)) / sum
+      const cogZ = (mz + weight * (z + orient.w / 2)) / sum
+      cogPenalty = (
+        Math.abs(cogX - this.length / 2) +
+        Math.abs(cogZ - this.width / 2) +
+        cogY
+      ) * PACKING_CONFIG.cogPenalty
+    }
+
+    // Overhang penalty: worst side past the deck (overhang pass only)
+    const overhangPenalty = overhang > 0
+      ? Math.max(0, -x, x + orient.l - this.length, -z, z + orient.w - this.width) * PACKING_CONFIG.overhangPenalty
+      : 0
+
     // TETRIS SCORING - fill floor completely before stacking
     // Massive weight on Y ensures floor positions ALWAYS win
     // Adjacency bonus rewards tight packing (subtract to lower score = better)
@@ -426,11 +625,121 @@ class Pallet {
       z * 1000 +            // Then back-to-front
       x * 10 +              // Then left-to-right
       orient.h * 0.1 -      // Slight preference for flat
-      adjacency * 500       // REWARD touching walls/other boxes
+      adjacency * 500 +     // REWARD touching walls/other boxes
+      cogPenalty +          // Keep COG low and centered (opt-in)
+      overhangPenalty       // As little overhang as possible
 
     return { x, y: restY, z, orient, score }
   }
 
+  /**
+   * Boxes whose top surface directly supports a footprint resting at height y
+   */
+  _getSupportingBoxes(x, y, z, l, w) {
+    const tol = 0.5
+    return this.boxes.filter(b =>
+      Math.abs(b.maxY - y) <= tol &&
+      x < b.maxX - 0.001 && x + l > b.x + 0.001 &&
+      z < b.maxZ - 0.001 && z + w > b.z + 0.001
+    )
+  }
+
+  /**
+   * All boxes that would carry weight placed at this footprint,
+   * following supports down to the deck
+   */
+  _getSupportChain(x, y, z, l, w) {
+    const chain = new Set()
+    const queue = this._getSupportingBoxes(x, y, z, l, w)
+    while (queue.length > 0) {
+      const box = queue.pop()
+      if (chain.has(box)) continue
+      chain.add(box)
+      if (box.y > 0) {
+        queue.push(...this._getSupportingBoxes(box.x, box.y, box.z, box.l, box.w))
+      }
+    }
+    return chain
+  }
+
+  /**
+   * Check stacking limits for an item at a resting position
+   * Conservative: the full weight is charged to every box in the support chain
+   * Returns a rejection reason, or null if the position is OK
+   */
+  _checkStacking(x, y, z, dims, item) {
+    const sku = item.sku || item.name || 'item'
+
+    if (item.bottomOnly && y > 0) {
+      return `${sku} is bottom-only and must sit on the deck`
+    }
+    if (y === 0) return null
+
+    const weight = item.weight || 50
+    for (const below of this._getSupportChain(x, y, z, dims.l, dims.w)) {
+      const belowItem = below.item || {}
+      const belowSku = belowItem.sku || belowItem.name || 'item'
+      if (belowItem.topOnly) {
+        return `${belowSku} is top-only - nothing may stack on it`
+      }
+      const rating = belowItem.maxLoadOnTop
+      if (rating != null && below.loadAbove + weight > rating) {
+        return `${belowSku} rated ${rating} lbs on top, would carry ${below.loadAbove + weight} lbs with ${sku}`
+      }
+    }
+    return null
+  }
+
+  /**
+   * Save rejections collected during a placement attempt (deduped per SKU + reason)
+   */
+  _recordRejections(item, placed) {
+    const pending = this._pendingRejections
+    this._pendingRejections = null
+    if (!pending || pending.size === 0) return
+
+    const sku = item.sku || item.name || 'item'
+    for (const reason of pending) {
+      const existing = this.stackingRejections.find(r => r.sku === sku && r.reason === reason)
+      if (existing) {
+        existing.placed = existing.placed && placed
+      } else {
+        this.stackingRejections.push({ sku, reason, placed })
+      }
+    }
+  }
+
+  /**
+   * Add a box to the pallet and charge its weight to the boxes below it
+   */
+  _commitBox(box) {
+    const weight = box.item?.weight || 50
+    if (box.y > 0) {
+      for (const below of this._getSupportChain(box.x, box.y, box.z, box.l, box.w)) {
+        below.loadAbove += weight
+      }
+    }
+    this.boxes.push(box)
+    this.totalWeight += weight
+    this.heightMap.placeBox(box)
+  }
+
+  /**
+   * Rebuild height map and load totals after boxes are removed
+   */
+  _rebuildSupport() {
+    this.heightMap = new HeightMap(this.length, this.width, PACKING_CONFIG.heightMapResolution, this.overhangMargin)
+    this.boxes.forEach(b => { b.loadAbove = 0 })
+    for (const box of this.boxes) {
+      this.heightMap.placeBox(box)
+      if (box.y === 0) continue
+      const weight = box.item?.weight || 50
+      for (const below of this._getSupportChain(box.x, box.y, box.z, box.l, box.w)) {
+        below.loadAbove += weight
+      }
+    }
+  }
+
   /**
    * Generate candidate positions - LEGACY method kept for compatibility
    * The main tryPlace now uses direct grid scanning instead
@@ -475,11 +784,13 @@ class Pallet {
   
   /**
    * Check if dimensions fit at a position without collision
+   * overhang: how far past each deck edge the box may stick out (default none)
    */
-  canPlace(x, y, z, dims) {
-    // Check pallet bounds (strict - no overhang for tight packing)
-    if (x < 0 || x + dims.l > this.length) return false
-    if (z < 0 || z + dims.w > this.width) return false
+  canPlace(x, y, z, dims, overhang = 0) {
+    // Check pallet bounds (strict unless overhang is allowed)
+    const tol = overhang > 0 ? 0.001 : 0
+    if (x < -overhang - tol || x + dims.l > this.length + overhang + tol) return false
+    if (z < -overhang - tol || z + dims.w > this.width + overhang + tol) return false
     if (y < 0 || y + dims.h > this.maxHeight) return false
     
     // Check collision with existing boxes
@@ -490,7 +801,57 @@ class Pallet {
     
     return true
   }
-  
+
+  /**
+   * Place an item at a chosen (x, z) - manual edits (planEditor.js)
+   * Drops it to its resting height, then applies the packer's checks:
+   * weight, height, bounds + collision (canPlace), support, stacking limits.
+   * Resting height and support come from the boxes themselves, not the height
+   * map - plans from the layer optimizer don't line up with its grid.
+   * @returns {Object} { box } or { error } - why it can't go there
+   */
+  placeAt(item, x, z, orient, overhang = 0) {
+    const weight = item.weight || 50
+    if (this.totalWeight + weight > this.maxWeight) {
+      return { error: `Pallet would carry ${this.totalWeight + weight} lbs (max ${this.maxWeight})` }
+    }
+
+    const overlap = (b) => Math.max(0, Math.min(x + orient.l, b.maxX) - Math.max(x, b.x)) *
+      Math.max(0, Math.min(z + orient.w, b.maxZ) - Math.max(z, b.z))
+    const y = Math.max(0, ...this.boxes.filter(b => overlap(b) > 0.001).map(b => b.maxY))
+    if (y + orient.h > this.maxHeight) {
+      return { error: `Top would be at ${Math.round((y + orient.h) * 10) / 10}" (max ${this.maxHeight}")` }
+    }
+    if (!this.canPlace(x, y, z, orient, overhang)) {
+      return { error: overhang > 0 ? `Past the ${overhang}" overhang limit or into another box` : 'Off the deck or into another box' }
+    }
+    if (y > 0) {
+      const supported = this._getSupportingBoxes(x, y, z, orient.l, orient.w).reduce((sum, b) => sum + overlap(b), 0)
+      const support = supported / (orient.l * orient.w)
+      if (support < PACKING_CONFIG.minSupportPercent) {
+        return { error: `Only ${Math.round(support * 100)}% supported (min ${PACKING_CONFIG.minSupportPercent * 100}%)` }
+      }
+    }
+    const rejection = this._checkStacking(x, y, z, orient, item)
+    if (rejection) return { error: rejection }
+
+    const box = new Box(x, y, z, orient.l, orient.w, orient.h, item, orient.id ?? 0)
+    this._commitBox(box)
+    return { box }
+  }
+
+  /**
+   * Pallet holding already-placed boxes (a packed or saved plan), e.g. to
+   * check a manual edit against the rest of the load. Boxes aren't re-checked.
+   */
+  static fromBoxes(id, boxes, config = {}) {
+    const pallet = new Pallet(id, config)
+    pallet.boxes = boxes.map(b => new Box(b.x, b.y, b.z, b.l, b.w, b.h, b.item, b.orientation || 0))
+    pallet.totalWeight = pallet.boxes.reduce((sum, b) => sum + (b.item?.weight || 50), 0)
+    pallet._rebuildSupport()
+    return pallet
+  }
+
   /**
    * Get pallet utilization metrics
    */
@@ -512,6 +873,8 @@ class Pallet {
         ? (usedVolume / effectiveVolume * 100).toFixed(1) + '%'
         : '0%',
       palletDims: [this.length, this.width],
+      cog: calculateCenterOfGravity(this.boxes, [this.length, this.width], this.cogLimits),
+      overhang: calculateOverhang(this.boxes, [this.length, this.width]),
     }
   }
   
@@ -531,9 +894,12 @@ class Pallet {
         h: b.h,
         item: b.item,
         orientation: b.orientation,
+        loadAbove: b.loadAbove,
       })),
       metrics,
-      dims: [this.length, this.width, Math.ceil(metrics.height) + 6],
+      dims: [...metrics.overhang.footprint, Math.ceil(metrics.height) + 6], // Shipping footprint
+      ...(metrics.overhang.max > 0 && { overhang: metrics.overhang }),
+      stackingRejections: this.stackingRejections,
     }
   }
   
@@ -546,10 +912,19 @@ class Pallet {
       width: this.width,
       maxHeight: this.maxHeight,
       maxWeight: this.maxWeight,
+      cogLimits: this.cogLimits,
+      preferLowCog: this.preferLowCog,
+      maxOverhang: this.maxOverhang,
+      overhangMargin: this.overhangMargin,
+    })
+    copy.boxes = this.boxes.map(b => {
+      const box = new Box(b.x, b.y, b.z, b.l, b.w, b.h, b.item, b.orientation)
+      box.loadAbove = b.loadAbove
+      return box
     })
-    copy.boxes = this.boxes.map(b => new Box(b.x, b.y, b.z, b.l, b.w, b.h, b.item, b.orientation))
     copy.heightMap = this.heightMap.clone()
     copy.totalWeight = this.totalWeight
+    copy.stackingRejections = this.stackingRejections.map(r => ({ ...r }))
     return copy
   }
 }
@@ -557,7 +932,8 @@ class Pallet {
 /**
  * Sort items by a given strategy
  */
-function sortItemsByStrategy(items, strategy) {
+function sortItemsByStrategy(items, strategy, random = null) {
+  if (strategy.startsWith('shuffle')) return shuffle(items, random)
   const sorted = [...items]
   sorted.sort((a, b) => {
     const volA = a.dims.l * a.dims.w * a.dims.h
@@ -678,7 +1054,8 @@ function runPackingPass(expandedItems, palletConfig, allowRotation) {
 
           // Try to fit this item in the target pallet using edge scan (fast)
           const placement = targetPallet._findPlacementAtEdges(
-            allowRotation ? getAllOrientations(item.dims) : [{ l: item.dims.l, w: item.dims.w, h: item.dims.h, id: 0 }]
+            getAllowedOrientations(item.dims, allowRotation),
+            item
           )
 
           if (placement) {
@@ -700,21 +1077,14 @@ function runPackingPass(expandedItems, palletConfig, allowRotation) {
             placement.orient.l, placement.orient.w, placement.orient.h,
             item, placement.orient.id
           )
-          targetPallet.boxes.push(newBox)
-          targetPallet.heightMap.placeBox(newBox)
-          targetPallet.totalWeight += (item.weight || 50)
+          targetPallet._commitBox(newBox)
 
           console.log(`   ↩ Moved ${item.sku || 'item'} from pallet ${sourceIdx + 1} to pallet ${targetIdx + 1}`)
         }
 
-        // Rebuild source pallet height map after removals
+        // Rebuild source pallet height map and loads after removals
         if (itemsToMove.length > 0) {
-          sourcePallet.heightMap = new HeightMap(
-            sourcePallet.length, sourcePallet.width, PACKING_CONFIG.heightMapResolution
-          )
-          for (const box of sourcePallet.boxes) {
-            sourcePallet.heightMap.placeBox(box)
-          }
+          sourcePallet._rebuildSupport()
         }
       }
     }
@@ -753,7 +1123,8 @@ function scorePacking(pallets) {
  * Main bin packing function with multi-pass optimization
  * 
  * @param {Array} items - Items to pack, each with { sku, name, qty, dims: {l, w, h}, weight }
- * @param {Object} options - Packing options
+ * @param {Object} options - Packing options (allowRotation: true, 'upright' or false;
+ *   maxOverhang: base overhang per side; seed: number/string for shuffled passes)
  * @returns {Array} Array of packed pallets with item positions
  */
 export function packItems(items, options = {}) {
@@ -764,6 +1135,10 @@ export function packItems(items, options = {}) {
     maxWeight = PALLET.maxWeight,
     allowRotation = true,
     multiPass = true, // Enable multi-pass optimization
+    preferLowCog = false, // Score positions by resulting COG height/offset
+    cogLimits = PACKING_CONFIG.cogLimits,
+    maxOverhang = 0, // Base overhang per side (items' own maxOverhang wins)
+    seed = null, // Adds seeded shuffled-order passes (reproducible per seed)
   } = options
   
   const palletConfig = {
@@ -771,10 +1146,13 @@ export function packItems(items, options = {}) {
     width: palletWidth,
     maxHeight: maxHeight,
     maxWeight: maxWeight,
+    preferLowCog,
+    cogLimits,
+    maxOverhang,
   }
   
   console.log('🎮 GAP-FREE TETRIS v7.0 (Full Grid Scan)')
-  console.log(`   Pallet: ${palletLength}×${palletWidth}×${maxHeight}" (max ${maxWeight} lbs)`)
+  console.log(`   Pallet: ${palletLength}×${palletWidth}×${maxHeight}" (max ${maxWeight} lbs${maxOverhang ? `, ${maxOverhang}" overhang` : ''})`)
   
   // Expand items by quantity
   const expandedItems = []
@@ -783,6 +1161,8 @@ export function packItems(items, options = {}) {
   items.forEach((item, itemIndex) => {
     const qty = item.qty || 1
     const dims = item.dims || null
+    const stacking = getStackingRules(item.sku, item.family)
+    const nesting = item.nesting ?? getNestingRules(item.sku, item.family)
     
     // Flag unknown dimensions
     if (!dims || (dims.l === 12 && dims.w === 12 && dims.h === 12)) {
@@ -791,18 +1171,36 @@ export function packItems(items, options = {}) {
     
     console.log(`   Item: ${item.sku || item.name} × ${qty} → dims: ${dims?.l}×${dims?.w}×${dims?.h}"`)
     
-    for (let i = 0; i < qty; i++) {
+    // Nestable units pack as nested stacks (one box per stack), everything else one box per unit
+    const units = nesting ? splitIntoNestedStacks(nesting, qty, maxHeight) : Array(qty).fill(1)
+    const unitDims = dims || { l: 12, w: 12, h: 12 }
+    const unitWeight = item.weight || 50
+    
+    units.forEach((nestedQty, i) => {
+      const stack = nesting ? calculateNestedStack(nesting, nestedQty, unitDims) : null
       expandedItems.push({
         ...item,
         _originalIndex: itemIndex,
         _instanceIndex: i,
-        dims: dims || { l: 12, w: 12, h: 12 },
-        weight: item.weight || 50,
+        dims: stack ? { l: stack.l, w: stack.w, h: stack.h } : unitDims,
+        weight: unitWeight * nestedQty,
+        maxLoadOnTop: item.maxLoadOnTop ?? stacking.maxLoadOnTop,
+        topOnly: item.topOnly ?? stacking.topOnly,
+        bottomOnly: item.bottomOnly ?? stacking.bottomOnly,
+        maxOverhang: item.maxOverhang ?? stacking.maxOverhang,
         _unknownDims: !dims,
+        ...(stack && { nestedQty, unitWeight, unitDims }),
       })
+    })
+    
+    if (nesting) {
+      console.log(`   ↳ nested stacks: ${units.join(' + ')} units`)
     }
   })
   
+  // Height map margin: the largest overhang any item may use
+  palletConfig.overhangMargin = expandedItems.reduce((max, item) => Math.max(max, item.maxOverhang ?? 0), maxOverhang)
+  
   // Warn about unknown dimensions
   if (hasUnknownDims) {
     console.warn('⚠️ Some items have unknown dimensions. Packing accuracy will be reduced.')
@@ -814,11 +1212,17 @@ export function packItems(items, options = {}) {
   
   // Try multiple sort strategies if multi-pass is enabled
   const strategies = multiPass 
-    ? PACKING_CONFIG.multiPassStrategies 
+    ? [...PACKING_CONFIG.multiPassStrategies]
     : ['volume']
   
+  // Seeded shuffles - only win if strictly better, so ties keep the sorted result
+  const random = seed != null ? createRandom(seed) : null
+  if (random) {
+    for (let i = 1; i <= PACKING_CONFIG.seededPasses; i++) strategies.push(`shuffle-${i}`)
+  }
+  
   for (const strategy of strategies) {
-    const sortedItems = sortItemsByStrategy(expandedItems, strategy)
+    const sortedItems = sortItemsByStrategy(expandedItems, strategy, random)
     const pallets = runPackingPass(sortedItems, palletConfig, allowRotation)
     const score = scorePacking(pallets)
     
@@ -854,6 +1258,7 @@ export function packItems(items, options = {}) {
     json.packingStrategy = bestStrategy
     json.hasUnknownDims = hasUnknownDims
     json.oversizedItems = oversizedItems
+    applyFreightClasses([json])
     
     // DEBUG: Verify ZERO gaps
     console.log(`\n🎮 PALLET ${p.id} - ${json.boxes.length} items:`)
@@ -872,66 +1277,88 @@ export function packItems(items, options = {}) {
 
 /**
  * Pack items with constraints for specific product types
- * Enforces packing rules from packing-rules.md:
- * - Lockers ship on dedicated pallets (don't mix with racks)
- * - Double Dockers ship separately
- * - Stretch Racks ship separately (long/flat)
- * - SkateDock uses special pallet configs for 7+ units
- * - Same family OK (Varsity + VR2 if same footprint)
+ * Which items may share a pallet and the per-group pallet sizes come from the
+ * compatibility matrix (data/packing-compatibility.json, editable in the Rules
+ * screen) - lockers, Double Dockers and Stretch Racks ship alone, SkateDock
+ * 7-9 units go on 44x44x81 pallets, etc. Each set is packed on every base its
+ * group allows (palletBases.js) and the best by `baseSelection` is kept.
+ * @param {Array} items - Packing items ({ sku, family, name, dims, weight, qty, parentSku })
+ * @param {Object} options - Pallet limits + { compatibility, palletBases, baseSelection, separateTypes, seed }
+ *   separateTypes: extra SKU/family substrings that always get their own pallets
  */
 export function packItemsWithConstraints(items, options = {}) {
   const {
     maxHeight = PALLET.maxHeight,
-    palletLength = PALLET.length,
-    palletWidth = PALLET.width,
     maxWeight = PALLET.maxWeight,
     allowRotation = true,
     separateTypes = [],
+    preferLowCog = false,
+    cogLimits = PACKING_CONFIG.cogLimits,
+    compatibility = PACKING_COMPATIBILITY,
+    palletBases = PALLET_BASES,
+    baseSelection = palletBases.selection?.by,
+    seed = null,
   } = options
   
-  // Separate items by constraint groups
-  const groups = {
-    'double-docker': [],
-    'visilocker': [],
-    'mbv': [],
-    'stretch': [],
-    'skatedock': [],
-    'undergrad': [],
-    'mixable-rack': [],   // Standard bike racks that can mix
-    'other': [],
-  }
-  
+  // Custom separate types from options get their own pallets
+  const separate = new Map()
+  const mixable = []
   for (const item of items) {
-    const group = getConstraintGroup(item, separateTypes)
-    if (groups[group]) {
-      groups[group].push(item)
+    const sku = (item.sku || '').toLowerCase()
+    const family = (item.family || '').toLowerCase()
+    const type = separateTypes.find(t => sku.includes(t.toLowerCase()) || family.includes(t.toLowerCase()))
+    if (type) {
+      if (!separate.has(type)) separate.set(type, [])
+      separate.get(type).push(item)
     } else {
-      groups['other'].push(item)
+      mixable.push(item)
     }
   }
   
+  const partitions = [
+    ...partitionByCompatibility(mixable, compatibility),
+    ...[...separate].map(([type, typeItems]) => ({ groups: [type], items: typeItems })),
+  ]
+  
   let allPallets = []
   let palletIdOffset = 0
   
-  // Pack each group with appropriate settings
-  for (const [groupName, groupItems] of Object.entries(groups)) {
-    if (groupItems.length === 0) continue
-    
-    // Get group-specific pallet config
-    const groupConfig = getPalletConfigForGroup(groupName, groupItems, {
-      maxHeight, palletLength, palletWidth, maxWeight
-    })
-    
-    const groupPallets = packItems(groupItems, {
-      ...groupConfig,
-      allowRotation,
+  // Pack each set of compatible items with its group's pallet config
+  for (const { groups, items: groupItems } of partitions) {
+    const groupConfig = getGroupPalletConfig(groups, groupItems, { maxHeight, maxWeight }, compatibility)
+    const totalQty = groupItems.reduce((sum, item) => sum + (item.qty || 1), 0)
+    const selection = { by: baseSelection, catalog: palletBases }
+
+    const packOnBases = (bases) => bases.map(base => {
+      const pallets = packItems(groupItems, {
+        maxHeight: groupConfig.maxHeight,
+        maxWeight: Math.min(groupConfig.maxWeight, base.maxWeight || Infinity),
+        palletLength: base.length,
+        palletWidth: base.width,
+        maxOverhang: base.maxOverhang || 0,
+        allowRotation,
+        preferLowCog,
+        cogLimits,
+        seed,
+      })
+      const placed = pallets.reduce((sum, p) => sum + p.boxes.reduce((n, b) => n + (b.item?.nestedQty || 1), 0), 0)
+      return { base, pallets, complete: placed >= totalQty }
     })
+
+    // Group bases first; standard bases if none takes every box; else the
+    // first attempt, which leaves some units unplaced (packOrder warns)
+    const attempts = packOnBases(getBases(groupConfig.bases, palletBases))
+    const best = selectBase(attempts, selection)
+      || (groupConfig.bases && selectBase(packOnBases(getBases(null, palletBases)), selection))
+      || attempts[0]
+    const groupPallets = best.pallets
     
-    // Tag pallets with group info
+    // Tag pallets with group + base info
     groupPallets.forEach(p => {
       p.id += palletIdOffset
-      p.group = groupName
-      p.palletSize = `${groupConfig.palletLength}x${groupConfig.palletWidth}`
+      p.group = groups.join('+')
+      p.base = best.base
+      p.palletSize = `${best.base.length}x${best.base.width}`
     })
     
     palletIdOffset += groupPallets.length
@@ -941,150 +1368,13 @@ export function packItemsWithConstraints(items, options = {}) {
   return allPallets
 }
 
-/**
- * Get pallet configuration for a specific product group
- * Implements special pallet sizes from packing-rules.md
- */
-function getPalletConfigForGroup(groupName, items, defaults) {
-  const totalQty = items.reduce((sum, i) => sum + (i.qty || 1), 0)
-  
-  switch (groupName) {
-    case 'skatedock':
-      // SkateDock special pallets: 7-9 units → 44x44x81 vertical
-      if (totalQty >= 7 && totalQty <= 9) {
-        return {
-          ...defaults,
-          palletLength: 44,
-          palletWidth: 44,
-          maxHeight: 81,
-        }
-      }
-      // 3-6 units → 81x32 horizontal
-      if (totalQty >= 3 && totalQty <= 6) {
-        return {
-          ...defaults,
-          palletLength: 81,
-          palletWidth: 32,
-        }
-      }
-      return defaults
-      
-    case 'double-docker':
-      // DD uses 86x40 crates
-      return {
-        ...defaults,
-        palletLength: 86,
-        palletWidth: 40,
-      }
-      
-    case 'stretch':
-      // Stretch racks: 90x48 flat
-      return {
-        ...defaults,
-        palletLength: 90,
-        palletWidth: 48,
-        maxHeight: 48, // Stack conservatively
-      }
-      
-    case 'undergrad':
-      // Undergrad: ship flat, don't stack heavy
-      return {
-        ...defaults,
-        maxHeight: 72, // Limit stacking
-      }
-      
-    default:
-      return defaults
-  }
-}
-
-/**
- * Get constraint group for an item
- * Implements rules from packing-rules.md
- */
-function getConstraintGroup(item, separateTypes = []) {
-  const sku = (item.sku || '').toLowerCase()
-  const family = (item.family || '').toLowerCase()
-  
-  // Double Dockers always ship separately
-  if (sku.includes('dd-04') || sku.includes('dd4') ||
-      sku.includes('dd-06') || sku.includes('dd6') ||
-      sku.includes('dd-ss') || sku.includes('dd-ds') ||
-      family.includes('double docker')) {
-    return 'double-docker'
-  }
-  
-  // VisiLockers ship separately (heavy, specific packing)
-  if (sku.includes('visi') || family.includes('visilocker')) {
-    return 'visilocker'
-  }
-  
-  // MBV ship separately (very heavy)
-  if (sku.includes('mbv') || family.includes('metal bike vault')) {
-    return 'mbv'
-  }
-  
-  // Stretch Racks ship separately (long/flat)
-  if (sku.includes('stretch') || family.includes('stretch')) {
-    return 'stretch'
-  }
-  
-  // SkateDock has special pallet configs
-  if (sku.includes('sm10') || sku.includes('sd6') ||
-      sku.includes('skatedock') || family.includes('skatedock')) {
-    return 'skatedock'
-  }
-  
-  // Undergrad ships flat
-  if (sku.includes('undergrad') || family.includes('undergrad')) {
-    return 'undergrad'
-  }
-  
-  // Custom separate types from options
-  for (const type of separateTypes) {
-    if (sku.includes(type.toLowerCase()) || family.includes(type.toLowerCase())) {
-      return type
-    }
-  }
-  
-  // Standard bike racks can mix together
-  const rackFamilies = ['varsity', 'vr2', 'vr1', 'hoop runner', 'circle series', 'dismount']
-  for (const rackFamily of rackFamilies) {
-    if (family.includes(rackFamily) || sku.includes(rackFamily.replace(' ', ''))) {
-      return 'mixable-rack'
-    }
-  }
-  
-  return 'other'
-}
-
 /**
  * Check if two product families are compatible for mixing
- * From packing-rules.md: Same family OK (Varsity + VR2 if same footprint)
+ * (compatibility matrix, family names/NetSuite classes only - no footprint check)
  */
-export function areFamiliesCompatible(familyA, familyB) {
-  const a = (familyA || '').toLowerCase()
-  const b = (familyB || '').toLowerCase()
-  
-  // Same family always compatible
-  if (a === b) return true
-  
-  // Rack families can mix
-  const rackFamilies = ['varsity', 'vr2', 'vr1', 'hoop runner', 'circle series', 'dismount', 'wave']
-  const aIsRack = rackFamilies.some(f => a.includes(f))
-  const bIsRack = rackFamilies.some(f => b.includes(f))
-  if (aIsRack && bIsRack) return true
-  
-  // HR101 + HR201 compatible
-  if ((a.includes('hr101') || a.includes('hr201')) && 
-      (b.includes('hr101') || b.includes('hr201'))) {
-    return true
-  }
-  
-  // Circle Series RT + SQ compatible
-  if (a.includes('circle') && b.includes('circle')) return true
-  
-  return false
+export function areFamiliesCompatible(familyA, familyB, compatibility = PACKING_COMPATIBILITY) {
+  if ((familyA || '').toLowerCase() === (familyB || '').toLowerCase()) return true
+  return canMix({ family: familyA }, { family: familyB }, compatibility)
 }
 
 /**
@@ -1113,35 +1403,22 @@ export function estimatePalletCount(items) {
 }
 
 /**
- * Freight cost estimation stub
- * TODO: Berto to provide freight rate data
+ * Freight cost estimate via the rating engine (see freightRating.js)
+ * Returns totalCost: null until carrier tariffs are loaded
  * 
  * @param {Array} pallets - Packed pallets from packItems()
  * @param {Object} destination - { zipCode, state }
- * @returns {Object} { totalCost, breakdown, carrier }
+ * @param {Object} options - { origin, accessorials, engine }
+ * @returns {Object} { totalCost, carrier, quotes, cheapest, ... }
  */
-export function estimateFreightCost(pallets, destination = {}) {
-  // STUB: Returns placeholder until real freight data is provided
-  console.warn('⚠️ Freight cost estimation not yet configured. Waiting for rate data.')
+export function estimateFreightCost(pallets, destination = {}, options = {}) {
+  const { engine = defaultFreightEngine, ...rateOptions } = options
   
-  const totalWeight = pallets.reduce((sum, p) => sum + (p.metrics?.weight || 0), 0)
-  const palletCount = pallets.length
-  
-  // Placeholder calculation - REPLACE WITH REAL RATES
-  const baseCost = palletCount * 150 // $150 per pallet placeholder
-  const weightSurcharge = totalWeight > 2000 ? (totalWeight - 2000) * 0.05 : 0
-  
-  return {
-    totalCost: null, // Return null until real data available
-    palletCount,
-    totalWeight,
-    destination: destination.zipCode || 'unknown',
-    message: 'Freight rates not configured. Provide rate data to enable.',
-    _placeholder: {
-      estimatedCost: baseCost + weightSurcharge,
-      note: 'This is a placeholder estimate only'
-    }
+  if (!engine.hasCarriers) {
+    console.warn('⚠️ Freight cost estimation not yet configured. Load carrier tariffs first.')
   }
+  
+  return engine.rate(pallets, destination, rateOptions)
 }
 
 /**
@@ -0,0 +1,267 @@
+/**
+ * Kit / BOM Explosion
+ *
+ * Multi-box products ship as their child packages, not as the assembled
+ * unit. explodeOrder() runs once before packing and replaces every order
+ * line that has a bill of materials with its children:
+ *
+ * 1. LOOSE children (no crate) go to the packer like any other item
+ * 2. CRATED children are pooled across the whole order by crate type and
+ *    turned into dedicated crate pallets by buildCratePallets()
+ *
+ * BOM comes from the order line itself (products.json entry with `bom`)
+ * or from PRODUCT_MODELS - see the format notes at the top of productModels.js.
+ * A new multi-box product only needs catalog data, no code here.
+ */
+
+import { PRODUCT_MODELS, getProductModelKey } from './productModels.js'
+import { PALLET_TARE } from './freightClass.js'
+import { getBase, calculateOverhang } from './palletBases.js'
+
+const DEFAULT_UNIT_WEIGHT = 50
+
+const defaultGetKey = (item) => getProductModelKey(item.sku, item.family)
+
+/**
+ * Get the BOM for an order line, or null if it ships as one package
+ */
+export function getBom(item, getKey = defaultGetKey) {
+  if (item.bom?.length) return item.bom
+
+  const key = getKey(item)
+  const bom = key ? PRODUCT_MODELS[key]?.bom : null
+  return bom?.length ? bom : null
+}
+
+/**
+ * Resolve BOM lines to per-unit dims and weight
+ * Parent weight wins: children without a weight share what's left of it by
+ * volume; if every child has a weight, the difference is spread over all of them.
+ *
+ * @param {Array} bom - BOM lines
+ * @param {number|null} parentWeight - Catalog weight of one parent unit
+ * @returns {Array} lines with { child, qty, name, dims, weight, crate }
+ */
+export function resolveBomLines(bom, parentWeight = null) {
+  const lines = bom.map(line => {
+    const model = PRODUCT_MODELS[line.child] || {}
+    return {
+      child: line.child,
+      qty: line.qty || 1,
+      name: line.name || model.name || line.child,
+      dims: line.dims || model.dims || null,
+      weight: line.weight ?? model.weight ?? null,
+      crate: line.crate || null,
+    }
+  })
+
+  if (parentWeight) {
+    const known = lines.reduce((sum, l) => sum + (l.weight ?? 0) * l.qty, 0)
+    const unknown = lines.filter(l => l.weight == null)
+    const targets = unknown.length > 0 ? unknown : lines
+    const volume = (l) => l.dims ? l.dims.l * l.dims.w * l.dims.h : 1
+    const totalVolume = targets.reduce((sum, l) => sum + volume(l) * l.qty, 0)
+    // Unknown children can only take what's left; known ones can also give back
+    const delta = unknown.length > 0 ? Math.max(0, parentWeight - known) : parentWeight - known
+
+    if (totalVolume > 0 && (unknown.length > 0 || Math.abs(delta) >= 1)) {
+      targets.forEach(l => {
+        const share = delta * volume(l) / totalVolume
+        l.weight = Math.round(((l.weight ?? 0) + share) * 10) / 10
+      })
+    }
+  }
+
+  return lines.map(l => ({ ...l, weight: l.weight ?? DEFAULT_UNIT_WEIGHT }))
+}
+
+/**
+ * Explode order lines into packable items and crated children
+ * @param {Array} items - Order lines ({ sku, family, qty, displayName, ... })
+ * @param {Object} options - { getKey(item) → PRODUCT_MODELS key } (default: getProductModelKey)
+ * @returns {Object} { items, crated, exploded }
+ *   items: lines without a BOM (unchanged) + loose children ({ dims: {l,w,h}, weight, parentSku, bomParent })
+ *   crated: [{ crate, child, name, qty, weight, dims, parentSku }]
+ *   exploded: [{ sku, qty, children: [{ child, qty }] }] - for logging/slips
+ */
+export function explodeOrder(items, options = {}) {
+  const { getKey = defaultGetKey } = options
+  const result = { items: [], crated: [], exploded: [] }
+
+  items.forEach(item => {
+    const bom = getBom(item, getKey)
+    if (!bom) {
+      result.items.push(item)
+      return
+    }
+
+    const parentKey = getKey(item)
+    const parentWeight = PRODUCT_MODELS[parentKey]?.weight ?? null
+    const qty = item.qty || 1
+    const lines = resolveBomLines(bom, parentWeight)
+    const parentName = item.displayName || item.name || item.sku
+
+    lines.forEach(line => {
+      const childQty = line.qty * qty
+      if (line.crate) {
+        result.crated.push({
+          crate: line.crate,
+          child: line.child,
+          name: line.name,
+          qty: childQty,
+          weight: line.weight,
+          dims: line.dims,
+          parentSku: item.sku,
+        })
+        return
+      }
+
+      result.items.push({
+        sku: line.child,
+        name: `${parentName} - ${line.name}`,
+        displayName: `${parentName} - ${line.name}`,
+        family: item.family,
+        qty: childQty,
+        dims: line.dims,
+        weight: line.weight,
+        parentSku: item.sku,
+        bomParent: parentKey,
+      })
+    })
+
+    result.exploded.push({
+      sku: item.sku,
+      qty,
+      children: lines.map(line => ({ child: line.child, qty: line.qty * qty })),
+    })
+  })
+
+  if (result.exploded.length > 0) {
+    console.log('📦 BOM explosion:', result.exploded.map(e =>
+      `${e.qty}× ${e.sku} → ${e.children.map(c => `${c.qty}× ${c.child}`).join(', ')}`
+    ).join(' | '))
+  }
+
+  return result
+}
+
+/**
+ * Crate rules for a crate/pallet entry in PRODUCT_MODELS
+ */
+export function getCrateRules(crateKey) {
+  const model = PRODUCT_MODELS[crateKey]
+  if (!model) throw new Error(`Unknown crate type: ${crateKey}`)
+
+  return {
+    key: crateKey,
+    label: model.label || model.name,
+    unitLabel: model.unitLabel || 'pcs',
+    capacity: model.capacity ?? model.capacityMax ?? Infinity,
+    countBy: model.countBy || null,
+    dims: model.dims,
+    heightPerUnit: model.heightPerUnit || null,
+    contentDims: model.contentDims || model.dims,
+    fullWeight: model.weight || null,
+    boxSku: model.boxSku || crateKey,
+    color: model.color,
+    boxFamily: model.boxFamily || model.family || model.name,
+    family: model.family || model.name,
+    group: model.group || 'crate',
+    source: model.source || crateKey,
+    base: model.base ? getBase(model.base) : null,
+  }
+}
+
+/**
+ * Build dedicated crate pallets from crated BOM children
+ * Children pool by crate type; crates fill to capacity (counted by the
+ * crate's countBy child) and the other children ride along in proportion.
+ *
+ * @param {Array} crated - explodeOrder().crated
+ * @returns {Array} App-format pallets ({ items, boxes, dims, weight, family, group, ... })
+ */
+export function buildCratePallets(crated) {
+  const pallets = []
+
+  const byCrate = new Map()
+  crated.forEach(entry => {
+    if (!byCrate.has(entry.crate)) byCrate.set(entry.crate, new Map())
+    const children = byCrate.get(entry.crate)
+    const existing = children.get(entry.child)
+    if (existing) {
+      existing.qty += entry.qty
+      existing.totalWeight += entry.qty * entry.weight
+    } else {
+      children.set(entry.child, { child: entry.child, name: entry.name, qty: entry.qty, totalWeight: entry.qty * entry.weight })
+    }
+  })
+
+  byCrate.forEach((childMap, crateKey) => {
+    const rules = getCrateRules(crateKey)
+    const children = [...childMap.values()]
+    const counted = rules.countBy
+      ? children.filter(c => c.child === rules.countBy).reduce((sum, c) => sum + c.qty, 0)
+      : children.reduce((sum, c) => sum + c.qty, 0)
+    const crateCount = Math.ceil(counted / rules.capacity)
+
+    console.log(`   ${rules.label}: ${crateCount} (${counted} ${rules.unitLabel} ÷ ${rules.capacity})`)
+
+    let filled = 0
+    for (let crateIdx = 0; crateIdx < crateCount; crateIdx++) {
+      const onCrate = Math.min(rules.capacity, counted - filled)
+
+      // Cumulative rounding keeps each child's total exact across crates
+      const items = children.map(c => {
+        const before = Math.round(c.qty * filled / counted)
+        const after = Math.round(c.qty * (filled + onCrate) / counted)
+        return { sku: c.child, name: c.name, qty: after - before, unitWeight: c.totalWeight / c.qty }
+      }).filter(i => i.qty > 0)
+      filled += onCrate
+
+      const height = rules.heightPerUnit ? Math.ceil(onCrate * rules.heightPerUnit) : rules.dims.h
+      const contentsWeight = rules.fullWeight
+        ? Math.round((onCrate / rules.capacity) * rules.fullWeight)
+        : Math.round(items.reduce((sum, i) => sum + i.qty * i.unitWeight, 0))
+
+      // Single box representing the entire crate, centered on the base
+      const [deckL, deckW] = rules.base ? [rules.base.length, rules.base.width] : [rules.dims.l, rules.dims.w]
+      const boxes = [{
+        x: (deckL - rules.contentDims.l) / 2,
+        y: 0,
+        z: (deckW - rules.contentDims.w) / 2,
+        l: rules.contentDims.l,
+        w: rules.contentDims.w,
+        h: rules.heightPerUnit ? height : rules.contentDims.h,
+        item: {
+          sku: rules.boxSku,
+          name: `${rules.label} - ${onCrate} ${rules.unitLabel}`,
+          family: rules.boxFamily,
+          color: rules.color,
+        },
+      }]
+
+      // Crate footprint (dims) past the base edges, e.g. legs over a GMA pallet
+      const overhang = calculateOverhang(
+        [{ x: (deckL - rules.dims.l) / 2, z: (deckW - rules.dims.w) / 2, l: rules.dims.l, w: rules.dims.w }],
+        [deckL, deckW]
+      )
+
+      pallets.push({
+        id: pallets.length + 1,
+        items: items.map(({ sku, name, qty }) => ({ sku, name, qty })),
+        boxes,
+        dims: [rules.dims.l, rules.dims.w, height],
+        ...(overhang.max > 0 && { overhang }),
+        weight: contentsWeight + (rules.base?.tare ?? PALLET_TARE),
+        family: rules.family,
+        group: rules.group,
+        ...(rules.base && { base: rules.base.id, baseLabel: rules.base.label, baseCost: rules.base.cost }),
+        palletSize: `${rules.dims.l}x${rules.dims.w}`,
+        packingNote: `${rules.label}: ${onCrate} ${rules.unitLabel}`,
+        source: rules.source,
+      })
+    }
+  })
+
+  return pallets
+}
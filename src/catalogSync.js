@@ -0,0 +1,269 @@
+/**
+ * Product Catalog Sync
+ *
+ * Rebuilds public/products.json from three sources:
+ * 1. NETSUITE: item records (SKU, name, class → family, weight, inactive flag)
+ * 2. DIM SHEET: shipping box per SKU (src/data/dim-sheet.json). Entries have
+ *    either `sku` (exact) or `prefix` (longest prefix wins, for new colour/
+ *    finish variants of an existing box)
+ * 3. PRODUCT_MODELS: STEP dims, only for new SKUs the dim sheet doesn't cover
+ *
+ * Existing catalog entries keep fields NetSuite doesn't know about (basePrice,
+ * bikesPerUnit, bom). Discontinued SKUs stay in the catalog flagged
+ * `discontinued` so old quotes still resolve; new SKUs without dims are
+ * reported, not added.
+ *
+ * Pure functions - scripts/sync-catalog.js and api/catalog-sync.js do the I/O.
+ */
+
+import { getProductModelKey, PRODUCT_MODELS } from './productModels.js'
+
+// Weight changes smaller than this (lbs) aren't reported
+const WEIGHT_TOLERANCE = 0.5
+
+// NetSuite weightunit → lbs
+const WEIGHT_UNITS = { 1: 1, 2: 1 / 16, 3: 2.20462, 4: 0.00220462, lb: 1, oz: 1 / 16, kg: 2.20462, g: 0.00220462 }
+
+/**
+ * NetSuite item row (SuiteQL or RESTlet) → { sku, displayName, family, weight, inactive }
+ */
+export function normalizeNetSuiteItem(row) {
+  const sku = String(row.sku || row.itemid || '').trim()
+  if (!sku) return null
+  const rawWeight = Number(row.weight)
+  const unit = WEIGHT_UNITS[String(row.weightunit || row.weightUnit || 1).toLowerCase()] || 1
+  return {
+    sku,
+    displayName: row.displayname || row.displayName || row.name || sku,
+    family: row.family || row.class || null,
+    weight: rawWeight > 0 ? Math.round(rawWeight * unit * 10) / 10 : null,
+    inactive: row.isinactive === 'T' || row.isinactive === true || row.inactive === true,
+  }
+}
+
+/**
+ * Dim sheet lookup: exact SKU first, then the longest matching prefix
+ */
+export function createDimSheetLookup(dimSheet) {
+  const bySku = new Map()
+  const prefixes = []
+  for (const entry of dimSheet?.entries || []) {
+    if (entry.sku) bySku.set(entry.sku, entry)
+    else if (entry.prefix) prefixes.push(entry)
+  }
+  prefixes.sort((a, b) => b.prefix.length - a.prefix.length)
+
+  return (sku) => bySku.get(sku) || prefixes.find(e => sku.startsWith(e.prefix)) || null
+}
+
+function packagedFromDimSheet(entry) {
+  const packaged = {
+    dimSheetMatch: entry.match || entry.prefix || entry.sku,
+    weight_lbs: entry.weight_lbs,
+    length_in: entry.length_in,
+    width_in: entry.width_in,
+    height_in: entry.height_in,
+  }
+  if (entry.source) packaged.source = entry.source
+  return packaged
+}
+
+// SKU match only - a family-level model is too coarse for a catalog box
+function packagedFromModel(sku) {
+  const key = getProductModelKey(sku)
+  const model = key ? PRODUCT_MODELS[key] : null
+  if (!model?.dims) return null
+  return {
+    dimSheetMatch: null,
+    weight_lbs: model.weight || null,
+    length_in: model.dims.l,
+    width_in: model.dims.w,
+    height_in: model.dims.h,
+    source: `PRODUCT_MODELS ${key}`,
+  }
+}
+
+const sameDims = (a, b) =>
+  a?.length_in === b?.length_in && a?.width_in === b?.width_in && a?.height_in === b?.height_in
+
+/**
+ * Merge NetSuite items into the catalog
+ * @param {Object} catalog - Current products.json ({ version?, products })
+ * @param {Array} netsuiteItems - normalizeNetSuiteItem() output
+ * @param {Object} dimSheet - src/data/dim-sheet.json
+ * @param {Object} options - { families, now = new Date() }
+ *   families: NetSuite classes that belong in the catalog (default: families already in it)
+ * @returns {Object} { catalog, report }
+ *   report: { version, previousVersion, counts, duplicates, added, missingDims,
+ *             weightChanged, netsuiteWeightDiffers, dimsChanged, renamed, discontinued, reactivated }
+ *   netsuiteWeightDiffers: NetSuite weight off from the (unchanged) catalog weight - report only
+ */
+export function syncCatalog(catalog, netsuiteItems, dimSheet, options = {}) {
+  const { now = new Date() } = options
+  const current = catalog.products || []
+  const families = new Set(options.families || current.map(p => p.family))
+  const lookupDims = createDimSheetLookup(dimSheet)
+  const nsBySku = new Map(netsuiteItems.filter(Boolean).map(item => [item.sku, item]))
+
+  const report = {
+    duplicates: [],
+    added: [],
+    missingDims: [],
+    weightChanged: [],
+    netsuiteWeightDiffers: [],
+    dimsChanged: [],
+    renamed: [],
+    discontinued: [],
+    reactivated: [],
+  }
+
+  // One entry per SKU (the original merge listed some SKUs several times)
+  const seen = new Set()
+  const unique = current.filter(product => {
+    if (seen.has(product.sku)) {
+      report.duplicates.push({ sku: product.sku, displayName: product.displayName })
+      return false
+    }
+    seen.add(product.sku)
+    return true
+  })
+
+  // Existing products: refresh from NetSuite + dim sheet, flag discontinued
+  const products = unique.map(existing => {
+    const ns = nsBySku.get(existing.sku)
+    const next = { ...existing }
+
+    if (!ns || ns.inactive) {
+      if (!existing.discontinued) {
+        report.discontinued.push({ sku: existing.sku, displayName: existing.displayName, reason: ns ? 'inactive in NetSuite' : 'not in NetSuite' })
+      }
+      next.discontinued = true
+      return next
+    }
+    if (existing.discontinued) {
+      report.reactivated.push({ sku: existing.sku, displayName: ns.displayName })
+      delete next.discontinued
+    }
+
+    if (ns.displayName && ns.displayName !== existing.displayName) {
+      report.renamed.push({ sku: existing.sku, from: existing.displayName, to: ns.displayName })
+      next.displayName = ns.displayName
+    }
+
+    const dimEntry = lookupDims(existing.sku)
+    if (dimEntry) {
+      next.packaged = packagedFromDimSheet(dimEntry)
+      if (!sameDims(existing.packaged, next.packaged)) {
+        report.dimsChanged.push({
+          sku: existing.sku,
+          from: [existing.packaged?.length_in, existing.packaged?.width_in, existing.packaged?.height_in],
+          to: [next.packaged.length_in, next.packaged.width_in, next.packaged.height_in],
+        })
+      }
+    }
+
+    const before = existing.packaged?.weight_lbs ?? null
+    const after = next.packaged?.weight_lbs ?? null
+    if (before != null && after != null && Math.abs(after - before) > WEIGHT_TOLERANCE) {
+      report.weightChanged.push({ sku: existing.sku, from: before, to: after, netsuite: ns.weight })
+    } else if (ns.weight != null && after != null && Math.abs(ns.weight - after) > WEIGHT_TOLERANCE) {
+      // The dim sheet weight stays authoritative - NetSuite (or the sheet) needs a look
+      report.netsuiteWeightDiffers.push({ sku: existing.sku, catalog: after, netsuite: ns.weight })
+    }
+    return next
+  })
+
+  // New SKUs: in a catalog family (or on the dim sheet) and active
+  nsBySku.forEach(ns => {
+    if (seen.has(ns.sku) || ns.inactive) return
+    const dimEntry = lookupDims(ns.sku)
+    if (!dimEntry && !families.has(ns.family)) return
+
+    const packaged = dimEntry ? packagedFromDimSheet(dimEntry) : packagedFromModel(ns.sku)
+    if (!packaged?.length_in || !packaged?.width_in || !packaged?.height_in) {
+      report.missingDims.push({ sku: ns.sku, displayName: ns.displayName, family: ns.family, netsuiteWeight: ns.weight })
+      return
+    }
+    if (!packaged.weight_lbs) packaged.weight_lbs = ns.weight
+
+    const product = {
+      sku: ns.sku,
+      family: ns.family,
+      displayName: ns.displayName,
+      basePrice: null,
+      bikesPerUnit: null,
+      packaged,
+    }
+    products.push(product)
+    report.added.push({ sku: ns.sku, displayName: ns.displayName, family: ns.family, source: packaged.source || 'dim sheet' })
+  })
+
+  const previousVersion = catalog.version || 1
+  const next = {
+    version: previousVersion + 1,
+    created: catalog.created,
+    updated: now.toISOString(),
+    source: 'NetSuite + Dim Sheet merge',
+    products,
+  }
+
+  return {
+    catalog: next,
+    report: {
+      version: next.version,
+      previousVersion,
+      date: now.toISOString(),
+      counts: {
+        netsuiteItems: nsBySku.size,
+        before: current.length,
+        after: products.length,
+        active: products.filter(p => !p.discontinued).length,
+      },
+      ...report,
+    },
+  }
+}
+
+/**
+ * True when the sync changed anything worth writing a new version for
+ */
+export function hasCatalogChanges(report) {
+  return ['duplicates', 'added', 'weightChanged', 'dimsChanged', 'renamed', 'discontinued', 'reactivated']
+    .some(key => report[key].length > 0)
+}
+
+/**
+ * Sync report → Markdown (written next to the archived catalog version)
+ */
+export function formatSyncReport(report) {
+  const lines = [
+    `# Catalog v${report.version} (from v${report.previousVersion})`,
+    '',
+    `Synced ${report.date} - ${report.counts.netsuiteItems} NetSuite items, ` +
+      `${report.counts.before} → ${report.counts.after} products (${report.counts.active} active)`,
+  ]
+
+  const section = (title, rows, format) => {
+    if (rows.length === 0) return
+    lines.push('', `## ${title} (${rows.length})`, '')
+    rows.forEach(row => lines.push(`- ${format(row)}`))
+  }
+
+  section('New SKUs with no dimensions - add to src/data/dim-sheet.json', report.missingDims,
+    r => `\`${r.sku}\` ${r.displayName} (${r.family || 'no class'}${r.netsuiteWeight ? `, NetSuite ${r.netsuiteWeight} lbs` : ''})`)
+  section('Added', report.added, r => `\`${r.sku}\` ${r.displayName} (${r.family}, dims from ${r.source})`)
+  section('Weight changed', report.weightChanged,
+    r => `\`${r.sku}\` ${r.from} → ${r.to} lbs${r.netsuite ? ` (NetSuite ${r.netsuite} lbs)` : ''}`)
+  section('NetSuite weight differs - catalog keeps its weight', report.netsuiteWeightDiffers,
+    r => `\`${r.sku}\` catalog ${r.catalog} lbs, NetSuite ${r.netsuite} lbs`)
+  section('Dimensions changed', report.dimsChanged, r => `\`${r.sku}\` ${r.from.join('×')} → ${r.to.join('×')}"`)
+  section('Discontinued', report.discontinued, r => `\`${r.sku}\` ${r.displayName} (${r.reason})`)
+  section('Reactivated', report.reactivated, r => `\`${r.sku}\` ${r.displayName}`)
+  section('Renamed', report.renamed, r => `\`${r.sku}\` "${r.from}" → "${r.to}"`)
+  section('Duplicate entries removed', report.duplicates, r => `\`${r.sku}\` ${r.displayName}`)
+
+  if (!hasCatalogChanges(report) && report.missingDims.length === 0 && report.netsuiteWeightDiffers.length === 0) {
+    lines.push('', 'No changes.')
+  }
+  return lines.join('\n') + '\n'
+}
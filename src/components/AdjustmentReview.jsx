@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react'
+
+const ADJUSTMENT_ENDPOINT = '/api/log-adjustment'
+const STATUSES = ['pending', 'accepted', 'rejected']
+const REVIEWERS = ['Chad', 'Berto', 'Tristan', 'Anisa', 'Avianna']
+
+const layerText = (layer) => `${layer.quantity}× ${layer.sku}`
+
+// Pallets whose layer order the warehouse changed: [{ id, type, before, after }]
+function changedPallets(adjustment) {
+  const before = new Map((adjustment.originalPlan || []).map(p => [String(p.id), p]))
+  return (adjustment.adjustedPlan || [])
+    .map(pallet => ({
+      id: pallet.id,
+      type: pallet.type,
+      before: before.get(String(pallet.id))?.layers || [],
+      after: pallet.layers,
+    }))
+    .filter(p => p.before.map(layerText).join() !== p.after.map(layerText).join())
+}
+
+function AdjustmentCard({ adjustment, reviewer, onReviewed }) {
+  const [rule, setRule] = useState(() =>
+    Object.fromEntries(adjustment.proposedRule.map(change => [change.key, change.to]))
+  )
+  const [note, setNote] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const pending = adjustment.status === 'pending'
+
+  const review = async (status) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const response = await fetch(ADJUSTMENT_ENDPOINT, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: adjustment.id,
+          status,
+          reviewedBy: reviewer,
+          note: note.trim() || null,
+          ...(status === 'accepted' && { layerPriority: rule }),
+        }),
+      })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+      onReviewed(data)
+    } catch (err) {
+      console.error('Adjustment review error:', err)
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="adjustment-card">
+      <div className="adjustment-header">
+        <strong>{adjustment.quoteNumber || 'No quote'}</strong>
+        <span>Pallet {adjustment.palletId}{adjustment.palletType !== 'unknown' ? ` (${adjustment.palletType})` : ''}</span>
+        <span className="muted">{new Date(adjustment.createdAt).toLocaleString()}</span>
+        <span className="muted">rules {adjustment.rulesVersion || '?'} · matrix v{adjustment.compatibilityVersion ?? '?'}</span>
+      </div>
+
+      {changedPallets(adjustment).map(pallet => (
+        <div key={pallet.id} className="layer-compare">
+          <div>
+            <span className="muted">Pallet {pallet.id} before (bottom → top)</span>
+            <ol>{pallet.before.map((layer, i) => <li key={i}>{layerText(layer)}</li>)}</ol>
+          </div>
+          <div>
+            <span className="muted">After</span>
+            <ol>{pallet.after.map((layer, i) => <li key={i}>{layerText(layer)}</li>)}</ol>
+          </div>
+        </div>
+      ))}
+
+      {adjustment.reason && <p className="muted">Reason: {adjustment.reason}</p>}
+
+      {pending ? (
+        <>
+          {adjustment.proposedRule.length > 0 ? (
+            <div className="proposed-rule">
+              <span className="muted">Layer priority to accept (lower = closer to the deck)</span>
+              {adjustment.proposedRule.map(change => (
+                <label key={change.key} className="rule-change">
+                  <span>{change.key}</span>
+                  <span className="muted">{change.from} →</span>
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    step="0.5"
+                    value={rule[change.key] ?? ''}
+                    onChange={(e) => setRule({ ...rule, [change.key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                  />
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p className="muted">The current rules already give this order - nothing to turn into a rule.</p>
+          )}
+
+          <div className="review-actions">
+            <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note (optional)" />
+            <button type="button" className="secondary-btn" disabled={busy} onClick={() => review('rejected')}>
+              Reject
+            </button>
+            <button
+              type="button"
+              className="submit-btn"
+              disabled={busy || adjustment.proposedRule.length === 0}
+              onClick={() => review('accepted')}
+            >
+              {busy ? 'Saving...' : 'Accept as Rule'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="muted">
+          {adjustment.status === 'accepted' ? 'Accepted' : 'Rejected'} by {adjustment.reviewedBy}
+          {adjustment.reviewedAt && ` on ${new Date(adjustment.reviewedAt).toLocaleString()}`}
+          {adjustment.acceptedVersion && ` → rules v${adjustment.acceptedVersion}`}
+          {adjustment.acceptedRule && ` (${Object.entries(adjustment.acceptedRule).map(([key, value]) => `${key} ${value}`).join(', ')})`}
+          {adjustment.reviewNote && ` - ${adjustment.reviewNote}`}
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  )
+}
+
+/**
+ * Review queue for warehouse layer adjustments (Rules mode):
+ * accept one as a layer order rule (new mixing matrix version) or reject it
+ */
+export default function AdjustmentReview({ onAccepted }) {
+  const [status, setStatus] = useState('pending')
+  const [adjustments, setAdjustments] = useState([])
+  const [reviewer, setReviewer] = useState('Chad')
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+
+  const load = () => {
+    fetch(`${ADJUSTMENT_ENDPOINT}?status=${status}`)
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error)
+        setAdjustments(data.adjustments || [])
+        setError(null)
+      })
+      .catch(err => setError(`Adjustments not loaded: ${err.message}`))
+  }
+  useEffect(load, [status])
+
+  const handleReviewed = async ({ adjustment, version }) => {
+    setSuccess(version
+      ? `Accepted ${adjustment.id} - saved as rules version ${version}`
+      : `Rejected ${adjustment.id}`)
+    load()
+    if (!version) return
+    // Pick up the new matrix so the layer plan uses the rule right away
+    try {
+      const data = await fetch('/api/packing-compatibility').then(res => res.json())
+      if (data.success && data.matrix) onAccepted?.(data.matrix)
+    } catch (err) {
+      console.warn('⚙️ Mixing rules not reloaded:', err.message)
+    }
+  }
+
+  return (
+    <div className="adjustment-review">
+      <div className="form-section">
+        <div className="section-header">
+          <h3>Warehouse Adjustments</h3>
+          <div className="status-tabs">
+            {STATUSES.map(s => (
+              <button key={s} type="button" className={s === status ? 'active' : ''} onClick={() => setStatus(s)}>
+                {s[0].toUpperCase() + s.slice(1)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="hint">
+          Layer reorders from the layer plan. Accepting one saves its layer priorities as a new rules version.
+        </p>
+
+        <div className="form-group reviewer">
+          <label htmlFor="adjustment-reviewer">Reviewed by</label>
+          <select id="adjustment-reviewer" value={reviewer} onChange={(e) => setReviewer(e.target.value)}>
+            {REVIEWERS.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+        {adjustments.length === 0 && !error && <p className="hint">No {status} adjustments.</p>}
+
+        {adjustments.map(adjustment => (
+          <AdjustmentCard key={adjustment.id} adjustment={adjustment} reviewer={reviewer} onReviewed={handleReviewed} />
+        ))}
+      </div>
+
+      <style>{`
+        .adjustment-review {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 0 16px 16px;
+        }
+
+        .adjustment-review .form-section {
+          background: #1e293b;
+          border-radius: 12px;
+          padding: 20px;
+        }
+
+        .adjustment-review .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .adjustment-review .section-header h3 {
+          font-size: 18px;
+          font-weight: 600;
+        }
+
+        .adjustment-review .hint,
+        .adjustment-review .muted {
+          color: #94a3b8;
+          font-size: 14px;
+        }
+
+        .adjustment-review .hint {
+          margin: 0 0 12px;
+        }
+
+        .status-tabs {
+          display: flex;
+          gap: 4px;
+        }
+
+        .status-tabs button {
+          padding: 6px 12px;
+          background: #334155;
+          color: #cbd5e1;
+          border: none;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .status-tabs button.active {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .adjustment-review .reviewer {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          max-width: 200px;
+          margin-bottom: 16px;
+        }
+
+        .adjustment-card {
+          border: 1px solid #334155;
+          border-radius: 8px;
+          padding: 12px 16px;
+          margin-bottom: 12px;
+          color: #e2e8f0;
+          font-size: 14px;
+        }
+
+        .adjustment-header {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-bottom: 8px;
+        }
+
+        .layer-compare {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+          margin-bottom: 8px;
+        }
+
+        .layer-compare ol {
+          margin: 4px 0 0;
+          padding-left: 20px;
+        }
+
+        .proposed-rule {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+          margin: 8px 0;
+        }
+
+        .rule-change {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .rule-change input {
+          width: 70px;
+        }
+
+        .review-actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 8px;
+          flex-wrap: wrap;
+        }
+
+        .review-actions input {
+          flex: 1;
+          min-width: 160px;
+        }
+
+        .adjustment-review .submit-btn,
+        .adjustment-review .secondary-btn {
+          padding: 8px 16px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 700;
+          cursor: pointer;
+        }
+
+        .adjustment-review .submit-btn {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .adjustment-review .secondary-btn {
+          background: #334155;
+          color: #e2e8f0;
+        }
+
+        .adjustment-review .submit-btn:disabled,
+        .adjustment-review .secondary-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .adjustment-review .error-message {
+          background: #7f1d1d;
+          color: #fecaca;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin: 8px 0;
+        }
+
+        .adjustment-review .success-message {
+          background: #14532d;
+          color: #bbf7d0;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin: 8px 0;
+        }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react'
+
+const CHECKLIST_ENDPOINT = '/api/checklist'
+const REFRESH_MS = 10000
+
+const timeAgo = (value) => {
+  const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`
+  return new Date(value).toLocaleDateString()
+}
+
+function OrderRow({ order, onOpen }) {
+  const complete = order.percent >= 100
+  return (
+    <button type="button" className="order-row" onClick={() => onOpen(order.key)} title="Open the saved plan in Warehouse mode">
+      <span className="order-key">{order.key}</span>
+      <span className="order-progress">
+        <span className="bar">
+          <span className={`fill ${complete ? 'complete' : ''}`} style={{ width: `${order.percent}%` }} />
+        </span>
+        <span className="percent">{order.percent}%</span>
+      </span>
+      <span className="order-meta">{order.checkedCount} / {order.totalItems} items</span>
+      <span className="order-meta">{order.packers.join(', ') || '-'}</span>
+      <span className="order-meta">{timeAgo(order.updatedAt)}</span>
+    </button>
+  )
+}
+
+export default function ChecklistDashboard({ onOpen }) {
+  const [orders, setOrders] = useState([])
+  const [error, setError] = useState(null)
+  const [updatedAt, setUpdatedAt] = useState(null)
+
+  // Refresh while the dashboard is open
+  useEffect(() => {
+    let active = true
+    const load = () => {
+      fetch(CHECKLIST_ENDPOINT)
+        .then(res => res.json())
+        .then(data => {
+          if (!data.success) throw new Error(data.error)
+          if (!active) return
+          setOrders(data.orders || [])
+          setUpdatedAt(new Date())
+          setError(null)
+        })
+        .catch(err => active && setError(`Progress not loaded: ${err.message}`))
+    }
+    load()
+    const timer = setInterval(load, REFRESH_MS)
+    return () => {
+      active = false
+      clearInterval(timer)
+    }
+  }, [])
+
+  const handleOpen = async (key) => {
+    const opened = await onOpen?.(key)
+    if (opened === false) setError(`No saved plan for ${key} - save it from Sales first`)
+  }
+
+  const inProgress = orders.filter(order => order.percent < 100)
+  const complete = orders.filter(order => order.percent >= 100)
+
+  return (
+    <div className="checklist-dashboard">
+      <div className="form-header">
+        <h2>Packing Floor</h2>
+        <p className="subtitle">
+          Orders being packed on the warehouse tablets (last 7 days).
+          {updatedAt && ` Updated ${updatedAt.toLocaleTimeString()}.`}
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-section">
+        <div className="section-header">
+          <h3>In Progress ({inProgress.length})</h3>
+        </div>
+        {inProgress.length === 0 && <p className="hint">Nothing being packed right now.</p>}
+        {inProgress.map(order => <OrderRow key={order.key} order={order} onOpen={handleOpen} />)}
+      </div>
+
+      {complete.length > 0 && (
+        <div className="form-section">
+          <div className="section-header">
+            <h3>Packed ({complete.length})</h3>
+          </div>
+          {complete.map(order => <OrderRow key={order.key} order={order} onOpen={handleOpen} />)}
+        </div>
+      )}
+
+      <style>{`
+        .checklist-dashboard {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 16px;
+        }
+
+        .checklist-dashboard .form-header {
+          margin-bottom: 24px;
+        }
+
+        .checklist-dashboard .form-header h2 {
+          font-size: 28px;
+          font-weight: 700;
+          margin-bottom: 8px;
+        }
+
+        .checklist-dashboard .subtitle,
+        .checklist-dashboard .hint,
+        .checklist-dashboard .order-meta {
+          color: #94a3b8;
+          font-size: 14px;
+        }
+
+        .checklist-dashboard .form-section {
+          background: #1e293b;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .checklist-dashboard .section-header {
+          margin-bottom: 12px;
+        }
+
+        .checklist-dashboard .section-header h3 {
+          font-size: 18px;
+          font-weight: 600;
+        }
+
+        .order-row {
+          display: grid;
+          grid-template-columns: 120px 1fr 110px 160px 100px;
+          align-items: center;
+          gap: 12px;
+          width: 100%;
+          padding: 10px 12px;
+          margin-bottom: 6px;
+          border: 1px solid #334155;
+          border-radius: 8px;
+          background: transparent;
+          color: #e2e8f0;
+          font-size: 14px;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .order-row:hover {
+          border-color: #3b82f6;
+        }
+
+        .order-key {
+          font-weight: 700;
+        }
+
+        .order-progress {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .order-progress .bar {
+          flex: 1;
+          height: 10px;
+          background: #334155;
+          border-radius: 5px;
+          overflow: hidden;
+        }
+
+        .order-progress .fill {
+          display: block;
+          height: 100%;
+          background: #60a5fa;
+          transition: width 0.3s ease;
+        }
+
+        .order-progress .fill.complete {
+          background: #86efac;
+        }
+
+        .order-progress .percent {
+          min-width: 40px;
+          font-weight: 600;
+        }
+
+        .checklist-dashboard .error-message {
+          background: #7f1d1d;
+          color: #fecaca;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+          font-size: 14px;
+        }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,715 @@
+import { useState, useEffect } from 'react'
+import { MIX_MODES, getMixRule, validateCompatibility } from '../packingCompatibility.js'
+import { PRODUCT_FAMILIES } from '../palletPrediction.js'
+import { PALLET_BASES, getBases } from '../palletBases.js'
+import { PACKING_PRIORITY } from '../layerPriority.js'
+
+const MIX_LABELS = { allow: 'Allow', deny: 'Deny', 'same-footprint': 'Same footprint' }
+
+const PALLET_FIELDS = [
+  { field: 'minQty', label: 'Min qty' },
+  { field: 'maxQty', label: 'Max qty' },
+  { field: 'maxHeight', label: 'Max H (in)' },
+  { field: 'maxWeight', label: 'Max lbs' },
+]
+
+const EDITORS = ['Chad', 'Berto', 'Tristan', 'Anisa', 'Avianna']
+
+const isGroupPair = (rule, groups) => Boolean(groups[rule.a] && groups[rule.b])
+const samePair = (rule, a, b) => (rule.a === a && rule.b === b) || (rule.a === b && rule.b === a)
+
+export default function CompatibilityAdmin({ compatibility, onSaved }) {
+  const [draft, setDraft] = useState(() => structuredClone(compatibility))
+  const [updatedBy, setUpdatedBy] = useState('Chad')
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [errors, setErrors] = useState([])
+  const [success, setSuccess] = useState(null)
+  const [history, setHistory] = useState([])
+
+  const groups = draft.groups || {}
+  const groupIds = Object.keys(groups)
+  const sides = ['*', ...groupIds, ...Object.keys(PRODUCT_FAMILIES.families)]
+  const exceptions = (draft.rules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => !isGroupPair(rule, groups))
+
+  // Saved versions
+  const loadHistory = () => {
+    fetch('/api/packing-compatibility?history=1')
+      .then(res => res.json())
+      .then(data => data.success && setHistory(data.versions || []))
+      .catch(err => console.warn('⚙️ Compatibility history not loaded:', err.message))
+  }
+  useEffect(loadHistory, [compatibility.version])
+
+  // Re-sync when a newer matrix arrives from the server
+  useEffect(() => {
+    setDraft(structuredClone(compatibility))
+  }, [compatibility])
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }))
+    setSuccess(null)
+  }
+
+  // Group × group cell: set or clear the exact rule for that pair
+  const setGroupMix = (a, b, mix) => {
+    const rules = (draft.rules || []).filter(rule => !samePair(rule, a, b))
+    update({ rules: mix ? [...rules, { a, b, mix }] : rules })
+  }
+
+  const updateRule = (index, field, value) => {
+    const rules = [...draft.rules]
+    rules[index] = { ...rules[index], [field]: value }
+    update({ rules })
+  }
+
+  const removeRule = (index) => {
+    update({ rules: draft.rules.filter((_, i) => i !== index) })
+  }
+
+  const addException = () => {
+    update({ rules: [...(draft.rules || []), { a: '*', b: '*', mix: 'allow', note: '' }] })
+  }
+
+  const updatePallets = (group, pallets) => {
+    update({ groups: { ...groups, [group]: { ...groups[group], pallets } } })
+  }
+
+  const toggleBase = (group, index, baseId) => {
+    const pallet = groups[group].pallets[index]
+    const bases = (pallet.bases || []).includes(baseId)
+      ? pallet.bases.filter(id => id !== baseId)
+      : [...(pallet.bases || []), baseId]
+    const pallets = [...groups[group].pallets]
+    pallets[index] = { ...pallet, bases: bases.length > 0 ? bases : undefined }
+    updatePallets(group, pallets)
+  }
+
+  const updatePallet = (group, index, field, value) => {
+    const pallets = [...groups[group].pallets]
+    pallets[index] = {
+      ...pallets[index],
+      [field]: field === 'note' ? value : value === '' ? undefined : Number(value),
+    }
+    updatePallets(group, pallets)
+  }
+
+  // Layer order override: number sets it, '' removes it (back to the built-in priority)
+  const setLayerPriority = (key, value) => {
+    const layerPriority = { ...draft.layerPriority }
+    if (value === '') delete layerPriority[key]
+    else layerPriority[key] = Number(value)
+    update({ layerPriority: Object.keys(layerPriority).length > 0 ? layerPriority : undefined })
+  }
+
+  const handleSave = async () => {
+    const validationErrors = validateCompatibility(draft, PRODUCT_FAMILIES.families)
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors)
+      return
+    }
+
+    setSaving(true)
+    setErrors([])
+    setSuccess(null)
+
+    try {
+      const response = await fetch('/api/packing-compatibility', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ matrix: draft, updatedBy, note: note.trim() || null }),
+      })
+      const data = await response.json()
+
+      if (!data.success) {
+        setErrors(data.errors || [data.error || 'Failed to save rules'])
+        return
+      }
+
+      const saved = { ...draft, version: data.version, updated: data.createdAt }
+      setSuccess(`Saved version ${data.version}`)
+      setNote('')
+      onSaved?.(saved)
+      loadHistory()
+    } catch (err) {
+      console.error('Save error:', err)
+      setErrors([err.message || 'Failed to save rules'])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReset = () => {
+    setDraft(structuredClone(compatibility))
+    setErrors([])
+    setSuccess(null)
+  }
+
+  return (
+    <div className="compat-admin">
+      <div className="form-header">
+        <h2>Mixing Rules</h2>
+        <p className="subtitle">
+          Which products can share a pallet, and which pallet each group ships on.
+          Version {compatibility.version}{compatibility.updated ? ` · ${new Date(compatibility.updated).toLocaleDateString()}` : ''}
+        </p>
+      </div>
+
+      {/* Group matrix */}
+      <div className="form-section">
+        <div className="section-header">
+          <h3>Groups</h3>
+        </div>
+        <div className="matrix-scroll">
+          <table className="compat-matrix">
+            <thead>
+              <tr>
+                <th></th>
+                {groupIds.map(group => <th key={group}>{groups[group].label || group}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {groupIds.map((rowGroup, row) => (
+                <tr key={rowGroup}>
+                  <th>{groups[rowGroup].label || rowGroup}</th>
+                  {groupIds.map((colGroup, col) => {
+                    if (col < row) return <td key={colGroup} className="mirror"></td>
+                    const exact = (draft.rules || []).find(rule => samePair(rule, rowGroup, colGroup))
+                    const resolved = getMixRule({ key: null, group: rowGroup }, { key: null, group: colGroup }, draft).mix
+                    return (
+                      <td key={colGroup} className={`cell-${resolved}`}>
+                        <select
+                          value={exact?.mix || ''}
+                          onChange={(e) => setGroupMix(rowGroup, colGroup, e.target.value)}
+                          title={exact?.note || ''}
+                        >
+                          <option value="">{exact ? '(clear)' : `${MIX_LABELS[resolved]} (inherited)`}</option>
+                          {MIX_MODES.map(mix => <option key={mix} value={mix}>{MIX_LABELS[mix]}</option>)}
+                        </select>
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="form-row defaults-row">
+          {['sameGroup', 'otherGroup'].map(key => (
+            <div key={key} className="form-group">
+              <label>{key === 'sameGroup' ? 'Same group (no rule)' : 'Different groups (no rule)'}</label>
+              <select
+                value={draft.defaults?.[key] || ''}
+                onChange={(e) => update({ defaults: { ...draft.defaults, [key]: e.target.value } })}
+              >
+                {MIX_MODES.map(mix => <option key={mix} value={mix}>{MIX_LABELS[mix]}</option>)}
+              </select>
+            </div>
+          ))}
+          <div className="form-group">
+            <label>Footprint tolerance (in)</label>
+            <input
+              type="number"
+              inputMode="decimal"
+              value={draft.footprintTolerance ?? ''}
+              onChange={(e) => update({ footprintTolerance: e.target.value === '' ? undefined : Number(e.target.value) })}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Family / wildcard rules */}
+      <div className="form-section">
+        <div className="section-header">
+          <h3>Exceptions</h3>
+          <button type="button" className="add-btn" onClick={addException}>+ Add Rule</button>
+        </div>
+        <p className="hint">
+          Family keys (e.g. dv215) beat groups, groups beat * (anything).
+        </p>
+        <datalist id="compat-sides">
+          {sides.map(side => <option key={side} value={side} />)}
+        </datalist>
+        {exceptions.map(({ rule, index }) => (
+          <div key={index} className="rule-row">
+            <input list="compat-sides" value={rule.a} onChange={(e) => updateRule(index, 'a', e.target.value.trim())} />
+            <span className="plus">+</span>
+            <input list="compat-sides" value={rule.b} onChange={(e) => updateRule(index, 'b', e.target.value.trim())} />
+            <select value={rule.mix} onChange={(e) => updateRule(index, 'mix', e.target.value)}>
+              {MIX_MODES.map(mix => <option key={mix} value={mix}>{MIX_LABELS[mix]}</option>)}
+            </select>
+            <input
+              className="note-input"
+              value={rule.note || ''}
+              onChange={(e) => updateRule(index, 'note', e.target.value)}
+              placeholder="Why"
+            />
+            <button type="button" className="remove-btn" onClick={() => removeRule(index)} aria-label="Remove rule">X</button>
+          </div>
+        ))}
+      </div>
+
+      {/* Per-group pallets */}
+      <div className="form-section">
+        <div className="section-header">
+          <h3>Group Pallets</h3>
+        </div>
+        <p className="hint">
+          First entry that fits the group's total qty wins. Each ticked base is tried and the best kept; none ticked = standard
+          bases ({getBases().map(base => base.label).join(', ')}). Mixed-group pallets use the standard bases.
+        </p>
+        {groupIds.map(group => (
+          <div key={group} className="group-pallets">
+            <div className="group-pallets-header">
+              <strong>{groups[group].label || group}</strong>
+              <button type="button" className="add-btn small" onClick={() => updatePallets(group, [...(groups[group].pallets || []), {}])}>
+                + Pallet
+              </button>
+            </div>
+            {(groups[group].pallets || []).map((pallet, index) => (
+              <div key={index} className="pallet-config-row">
+                {PALLET_FIELDS.map(({ field, label }) => (
+                  <label key={field} className="pallet-field">
+                    <span>{label}</span>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      value={pallet[field] ?? ''}
+                      onChange={(e) => updatePallet(group, index, field, e.target.value)}
+                    />
+                  </label>
+                ))}
+                <label className="pallet-field note-field">
+                  <span>Note</span>
+                  <input value={pallet.note || ''} onChange={(e) => updatePallet(group, index, 'note', e.target.value)} />
+                </label>
+                <div className="base-options">
+                  {Object.entries(PALLET_BASES.bases).map(([id, base]) => (
+                    <label key={id} className={`base-option ${(pallet.bases || []).includes(id) ? 'active' : ''}`}>
+                      <input
+                        type="checkbox"
+                        checked={(pallet.bases || []).includes(id)}
+                        onChange={() => toggleBase(group, index, id)}
+                      />
+                      {base.label}
+                    </label>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="remove-btn"
+                  onClick={() => updatePallets(group, groups[group].pallets.filter((_, i) => i !== index))}
+                  aria-label="Remove pallet config"
+                >
+                  X
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {/* Layer order overrides (accepted warehouse adjustments) */}
+      {Object.keys(draft.layerPriority || {}).length > 0 && (
+        <div className="form-section">
+          <div className="section-header">
+            <h3>Layer Order</h3>
+          </div>
+          <p className="hint">
+            Lower = closer to the pallet deck in the layer plan. Set by accepting warehouse adjustments below; remove one to go back to the built-in order.
+          </p>
+          {Object.entries(draft.layerPriority).map(([key, priority]) => (
+            <div key={key} className="rule-row">
+              <span className="layer-key">{key}</span>
+              <input
+                type="number"
+                inputMode="decimal"
+                step="0.5"
+                value={priority}
+                onChange={(e) => setLayerPriority(key, e.target.value)}
+              />
+              <span className="hint">built-in {PACKING_PRIORITY[key] ?? PACKING_PRIORITY.default}</span>
+              <button type="button" className="remove-btn" onClick={() => setLayerPriority(key, '')} aria-label="Remove layer rule">X</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Save */}
+      <div className="form-section">
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="compat-updated-by">Edited by</label>
+            <select id="compat-updated-by" value={updatedBy} onChange={(e) => setUpdatedBy(e.target.value)}>
+              {EDITORS.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+          <div className="form-group grow">
+            <label htmlFor="compat-note">What changed (optional)</label>
+            <input
+              id="compat-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. VR2 can ride with HR101 now"
+            />
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="error-message">
+            {errors.map((error, i) => <div key={i}>{error}</div>)}
+          </div>
+        )}
+        {success && <div className="success-message">{success}</div>}
+
+        <div className="actions">
+          <button type="button" className="secondary-btn" onClick={handleReset} disabled={saving}>
+            Discard Changes
+          </button>
+          <button type="button" className="submit-btn" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save New Version'}
+          </button>
+        </div>
+      </div>
+
+      {/* History */}
+      {history.length > 0 && (
+        <div className="form-section">
+          <div className="section-header">
+            <h3>History</h3>
+          </div>
+          {history.map(entry => (
+            <div key={entry.version} className="history-row">
+              <span className="history-version">v{entry.version}</span>
+              <span>{entry.updatedBy || '-'}</span>
+              <span className="history-date">{entry.createdAt ? new Date(entry.createdAt).toLocaleString() : ''}</span>
+              <span className="history-note">{entry.note || ''}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <style>{`
+        .compat-admin {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 16px;
+        }
+
+        .compat-admin .form-header {
+          margin-bottom: 24px;
+        }
+
+        .compat-admin .form-header h2 {
+          font-size: 28px;
+          font-weight: 700;
+          margin-bottom: 8px;
+        }
+
+        .compat-admin .subtitle,
+        .compat-admin .hint {
+          color: #94a3b8;
+          font-size: 14px;
+        }
+
+        .compat-admin .hint {
+          margin: 0 0 12px;
+        }
+
+        .compat-admin .form-section {
+          background: #1e293b;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .compat-admin .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .compat-admin .section-header h3 {
+          font-size: 18px;
+          font-weight: 600;
+        }
+
+        .compat-admin .form-row {
+          display: flex;
+          gap: 16px;
+          flex-wrap: wrap;
+        }
+
+        .compat-admin .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .compat-admin .form-group.grow {
+          flex: 1;
+          min-width: 200px;
+        }
+
+        .compat-admin .form-group label,
+        .compat-admin .pallet-field span {
+          font-size: 13px;
+          font-weight: 600;
+          color: #94a3b8;
+        }
+
+        .compat-admin select,
+        .compat-admin input {
+          padding: 8px 10px;
+          border: 2px solid #475569;
+          border-radius: 8px;
+          background: #0f172a;
+          color: white;
+          font-size: 14px;
+          min-width: 0;
+        }
+
+        .compat-admin select:focus,
+        .compat-admin input:focus {
+          outline: none;
+          border-color: #3b82f6;
+        }
+
+        .matrix-scroll {
+          overflow-x: auto;
+          margin-bottom: 16px;
+        }
+
+        .compat-matrix {
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+
+        .compat-matrix th {
+          color: #94a3b8;
+          font-weight: 600;
+          padding: 6px 8px;
+          text-align: left;
+          white-space: nowrap;
+        }
+
+        .compat-matrix td {
+          padding: 4px;
+          border-radius: 6px;
+        }
+
+        .compat-matrix td select {
+          width: 100%;
+          font-size: 12px;
+        }
+
+        .compat-matrix .cell-allow { background: rgba(34, 197, 94, 0.15); }
+        .compat-matrix .cell-deny { background: rgba(239, 68, 68, 0.15); }
+        .compat-matrix .cell-same-footprint { background: rgba(234, 179, 8, 0.15); }
+
+        .defaults-row {
+          border-top: 1px solid #334155;
+          padding-top: 16px;
+        }
+
+        .rule-row,
+        .pallet-config-row,
+        .history-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 8px;
+          flex-wrap: wrap;
+        }
+
+        .rule-row input {
+          width: 130px;
+        }
+
+        .rule-row .note-input {
+          flex: 1;
+          min-width: 160px;
+        }
+
+        .rule-row .plus {
+          color: #94a3b8;
+          font-weight: 700;
+        }
+
+        .group-pallets {
+          border-top: 1px solid #334155;
+          padding: 12px 0 4px;
+        }
+
+        .group-pallets-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 8px;
+        }
+
+        .pallet-config-row {
+          align-items: flex-end;
+        }
+
+        .pallet-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .pallet-field input {
+          width: 80px;
+        }
+
+        .pallet-field.note-field {
+          flex: 1;
+        }
+
+        .pallet-field.note-field input {
+          width: 100%;
+        }
+
+        .base-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          width: 100%;
+        }
+
+        .base-option {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
+          padding: 4px 8px;
+          border: 1px solid #475569;
+          border-radius: 999px;
+          font-size: 12px;
+          color: #94a3b8;
+          cursor: pointer;
+        }
+
+        .base-option.active {
+          border-color: #3b82f6;
+          color: white;
+        }
+
+        .base-option input {
+          padding: 0;
+        }
+
+        .compat-admin .add-btn {
+          padding: 8px 14px;
+          background: #334155;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .compat-admin .add-btn.small {
+          padding: 4px 10px;
+          font-size: 13px;
+        }
+
+        .compat-admin .remove-btn {
+          padding: 8px 12px;
+          background: transparent;
+          color: #f87171;
+          border: 2px solid #7f1d1d;
+          border-radius: 8px;
+          cursor: pointer;
+          font-weight: 700;
+        }
+
+        .compat-admin .error-message {
+          background: #7f1d1d;
+          color: #fecaca;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin: 16px 0 0;
+          font-size: 14px;
+        }
+
+        .compat-admin .success-message {
+          background: #14532d;
+          color: #bbf7d0;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin: 16px 0 0;
+          font-size: 14px;
+        }
+
+        .compat-admin .actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 16px;
+        }
+
+        .compat-admin .submit-btn,
+        .compat-admin .secondary-btn {
+          padding: 12px 20px;
+          border: none;
+          border-radius: 8px;
+          font-size: 15px;
+          font-weight: 700;
+          cursor: pointer;
+        }
+
+        .compat-admin .submit-btn {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .compat-admin .secondary-btn {
+          background: #334155;
+          color: #e2e8f0;
+        }
+
+        .compat-admin .submit-btn:disabled,
+        .compat-admin .secondary-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .layer-key {
+          min-width: 80px;
+          font-weight: 600;
+        }
+
+        .history-row {
+          font-size: 14px;
+          color: #e2e8f0;
+          border-bottom: 1px solid #334155;
+          padding-bottom: 8px;
+        }
+
+        .history-version {
+          font-weight: 700;
+          min-width: 40px;
+        }
+
+        .history-date,
+        .history-note {
+          color: #94a3b8;
+        }
+
+        @media (max-width: 640px) {
+          .rule-row input {
+            width: 100px;
+          }
+
+          .pallet-field input {
+            width: 64px;
+          }
+        }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,153 @@
+/**
+ * FreightQuotePanel Component
+ *
+ * Sales mode freight quote: destination + accessorials in,
+ * per-carrier breakdown out. Rating runs in App (quote shows in the
+ * summary next to the pallet count); this panel edits the inputs.
+ */
+
+import { useState, Fragment } from 'react'
+import { ACCESSORIALS } from '../freightRating'
+
+const formatMoney = (value) =>
+  value == null ? '—' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+export default function FreightQuotePanel({
+  quote,
+  destination,
+  onDestinationChange,
+  accessorials,
+  onAccessorialsChange,
+  tariffsLoaded,
+}) {
+  const [expanded, setExpanded] = useState(null) // carrierId showing details
+
+  const toggleAccessorial = (code) => {
+    onAccessorialsChange(accessorials.includes(code)
+      ? accessorials.filter(a => a !== code)
+      : [...accessorials, code])
+  }
+
+  return (
+    <div style={{
+      marginBottom: '16px',
+      padding: '16px',
+      background: '#f8fafc',
+      border: '1px solid #e2e8f0',
+      borderRadius: '8px',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <strong style={{ color: '#1e293b' }}>🚚 Freight Quote</strong>
+        <input
+          type="text"
+          value={destination.zipCode}
+          onChange={(e) => onDestinationChange({ ...destination, zipCode: e.target.value.trim() })}
+          placeholder="Dest ZIP"
+          maxLength={10}
+          style={{ width: '90px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+        />
+        <input
+          type="text"
+          value={destination.state}
+          onChange={(e) => onDestinationChange({ ...destination, state: e.target.value.trim().toUpperCase() })}
+          placeholder="State"
+          maxLength={2}
+          style={{ width: '60px', padding: '6px 8px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+        />
+        {Object.entries(ACCESSORIALS).map(([code, label]) => (
+          <label key={code} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem', color: '#374151' }}>
+            <input
+              type="checkbox"
+              checked={accessorials.includes(code)}
+              onChange={() => toggleAccessorial(code)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {!tariffsLoaded && (
+        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>Loading carrier tariffs...</div>
+      )}
+
+      {tariffsLoaded && quote?.message && (
+        <div style={{ fontSize: '0.85rem', color: '#92400e' }}>⚠️ {quote.message}</div>
+      )}
+
+      {tariffsLoaded && quote?.quotes?.length > 0 && (
+        <table style={{ width: '100%', fontSize: '0.85rem', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#64748b', borderBottom: '1px solid #e2e8f0' }}>
+              <th style={{ padding: '6px 4px' }}>Carrier</th>
+              <th style={{ padding: '6px 4px' }}>Line Haul</th>
+              <th style={{ padding: '6px 4px' }}>Fuel</th>
+              <th style={{ padding: '6px 4px' }}>Accessorials</th>
+              <th style={{ padding: '6px 4px', textAlign: 'right' }}>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {quote.quotes.map(q => (
+              <Fragment key={q.carrierId}>
+                <tr
+                  onClick={() => setExpanded(expanded === q.carrierId ? null : q.carrierId)}
+                  style={{
+                    cursor: 'pointer',
+                    borderBottom: '1px solid #f1f5f9',
+                    background: quote.cheapest?.carrierId === q.carrierId ? '#ecfdf5' : 'transparent',
+                  }}
+                >
+                  <td style={{ padding: '6px 4px' }}>
+                    {q.carrierName}
+                    {q.sample && (
+                      <span style={{ marginLeft: '6px', fontSize: '0.7rem', color: '#b45309', fontWeight: '600' }}>SAMPLE</span>
+                    )}
+                  </td>
+                  {q.error ? (
+                    <td colSpan={4} style={{ padding: '6px 4px', color: '#dc2626' }}>{q.error}</td>
+                  ) : (
+                    <>
+                      <td style={{ padding: '6px 4px' }}>
+                        {formatMoney(q.netLinehaul)}
+                        {q.minimumApplied && <span style={{ color: '#6b7280' }}> (min)</span>}
+                      </td>
+                      <td style={{ padding: '6px 4px' }}>{formatMoney(q.fuelSurcharge)}</td>
+                      <td style={{ padding: '6px 4px' }}>
+                        {formatMoney(q.accessorials.reduce((sum, a) => sum + a.amount, 0))}
+                      </td>
+                      <td style={{ padding: '6px 4px', textAlign: 'right', fontWeight: '700' }}>{formatMoney(q.total)}</td>
+                    </>
+                  )}
+                </tr>
+                {expanded === q.carrierId && !q.error && (
+                  <tr>
+                    <td colSpan={5} style={{ padding: '8px 4px 12px', color: '#475569', fontSize: '0.8rem' }}>
+                      Zone {q.zone.origin} → {q.zone.destination} • {q.totalWeight.toLocaleString()} lbs
+                      {' '}• {q.weightBreak.toLocaleString()}+ lb break{q.deficitWeightRated && ' (deficit weight)'}
+                      {' '}• {q.discountPercent}% discount (−{formatMoney(q.discount)})
+                      {' '}• Fuel {q.fuelSurchargePercent}%
+                      <div style={{ marginTop: '4px' }}>
+                        {q.lines.map(line => (
+                          <div key={line.palletId}>
+                            Pallet {line.palletId}: {line.weight} lbs @ Class {line.freightClass}
+                            {line.ratedClass !== line.freightClass && ` (rated ${line.ratedClass})`}
+                            {' '}× {formatMoney(line.ratePerCwt)}/cwt = {formatMoney(line.charge)}
+                          </div>
+                        ))}
+                        {q.accessorials.map(a => (
+                          <div key={a.code}>{a.label}: {formatMoney(a.amount)}</div>
+                        ))}
+                        {q.unpricedAccessorials.length > 0 && (
+                          <div style={{ color: '#b45309' }}>Not in tariff: {q.unpricedAccessorials.join(', ')}</div>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -4,6 +4,9 @@ const MODES = [
   { id: 'sales', label: 'Sales', icon: '💰', description: 'Quote → Pallet estimate' },
   { id: 'validate', label: 'Validate', icon: '📋', description: 'Enter actual pallet data' },
   { id: 'warehouse', label: 'Warehouse', icon: '📦', description: 'Packing instructions' },
+  { id: 'floor', label: 'Floor', icon: '📈', description: 'Packing progress by order' },
+  { id: 'plans', label: 'Plans', icon: '🗂️', description: 'Saved plans by quote / SO' },
+  { id: 'rules', label: 'Rules', icon: '⚙️', description: 'Mixing rules & group pallets' },
 ]
 
 export default function ModeSwitcher({ currentMode, onModeChange }) {
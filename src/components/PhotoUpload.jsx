@@ -1,5 +1,6 @@
 import { useState, useRef, useCallback } from 'react'
-import { supabase, isSupabaseConfigured } from '../lib/supabase'
+import { isSupabaseConfigured } from '../lib/supabase'
+import { submitPhoto } from '../utils/offlineSubmissions'
 
 export default function PhotoUpload({ validationId, palletNumber, onUpload }) {
   const [uploading, setUploading] = useState(false)
@@ -31,34 +32,12 @@ export default function PhotoUpload({ validationId, palletNumber, onUpload }) {
     reader.onload = (e) => setPreview(e.target.result)
     reader.readAsDataURL(file)
     
-    // Upload to Supabase if configured
+    // Upload to Supabase if configured (queued when the tablet is offline)
     if (isSupabaseConfigured() && validationId) {
       setUploading(true)
       try {
-        const fileExt = file.name.split('.').pop()
-        const fileName = `${validationId}/pallet-${palletNumber || 'general'}-${Date.now()}.${fileExt}`
-        
-        const { data, error: uploadError } = await supabase.storage
-          .from('pallet-photos')
-          .upload(fileName, file)
-        
-        if (uploadError) throw uploadError
-        
-        // Save attachment record
-        const { error: dbError } = await supabase
-          .from('attachments')
-          .insert({
-            validation_id: validationId,
-            filename: file.name,
-            file_path: data.path,
-            file_size: file.size,
-            mime_type: file.type,
-            pallet_number: palletNumber,
-          })
-        
-        if (dbError) throw dbError
-        
-        onUpload?.({ path: data.path, preview })
+        const { queued, path } = await submitPhoto(file, { validationId, palletNumber })
+        onUpload?.({ path, queued, preview })
       } catch (err) {
         console.error('Upload error:', err)
         setError(`Upload failed: ${err.message}`)
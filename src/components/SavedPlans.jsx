@@ -0,0 +1,303 @@
+import { useState, useEffect } from 'react'
+
+const PLANS_ENDPOINT = '/api/plans'
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : ''
+
+export default function SavedPlans({ initialKey, onOpen }) {
+  const [plans, setPlans] = useState([])
+  const [search, setSearch] = useState('')
+  const [selectedKey, setSelectedKey] = useState(initialKey || null)
+  const [revisions, setRevisions] = useState([])
+  const [diffRange, setDiffRange] = useState({ from: null, to: null })
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  // Latest revision of every saved plan
+  useEffect(() => {
+    fetch(PLANS_ENDPOINT)
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error)
+        setPlans(data.plans || [])
+      })
+      .catch(err => setError(`Plans not loaded: ${err.message}`))
+  }, [])
+
+  // Revisions of the selected plan
+  useEffect(() => {
+    setRevisions([])
+    setDiff(null)
+    if (!selectedKey) return
+    fetch(`${PLANS_ENDPOINT}?key=${encodeURIComponent(selectedKey)}`)
+      .then(res => res.json())
+      .then(data => {
+        if (!data.success) throw new Error(data.error)
+        const list = data.revisions || []
+        setRevisions(list)
+        setDiffRange({ from: list[1]?.revision ?? list[0]?.revision ?? null, to: list[0]?.revision ?? null })
+      })
+      .catch(err => setError(`${selectedKey}: ${err.message}`))
+  }, [selectedKey])
+
+  const openRevision = async (revision, mode) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const response = await fetch(`${PLANS_ENDPOINT}?key=${encodeURIComponent(selectedKey)}&revision=${revision}`)
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+      onOpen?.(data.plan, mode)
+    } catch (err) {
+      setError(`Could not open ${selectedKey} r${revision}: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadDiff = async () => {
+    setError(null)
+    try {
+      const response = await fetch(`${PLANS_ENDPOINT}?key=${encodeURIComponent(selectedKey)}&from=${diffRange.from}&to=${diffRange.to}`)
+      const data = await response.json()
+      if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+      setDiff(data)
+    } catch (err) {
+      setError(`Diff failed: ${err.message}`)
+    }
+  }
+
+  const term = search.trim().toUpperCase()
+  const visiblePlans = plans.filter(plan => !term || plan.key.includes(term))
+
+  return (
+    <div className="saved-plans">
+      <div className="form-header">
+        <h2>Saved Plans</h2>
+        <p className="subtitle">
+          Packing plans saved by quote / sales order. Every save is a new revision - open any revision or compare two.
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-section">
+        <div className="section-header">
+          <h3>Plans</h3>
+          <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Filter QUO / SO" />
+        </div>
+        {visiblePlans.length === 0 && <p className="hint">No saved plans yet - calculate pallets and click "Save Plan".</p>}
+        {visiblePlans.map(plan => (
+          <button
+            key={plan.key}
+            type="button"
+            className={`plan-row ${plan.key === selectedKey ? 'active' : ''}`}
+            onClick={() => setSelectedKey(plan.key)}
+          >
+            <span className="plan-key">{plan.key}</span>
+            <span>r{plan.revision}</span>
+            <span>{plan.totalPallets ?? '-'} pallets</span>
+            <span>{plan.totalWeight != null ? `${plan.totalWeight.toLocaleString()} lbs` : ''}</span>
+            <span className="plan-meta">{plan.savedBy || ''} {formatDate(plan.createdAt)}</span>
+          </button>
+        ))}
+      </div>
+
+      {selectedKey && revisions.length > 0 && (
+        <div className="form-section">
+          <div className="section-header">
+            <h3>{selectedKey} Revisions</h3>
+          </div>
+          {revisions.map(rev => (
+            <div key={rev.revision} className="revision-row">
+              <span className="plan-key">r{rev.revision}</span>
+              <code>{rev.signature}</code>
+              <span>{rev.totalPallets ?? '-'} pallets</span>
+              <span className="plan-meta">{rev.savedBy || '-'} · {formatDate(rev.createdAt)} · rules {rev.rulesVersion || '?'}</span>
+              <span className="plan-meta grow">{rev.note || ''}</span>
+              <button type="button" className="secondary-btn" disabled={loading} onClick={() => openRevision(rev.revision, 'sales')}>
+                Open
+              </button>
+              <button type="button" className="secondary-btn" disabled={loading} onClick={() => openRevision(rev.revision, 'warehouse')}>
+                Warehouse
+              </button>
+            </div>
+          ))}
+
+          {revisions.length > 1 && (
+            <div className="diff-controls">
+              <span>Compare</span>
+              <select value={diffRange.from ?? ''} onChange={(e) => setDiffRange({ ...diffRange, from: Number(e.target.value) })}>
+                {revisions.map(rev => <option key={rev.revision} value={rev.revision}>r{rev.revision}</option>)}
+              </select>
+              <span>→</span>
+              <select value={diffRange.to ?? ''} onChange={(e) => setDiffRange({ ...diffRange, to: Number(e.target.value) })}>
+                {revisions.map(rev => <option key={rev.revision} value={rev.revision}>r{rev.revision}</option>)}
+              </select>
+              <button type="button" className="submit-btn" onClick={loadDiff}>Diff</button>
+            </div>
+          )}
+
+          {diff && (
+            <div className="diff-output">
+              <div className="plan-meta">r{diff.from} → r{diff.to}</div>
+              {diff.lines.map((line, i) => (
+                <div key={i} className={`diff-line ${line[0] === '+' ? 'added' : line[0] === '-' ? 'removed' : ''}`}>{line}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <style>{`
+        .saved-plans {
+          max-width: 1000px;
+          margin: 0 auto;
+          padding: 16px;
+        }
+
+        .saved-plans .form-header {
+          margin-bottom: 24px;
+        }
+
+        .saved-plans .form-header h2 {
+          font-size: 28px;
+          font-weight: 700;
+          margin-bottom: 8px;
+        }
+
+        .saved-plans .subtitle,
+        .saved-plans .hint,
+        .saved-plans .plan-meta {
+          color: #94a3b8;
+          font-size: 14px;
+        }
+
+        .saved-plans .form-section {
+          background: #1e293b;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 20px;
+        }
+
+        .saved-plans .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .saved-plans .section-header h3 {
+          font-size: 18px;
+          font-weight: 600;
+        }
+
+        .saved-plans select,
+        .saved-plans input {
+          padding: 8px 10px;
+          border: 2px solid #475569;
+          border-radius: 8px;
+          background: #0f172a;
+          color: white;
+          font-size: 14px;
+        }
+
+        .plan-row,
+        .revision-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          width: 100%;
+          padding: 10px 12px;
+          margin-bottom: 6px;
+          border: 1px solid #334155;
+          border-radius: 8px;
+          background: transparent;
+          color: #e2e8f0;
+          font-size: 14px;
+          text-align: left;
+          flex-wrap: wrap;
+        }
+
+        .plan-row {
+          cursor: pointer;
+        }
+
+        .plan-row.active {
+          border-color: #3b82f6;
+          background: #0f172a;
+        }
+
+        .plan-key {
+          font-weight: 700;
+          min-width: 40px;
+        }
+
+        .saved-plans .grow {
+          flex: 1;
+        }
+
+        .diff-controls {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 16px;
+          color: #e2e8f0;
+        }
+
+        .diff-output {
+          margin-top: 16px;
+          padding: 12px 16px;
+          background: #0f172a;
+          border-radius: 8px;
+          font-family: monospace;
+          font-size: 13px;
+          color: #e2e8f0;
+        }
+
+        .diff-line.added {
+          color: #86efac;
+        }
+
+        .diff-line.removed {
+          color: #fca5a5;
+        }
+
+        .saved-plans .error-message {
+          background: #7f1d1d;
+          color: #fecaca;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+          font-size: 14px;
+        }
+
+        .saved-plans .submit-btn,
+        .saved-plans .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-size: 14px;
+          font-weight: 700;
+          cursor: pointer;
+        }
+
+        .saved-plans .submit-btn {
+          background: #3b82f6;
+          color: white;
+        }
+
+        .saved-plans .secondary-btn {
+          background: #334155;
+          color: #e2e8f0;
+        }
+
+        .saved-plans .secondary-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { subscribeStatus, getFailedEntries, retryEntry, discardEntry, processQueue } from '../utils/offlineQueue'
+
+// Offline queue at a glance: synced / syncing / offline with N queued / N failed
+export default function SyncStatus() {
+  const [status, setStatus] = useState(null)
+  const [failed, setFailed] = useState([])
+  const [open, setOpen] = useState(false)
+
+  useEffect(() => subscribeStatus(setStatus), [])
+
+  // Keep the failed list current while it's open
+  useEffect(() => {
+    if (!open || !status) return
+    getFailedEntries().then(setFailed)
+  }, [open, status?.failed])
+
+  if (!status) return null
+
+  const { online, syncing, pending, failed: failedCount, lastSyncAt, lastError } = status
+  const state = failedCount > 0 ? 'failed' : !online ? 'offline' : syncing || pending > 0 ? 'syncing' : 'synced'
+  const label = {
+    synced: '🟢 All changes synced',
+    syncing: `🔄 Syncing ${pending} change${pending !== 1 ? 's' : ''}...`,
+    offline: pending > 0 ? `🟠 Offline - ${pending} change${pending !== 1 ? 's' : ''} saved on this tablet` : '🟠 Offline',
+    failed: `⚠️ ${failedCount} change${failedCount !== 1 ? 's' : ''} not accepted`,
+  }[state]
+
+  return (
+    <div className={`sync-status ${state}`}>
+      <button
+        type="button"
+        className="sync-status-pill"
+        onClick={() => state === 'failed' ? setOpen(!open) : processQueue()}
+        title={[
+          lastSyncAt && `Last sync ${new Date(lastSyncAt).toLocaleTimeString()}`,
+          lastError && `Last error: ${lastError}`,
+        ].filter(Boolean).join('\n') || 'Sync now'}
+      >
+        {label}
+      </button>
+
+      {open && failed.length > 0 && (
+        <div className="sync-status-failed">
+          {failed.map(entry => (
+            <div key={entry.id} className="failed-entry">
+              <span className="failed-label">{entry.label}</span>
+              <span className="failed-error">{entry.lastError}</span>
+              <button type="button" onClick={() => retryEntry(entry.id)}>Retry</button>
+              <button type="button" className="discard" onClick={() => discardEntry(entry.id)}>Discard</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <style>{`
+        .sync-status {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .sync-status-pill {
+          padding: 4px 12px;
+          border-radius: 999px;
+          border: 1px solid #334155;
+          background: #1e293b;
+          color: #e2e8f0;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .sync-status.offline .sync-status-pill {
+          border-color: #f59e0b;
+          color: #fde68a;
+        }
+
+        .sync-status.failed .sync-status-pill {
+          border-color: #dc2626;
+          color: #fecaca;
+        }
+
+        .sync-status-failed {
+          background: #1e293b;
+          border: 1px solid #7f1d1d;
+          border-radius: 8px;
+          padding: 8px 12px;
+          max-width: 600px;
+          width: 100%;
+        }
+
+        .failed-entry {
+          display: grid;
+          grid-template-columns: auto 1fr auto auto;
+          align-items: center;
+          gap: 8px;
+          padding: 4px 0;
+          font-size: 13px;
+          text-align: left;
+        }
+
+        .failed-entry .failed-label {
+          font-weight: 600;
+          color: #e2e8f0;
+        }
+
+        .failed-entry .failed-error {
+          color: #fca5a5;
+        }
+
+        .failed-entry button {
+          padding: 4px 10px;
+          border: none;
+          border-radius: 6px;
+          background: #3b82f6;
+          color: white;
+          cursor: pointer;
+        }
+
+        .failed-entry button.discard {
+          background: #475569;
+        }
+      `}</style>
+    </div>
+  )
+}
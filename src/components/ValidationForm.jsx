@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import { supabase, isSupabaseConfigured, getSupabaseStatus } from '../lib/supabase'
+import { submitValidation, submitPhoto } from '../utils/offlineSubmissions'
 
 // Default pallet dimensions (all blank)
 const DEFAULT_PALLET = {
@@ -7,6 +8,7 @@ const DEFAULT_PALLET = {
   length: '',
   width: '',
   height: '',
+  photo: null, // { file, preview } - uploaded after the validation is saved
 }
 
 const VALIDATORS = ['Anisa', 'Avianna', 'Berto', 'Chad', 'Tristan']
@@ -38,6 +40,12 @@ export default function ValidationForm() {
     setPallets(pallets.filter((_, i) => i !== index))
   }
 
+  // Attach a photo to a pallet (kept until submit)
+  const setPalletPhoto = (index, file) => {
+    if (!file) return
+    updatePallet(index, 'photo', { file, preview: URL.createObjectURL(file) })
+  }
+
   // Update a pallet field
   const updatePallet = (index, field, value) => {
     const updated = [...pallets]
@@ -88,45 +96,51 @@ export default function ValidationForm() {
     setSuccess(null)
 
     try {
-      // Call the API endpoint
-      const response = await fetch('/api/validate-shipment', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          soNumber: soNumber.trim(),
-          validatedBy,
-          notes: notes.trim(),
-          pallets: pallets.map((p, i) => ({
-            palletNum: i + 1,
-            weight: parseFloat(p.weight),
-            length: parseFloat(p.length),
-            width: parseFloat(p.width),
-            height: parseFloat(p.height),
-          })),
-        }),
+      // Call the API endpoint (queued on the tablet when offline)
+      const { queued, result: data, submissionId } = await submitValidation({
+        soNumber: soNumber.trim(),
+        validatedBy,
+        notes: notes.trim(),
+        pallets: pallets.map((p, i) => ({
+          palletNum: i + 1,
+          weight: parseFloat(p.weight),
+          length: parseFloat(p.length),
+          width: parseFloat(p.width),
+          height: parseFloat(p.height),
+        })),
       })
 
-      const data = await response.json()
-
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to submit validation')
+      // Pallet photos follow the validation (they wait in the queue behind it)
+      if (isSupabaseConfigured() && (queued || data.validationId)) {
+        for (const [i, p] of pallets.entries()) {
+          if (!p.photo) continue
+          await submitPhoto(p.photo.file, {
+            validationId: queued ? null : data.validationId,
+            submissionId,
+            palletNumber: i + 1,
+          }).catch(err => console.error('Photo upload error:', err))
+        }
       }
 
-      // Store prediction for display
-      setPrediction(data.prediction)
-
-      // Show success
-      setSuccess({
-        soNumber: `SO${soNumber}`,
-        actualPallets: totalPallets,
-        actualWeight: totalWeight,
-        predictedPallets: data.prediction?.palletCount || 0,
-        predictedWeight: data.prediction?.totalWeight || 0,
-        variance: {
-          pallets: totalPallets - (data.prediction?.palletCount || 0),
-          weight: totalWeight - (data.prediction?.totalWeight || 0),
-        },
-      })
+      if (queued) {
+        setSuccess({ queued: true, soNumber: `SO${soNumber}`, actualPallets: totalPallets, actualWeight: totalWeight })
+      } else {
+        // Store prediction for display
+        setPrediction(data.prediction)
+
+        // Show success
+        setSuccess({
+          soNumber: `SO${soNumber}`,
+          actualPallets: totalPallets,
+          actualWeight: totalWeight,
+          predictedPallets: data.prediction?.palletCount || 0,
+          predictedWeight: data.prediction?.totalWeight || 0,
+          variance: {
+            pallets: totalPallets - (data.prediction?.palletCount || 0),
+            weight: totalWeight - (data.prediction?.totalWeight || 0),
+          },
+        })
+      }
 
       // Clear form for next entry
       setSoNumber('')
@@ -160,8 +174,22 @@ export default function ValidationForm() {
         )}
       </div>
 
+      {/* Saved on the tablet, waiting for the network */}
+      {success?.queued && (
+        <div className="success-card queued">
+          <div className="success-icon">Saved on this tablet</div>
+          <h3>Validation for {success.soNumber} will be submitted when the tablet is back online</h3>
+          <p className="queued-summary">
+            {success.actualPallets} pallet{success.actualPallets !== 1 ? 's' : ''} • {success.actualWeight.toLocaleString()} lbs
+          </p>
+          <button className="new-btn" onClick={handleNewValidation}>
+            Validate Another Shipment
+          </button>
+        </div>
+      )}
+
       {/* Success State */}
-      {success && (
+      {success && !success.queued && (
         <div className="success-card">
           <div className="success-icon">Saved</div>
           <h3>Validation saved for {success.soNumber}</h3>
@@ -324,6 +352,16 @@ export default function ValidationForm() {
                     </div>
                   </div>
 
+                  <label className={`pallet-photo-btn ${pallet.photo ? 'has-photo' : ''}`} title="Photo of this pallet (optional)">
+                    {pallet.photo ? <img src={pallet.photo.preview} alt={`Pallet ${index + 1}`} /> : 'Photo'}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp"
+                      capture="environment"
+                      onChange={(e) => setPalletPhoto(index, e.target.files[0])}
+                    />
+                  </label>
+
                   <button
                     type="button"
                     className="remove-pallet-btn"
@@ -709,6 +747,32 @@ export default function ValidationForm() {
           background: #b91c1c;
         }
 
+        .pallet-photo-btn {
+          width: 44px;
+          height: 44px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: #334155;
+          color: #e2e8f0;
+          border-radius: 8px;
+          font-size: 11px;
+          font-weight: 600;
+          cursor: pointer;
+          flex-shrink: 0;
+          overflow: hidden;
+        }
+
+        .pallet-photo-btn input {
+          display: none;
+        }
+
+        .pallet-photo-btn img {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
         /* Totals */
         .totals-row {
           display: flex;
@@ -793,6 +857,19 @@ export default function ValidationForm() {
           margin-bottom: 24px;
         }
 
+        .success-card.queued {
+          background: #78350f;
+        }
+
+        .success-card.queued .success-icon {
+          background: #f59e0b;
+        }
+
+        .queued-summary {
+          color: #fde68a;
+          margin-bottom: 24px;
+        }
+
         .comparison-grid {
           display: flex;
           align-items: center;
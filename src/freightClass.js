@@ -0,0 +1,140 @@
+/**
+ * NMFC Freight Class
+ *
+ * Density and freight class for a shipping pallet. Works on pallets from
+ * either packer (App/optimizer pallets with weight + dims, or packItems()
+ * output with metrics.weight + dims).
+ *
+ * 1. DENSITY: shipping weight (incl. pallet tare) / shipping cube (incl. deck)
+ * 2. DENSITY CLASS: standard NMFC density tiers below
+ * 3. OVERRIDES: items whose product family has a fixed NMFC class use it
+ *    instead of density; a mixed pallet ships at the highest class on it
+ */
+
+import { getProductModelKey } from './productModels.js'
+
+// Pallet tare added when packer output has no shipping weight (matches App)
+export const PALLET_TARE = 50
+
+// NMFC density classes (lbs/ft³ → class), highest density first
+export const NMFC_DENSITY_CLASSES = [
+  { minDensity: 50, freightClass: 50 },
+  { minDensity: 35, freightClass: 55 },
+  { minDensity: 30, freightClass: 60 },
+  { minDensity: 22.5, freightClass: 65 },
+  { minDensity: 15, freightClass: 70 },
+  { minDensity: 13.5, freightClass: 77.5 },
+  { minDensity: 12, freightClass: 85 },
+  { minDensity: 10.5, freightClass: 92.5 },
+  { minDensity: 9, freightClass: 100 },
+  { minDensity: 8, freightClass: 110 },
+  { minDensity: 7, freightClass: 125 },
+  { minDensity: 6, freightClass: 150 },
+  { minDensity: 5, freightClass: 175 },
+  { minDensity: 4, freightClass: 200 },
+  { minDensity: 3, freightClass: 250 },
+  { minDensity: 2, freightClass: 300 },
+  { minDensity: 1, freightClass: 400 },
+  { minDensity: 0, freightClass: 500 },
+]
+
+/**
+ * Product-family class overrides (product model key → NMFC class)
+ * For families the carriers rate by commodity item rather than density.
+ * An item can also carry its own freightClass, which wins over this table.
+ *
+ * Only classes confirmed against our carrier contracts go here. Lockers
+ * (mbv1/mbv2/visi1/visi2) are waiting on logistics to confirm the NMFC item
+ * and rate by density until then.
+ */
+export const FAMILY_CLASS_OVERRIDES = {}
+
+/**
+ * NMFC freight class from density (lbs per cubic foot)
+ */
+export function getClassFromDensity(density) {
+  const match = NMFC_DENSITY_CLASSES.find(c => density >= c.minDensity)
+  return match ? match.freightClass : 500
+}
+
+/**
+ * Shipping cube and density for a pallet
+ * @param {number} weight - Shipping weight in lbs (incl. pallet)
+ * @param {Array} dims - [L, W, H] in inches (H incl. deck)
+ * @returns {Object} { cubicFeet, density }
+ */
+export function calculateDensity(weight, dims) {
+  const [l = 48, w = 40, h = 48] = dims || []
+  const cubicFeet = (l * w * h) / 1728
+  const density = cubicFeet > 0 ? weight / cubicFeet : 0
+
+  return {
+    cubicFeet: Math.round(cubicFeet * 10) / 10,
+    density: Math.round(density * 10) / 10,
+  }
+}
+
+/**
+ * Fixed class for an item, or null if it rates by density
+ */
+export function getFamilyClassOverride(item) {
+  if (!item) return null
+  if (item.freightClass) return item.freightClass
+
+  // BOM children (locker boxes) ship under their parent's class
+  const key = getProductModelKey(item.sku, item.family)
+  return FAMILY_CLASS_OVERRIDES[key] ?? FAMILY_CLASS_OVERRIDES[item.bomParent] ?? null
+}
+
+/**
+ * Density + freight class for one pallet
+ * @param {Object} pallet - App pallet ({ weight, dims, items }) or packItems() pallet
+ * @returns {Object} { weight, cubicFeet, density, densityClass, freightClass, classSource }
+ */
+export function calculateFreightClass(pallet) {
+  const weight = pallet.weight ?? ((pallet.metrics?.weight || 0) + PALLET_TARE)
+  const { cubicFeet, density } = calculateDensity(weight, pallet.dims)
+  const densityClass = getClassFromDensity(density)
+
+  // packItems() pallets list boxes, App pallets list items
+  const items = pallet.items || (pallet.boxes || []).map(b => b.item)
+  const overrides = items.map(getFamilyClassOverride)
+  const overridden = overrides.filter(c => c != null)
+
+  let freightClass = densityClass
+  let classSource = 'density'
+  if (overridden.length > 0) {
+    // Density still counts while anything on the pallet rates by density
+    const candidates = overridden.length === items.length ? overridden : [...overridden, densityClass]
+    freightClass = Math.max(...candidates)
+    if (freightClass !== densityClass || overridden.length === items.length) {
+      classSource = 'family-override'
+    }
+  }
+
+  return { weight, cubicFeet, density, densityClass, freightClass, classSource }
+}
+
+/**
+ * Stamp cubicFeet, density and freightClass onto pallets (mutates, returns same array)
+ */
+export function applyFreightClasses(pallets) {
+  pallets.forEach(pallet => {
+    const { cubicFeet, density, freightClass, classSource } = calculateFreightClass(pallet)
+    pallet.cubicFeet = cubicFeet
+    pallet.density = density
+    pallet.freightClass = freightClass
+    pallet.freightClassSource = classSource
+  })
+  return pallets
+}
+
+/**
+ * Single class for a whole shipment - the highest class on any pallet
+ * (what goes on the quote; the BOL still rates each pallet at its own class)
+ * @returns {number|null}
+ */
+export function getShipmentFreightClass(pallets) {
+  const classes = (pallets || []).map(p => p.freightClass).filter(c => c != null)
+  return classes.length ? Math.max(...classes) : null
+}
@@ -0,0 +1,352 @@
+/**
+ * Freight Rating Engine
+ *
+ * Pluggable LTL rating: carriers register with the engine and each one
+ * rates the same shipment. Tariff-table carriers are built in; anything
+ * else (carrier API, flat contract rate) just needs a rate(shipment) method.
+ *
+ * Tariff carriers:
+ * 1. ZONE: origin/destination zone from ZIP3 or state
+ * 2. CLASS: NMFC class per pallet (freightClass.js, or pallet.freightClass)
+ * 3. WEIGHT BREAK: rate per cwt by total shipment weight (deficit weight
+ *    rating - bumps to the next break when that is cheaper)
+ * 4. DISCOUNT → MINIMUM CHARGE → FUEL SURCHARGE → ACCESSORIALS
+ *
+ * Tariff JSON:
+ * {
+ *   id, name, sample?, discountPercent, minimumCharge, fuelSurchargePercent,
+ *   zones: { origin: { 'CA': 'W', '939': 'W' }, destination: { 'TX': '4', '750': '4' } },
+ *   accessorials: { liftgate: 85, residential: 110, ... },
+ *   rates: [{ origin: 'W', destination: '4', class: 70, breaks: { 0: 52.1, 500: 44.8, ... } }]
+ *   ratesCsv?: '/freight-tariffs/carrier.csv'   // origin,destination,class,min_weight,rate_per_cwt
+ * }
+ */
+
+import { NMFC_DENSITY_CLASSES, getClassFromDensity, calculateFreightClass } from './freightClass.js'
+
+// Class tables live in freightClass.js; re-exported for existing callers
+export { NMFC_DENSITY_CLASSES, getClassFromDensity }
+
+// Accessorial labels for display
+export const ACCESSORIALS = {
+  liftgate: 'Liftgate Delivery',
+  residential: 'Residential Delivery',
+  limitedAccess: 'Limited Access',
+  insideDelivery: 'Inside Delivery',
+  appointment: 'Delivery Appointment',
+}
+
+/**
+ * Normalize pallets from either packer into rating lines
+ * Accepts App pallets ({ weight, dims, density, freightClass }) or
+ * packItems() output ({ metrics.weight, dims })
+ */
+export function buildShipmentLines(pallets) {
+  return pallets.map((p, idx) => {
+    const { weight, cubicFeet, density, freightClass } = calculateFreightClass(p)
+
+    return {
+      palletId: p.id ?? idx + 1,
+      weight: Math.round(weight),
+      cubicFeet,
+      density,
+      freightClass: p.freightClass || freightClass,
+    }
+  })
+}
+
+/**
+ * Parse a tariff rate CSV
+ * Columns: origin,destination,class,min_weight,rate_per_cwt (header row required)
+ * @returns {Array} rates in tariff JSON form
+ */
+export function parseTariffCsv(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'))
+  if (lines.length === 0) return []
+
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase())
+  const col = (name) => header.indexOf(name)
+  const required = ['origin', 'destination', 'class', 'min_weight', 'rate_per_cwt']
+  const missing = required.filter(name => col(name) === -1)
+  if (missing.length > 0) {
+    throw new Error(`Tariff CSV missing columns: ${missing.join(', ')}`)
+  }
+
+  const rows = new Map()
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map(c => c.trim())
+    const origin = cells[col('origin')]
+    const destination = cells[col('destination')]
+    const freightClass = parseFloat(cells[col('class')])
+    const key = `${origin}|${destination}|${freightClass}`
+
+    if (!rows.has(key)) {
+      rows.set(key, { origin, destination, class: freightClass, breaks: {} })
+    }
+    rows.get(key).breaks[parseFloat(cells[col('min_weight')])] = parseFloat(cells[col('rate_per_cwt')])
+  }
+  return [...rows.values()]
+}
+
+/**
+ * Look up a zone from ZIP3 first, then state, then the '*' catch-all.
+ * A ZIP the tariff doesn't list needs a state - it never silently rates
+ * as the catch-all zone.
+ */
+function lookupZone(zoneMap = {}, location = {}) {
+  const zip3 = String(location.zipCode || location.zip || '').slice(0, 3)
+  if (zip3 && zoneMap[zip3]) return zoneMap[zip3]
+  const state = String(location.state || '').toUpperCase()
+  if (state && zoneMap[state]) return zoneMap[state]
+  if (zip3 && !state) return null
+  return zoneMap['*'] || null
+}
+
+// Why a location has no zone (for the rate error)
+function describeMissingZone(side, location = {}) {
+  const zip = location.zipCode || location.zip
+  if (zip && !location.state) return `No ${side} zone for ZIP ${zip} - add the state`
+  return `No ${side} zone for ${zip || location.state || side}`
+}
+
+/**
+ * Tariff-table carrier
+ */
+export class TariffCarrier {
+  constructor(tariff) {
+    if (!tariff?.id) throw new Error('Tariff requires an id')
+    this.id = tariff.id
+    this.name = tariff.name || tariff.id
+    this.sample = !!tariff.sample
+    this.tariff = tariff
+    this.rates = tariff.rates || []
+  }
+
+  /**
+   * Find the rate row for a lane + class (next higher class if not listed)
+   */
+  _findRateRow(originZone, destZone, freightClass) {
+    const lane = this.rates
+      .filter(r => String(r.origin) === String(originZone) && String(r.destination) === String(destZone))
+      .sort((a, b) => a.class - b.class)
+    if (lane.length === 0) return null
+    return lane.find(r => r.class >= freightClass) || lane[lane.length - 1]
+  }
+
+  /**
+   * Rate per cwt for a weight, plus the next break (for deficit weight rating)
+   */
+  _getBreak(row, weight) {
+    const breaks = Object.keys(row.breaks).map(Number).sort((a, b) => a - b)
+    let current = breaks[0]
+    for (const b of breaks) {
+      if (weight >= b) current = b
+    }
+    const next = breaks.find(b => b > weight) ?? null
+    return {
+      minWeight: current,
+      rate: row.breaks[current],
+      nextMinWeight: next,
+      nextRate: next != null ? row.breaks[next] : null,
+    }
+  }
+
+  rate(shipment) {
+    const { lines, origin, destination, accessorials = [] } = shipment
+    const originZone = lookupZone(this.tariff.zones?.origin, origin)
+    const destZone = lookupZone(this.tariff.zones?.destination, destination)
+
+    if (!originZone || !destZone) {
+      return { error: !originZone ? describeMissingZone('origin', origin) : describeMissingZone('destination', destination) }
+    }
+
+    const totalWeight = lines.reduce((sum, l) => sum + l.weight, 0)
+
+    // Line haul per pallet at its class, weight break from the total
+    let useDeficit = false
+    const rateLines = lines.map(line => {
+      const row = this._findRateRow(originZone, destZone, line.freightClass)
+      if (!row) return { ...line, error: `No rate for class ${line.freightClass}` }
+      const brk = this._getBreak(row, totalWeight)
+      return { ...line, ratedClass: row.class, ...brk }
+    })
+
+    const missing = rateLines.find(l => l.error)
+    if (missing) {
+      return { error: `${missing.error} on lane ${originZone} → ${destZone}` }
+    }
+
+    const actualCharge = rateLines.reduce((sum, l) => sum + (l.weight / 100) * l.rate, 0)
+
+    // Deficit weight: rate as the next break minimum if that is cheaper
+    let linehaul = actualCharge
+    const nextMin = rateLines[0].nextMinWeight
+    if (nextMin != null && rateLines.every(l => l.nextRate != null)) {
+      const deficitWeight = nextMin - totalWeight
+      const deficitCharge = rateLines.reduce((sum, l) => sum + (l.weight / 100) * l.nextRate, 0) +
+        (deficitWeight / 100) * Math.min(...rateLines.map(l => l.nextRate))
+      if (deficitCharge < actualCharge) {
+        linehaul = deficitCharge
+        useDeficit = true
+      }
+    }
+
+    const discountPercent = this.tariff.discountPercent || 0
+    const discount = linehaul * (discountPercent / 100)
+    let netLinehaul = linehaul - discount
+
+    const minimumCharge = this.tariff.minimumCharge || 0
+    const minimumApplied = netLinehaul < minimumCharge
+    if (minimumApplied) netLinehaul = minimumCharge
+
+    const fuelSurcharge = netLinehaul * ((this.tariff.fuelSurchargePercent || 0) / 100)
+
+    const accessorialCharges = []
+    const unpricedAccessorials = []
+    for (const code of accessorials) {
+      const amount = this.tariff.accessorials?.[code]
+      if (amount == null) {
+        unpricedAccessorials.push(code)
+      } else {
+        accessorialCharges.push({ code, label: ACCESSORIALS[code] || code, amount })
+      }
+    }
+    const accessorialTotal = accessorialCharges.reduce((sum, a) => sum + a.amount, 0)
+
+    const money = (v) => Math.round(v * 100) / 100
+
+    return {
+      zone: { origin: originZone, destination: destZone },
+      totalWeight,
+      weightBreak: useDeficit ? nextMin : rateLines[0].minWeight,
+      deficitWeightRated: useDeficit,
+      lines: rateLines.map(l => ({
+        palletId: l.palletId,
+        weight: l.weight,
+        freightClass: l.freightClass,
+        ratedClass: l.ratedClass,
+        ratePerCwt: useDeficit ? l.nextRate : l.rate,
+        charge: money((l.weight / 100) * (useDeficit ? l.nextRate : l.rate)),
+      })),
+      linehaul: money(linehaul),
+      discountPercent,
+      discount: money(discount),
+      minimumApplied,
+      netLinehaul: money(netLinehaul),
+      fuelSurchargePercent: this.tariff.fuelSurchargePercent || 0,
+      fuelSurcharge: money(fuelSurcharge),
+      accessorials: accessorialCharges,
+      unpricedAccessorials,
+      total: money(netLinehaul + fuelSurcharge + accessorialTotal),
+    }
+  }
+}
+
+/**
+ * Rating engine - holds registered carriers, rates a shipment with each
+ */
+export class FreightRatingEngine {
+  constructor(options = {}) {
+    this.carriers = new Map()
+    this.defaultOrigin = options.origin || {}
+  }
+
+  /**
+   * Register any carrier: { id, name, rate(shipment) → { total, ... } | { error } }
+   */
+  registerCarrier(carrier) {
+    if (!carrier?.id || typeof carrier.rate !== 'function') {
+      throw new Error('Carrier needs an id and a rate(shipment) function')
+    }
+    this.carriers.set(carrier.id, carrier)
+    return carrier
+  }
+
+  /**
+   * Register a tariff-table carrier from tariff JSON
+   */
+  loadTariff(tariff) {
+    return this.registerCarrier(new TariffCarrier(tariff))
+  }
+
+  get hasCarriers() {
+    return this.carriers.size > 0
+  }
+
+  /**
+   * Rate pallets with every registered carrier
+   *
+   * @param {Array} pallets - Packed pallets (App format or packItems output)
+   * @param {Object} destination - { zipCode, state }
+   * @param {Object} options - { origin, accessorials: ['liftgate', ...] }
+   * @returns {Object} { quotes, cheapest, totalCost, ... }
+   */
+  rate(pallets, destination = {}, options = {}) {
+    const lines = buildShipmentLines(pallets)
+    const shipment = {
+      lines,
+      origin: options.origin || this.defaultOrigin,
+      destination,
+      accessorials: options.accessorials || [],
+    }
+
+    const quotes = []
+    for (const carrier of this.carriers.values()) {
+      try {
+        const result = carrier.rate(shipment)
+        quotes.push({ carrierId: carrier.id, carrierName: carrier.name, sample: !!carrier.sample, ...result })
+      } catch (err) {
+        quotes.push({ carrierId: carrier.id, carrierName: carrier.name, error: err.message })
+      }
+    }
+
+    const rated = quotes.filter(q => !q.error && q.total != null).sort((a, b) => a.total - b.total)
+    const cheapest = rated[0] || null
+
+    return {
+      totalCost: cheapest ? cheapest.total : null,
+      carrier: cheapest ? cheapest.carrierName : null,
+      palletCount: lines.length,
+      totalWeight: lines.reduce((sum, l) => sum + l.weight, 0),
+      destination: destination.zipCode || destination.state || 'unknown',
+      lines,
+      quotes: [...rated, ...quotes.filter(q => q.error || q.total == null)],
+      cheapest,
+      message: !this.hasCarriers
+        ? 'Freight rates not configured. Load carrier tariffs to enable.'
+        : !cheapest ? 'No carrier could rate this shipment.' : null,
+    }
+  }
+}
+
+// Shared engine used by estimateFreightCost() and the UI
+export const defaultFreightEngine = new FreightRatingEngine()
+
+/**
+ * Load tariffs from a manifest (browser or anything with fetch)
+ * Manifest: { origin, carriers: [tariff, ...] } - tariffs may point at ratesCsv
+ *
+ * @returns {FreightRatingEngine} the engine, with carriers registered
+ */
+export async function loadTariffs(url = '/freight-tariffs.json', engine = defaultFreightEngine) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Failed to load tariffs: ${response.status}`)
+  const manifest = await response.json()
+
+  if (manifest.origin) engine.defaultOrigin = manifest.origin
+
+  for (const tariff of manifest.carriers || []) {
+    if (tariff.ratesCsv && !tariff.rates) {
+      const csvResponse = await fetch(tariff.ratesCsv)
+      if (!csvResponse.ok) {
+        console.warn(`⚠️ Tariff CSV for ${tariff.id} not found: ${tariff.ratesCsv}`)
+        continue
+      }
+      tariff.rates = parseTariffCsv(await csvResponse.text())
+    }
+    engine.loadTariff(tariff)
+  }
+
+  console.log(`🚚 Loaded ${engine.carriers.size} freight tariff(s)`)
+  return engine
+}
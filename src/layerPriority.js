@@ -0,0 +1,78 @@
+/**
+ * Layer Order Priority
+ *
+ * Which products go at the bottom of a pallet in the layer plan
+ * (PackingPlan.jsx): lower priority = packed first / lower layer. Built-in
+ * defaults below; the mixing matrix (packing-compatibility.json, Rules screen)
+ * can override them per product key in `layerPriority`, e.g. { "vr2": 4.5 }.
+ *
+ * Warehouse layer reorders logged through /api/log-adjustment are turned into
+ * proposed overrides here (proposeLayerPriority); an admin accepting one saves
+ * them as a new matrix version.
+ *
+ * Plain ESM with no browser/Node dependencies.
+ */
+
+import PACKING_COMPATIBILITY from './data/packing-compatibility.json' with { type: 'json' }
+
+// Packing priority (lower = pack first / bottom)
+export const PACKING_PRIORITY = {
+  'dd4': 1, 'dd6': 1, 'dsdd': 1, // DD goes on own pallets, first
+  'mbv1': 2, 'mbv2': 2,         // Lockers - heavy, own pallets
+  'visi1': 2, 'visi2': 2,
+  'ss120': 3, 'ss95': 3,        // Base stations - long, grouped
+  'ss66': 3, 'ssa114': 3,
+  'sik120': 4, 'sik114': 4,     // SIK struts - long
+  'sik86': 4, 'sik57': 4,
+  'vr2': 5, 'vr1': 5,           // VR - medium, stackable
+  'dv215': 6,                   // Varsity - light, top
+  'sm10x': 6, 'dismount': 6,    // Light items on top
+  'hr101': 6,
+  'default': 7
+}
+
+const PRIORITY_STEP = 0.5 // How far below the layer it has to sit under a proposed priority goes
+
+/**
+ * Priority of a product key (matrix override, then built-in default)
+ */
+export function getLayerPriority(productKey, matrix = PACKING_COMPATIBILITY) {
+  return matrix?.layerPriority?.[productKey] ?? PACKING_PRIORITY[productKey] ?? PACKING_PRIORITY.default
+}
+
+/**
+ * Problems with a matrix's layerPriority overrides (empty = OK)
+ */
+export function validateLayerPriority(layerPriority) {
+  if (layerPriority == null) return []
+  if (typeof layerPriority !== 'object' || Array.isArray(layerPriority)) return ['layerPriority must be an object']
+  return Object.entries(layerPriority)
+    .filter(([, priority]) => !(typeof priority === 'number' && priority > 0))
+    .map(([key]) => `layerPriority.${key} must be a positive number`)
+}
+
+/**
+ * Overrides that would make the rules produce an adjusted layer order
+ * @param {Array} pallets - [{ layers: [{ productKey }] }] bottom → top (summarizeLayers)
+ * @param {Object} matrix - Current mixing matrix
+ * @returns {Array} [{ key, from, to }] - only keys whose priority has to change
+ */
+export function proposeLayerPriority(pallets, matrix = PACKING_COMPATIBILITY) {
+  const proposed = {}
+  const priorityOf = (key) => proposed[key] ?? getLayerPriority(key, matrix)
+
+  pallets.forEach(pallet => {
+    const keys = (pallet.layers || []).map(layer => layer.productKey)
+    // Top down, so a layer moved under several others ends up below all of them
+    for (let i = keys.length - 2; i >= 0; i--) {
+      const lower = keys[i]
+      const upper = keys[i + 1]
+      if (!lower || lower === 'default' || lower === upper) continue
+      if (priorityOf(lower) > priorityOf(upper)) {
+        proposed[lower] = Math.max(PRIORITY_STEP, priorityOf(upper) - PRIORITY_STEP)
+      }
+    }
+  })
+
+  return Object.entries(proposed).map(([key, to]) => ({ key, from: getLayerPriority(key, matrix), to }))
+}
@@ -0,0 +1,371 @@
+/**
+ * Truck / Trailer Load Planner
+ *
+ * Second-level planner: takes packed pallets (dims + weight) and lays them
+ * into a trailer floor, reusing the Box / HeightMap primitives from the
+ * 3D packer.
+ *
+ * Coordinates (inches):
+ *   X = along trailer length, 0 = nose, trailer.length = door
+ *   Z = across trailer width
+ *   Y = height above trailer floor
+ *
+ * Rules:
+ * 1. UNLOAD ORDER: Last stop loads first (nose side). A pallet is never
+ *    placed nose-side of a pallet that comes off later.
+ * 2. DOUBLE STACK: Only stackable pallets, lighter on top, top footprint
+ *    within bottom footprint, max 2 high, must clear the trailer ceiling.
+ * 3. AXLE WEIGHTS: If an axle group is overloaded, the load is slid toward
+ *    the door (using any free floor) to rebalance cargo weight between the
+ *    front and rear axle groups. Remaining overloads are flagged.
+ */
+
+import { Box, HeightMap } from './binPacking3D.js'
+import { getProductModelKey, PRODUCT_MODELS } from './productModels.js'
+
+// Trailer specs (interior dims, inches)
+// Axle positions are measured from the nose; maxLoad is the approximate
+// CARGO allowance per axle group (tractor/trailer tare already deducted)
+export const TRAILERS = {
+  '53-dry-van': {
+    name: "53' Dry Van",
+    length: 630,
+    width: 98,
+    height: 108,
+    maxWeight: 45000,
+    axles: {
+      front: { label: 'Drive (kingpin)', position: 36, maxLoad: 24000 },
+      rear: { label: 'Trailer tandem', position: 510, maxLoad: 26000 },
+    },
+  },
+  '48-flatbed': {
+    name: "48' Flatbed",
+    length: 576,
+    width: 102,
+    height: 102, // 13'6" legal height minus 5' deck
+    maxWeight: 48000,
+    axles: {
+      front: { label: 'Drive (kingpin)', position: 36, maxLoad: 24000 },
+      rear: { label: 'Trailer tandem', position: 456, maxLoad: 28000 },
+    },
+  },
+  '26-box-truck': {
+    name: "26' Box Truck",
+    length: 312,
+    width: 96,
+    height: 96,
+    maxWeight: 10000,
+    axles: {
+      front: { label: 'Steer', position: -60, maxLoad: 3000 }, // Axle sits under the cab
+      rear: { label: 'Rear', position: 200, maxLoad: 9000 },
+    },
+  },
+}
+
+// Double-stack limits
+export const DOUBLE_STACK_RULES = {
+  maxTopWeight: 1500,       // lbs - heaviest pallet allowed on top
+  footprintTolerance: 2,    // inches - top may overhang bottom by this much
+}
+
+// How far (inches) to step when sliding the load toward the door
+const AXLE_SHIFT_STEP = 12
+
+/**
+ * Can this pallet be double-stacked (either position)?
+ * Pallets may set `stackable: false`; DD crates and non-stackable
+ * products (lockers, assemblies, top-only items) never stack.
+ */
+export function canDoubleStack(pallet) {
+  if (pallet.stackable === false) return false
+  if (pallet.group === 'double-docker' || pallet.source?.startsWith('dd-')) return false
+
+  return !(pallet.items || []).some(item => {
+    const key = getProductModelKey(item.sku, item.family)
+    const model = key ? PRODUCT_MODELS[key] : null
+    return model?.stackable === false || model?.topOnly
+  })
+}
+
+/**
+ * Plan how pallets load into one or more trucks
+ *
+ * @param {Array} pallets - Pallets with { id, dims: [L, W, H], weight, items }
+ * @param {Object} options - { trailerType, allowDoubleStack, balanceAxles, stops: { [palletId]: stopNumber } }
+ * @returns {Object} { trailerType, trailer, trucks, unplaced, totalTrucks, totalWeight }
+ */
+export function planTruckLoad(pallets, options = {}) {
+  const {
+    trailerType = '53-dry-van',
+    allowDoubleStack = true,
+    balanceAxles = true,
+    stops = {},
+  } = options
+
+  const trailer = TRAILERS[trailerType]
+  if (!trailer) {
+    throw new Error(`Unknown trailer type: ${trailerType}`)
+  }
+
+  console.log(`🚛 Load plan: ${pallets.length} pallets → ${trailer.name}`)
+
+  const entries = pallets.map((pallet, idx) => {
+    const id = pallet.id ?? idx + 1
+    return {
+      id,
+      pallet,
+      l: pallet.dims?.[0] || 48,
+      w: pallet.dims?.[1] || 40,
+      h: pallet.dims?.[2] || 48,
+      weight: pallet.weight || 0,
+      stop: stops[id] ?? pallet.stop ?? 1,
+      stackable: canDoubleStack(pallet),
+    }
+  })
+
+  // Last stop loads first (nose), heaviest first within a stop (floor position)
+  entries.sort((a, b) => b.stop - a.stop || b.weight - a.weight)
+
+  const trucks = []
+  const unplaced = []
+  let current = null
+
+  for (const entry of entries) {
+    const fitsAtAll = fitsEmptyTrailer(entry, trailer)
+    if (!fitsAtAll) {
+      console.warn(`   ⚠️ Pallet ${entry.id} (${entry.l}×${entry.w}×${entry.h}", ${entry.weight} lbs) does not fit a ${trailer.name}`)
+      unplaced.push({
+        id: entry.id,
+        dims: [entry.l, entry.w, entry.h],
+        weight: entry.weight,
+        reason: entry.weight > trailer.maxWeight
+          ? `Exceeds ${trailer.maxWeight.toLocaleString()} lb trailer limit`
+          : `Exceeds ${trailer.length}×${trailer.width}×${trailer.height}" trailer`,
+      })
+      continue
+    }
+
+    let placed = current ? placePallet(current, entry, trailer, allowDoubleStack) : null
+    if (!placed) {
+      current = createTruck(trucks.length + 1, trailer)
+      trucks.push(current)
+      placed = placePallet(current, entry, trailer, allowDoubleStack)
+    }
+  }
+
+  const truckResults = trucks.map(truck => finalizeTruck(truck, trailer, trailerType, balanceAxles))
+  const totalWeight = truckResults.reduce((sum, t) => sum + t.weight, 0)
+
+  console.log(`🚛 Load plan: ${truckResults.length} truck(s), ${unplaced.length} unplaced`)
+
+  return {
+    trailerType,
+    trailer,
+    trucks: truckResults,
+    unplaced,
+    totalTrucks: truckResults.length,
+    totalWeight,
+  }
+}
+
+function createTruck(id, trailer) {
+  return {
+    id,
+    boxes: [],
+    heightMap: new HeightMap(trailer.length, trailer.width, 1),
+    weight: 0,
+  }
+}
+
+function fitsEmptyTrailer(entry, trailer) {
+  if (entry.weight > trailer.maxWeight) return false
+  if (entry.h > trailer.height) return false
+  return (entry.l <= trailer.length && entry.w <= trailer.width) ||
+    (entry.w <= trailer.length && entry.l <= trailer.width)
+}
+
+/**
+ * Place one pallet in a truck - lowest X (nose) first, floor before stacking
+ * Returns the placed Box or null
+ */
+function placePallet(truck, entry, trailer, allowDoubleStack) {
+  if (truck.weight + entry.weight > trailer.maxWeight) return null
+
+  // Unload order: never nose-side of a pallet that comes off later
+  const frontier = Math.max(0, ...truck.boxes
+    .filter(b => b.item.stop > entry.stop)
+    .map(b => b.x))
+
+  const orientations = entry.l === entry.w
+    ? [{ l: entry.l, w: entry.w }]
+    : [{ l: entry.l, w: entry.w }, { l: entry.w, w: entry.l }]
+
+  const xPositions = new Set([0, frontier])
+  const zPositions = new Set([0])
+  for (const box of truck.boxes) {
+    xPositions.add(box.x)
+    xPositions.add(box.maxX)
+    zPositions.add(box.z)
+    zPositions.add(box.maxZ)
+  }
+
+  let best = null
+  let bestScore = Infinity
+
+  for (const orient of orientations) {
+    const zs = [...zPositions, trailer.width - orient.w]
+    for (const x of xPositions) {
+      if (x < frontier || x + orient.l > trailer.length) continue
+      for (const z of zs) {
+        if (z < 0 || z + orient.w > trailer.width) continue
+
+        const y = truck.heightMap.findRestingY(x, z, orient.l, orient.w)
+        if (y + entry.h > trailer.height) continue
+
+        if (y > 0) {
+          if (!allowDoubleStack) continue
+          if (!canStackAt(truck, entry, x, y, z, orient)) continue
+        }
+
+        const testBox = new Box(x, y, z, orient.l, orient.w, entry.h)
+        if (truck.boxes.some(b => testBox.intersects(b))) continue
+
+        // Nose first, then floor before stacked, then across the width
+        const score = x * 1000 + y * 10 + z * 0.01
+        if (score < bestScore) {
+          bestScore = score
+          best = { x, y, z, orient }
+        }
+      }
+    }
+  }
+
+  if (!best) return null
+
+  const box = new Box(best.x, best.y, best.z, best.orient.l, best.orient.w, entry.h, entry, best.orient.l === entry.l ? 0 : 2)
+  truck.boxes.push(box)
+  truck.heightMap.placeBox(box)
+  truck.weight += entry.weight
+  return box
+}
+
+/**
+ * Double-stack rules for a pallet resting at height y
+ */
+function canStackAt(truck, entry, x, y, z, orient) {
+  if (!entry.stackable) return false
+  if (entry.weight > DOUBLE_STACK_RULES.maxTopWeight) return false
+
+  const tol = DOUBLE_STACK_RULES.footprintTolerance
+  const supports = truck.boxes.filter(b =>
+    Math.abs(b.maxY - y) < 0.5 &&
+    x < b.maxX && x + orient.l > b.x &&
+    z < b.maxZ && z + orient.w > b.z
+  )
+  if (supports.length !== 1) return false
+
+  const bottom = supports[0]
+  if (bottom.y > 0) return false                 // Max 2 high
+  if (!bottom.item.stackable) return false
+  if (entry.weight > bottom.item.weight) return false  // Lighter on top
+  if (bottom.item.stop < entry.stop) return false      // Top must come off first
+
+  return x >= bottom.x - tol && x + orient.l <= bottom.maxX + tol &&
+    z >= bottom.z - tol && z + orient.w <= bottom.maxZ + tol
+}
+
+/**
+ * Cargo weight split between front and rear axle groups (simple beam)
+ */
+function calculateAxleLoads(boxes, trailer, shift = 0) {
+  const total = boxes.reduce((sum, b) => sum + b.item.weight, 0)
+  if (total === 0) return { front: 0, rear: 0, cogX: 0 }
+
+  const cogX = boxes.reduce((sum, b) => sum + b.item.weight * (b.x + shift + b.l / 2), 0) / total
+  const { front, rear } = trailer.axles
+  const rearLoad = total * (cogX - front.position) / (rear.position - front.position)
+
+  return {
+    front: Math.round(total - rearLoad),
+    rear: Math.round(rearLoad),
+    cogX: Math.round(cogX * 10) / 10,
+  }
+}
+
+/**
+ * Slide the load toward the door if an axle group is overloaded, then build the result
+ */
+function finalizeTruck(truck, trailer, trailerType, balanceAxles) {
+  const usedLength = Math.max(0, ...truck.boxes.map(b => b.maxX))
+  const slack = trailer.length - usedLength
+
+  const axleRatio = (loads) => Math.max(
+    loads.front / trailer.axles.front.maxLoad,
+    loads.rear / trailer.axles.rear.maxLoad
+  )
+
+  // Only move the load off the nose when an axle group is overloaded
+  let shift = 0
+  let bestRatio = axleRatio(calculateAxleLoads(truck.boxes, trailer, 0))
+  if (balanceAxles && slack > 0 && bestRatio > 1) {
+    for (let s = AXLE_SHIFT_STEP; s <= slack; s += AXLE_SHIFT_STEP) {
+      const ratio = axleRatio(calculateAxleLoads(truck.boxes, trailer, s))
+      if (ratio < bestRatio - 0.001) {
+        bestRatio = ratio
+        shift = s
+      }
+    }
+  }
+
+  const loads = calculateAxleLoads(truck.boxes, trailer, shift)
+  const warnings = []
+
+  if (truck.weight > trailer.maxWeight) {
+    warnings.push(`Overweight: ${truck.weight.toLocaleString()} lbs exceeds ${trailer.maxWeight.toLocaleString()} lbs`)
+  }
+  for (const [side, axle] of Object.entries(trailer.axles)) {
+    if (loads[side] > axle.maxLoad) {
+      warnings.push(`${axle.label} axle over: ${loads[side].toLocaleString()} lbs (max ${axle.maxLoad.toLocaleString()})`)
+    }
+  }
+  const notes = []
+  if (shift > 0) {
+    notes.push(`Load starts ${shift}" from the nose for axle balance - secure with load bars`)
+  }
+
+  const floorArea = truck.boxes
+    .filter(b => b.y === 0)
+    .reduce((sum, b) => sum + b.l * b.w, 0)
+
+  return {
+    id: truck.id,
+    trailerType,
+    boxes: truck.boxes.map(b => ({
+      x: b.x + shift,
+      y: b.y,
+      z: b.z,
+      l: b.l,
+      w: b.w,
+      h: b.h,
+      palletId: b.item.id,
+      stop: b.item.stop,
+      weight: b.item.weight,
+      stacked: b.y > 0,
+      rotated: b.orientation !== 0,
+    })),
+    palletCount: truck.boxes.length,
+    stackedCount: truck.boxes.filter(b => b.y > 0).length,
+    weight: truck.weight,
+    usedLength,
+    linearFeet: Math.ceil(usedLength / 12),
+    noseGap: shift,
+    floorUtilization: Math.round(floorArea / (trailer.length * trailer.width) * 1000) / 10,
+    axleLoads: {
+      front: { load: loads.front, max: trailer.axles.front.maxLoad, label: trailer.axles.front.label },
+      rear: { load: loads.rear, max: trailer.axles.rear.maxLoad, label: trailer.axles.rear.label },
+    },
+    cogX: loads.cogX,
+    warnings,
+    notes,
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Packing Compatibility Matrix
+ *
+ * Which products may share a pallet, and which pallet each constraint group
+ * ships on. Data lives in ./data/packing-compatibility.json (bundled default)
+ * and can be edited by the warehouse lead in the Rules screen, which saves new
+ * versions through /api/packing-compatibility.
+ *
+ * Items are classified with skuClassifier.js (family key + constraint group;
+ * BOM children use their parent SKU). A rule's `a`/`b` is a family key, a
+ * group or `*`; the most specific matching rule wins (family key 2, group 1,
+ * `*` 0 per side, first rule on a tie), otherwise defaults.sameGroup /
+ * defaults.otherGroup apply:
+ *
+ *   allow           - may share a pallet
+ *   deny            - never on the same pallet
+ *   same-footprint  - only if the boxes have the same L×W (± footprintTolerance")
+ *
+ * Optional layerPriority overrides the layer order (see layerPriority.js).
+ *
+ * Plain ESM with no browser/Node dependencies.
+ */
+
+import PACKING_COMPATIBILITY from './data/packing-compatibility.json' with { type: 'json' }
+import { classifySku } from './skuClassifier.js'
+import { PALLET_BASES } from './palletBases.js'
+import { validateLayerPriority } from './layerPriority.js'
+
+export { PACKING_COMPATIBILITY }
+
+export const MIX_MODES = ['allow', 'deny', 'same-footprint']
+
+const PALLET_NUMBER_FIELDS = ['maxHeight', 'maxWeight', 'minQty', 'maxQty']
+
+// Partitioning compares every pair - classify each item once
+const itemClassCache = new WeakMap()
+
+/**
+ * Family key + constraint group for a packing item
+ */
+export function getItemClass(item) {
+  if (!itemClassCache.has(item)) {
+    const { key, group } = classifySku(item.parentSku || item.sku, item.family, item.name || item.displayName)
+    itemClassCache.set(item, { key, group })
+  }
+  return itemClassCache.get(item)
+}
+
+// How specifically one side of a rule matches an item class (-1 = no match)
+function sideScore(side, itemClass) {
+  if (side === itemClass.key) return 2
+  if (side === itemClass.group) return 1
+  if (side === '*') return 0
+  return -1
+}
+
+// Rule specificity for a pair in either order (-1 = doesn't apply)
+function ruleScore(rule, classA, classB) {
+  const score = (x, y) => {
+    const a = sideScore(rule.a, x)
+    const b = sideScore(rule.b, y)
+    return a < 0 || b < 0 ? -1 : a + b
+  }
+  return Math.max(score(classA, classB), score(classB, classA))
+}
+
+/**
+ * Mixing rule for two item classes
+ * @returns {Object} { mix, rule } - rule is the matching entry (null = default)
+ */
+export function getMixRule(classA, classB, matrix = PACKING_COMPATIBILITY) {
+  let best = null
+  let bestScore = -1
+  for (const rule of matrix.rules || []) {
+    const score = ruleScore(rule, classA, classB)
+    if (score > bestScore) {
+      best = rule
+      bestScore = score
+    }
+  }
+  if (best) return { mix: best.mix, rule: best }
+
+  const defaults = matrix.defaults || {}
+  const mix = classA.group === classB.group ? defaults.sameGroup : defaults.otherGroup
+  return { mix: mix || 'deny', rule: null }
+}
+
+/**
+ * Same L×W footprint (either orientation) within the matrix tolerance
+ */
+export function footprintsMatch(dimsA, dimsB, tolerance = PACKING_COMPATIBILITY.footprintTolerance ?? 1) {
+  if (!dimsA?.l || !dimsA?.w || !dimsB?.l || !dimsB?.w) return false
+  const close = (x, y) => Math.abs(x - y) <= tolerance
+  return (close(dimsA.l, dimsB.l) && close(dimsA.w, dimsB.w)) ||
+    (close(dimsA.l, dimsB.w) && close(dimsA.w, dimsB.l))
+}
+
+/**
+ * Can two packing items ({ sku, family, name, dims, parentSku }) share a pallet?
+ */
+export function canMix(itemA, itemB, matrix = PACKING_COMPATIBILITY) {
+  const { mix } = getMixRule(getItemClass(itemA), getItemClass(itemB), matrix)
+  if (mix === 'allow') return true
+  if (mix === 'same-footprint') return footprintsMatch(itemA.dims, itemB.dims, matrix.footprintTolerance ?? 1)
+  return false
+}
+
+/**
+ * Split items into sets that may share pallets. Every item in a set can mix
+ * with every other (greedy, first set that takes it, order preserved).
+ * @returns {Array} [{ groups: [constraint groups], items }]
+ */
+export function partitionByCompatibility(items, matrix = PACKING_COMPATIBILITY) {
+  const partitions = []
+  for (const item of items) {
+    const target = partitions.find(partition => partition.items.every(other => canMix(item, other, matrix)))
+    const group = getItemClass(item).group
+    if (target) {
+      target.items.push(item)
+      if (!target.groups.includes(group)) target.groups.push(group)
+    } else {
+      partitions.push({ groups: [group], items: [item] })
+    }
+  }
+  return partitions
+}
+
+/**
+ * Pallet config for a partition: the first matching `pallets` entry of its
+ * group (by total qty) over the defaults. Mixed-group partitions use the defaults.
+ * @param {Array} groups - Constraint groups in the partition
+ * @param {Array} items - Partition items (qty summed for minQty/maxQty)
+ * @param {Object} defaults - { maxHeight, maxWeight, ... }
+ * @returns {Object} defaults with the group's overrides + { bases, note } -
+ *   bases: allowed pallet base ids (palletBases.js), absent = standard bases
+ */
+export function getGroupPalletConfig(groups, items, defaults, matrix = PACKING_COMPATIBILITY) {
+  if (groups.length !== 1) return defaults
+  const totalQty = items.reduce((sum, item) => sum + (item.qty || 1), 0)
+  const pallet = (matrix.groups?.[groups[0]]?.pallets || []).find(p =>
+    (p.minQty == null || totalQty >= p.minQty) && (p.maxQty == null || totalQty <= p.maxQty))
+  if (!pallet) return defaults
+
+  return {
+    ...defaults,
+    ...(pallet.bases?.length && { bases: pallet.bases }),
+    ...(pallet.maxHeight && { maxHeight: pallet.maxHeight }),
+    ...(pallet.maxWeight && { maxWeight: pallet.maxWeight }),
+    ...(pallet.note && { note: pallet.note }),
+  }
+}
+
+/**
+ * Problems with an edited matrix (empty = OK)
+ * @param {Object} matrix
+ * @param {Object} families - Family rules (product-families.json families) to check keys
+ * @param {Object} bases - Pallet base catalog (pallet-bases.json) to check base ids
+ */
+export function validateCompatibility(matrix, families = null, bases = PALLET_BASES) {
+  const errors = []
+  if (!matrix || typeof matrix !== 'object') return ['Matrix must be an object']
+
+  const groups = matrix.groups || {}
+  const knownSide = (side) => side === '*' || Boolean(groups[side]) || !families || Boolean(families[side])
+
+  for (const key of ['sameGroup', 'otherGroup']) {
+    if (!MIX_MODES.includes(matrix.defaults?.[key])) errors.push(`defaults.${key} must be one of ${MIX_MODES.join(', ')}`)
+  }
+
+  for (const [i, rule] of (matrix.rules || []).entries()) {
+    const label = `rules[${i}] ${rule.a} + ${rule.b}`
+    if (!rule.a || !rule.b) errors.push(`${label}: a and b are required`)
+    else if (!knownSide(rule.a) || !knownSide(rule.b)) errors.push(`${label}: unknown group or family key`)
+    if (!MIX_MODES.includes(rule.mix)) errors.push(`${label}: mix must be one of ${MIX_MODES.join(', ')}`)
+  }
+
+  for (const [group, config] of Object.entries(groups)) {
+    for (const [i, pallet] of (config.pallets || []).entries()) {
+      const label = `groups.${group}.pallets[${i}]`
+      PALLET_NUMBER_FIELDS.forEach(field => {
+        if (pallet[field] != null && !(Number(pallet[field]) > 0)) errors.push(`${label}: ${field} must be a positive number`)
+      })
+      for (const id of pallet.bases || []) {
+        if (!bases.bases?.[id]) errors.push(`${label}: unknown pallet base "${id}"`)
+      }
+      if (pallet.minQty != null && pallet.maxQty != null && pallet.minQty > pallet.maxQty) {
+        errors.push(`${label}: minQty is more than maxQty`)
+      }
+    }
+  }
+
+  errors.push(...validateLayerPriority(matrix.layerPriority))
+
+  return errors
+}
+
+const MIX_PROSE = { allow: 'OK', deny: 'never together', 'same-footprint': 'only if same box footprint' }
+
+const sideLabel = (side, matrix) => side === '*' ? 'anything else' : matrix.groups?.[side]?.label || side
+
+/**
+ * Matrix → prompt text (AI optimizer)
+ */
+export function describeCompatibility(matrix = PACKING_COMPATIBILITY, bases = PALLET_BASES) {
+  const lines = ['## MIXING RULES']
+  for (const rule of matrix.rules || []) {
+    if (rule.a === rule.b && rule.mix === 'allow') continue
+    lines.push(`- ${sideLabel(rule.a, matrix)} + ${sideLabel(rule.b, matrix)} = ${MIX_PROSE[rule.mix]}${rule.note ? ` (${rule.note})` : ''}`)
+  }
+  const defaults = matrix.defaults || {}
+  lines.push(`- Anything else: same group ${MIX_PROSE[defaults.sameGroup] || 'OK'}, different groups ${MIX_PROSE[defaults.otherGroup] || 'never together'}`)
+
+  const pallets = Object.entries(matrix.groups || {}).flatMap(([group, config]) =>
+    (config.pallets || []).map(p => {
+      const qty = p.minQty || p.maxQty ? ` (${p.minQty ?? 1}-${p.maxQty ?? '∞'} units)` : ''
+      const baseSizes = (p.bases || []).map(id => bases.bases?.[id]).filter(Boolean).map(base => `${base.length}x${base.width}`)
+      const size = [baseSizes.join(' or '), p.maxHeight && `max ${p.maxHeight}" high`].filter(Boolean).join(', ')
+      return `- ${config.label || group}${qty}: ${size}${p.note ? ` - ${p.note}` : ''}`
+    }))
+  if (pallets.length > 0) lines.push('', '## GROUP PALLETS', ...pallets)
+
+  const layerOrder = Object.entries(matrix.layerPriority || {}).sort(([, a], [, b]) => a - b)
+  if (layerOrder.length > 0) {
+    lines.push('', '## LAYER ORDER (lower = closer to the pallet deck)', ...layerOrder.map(([key, priority]) => `- ${key}: ${priority}`))
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,861 @@
+/**
+ * Packing Pipeline
+ *
+ * The order → pallets calculation behind "Calculate Pallets", as a plain
+ * function so the app and headless callers (api/pack.js) get the same
+ * pallets from the same rules:
+ *
+ * 1. BOM EXPLOSION: multi-box products → child packages (bomExplosion.js)
+ * 2. DIMS/WEIGHTS: explicit override → STEP data → catalog; weights
+ *    STEP → BOL-calibrated (product-families.json) → catalog
+ * 3. OVERSIZED: items too big for a standard deck (plus the overhang they're
+ *    allowed) get their own pallet (nestable items as nested stacks)
+ * 4. REGULAR: layer optimizer per base; the 3D packer (with overhang) when
+ *    it can't place every box, and as the fallback
+ * 5. CRATES: crated BOM children → dedicated crate pallets
+ * 6. Freight class, totals, shipping method + warnings
+ *
+ * Deterministic: order lines are packed in a canonical order (the same lines
+ * in any order give the same pallets) and nothing random runs unless a seed
+ * is given. Every result carries a content signature (planSignature.js).
+ *
+ * Input items are catalog products (public/products.json shape) with qty:
+ * { sku, displayName, family, qty, packaged: { length_in, width_in, height_in, weight_lbs } }
+ */
+
+import { getProductDims, getNestingRules, getStackingRules, calculateNestedStack, splitIntoNestedStacks } from './productModels.js'
+import { packItems, packItemsWithConstraints, calculateCenterOfGravity } from './binPacking3D.js'
+import { optimizePalletPacking } from './palletOptimizer.js'
+import { applyFreightClasses } from './freightClass.js'
+import { explodeOrder, buildCratePallets } from './bomExplosion.js'
+import { getProductKey, getCalibratedWeight } from './palletPrediction.js'
+import { PACKING_COMPATIBILITY, partitionByCompatibility, getGroupPalletConfig } from './packingCompatibility.js'
+import { PALLET_BASES, getBases, selectBase, fitsStandardBase, getBaseForFootprint, fitsBase, getMaxOverhang, calculateOverhang } from './palletBases.js'
+import { getPlanSignature } from './planSignature.js'
+
+// Packing rules configuration - CALIBRATED against 115 real BOL records
+// Accuracy: 57.4% exact match, 91.3% within ±1 pallet (Jan 2026 calibration run)
+export const PACKING_RULES = {
+  maxPalletHeight: 96, // inches
+  maxPalletWeight: 2500, // lbs
+  palletWeight: 50, // empty pallet weight
+
+  // Per-family units/pallet, weights and real BOL pallet counts live in
+  // src/data/product-families.json (shared with the APIs via palletPrediction.js)
+
+  // Product family colors for visualization
+  familyColors: {
+    'Varsity': 'varsity',
+    'VR2 Offset': 'vr2',
+    'VR1 XL': 'vr1',
+    'Undergrad': 'undergrad',
+    'Skatedock': 'skatedock',
+    'Dismount': 'dismount',
+    'Double Docker': 'dd',
+    'Metal Bike Vault / VisiLocker': 'locker',
+    'Hoop Runner': 'hr',
+    'Circle Series (Omega)': 'circle',
+    'Saris': 'stretch',
+  }
+}
+
+// Parcel = individual item <50 lbs AND <1 cubic foot (1728 cubic inches)
+const PARCEL_WEIGHT_LIMIT = 50
+const PARCEL_CUBIC_INCH_LIMIT = 1728 // 1 cubic foot
+
+// Fallback packaging for SKUs that aren't in the catalog
+const UNKNOWN_ITEM_PACKAGING = { length_in: 24, width_in: 18, height_in: 12, weight_lbs: 25 }
+
+// Quote/order lines that aren't physical products
+const NON_PRODUCT_PATTERNS = ['freight', 'shipping', 'labor', 'install', 'service', 'fee', 'tax', 'discount']
+
+// Kit SKUs that ship with main products (DD kits, anchor kits, etc.)
+// These are hardware bundles already included in the main product dims/weight
+const KIT_SKU_PATTERNS = [
+  /^80101-0257-.+-KIT$/i, // DD4 hardware kit
+  /^80101-0258-.+-KIT$/i, // DD6 hardware kit
+  /^91000-/i,             // Hardware tools (trident sockets, etc.)
+  /^WAK\d+$/i,            // Wall anchor kits
+  /^26268$/i,             // Public Work Stand Install Kit - small, packs with hardware
+  /^\d{5}\s*\(/i,         // SKUs like "26246 (HSO Pump...)" - Saris accessories
+  /^3000[PQ]-/i,          // Screws (3000P-, 3000Q-)
+  /^31000-/i,             // Washers (31000-)
+  /^39000-/i,             // Nuts (39000-)
+  /^50801-/i,             // Unistrut (50801-)
+  /^81000-/i,             // Anchor/hardware kits (81000-)
+]
+
+export function getBoxColor(family) {
+  return PACKING_RULES.familyColors[family] || 'default'
+}
+
+// Get real shipping weight for a product
+// First checks STEP-measured data, then falls back to BOL-calibrated weights
+export function getRealWeight(sku, family, fallbackWeight) {
+  // Try STEP-measured data first
+  const stepDims = getProductDims(sku)
+  if (stepDims && stepDims.weight) {
+    return stepDims.weight
+  }
+
+  // Fall back to BOL-calibrated weights
+  return getCalibratedWeight(sku, family) ?? fallbackWeight
+}
+
+// Get accurate dimensions from STEP files when available
+export function getAccurateDims(sku, fallbackDims) {
+  const stepDims = getProductDims(sku)
+  if (stepDims) {
+    return {
+      length_in: stepDims.length,
+      width_in: stepDims.width,
+      height_in: stepDims.height,
+      weight_lbs: stepDims.weight
+    }
+  }
+  return fallbackDims
+}
+
+// Dims + weight for one order item (explicit overrides win over STEP data)
+function resolveItemPackaging(item, fallbackWeight = 50) {
+  if (item.hasOverride && item.packaged) {
+    return { dims: item.packaged, weight: item.packaged.weight_lbs || fallbackWeight }
+  }
+  const dims = getAccurateDims(item.sku, item.packaged) || {}
+  return { dims, weight: getRealWeight(item.sku, item.family, dims.weight_lbs || fallbackWeight) }
+}
+
+/**
+ * Find the catalog product for a SKU - exact match first, then prefix match
+ */
+export function matchCatalogProduct(products, sku) {
+  const itemSku = String(sku || '').trim()
+  if (!itemSku) return null
+  return products.find(p => String(p?.sku || '') === itemSku) ||
+    products.find(p => {
+      const pSku = String(p?.sku || '')
+      return pSku && (pSku.startsWith(itemSku) || itemSku.startsWith(pSku))
+    }) ||
+    null
+}
+
+/**
+ * Order item with fallback dimensions for a SKU that isn't in the catalog
+ */
+export function makeUnknownItem(sku, qty, description = null) {
+  return {
+    sku,
+    displayName: description || sku,
+    qty,
+    family: 'Unknown',
+    packaged: { ...UNKNOWN_ITEM_PACKAGING },
+    isUnknown: true // Flag for UI warning
+  }
+}
+
+/**
+ * Order item from explicit box dims (custom/non-catalog boxes)
+ * Catalog name/family are kept for colors and rules when the SKU matches.
+ */
+export function makeExplicitItem(line, product = null) {
+  const { l, w, h } = line.dims
+  return {
+    sku: line.sku,
+    displayName: line.name || line.description || product?.displayName || line.sku,
+    family: line.family || product?.family || 'Unknown',
+    qty: Math.max(1, Math.round(Number(line.qty) || 1)),
+    packaged: {
+      length_in: Number(l),
+      width_in: Number(w),
+      height_in: Number(h),
+      weight_lbs: Number(line.weight) || product?.packaged?.weight_lbs || 50,
+    },
+    hasOverride: true, // Explicit dims win over STEP/catalog data
+  }
+}
+
+/**
+ * Map quote/order lines to packable order items
+ * Skips non-product lines (freight, fees...) and kit/hardware SKUs that pack
+ * with the main product; unmatched SKUs get fallback dims. Lines with
+ * explicit dims are packed as given.
+ *
+ * @param {Array} lines - [{ sku, qty, description?, dims?: { l, w, h }, weight?, name?, family? }]
+ * @param {Array} products - Catalog (public/products.json products)
+ * @returns {Object} { items, unmatched, skipped }
+ */
+export function resolveOrderLines(lines, products) {
+  const items = []
+  const unmatched = []
+  const skipped = []
+
+  for (const line of lines) {
+    const sku = String(line?.sku || '').trim()
+    const qty = Number(line?.qty) || 0
+    if (!sku || qty <= 0) continue
+    if (sku.includes('Product Summary')) continue
+
+    if (line.dims) {
+      items.push(makeExplicitItem({ ...line, sku }, matchCatalogProduct(products, sku)))
+      continue
+    }
+
+    // Skip common non-product items (services, fees, etc.)
+    if (NON_PRODUCT_PATTERNS.some(p => sku.toLowerCase().includes(p))) {
+      skipped.push(sku)
+      continue
+    }
+    if (KIT_SKU_PATTERNS.some(pattern => pattern.test(sku))) {
+      console.log(`[MATCH] ⏭️ Skipping kit/hardware SKU: "${sku}"`)
+      skipped.push(sku)
+      continue
+    }
+
+    const safeQty = Math.max(1, Math.round(qty))
+    const product = matchCatalogProduct(products, sku)
+    if (product) {
+      console.log(`[MATCH] ✅ Found: ${product.sku} -> ${product.displayName}`)
+      items.push({ ...product, qty: safeQty })
+    } else {
+      console.log(`[MATCH] ❌ No match for: "${sku}"`)
+      unmatched.push(makeUnknownItem(sku, safeQty, line.description))
+    }
+  }
+
+  return { items, unmatched, skipped }
+}
+
+// Order lines by content (SKU, name, qty, dims) - plain comparisons, no locale
+const lineSortKey = (item) => [
+  String(item.sku || ''),
+  String(item.displayName || item.name || ''),
+  Number(item.qty) || 0,
+  Number(item.packaged?.length_in) || 0,
+  Number(item.packaged?.width_in) || 0,
+  Number(item.packaged?.height_in) || 0,
+  Number(item.packaged?.weight_lbs) || 0,
+]
+
+function compareLines(a, b) {
+  const keyA = lineSortKey(a)
+  const keyB = lineSortKey(b)
+  for (let i = 0; i < keyA.length; i++) {
+    if (keyA[i] < keyB[i]) return -1
+    if (keyA[i] > keyB[i]) return 1
+  }
+  return 0
+}
+
+/**
+ * Layer optimizer pallet → old packer format (boxes with unwrapped items)
+ */
+function fromOptimizerPallet(p, base) {
+  return {
+    boxes: p.boxes.map(b => ({
+      x: b.x,
+      y: b.y,
+      z: b.z,
+      l: b.l,
+      w: b.w,
+      h: b.h,
+      item: b.nestedQty
+        ? { ...(b.item?.item || b.item), nestedQty: b.nestedQty } // Nested stack box
+        : b.item?.item || b.item, // Unwrap nested item
+      orientation: b.rotated ? 1 : 0,
+    })),
+    metrics: {
+      weight: p.weight || 0,
+      height: Math.max(...p.boxes.map(b => b.y + b.h), 0),
+      utilization: p.utilization || 0,
+      palletDims: [base.length, base.width],
+    },
+    dims: p.dims,
+  }
+}
+
+/**
+ * A pallet's boxes → item lines (qty + positions per SKU)
+ * BOM children of different parents (MBV1 vs VISI1 box A) stay separate lines
+ */
+export function summarizePalletItems(boxes) {
+  const itemSummary = {}
+  boxes.forEach(box => {
+    const key = box.item.parentSku ? `${box.item.parentSku}:${box.item.sku}` : box.item.sku
+    if (!itemSummary[key]) {
+      itemSummary[key] = {
+        ...box.item,
+        weight: box.item.unitWeight ?? box.item.weight, // Per-unit, not per nested stack
+        qty: 0,
+        positions: [],
+      }
+    }
+    itemSummary[key].qty += box.item.nestedQty || 1 // Nested stack = several units
+    itemSummary[key].positions.push({
+      x: box.x,
+      y: box.y,
+      z: box.z,
+      l: box.l,
+      w: box.w,
+      h: box.h,
+    })
+  })
+  return Object.values(itemSummary)
+}
+
+/**
+ * Per-pallet warnings: overweight, overheight, COG and stacking limits
+ * (each pallet's own maxWeight/maxHeight, else PACKING_RULES)
+ * @returns {Array} [{ type, palletId, sku?, message }]
+ */
+export function getPalletWarnings(pallets) {
+  const warnings = []
+  pallets.forEach(p => {
+    const maxWeight = p.maxWeight ?? PACKING_RULES.maxPalletWeight
+    const maxHeight = p.maxHeight ?? PACKING_RULES.maxPalletHeight
+    if (p.weight > maxWeight) {
+      warnings.push({ type: 'overweight', palletId: p.id, message: `Pallet ${p.id}: ${p.weight} lbs exceeds ${maxWeight} lbs` })
+    }
+    if (p.dims?.[2] > maxHeight) {
+      warnings.push({ type: 'overheight', palletId: p.id, message: `Pallet ${p.id}: ${p.dims[2]}" high exceeds ${maxHeight}"` })
+    }
+    p.cog?.warnings?.forEach(message => {
+      warnings.push({ type: 'cog', palletId: p.id, message: `Pallet ${p.id}: ${message}` })
+    })
+    p.stackingRejections?.forEach(r => {
+      warnings.push({ type: 'stacking', palletId: p.id, sku: r.sku, message: `Pallet ${p.id}: ${r.sku} - ${r.reason}` })
+    })
+  })
+  return warnings
+}
+
+/**
+ * Freight shipping method for a palletized load
+ */
+export function getFreightMethod(totalWeight, totalPallets) {
+  if (totalWeight > 15000 || totalPallets > 10) return 'Full Truckload'
+  if (totalWeight > 10000 || totalPallets > 6) return 'Partial TL'
+  return 'LTL'
+}
+
+/**
+ * Pack an order into pallets - TRUE 3D BIN PACKING with exact positions
+ * @param {Array} orderItems - Catalog items with qty
+ * @param {Object} options - { compatibility, palletBases, baseSelection, seed, preferLowCog }
+ *   compatibility: mixing matrix (default: data/packing-compatibility.json)
+ *   palletBases: base catalog (default: data/pallet-bases.json)
+ *   baseSelection: 'count' | 'cost' (default: palletBases.selection.by)
+ *   seed: number/string - adds seeded shuffled-order strategies (default none)
+ *   preferLowCog: 3D packer placements (overhang and fallback packing) keep the
+ *     COG low and centered (default false - the layer optimizer builds level layers)
+ * @returns {Object} { pallets, totalWeight, totalCubicFeet, totalPallets, totalBaseCost, shippingMethod,
+ *   totalItems, has3DPositions, parcelItems, hasUnknownItems, ddExpanded, compatibilityVersion,
+ *   seed, signature, warnings }
+ *   Each pallet reports its base ({ base, baseLabel, baseCost, palletSize }); pallets
+ *   with overhang add { overhang } (palletBases.calculateOverhang) and their dims are
+ *   the shipping footprint. Regular pallets keep the limits they were packed to
+ *   ({ maxHeight: inches including the deck, maxWeight: lbs }) for plan edits
+ *   warnings: [{ type, message, sku?, palletId? }]
+ */
+export function packOrder(orderItems, options = {}) {
+  const {
+    compatibility = PACKING_COMPATIBILITY,
+    palletBases = PALLET_BASES,
+    baseSelection = palletBases.selection?.by,
+    seed = null,
+    preferLowCog = false,
+  } = options
+  console.log('🎯 Running 3D bin-packing algorithm...')
+  const warnings = []
+
+  // Canonical line order - results don't depend on how the quote lists them
+  orderItems = [...orderItems].sort(compareLines)
+
+  // Prepare items for bin-packing with accurate dimensions
+  const packingItems = []
+
+  // Explode multi-box products (DD, lockers) into child packages from the catalog BOM.
+  // Crated children (DD components) become dedicated crate pallets below.
+  const explosion = explodeOrder(orderItems, {
+    getKey: item => getProductKey(item.sku, item.family, item.name),
+  })
+
+  explosion.items.forEach(item => {
+    if (item.bomParent) {
+      // BOM child - dims/weight already resolved from the catalog
+      packingItems.push({
+        sku: item.sku,
+        name: item.displayName,
+        family: item.family,
+        qty: item.qty,
+        dims: item.dims || { l: 24, w: 18, h: 12 },
+        weight: item.weight,
+        color: getBoxColor(item.family),
+        parentSku: item.parentSku,
+        bomParent: item.bomParent,
+      })
+      return
+    }
+
+    // Get accurate dims from STEP files if available
+    const { dims: accurateDims, weight: realWeight } = resolveItemPackaging(item)
+
+    if (!accurateDims.length_in || !accurateDims.width_in || !accurateDims.height_in) {
+      warnings.push({ type: 'default-dims', sku: item.sku, message: `${item.sku}: no dimensions, using 24×18×12" fallback` })
+    }
+
+    packingItems.push({
+      sku: item.sku,
+      name: item.displayName || item.sku,
+      family: item.family,
+      qty: item.qty,
+      dims: {
+        l: accurateDims.length_in || 24,
+        w: accurateDims.width_in || 18,
+        h: accurateDims.height_in || 12,
+      },
+      weight: realWeight,
+      color: getBoxColor(item.family),
+    })
+  })
+
+  // ============================================================
+  // OVERSIZED ITEMS - Handle separately (won't fit on standard pallets)
+  // ============================================================
+  const oversizedItems = []
+  const regularItems = []
+
+  // SKU overhang limit (null = the base's)
+  const itemOverhang = item => item.maxOverhang ?? getStackingRules(item.sku, item.family).maxOverhang
+
+  packingItems.forEach(item => {
+    const l = item.dims.l || 24
+    const w = item.dims.w || 18
+    // Check if item fits a standard base (including rotated, with overhang)
+    if (fitsStandardBase(l, w, palletBases, itemOverhang(item))) {
+      regularItems.push(item)
+    } else {
+      console.log(`📦 Oversized item detected: ${item.name} (${l}×${w})`)
+      oversizedItems.push(item)
+      warnings.push({ type: 'oversized', sku: item.sku, message: `${item.name} (${l}×${w}") needs an oversized pallet` })
+    }
+  })
+
+  // Create oversized pallets for items that won't fit standard pallets
+  const oversizedPallets = []
+  oversizedItems.forEach(item => {
+    // Each oversized item (or group of same item) gets its own pallet
+    const l = item.dims.l || 24
+    const w = item.dims.w || 18
+    const h = item.dims.h || 12
+
+    // Nestable items (Undergrad SS) ship as nested stacks, one stack per pallet
+    const nesting = getNestingRules(item.sku, item.family)
+    const stacks = nesting
+      ? splitIntoNestedStacks(nesting, item.qty || 1, PACKING_RULES.maxPalletHeight - 6)
+      : [item.qty || 1]
+
+    stacks.forEach(qty => {
+      const stack = nesting ? calculateNestedStack(nesting, qty, { l, w }) : { l, w, h: h * qty }
+      const weight = (item.weight || 50) * qty
+
+      // Cheapest catalog pallet the stack fits (with overhang), else a custom base
+      const base = getBaseForFootprint(stack.l, w, palletBases, itemOverhang(item))
+      const palletL = base.length
+      const palletW = base.width
+      // Stacks wider than the deck overhang evenly on both sides
+      const x0 = Math.min(0, (palletL - stack.l) / 2)
+      const z0 = Math.min(0, (palletW - w) / 2)
+
+      const boxes = nesting
+        ? [{ x: x0, y: 0, z: z0, l: stack.l, w: w, h: stack.h, item: { ...item, nestedQty: qty }, orientation: 0 }]
+        : Array.from({ length: qty }, (_, idx) => ({
+            x: x0, y: idx * h, z: z0,
+            l: l, w: w, h: h,
+            item: item,
+            orientation: 0,
+          }))
+      const overhang = calculateOverhang(boxes, [palletL, palletW])
+
+      oversizedPallets.push({
+        id: `oversized-${oversizedPallets.length + 1}`,
+        items: [{
+          ...item,
+          qty,
+          positions: [{
+            x: x0, y: 0, z: z0,
+            l: stack.l, w: w, h: stack.h, // Stack height
+          }]
+        }],
+        boxes,
+        dims: [...overhang.footprint, Math.ceil(stack.h + base.deckHeight)],
+        ...(overhang.max > 0 && { overhang }),
+        weight: weight + base.tare, // Include pallet weight
+        utilization: 0.8, // Estimated
+        family: item.family,
+        palletSize: 'oversized',
+        base: base.id,
+        baseLabel: base.label,
+        baseCost: base.cost,
+        note: nesting
+          ? `Oversized pallet (${palletL}"×${palletW}"), ${qty} nested`
+          : `Oversized pallet (${palletL}"×${palletW}")`,
+      })
+    })
+  })
+
+  console.log(`📦 Items split: ${regularItems.length} regular, ${oversizedItems.length} oversized`)
+
+  // Run 3D bin-packing for REGULAR products only
+  // DD products are handled separately below (completely isolated)
+  let packedPallets = []
+
+  if (regularItems.length > 0) {
+    // Items that may not share a pallet (compatibility matrix) are packed as separate sets
+    const partitions = partitionByCompatibility(regularItems, compatibility)
+    if (partitions.length > 1) {
+      console.log(`📦 Compatibility: ${partitions.length} pallet sets -`, partitions.map(p => p.groups.join('+')).join(', '))
+    }
+
+    const standardPallet = {
+      maxHeight: PACKING_RULES.maxPalletHeight || 72,
+      maxWeight: PACKING_RULES.maxPalletWeight,
+    }
+
+    // Try new optimizer for regular products
+    try {
+      packedPallets = partitions.flatMap(({ groups, items: setItems }) => {
+        const config = getGroupPalletConfig(groups, setItems, standardPallet, compatibility)
+        const totalQty = setItems.reduce((sum, item) => sum + (item.qty || 1), 0)
+
+        // One optimizer run per allowed base (pallets in the old packer format)
+        const packOnBases = (bases) => bases.map(base => {
+          const optimizerResult = optimizePalletPacking(
+            setItems.map(item => ({
+              l: item.dims.l,
+              w: item.dims.w,
+              h: item.dims.h,
+              weight: item.weight || 50,
+              qty: item.qty || 1,
+              sku: item.sku,
+              name: item.name,
+              family: item.family,
+              color: item.color,
+              item: item, // Keep original reference
+            })),
+            {
+              length: base.length,
+              width: base.width,
+              maxHeight: config.maxHeight,
+              maxWeight: Math.min(config.maxWeight, base.maxWeight || Infinity),
+              deckHeight: base.deckHeight,
+              seed,
+            }
+          )
+          const placedQty = optimizerResult.pallets.reduce((sum, p) => sum + p.boxes.reduce((n, b) => n + (b.nestedQty || 1), 0), 0)
+          const attempt = {
+            base,
+            pallets: optimizerResult.pallets.map(p => fromOptimizerPallet(p, base)),
+            packer: `layer (${optimizerResult.strategy})`,
+            complete: placedQty >= totalQty,
+          }
+          const canOverhang = setItems.some(item => getMaxOverhang(base, itemOverhang(item)) > 0) &&
+            setItems.every(item => fitsBase(base, item.dims.l, item.dims.w, itemOverhang(item)))
+          if (attempt.complete || !canOverhang) return attempt
+
+          // The layer optimizer keeps boxes on the deck - the 3D packer may overhang them
+          const pallets = packItems(setItems, {
+            maxHeight: config.maxHeight - base.deckHeight,
+            maxWeight: Math.min(config.maxWeight, base.maxWeight || Infinity),
+            palletLength: base.length,
+            palletWidth: base.width,
+            maxOverhang: base.maxOverhang || 0,
+            allowRotation: 'upright', // Turned on the deck like the layer optimizer, never on end
+            preferLowCog,
+            seed,
+          })
+          const placed3D = pallets.reduce((sum, p) => sum + p.boxes.reduce((n, b) => n + (b.item?.nestedQty || 1), 0), 0)
+          return {
+            base,
+            pallets: pallets.map(p => ({
+              ...p,
+              metrics: { ...p.metrics, utilization: parseFloat(p.metrics.utilization) / 100 || 0 },
+            })),
+            packer: `3D (${pallets[0]?.packingStrategy || 'none'}, overhang)`,
+            complete: placed3D >= totalQty && !pallets.some(p => p.oversizedItems?.length),
+          }
+        })
+
+        let best = selectBase(packOnBases(getBases(config.bases, palletBases)), { by: baseSelection, catalog: palletBases })
+
+        // The layer optimizer lays boxes flat - if no group base takes every box
+        // (SkateDock 44x44 is meant for standing boxes) use the standard bases
+        if (!best && config.bases) {
+          warnings.push({
+            type: 'group-pallet',
+            message: `${groups.join('+')} boxes don't fit the ${config.bases.join('/')} group pallet lying flat, used a standard pallet`,
+          })
+          best = selectBase(packOnBases(getBases(null, palletBases)), { by: baseSelection, catalog: palletBases })
+        }
+        if (!best) throw new Error(`${groups.join('+')} items don't fit any pallet base`)
+
+        console.log('📦 Packing result:', {
+          groups: groups.join('+'),
+          base: best.base.id,
+          packer: best.packer,
+          pallets: best.pallets.length,
+        })
+
+        return best.pallets.map(p => ({
+          ...p,
+          group: groups.join('+'),
+          base: best.base,
+          note: config.note,
+          maxHeight: config.maxHeight,
+          maxWeight: Math.min(config.maxWeight, best.base.maxWeight || Infinity),
+        }))
+      }).map((p, idx) => ({ ...p, id: idx + 1 }))
+    } catch (err) {
+      console.warn('📦 Optimizer failed, falling back to old packer:', err.message)
+      warnings.push({ type: 'packer-fallback', message: `Layer optimizer failed (${err.message}), used 3D packer` })
+      packedPallets = packItemsWithConstraints(regularItems, {
+        maxHeight: PACKING_RULES.maxPalletHeight,
+        allowRotation: true,
+        preferLowCog,
+        compatibility,
+        palletBases,
+        baseSelection,
+        seed,
+      })
+
+      // No base may take every box - say which units didn't make it onto a pallet
+      const placedBySku = new Map()
+      packedPallets.forEach(p => p.boxes.forEach(b => {
+        placedBySku.set(b.item?.sku, (placedBySku.get(b.item?.sku) || 0) + (b.item?.nestedQty || 1))
+      }))
+      const orderedBySku = new Map()
+      regularItems.forEach(item => orderedBySku.set(item.sku, (orderedBySku.get(item.sku) || 0) + (item.qty || 1)))
+      orderedBySku.forEach((qty, sku) => {
+        const placed = placedBySku.get(sku) || 0
+        if (placed < qty) {
+          warnings.push({ type: 'unplaced', sku, message: `${sku}: ${qty - placed} of ${qty} units didn't fit on any pallet` })
+        }
+      })
+    }
+  }
+
+  console.log('📦 Regular products packing result:', packedPallets.length, 'pallets')
+
+  // Convert packed pallets to our format with exact positions
+  const pallets = packedPallets.map(p => {
+    const items = summarizePalletItems(p.boxes)
+    const maxDims = p.boxes.reduce((max, b) => ({
+      l: Math.max(max.l, b.x + b.l),
+      w: Math.max(max.w, b.z + b.w),
+      h: Math.max(max.h, b.y + b.h),
+    }), { l: 0, w: 0, h: 0 })
+
+    // Boxes past the deck edges make the shipping footprint bigger than the base
+    const overhang = calculateOverhang(p.boxes, [p.base.length, p.base.width])
+
+    return {
+      id: p.id,
+      items,
+      boxes: p.boxes, // Exact positions for 3D viewer!
+      dims: [...overhang.footprint, Math.ceil(maxDims.h + p.base.deckHeight)], // Include pallet height
+      ...(overhang.max > 0 && { overhang }),
+      weight: p.metrics.weight + p.base.tare, // Include pallet weight
+      utilization: p.metrics.utilization,
+      family: items.length === 1 ? items[0].family : 'Mixed',
+      group: p.group,
+      base: p.base.id,
+      baseLabel: p.base.label,
+      baseCost: p.base.cost,
+      palletSize: `${p.base.length}x${p.base.width}`,
+      ...(p.note && { note: p.note }),
+      // Limits it was packed to - the 3D packer's height is above the deck
+      maxHeight: p.maxHeight ?? p.metrics.maxHeight + p.base.deckHeight,
+      maxWeight: p.maxWeight ?? p.metrics.maxWeight,
+      stackingRejections: p.stackingRejections || [],
+      cog: p.metrics.cog || calculateCenterOfGravity(p.boxes, p.metrics.palletDims),
+    }
+  })
+
+  // ============================================================
+  // CRATED BOM CHILDREN - dedicated crates (DD: slide/track, manifold, legs)
+  // Crate capacities/dims live on the crate entries in PRODUCT_MODELS
+  // ============================================================
+  if (explosion.crated.length > 0) {
+    console.log('📦 Crating BOM components...')
+    const cratePallets = buildCratePallets(explosion.crated)
+    cratePallets.forEach(p => pallets.push({ ...p, id: pallets.length + 1 }))
+    console.log(`✅ Crate pallets total: ${cratePallets.length}`)
+  }
+
+  // ============================================================
+  // Add oversized pallets (Undergrad, etc.)
+  // ============================================================
+  if (oversizedPallets.length > 0) {
+    console.log(`📦 Adding ${oversizedPallets.length} oversized pallets`)
+
+    oversizedPallets.forEach(pallet => {
+      pallet.group = 'oversized'
+    })
+
+    pallets.push(...oversizedPallets)
+  }
+
+  // Sort pallets: DD, oversized, then mixed
+  pallets.sort((a, b) => {
+    // DD pallets first
+    if (a.group === 'double-docker' && b.group !== 'double-docker') return -1
+    if (b.group === 'double-docker' && a.group !== 'double-docker') return 1
+    // Oversized pallets second
+    if (a.group === 'oversized' && b.group !== 'oversized' && b.group !== 'double-docker') return -1
+    if (b.group === 'oversized' && a.group !== 'oversized' && a.group !== 'double-docker') return 1
+    return a.id - b.id
+  })
+
+  // Renumber pallets
+  pallets.forEach((p, i) => p.id = i + 1)
+
+  // Density + NMFC class for every pallet (regular, DD crates, oversized)
+  applyFreightClasses(pallets)
+
+  // Per-pallet warnings (after renumbering so ids match the result)
+  warnings.push(...getPalletWarnings(pallets))
+
+  // Calculate totals
+  const totalWeight = pallets.reduce((sum, p) => sum + p.weight, 0)
+  const totalCubicFeet = pallets.reduce((sum, p) => sum + p.cubicFeet, 0)
+  const totalPallets = pallets.length
+  const totalBaseCost = pallets.reduce((sum, p) => sum + (p.baseCost || 0), 0)
+
+  // Log for debugging
+  console.log('✅ 3D Packing complete:', totalPallets, 'pallets')
+
+  // Check for parcel-eligible items
+  const parcelEligible = orderItems.every(item => {
+    const { dims, weight } = resolveItemPackaging(item)
+    const cubicInches = (dims.length_in || 24) * (dims.width_in || 18) * (dims.height_in || 12)
+    return weight <= PARCEL_WEIGHT_LIMIT && cubicInches <= PARCEL_CUBIC_INCH_LIMIT
+  })
+
+  // If all items parcel-eligible AND total <150 lbs → ship parcel (no pallet needed)
+  const allParcel = parcelEligible && totalWeight < 150
+
+  // Determine shipping method
+  let shippingMethod = 'LTL'
+  let parcelItems = []
+
+  if (allParcel) {
+    shippingMethod = 'Parcel'
+    // Calculate parcel packages (UPS/FedEx limit ~50 lbs per box)
+    let parcelWeight = 0
+    let parcelCount = 1
+    orderItems.forEach(item => {
+      const itemWeight = item.hasOverride
+        ? item.packaged.weight_lbs || 25
+        : getRealWeight(item.sku, item.family, item.packaged?.weight_lbs || 25)
+      for (let i = 0; i < item.qty; i++) {
+        if (parcelWeight + itemWeight > 50) {
+          parcelCount++
+          parcelWeight = itemWeight
+        } else {
+          parcelWeight += itemWeight
+        }
+      }
+    })
+    parcelItems = [{ count: parcelCount, totalWeight }]
+  } else {
+    shippingMethod = getFreightMethod(totalWeight, totalPallets)
+  }
+
+  // Check for unknown items
+  const unknownItems = orderItems.filter(item => item.isUnknown)
+  unknownItems.forEach(item => {
+    warnings.unshift({ type: 'unknown-item', sku: item.sku, message: `${item.sku}: not in catalog, packed with fallback dimensions` })
+  })
+
+  const result = {
+    pallets: allParcel ? [] : pallets,
+    totalWeight,
+    totalCubicFeet: Math.round(totalCubicFeet * 10) / 10,
+    totalPallets: allParcel ? 0 : totalPallets,
+    totalBaseCost: allParcel ? 0 : totalBaseCost,
+    shippingMethod,
+    totalItems: orderItems.reduce((sum, item) => sum + item.qty, 0),
+    has3DPositions: !allParcel, // Flag for 3D viewer
+    parcelItems, // For parcel shipments
+    hasUnknownItems: unknownItems.length > 0, // Flag if accuracy might be affected
+    ddExpanded: explosion.crated.length > 0,
+    compatibilityVersion: compatibility.version || 1,
+    seed,
+    warnings,
+  }
+  result.signature = getPlanSignature(result)
+  return result
+}
+
+/**
+ * packOrder() result → plain JSON (no item objects duplicated per box)
+ * Shape returned by POST /api/pack:
+ * { signature, seed, summary, pallets: [{ id, dims, family, group, base, palletSize, overhang, note, metrics, items, boxes }], warnings }
+ */
+export function serializePackResult(result) {
+  const pallets = result.pallets.map(p => ({
+    id: p.id,
+    dims: { l: p.dims[0], w: p.dims[1], h: p.dims[2] },
+    family: p.family,
+    group: p.group || null,
+    base: p.base || null,
+    palletSize: p.palletSize || 'standard',
+    overhang: p.overhang || null,
+    note: p.note || null,
+    metrics: {
+      weight: p.weight,
+      height: p.dims[2],
+      cubicFeet: p.cubicFeet,
+      density: p.density,
+      freightClass: p.freightClass,
+      freightClassSource: p.freightClassSource,
+      utilization: Math.round((p.utilization || 0) * 1000) / 1000,
+      cog: p.cog || null,
+    },
+    items: p.items.map(item => ({
+      sku: item.sku,
+      name: item.name || item.displayName || item.sku,
+      family: item.family,
+      qty: item.qty,
+      weight: item.weight ?? null,
+      ...(item.parentSku && { parentSku: item.parentSku }),
+    })),
+    boxes: (p.boxes || []).map(b => ({
+      sku: b.item?.sku,
+      x: b.x,
+      y: b.y,
+      z: b.z,
+      l: b.l,
+      w: b.w,
+      h: b.h,
+      rotated: Boolean(b.orientation),
+      ...(b.item?.nestedQty && { nestedQty: b.item.nestedQty }),
+    })),
+  }))
+
+  return {
+    signature: result.signature,
+    seed: result.seed ?? null,
+    summary: {
+      totalPallets: result.totalPallets,
+      totalWeight: result.totalWeight,
+      totalCubicFeet: result.totalCubicFeet,
+      totalBaseCost: result.totalBaseCost,
+      totalItems: result.totalItems,
+      shippingMethod: result.shippingMethod,
+      parcelPackages: result.parcelItems[0]?.count || 0,
+      hasUnknownItems: result.hasUnknownItems,
+    },
+    pallets,
+    warnings: result.warnings,
+  }
+}
@@ -5,12 +5,14 @@
  * Replaces 3D visualization with printable text output.
  */
 
+import { describeOverhang } from './palletBases.js'
+
 const LINE_WIDTH = 65
 
 /**
  * Generate a complete packing slip in ASCII format
  * @param {Array} pallets - Array of pallet objects with items, dims, weight
- * @param {Object} orderInfo - Order metadata (quoteNumber, shippingMethod, etc)
+ * @param {Object} orderInfo - Order metadata (quoteNumber, shippingMethod, planSignature, etc)
  * @returns {string} ASCII-formatted packing slip
  */
 export function generatePackingSlip(pallets, orderInfo) {
@@ -43,10 +45,11 @@ function formatHeader(orderInfo) {
   })
   
   const quoteNum = orderInfo.quoteNumber || 'MANUAL ORDER'
+  const plan = orderInfo.planSignature ? `\nPlan: ${orderInfo.planSignature}` : ''
   
   return `${'═'.repeat(LINE_WIDTH)}
 PALLET CONFIGURATION — ${quoteNum}
-Generated: ${date} at ${time}
+Generated: ${date} at ${time}${plan}
 ${'═'.repeat(LINE_WIDTH)}`
 }
 
@@ -81,6 +84,9 @@ function formatSummary(pallets, orderInfo) {
   // Check for warnings
   const hasUnknown = pallets.some(p => p.items?.some(i => i.isUnknown))
   const hasUnverifiedDims = pallets.some(p => p.items?.some(i => !i.dims && !i.accurateDims))
+  const unstablePallets = pallets
+    .map((p, idx) => (p.cog?.warnings?.length ? idx + 1 : null))
+    .filter(Boolean)
   
   let summary = `
 SUMMARY
@@ -102,7 +108,7 @@ Regular Products:  ${regularItems} items`
   }
   
   // Add warnings if any
-  if (hasUnknown || hasUnverifiedDims) {
+  if (hasUnknown || hasUnverifiedDims || unstablePallets.length > 0) {
     summary += `
 
 ⚠️  WARNINGS:
@@ -113,6 +119,10 @@ Regular Products:  ${regularItems} items`
     }
     if (hasUnverifiedDims) {
       summary += `    • Some dimensions are unverified - confirm before shipping
+`
+    }
+    if (unstablePallets.length > 0) {
+      summary += `    • Center of gravity out of limits on pallet ${unstablePallets.join(', ')}
 `
     }
   }
@@ -156,14 +166,26 @@ Dimensions:   ${dims[0]}" × ${dims[1]}" × ${dims[2]}"
 Weight:       ${weight.toLocaleString()} lbs`
 
   if (pallet.freightClass) {
+    const density = pallet.density ? ` (${pallet.density} lbs/ft³)` : ''
+    const override = pallet.freightClassSource === 'family-override' ? ' — product class' : ''
     section += `
-Freight Class: ${pallet.freightClass}`
+Freight Class: ${pallet.freightClass}${density}${override}`
   }
   
   if (pallet.palletSize) {
     section += `
 Pallet Size:   ${pallet.palletSize}"`
   }
+
+  if (pallet.baseLabel) {
+    section += `
+Pallet Base:   ${pallet.baseLabel}`
+  }
+
+  if (pallet.overhang?.max > 0) {
+    section += `
+Overhang:      ${describeOverhang(pallet.overhang)} (deck ${pallet.overhang.deck.join('×')}", ships ${dims[0]}×${dims[1]}")`
+  }
   
   // Contents list
   section += `
@@ -251,6 +273,17 @@ PACKING:
       section += `DD components ship in dedicated crates - do not mix`
     }
   }
+
+  // Center of gravity warnings (top-heavy / off-center)
+  if (pallet.cog?.warnings?.length) {
+    pallet.cog.warnings.forEach(warning => {
+      section += `
+⚠️  COG: ${warning}`
+    })
+    section += `
+  → Re-balance or band securely before shipping
+`
+  }
   
   return section
 }
@@ -0,0 +1,192 @@
+/**
+ * Pallet / Crate Base Catalog
+ *
+ * Every base a pallet can be built on - footprint, deck height, tare weight,
+ * cost and allowed overhang per side - lives in ./data/pallet-bases.json.
+ * Groups list the bases they may use in the compatibility matrix
+ * (packing-compatibility.json `pallets[].bases`); groups without a list try
+ * the catalog's `standard` bases. The packer packs each allowed base and
+ * keeps the best by `selection.by`:
+ *
+ *   count - fewest pallets, then lowest cost
+ *   cost  - lowest total cost (base cost + selection.perPalletCost handling
+ *           per pallet), then fewest pallets
+ *
+ * Items too big for any standard base go on the cheapest catalog pallet that
+ * fits, else a custom base rounded up to `custom.step` inches.
+ *
+ * Overhang: `maxOverhang` is how far (inches, per side) a load may stick out
+ * past the deck. A SKU's own maxOverhang (PRODUCT_MODELS or
+ * product-families.json) wins over the base's. The packers only overhang a
+ * box that doesn't fit on the deck; the pallet's freight dims are the
+ * resulting shipping footprint.
+ *
+ * Plain ESM with no browser/Node dependencies.
+ */
+
+import PALLET_BASES from './data/pallet-bases.json' with { type: 'json' }
+
+export { PALLET_BASES }
+
+export const BASE_SELECTION_MODES = ['count', 'cost']
+
+/**
+ * Catalog base by id (with `id`), null if unknown
+ */
+export function getBase(id, catalog = PALLET_BASES) {
+  const base = catalog.bases?.[id]
+  return base ? { id, ...base } : null
+}
+
+/**
+ * Bases for a list of ids, unknown ids dropped (default: catalog.standard)
+ */
+export function getBases(ids = null, catalog = PALLET_BASES) {
+  return (ids || catalog.standard || []).map(id => getBase(id, catalog)).filter(Boolean)
+}
+
+/**
+ * Allowed overhang per side for a box on a base - the SKU's limit, else the base's
+ */
+export function getMaxOverhang(base, itemOverhang = null) {
+  return itemOverhang ?? base?.maxOverhang ?? 0
+}
+
+/**
+ * Does a box footprint fit a base (plus the overhang it's allowed) in either orientation?
+ */
+export function fitsBase(base, l, w, itemOverhang = null) {
+  const overhang = getMaxOverhang(base, itemOverhang)
+  const length = base.length + overhang * 2
+  const width = base.width + overhang * 2
+  return (l <= length && w <= width) || (w <= length && l <= width)
+}
+
+/**
+ * Does a box footprint fit any standard base (with the overhang it's allowed)?
+ */
+export function fitsStandardBase(l, w, catalog = PALLET_BASES, itemOverhang = null) {
+  return getBases(null, catalog).some(base => fitsBase(base, l, w, itemOverhang))
+}
+
+/**
+ * Custom base for a footprint: rounded up to custom.step, at least
+ * custom.minLength × custom.minWidth, tare and cost by square foot
+ */
+export function getCustomBase(l, w, catalog = PALLET_BASES) {
+  const custom = catalog.custom || {}
+  const step = custom.step || 12
+  const length = Math.max(Math.ceil(Math.max(l, w) / step) * step, custom.minLength || 48)
+  const width = Math.max(Math.ceil(Math.min(l, w) / step) * step, custom.minWidth || 40)
+  const sqFt = (length * width) / 144
+  return {
+    id: `custom-${length}x${width}`,
+    label: `${custom.label || 'Custom'} ${length}×${width}`,
+    kind: custom.kind || 'pallet',
+    length,
+    width,
+    deckHeight: custom.deckHeight ?? 6,
+    tare: Math.round(sqFt * (custom.tarePerSqFt || 0)),
+    cost: Math.round(sqFt * (custom.costPerSqFt || 0)),
+    maxOverhang: custom.maxOverhang || 0,
+    custom: true,
+  }
+}
+
+/**
+ * Base for an oversized footprint - cheapest catalog pallet it fits
+ * (with overhang), else custom
+ */
+export function getBaseForFootprint(l, w, catalog = PALLET_BASES, itemOverhang = null) {
+  const fitting = Object.keys(catalog.bases || {})
+    .map(id => getBase(id, catalog))
+    .filter(base => base.kind === 'pallet' && fitsBase(base, l, w, itemOverhang))
+    .sort((a, b) => a.cost - b.cost)
+  return fitting[0] || getCustomBase(l, w, catalog)
+}
+
+/**
+ * How far a load sticks out past the deck
+ * Box coordinates are from the deck corner (negative = past the left/back edge).
+ * @param {Array} boxes - [{ x, z, l, w }]
+ * @param {Array} deckDims - [length, width] of the base
+ * @returns {Object} { left, right, back, front, max, deck, footprint } - inches per
+ *   side (left/right along the length, back/front along the width); footprint is
+ *   the shipping [length, width] - deck plus overhang, whole inches
+ */
+export function calculateOverhang(boxes, deckDims) {
+  const [length, width] = deckDims
+  let minX = 0, maxX = length, minZ = 0, maxZ = width
+  for (const b of boxes || []) {
+    minX = Math.min(minX, b.x)
+    maxX = Math.max(maxX, b.x + b.l)
+    minZ = Math.min(minZ, b.z)
+    maxZ = Math.max(maxZ, b.z + b.w)
+  }
+
+  const round = (v) => Math.max(0, Math.round(v * 10) / 10)
+  const sides = {
+    left: round(-minX),
+    right: round(maxX - length),
+    back: round(-minZ),
+    front: round(maxZ - width),
+  }
+  return {
+    ...sides,
+    max: Math.max(...Object.values(sides)),
+    deck: [length, width],
+    footprint: [Math.ceil(round(maxX - minX)), Math.ceil(round(maxZ - minZ))],
+  }
+}
+
+/**
+ * Overhang → '2.5" back/front' ('' if none)
+ */
+export function describeOverhang(overhang) {
+  if (!overhang?.max) return ''
+  const bySize = new Map()
+  for (const side of ['left', 'right', 'back', 'front']) {
+    if (overhang[side] > 0) bySize.set(overhang[side], [...(bySize.get(overhang[side]) || []), side])
+  }
+  return [...bySize].map(([size, sides]) => `${size}" ${sides.join('/')}`).join(', ')
+}
+
+/**
+ * Cost of shipping one pallet on a base (base + handling)
+ */
+export function getPalletCost(base, catalog = PALLET_BASES) {
+  return (base.cost || 0) + (catalog.selection?.perPalletCost || 0)
+}
+
+/**
+ * Pick the best packing out of one attempt per base
+ * @param {Array} attempts - [{ base, pallets, complete }] - complete = every unit placed
+ * @param {Object} options - { by: 'count' | 'cost' (default catalog.selection.by), catalog }
+ * @returns {Object|null} best complete attempt + { cost }, null if none placed everything
+ */
+export function selectBase(attempts, options = {}) {
+  const { catalog = PALLET_BASES, by = catalog.selection?.by || 'count' } = options
+  const scored = attempts
+    .filter(attempt => attempt.complete)
+    .map(attempt => ({ ...attempt, cost: attempt.pallets.length * getPalletCost(attempt.base, catalog) }))
+
+  const byCount = (a, b) => a.pallets.length - b.pallets.length
+  const byCost = (a, b) => a.cost - b.cost
+  scored.sort((a, b) => by === 'cost'
+    ? byCost(a, b) || byCount(a, b)
+    : byCount(a, b) || byCost(a, b))
+
+  return scored[0] || null
+}
+
+/**
+ * Catalog → prompt text (AI optimizer)
+ */
+export function describePalletBases(catalog = PALLET_BASES) {
+  const lines = Object.keys(catalog.bases || {}).map(id => {
+    const base = getBase(id, catalog)
+    const overhang = base.maxOverhang ? `, up to ${base.maxOverhang}" overhang per side` : ''
+    return `- ${base.label} (${base.kind}): ${base.length}x${base.width}, ${base.tare} lbs empty${overhang}`
+  })
+  return lines.join('\n')
+}
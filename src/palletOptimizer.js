@@ -8,27 +8,41 @@
  *   const result = optimizePalletPacking(items, palletConfig)
  *   // result.pallets = array of packed pallets
  *   // result.metrics = { palletCount, utilization, strategy }
+ *
+ * Deterministic for the same items in the same order; `seed` in the config
+ * adds seeded shuffled-order strategies (reproducible per seed).
  */
 
 import { LayerPacker, groupItemsByHeight, sortItemsForPacking } from './layerPacker.js'
+import { calculateFreightClass, PALLET_TARE } from './freightClass.js'
+import { getNestingRules, calculateNestedStack, splitIntoNestedStacks } from './productModels.js'
+import { getBase } from './palletBases.js'
+import { createRandom, shuffle } from './seededRandom.js'
+
+// Long pallet from the base catalog (data/pallet-bases.json)
+const LONG_BASE = getBase('long-86x40')
 
 // Default pallet configuration
 const DEFAULT_PALLET_CONFIG = {
-  length: 86,      // inches (can accommodate 48" standard + overhang)
-  width: 40,       // inches (standard pallet width)
-  maxHeight: 72,   // inches (typical truck height limit)
-  maxWeight: 2500, // lbs
-  deckHeight: 6,   // inches (pallet deck thickness)
+  length: LONG_BASE.length,         // inches
+  width: LONG_BASE.width,           // inches
+  maxHeight: 72,                    // inches (typical truck height limit)
+  maxWeight: 2500,                  // lbs
+  deckHeight: LONG_BASE.deckHeight, // inches (pallet deck thickness)
 }
 
+// Shuffled-order strategies added when packing with a seed
+const SEEDED_STRATEGIES = 4
+
 /**
  * Main entry point - pack items optimally across pallets
  */
 export function optimizePalletPacking(items, config = {}) {
-  const palletConfig = { ...DEFAULT_PALLET_CONFIG, ...config }
+  const { seed = null, ...palletOverrides } = config
+  const palletConfig = { ...DEFAULT_PALLET_CONFIG, ...palletOverrides }
   
   // Expand items with quantities into individual units
-  const expandedItems = expandItems(items)
+  const expandedItems = expandItems(items, palletConfig)
   
   if (expandedItems.length === 0) {
     return {
@@ -48,12 +62,20 @@ export function optimizePalletPacking(items, config = {}) {
     { name: 'layer-weight', sort: 'weight-desc', layerTolerance: 1.0 },
   ]
 
+  // Seeded shuffles - only win if strictly better, so ties keep the sorted result
+  const random = seed != null ? createRandom(seed) : null
+  if (random) {
+    for (let i = 1; i <= SEEDED_STRATEGIES; i++) {
+      strategies.push({ name: `layer-shuffle-${i}`, sort: 'shuffle', layerTolerance: 1.0 })
+    }
+  }
+
   let bestResult = null
   let bestScore = Infinity
 
   for (const strategy of strategies) {
     try {
-      const result = packWithStrategy(expandedItems, palletConfig, strategy)
+      const result = packWithStrategy(expandedItems, palletConfig, strategy, random)
       const score = scoreResult(result)
 
       console.log(`📦 Strategy "${strategy.name}": ${result.pallets.length} pallets, ` +
@@ -76,18 +98,29 @@ export function optimizePalletPacking(items, config = {}) {
 
   console.log(`✅ Best strategy: "${bestResult.strategy}" with ${bestResult.pallets.length} pallets`)
 
+  // Density + NMFC class on the shipping pallet (pallet.weight is items only)
+  bestResult.pallets.forEach(pallet => {
+    const fc = calculateFreightClass({ ...pallet, weight: pallet.weight + PALLET_TARE })
+    pallet.cubicFeet = fc.cubicFeet
+    pallet.density = fc.density
+    pallet.freightClass = fc.freightClass
+    pallet.freightClassSource = fc.classSource
+  })
+
   return bestResult
 }
 
 /**
  * Pack items using a specific strategy
  */
-function packWithStrategy(items, palletConfig, strategy) {
+function packWithStrategy(items, palletConfig, strategy, random = null) {
   const { length: palletL, width: palletW, maxHeight, maxWeight, deckHeight } = palletConfig
   const usableHeight = maxHeight - deckHeight
 
   // Sort items according to strategy
-  const sortedItems = sortItemsForPacking(items, strategy.sort)
+  const sortedItems = strategy.sort === 'shuffle'
+    ? shuffle(items, random)
+    : sortItemsForPacking(items, strategy.sort)
 
   // Group by height for layer-based packing
   const heightGroups = groupItemsByHeight(sortedItems, strategy.layerTolerance)
@@ -112,7 +145,7 @@ function packWithStrategy(items, palletConfig, strategy) {
 
   // Pack pallets until all items are placed
   while (remainingItems.length > 0) {
-    const pallet = packSinglePallet(remainingItems, palletConfig, strategy.layerTolerance)
+    const pallet = packSinglePallet(remainingItems, palletConfig, strategy.layerTolerance, pallets.length + 1)
 
     // Don't add empty pallets - breaks infinite loop
     if (pallet.boxes.length === 0) {
@@ -146,7 +179,7 @@ function packWithStrategy(items, palletConfig, strategy) {
 /**
  * Pack a single pallet with layer-based approach
  */
-function packSinglePallet(items, palletConfig, layerTolerance) {
+function packSinglePallet(items, palletConfig, layerTolerance, id = 1) {
   const { length: palletL, width: palletW, maxHeight, maxWeight, deckHeight } = palletConfig
   const usableHeight = maxHeight - deckHeight
 
@@ -208,6 +241,7 @@ function packSinglePallet(items, palletConfig, layerTolerance) {
           h: placement.orient.h,
           item: item.item || item,
           weight: item.weight || 0,
+          nestedQty: item.nestedQty,
           rotated: placement.orient.rotated,
           _tempId: item._tempId
         })
@@ -242,7 +276,7 @@ function packSinglePallet(items, palletConfig, layerTolerance) {
   const dims = calculatePalletDims(boxes, palletConfig)
 
   return {
-    id: Date.now() + Math.random(),
+    id,
     boxes,
     dims,
     weight: currentWeight,
@@ -291,6 +325,7 @@ function packGreedy(items, palletConfig) {
           h: item.h,
           item: item.item || item,
           weight: item.weight || 0,
+          nestedQty: item.nestedQty,
           _tempId: item._tempId
         })
 
@@ -317,7 +352,7 @@ function packGreedy(items, palletConfig) {
     }
 
     pallets.push({
-      id: Date.now() + Math.random(),
+      id: pallets.length + 1,
       boxes,
       dims: calculatePalletDims(boxes, palletConfig),
       weight: currentWeight,
@@ -365,19 +400,41 @@ function findLowestPosition(heightMap, itemL, itemW, palletL, palletW, maxHeight
 
 /**
  * Expand items with quantities into individual units
+ * Nestable products become nested stacks (one unit per stack)
  */
-function expandItems(items) {
+function expandItems(items, palletConfig) {
   const expanded = []
   let tempId = 0
+  const usableHeight = palletConfig.maxHeight - palletConfig.deckHeight
 
   for (const item of items) {
     const qty = item.qty || item.quantity || 1
+    const l = item.l || item.length || 30
+    const w = item.w || item.width || 20
+    const h = item.h || item.height || 10
+    const nesting = item.nesting ?? getNestingRules(item.sku, item.family)
+
+    if (nesting) {
+      for (const nestedQty of splitIntoNestedStacks(nesting, qty, usableHeight)) {
+        const stack = calculateNestedStack(nesting, nestedQty, { l, w })
+        expanded.push({
+          l: stack.l,
+          w: stack.w,
+          h: stack.h,
+          weight: (item.weight || 0) * nestedQty,
+          item: item,
+          nestedQty,
+          _tempId: tempId++
+        })
+      }
+      continue
+    }
 
     for (let i = 0; i < qty; i++) {
       expanded.push({
-        l: item.l || item.length || 30,
-        w: item.w || item.width || 20,
-        h: item.h || item.height || 10,
+        l,
+        w,
+        h,
         weight: item.weight || 0,
         item: item,
         _tempId: tempId++
@@ -434,7 +491,7 @@ function calculateMetrics(pallets, palletConfig) {
     for (const box of pallet.boxes) {
       totalUsedVolume += box.l * box.w * box.h
       totalWeight += box.weight || 0
-      totalItems++
+      totalItems += box.nestedQty || 1
     }
   }
 
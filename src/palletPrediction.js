@@ -0,0 +1,136 @@
+/**
+ * Pallet Prediction
+ *
+ * Rule-based pallet count + weight estimate, shared by the app, the
+ * serverless APIs (validate-shipment) and the BOL scripts so that
+ * validation measures the same model sales uses.
+ *
+ * All numbers live in ./data/product-families.json:
+ * - families[key].unitsPerPallet / weightPerUnit - BOL-calibrated per family
+ * - families[key].palletCounts - real [minQty, maxQty, pallets] ranges from BOLs
+ * - hardwareSkuPatterns - hardware/kit lines that ride with the main product
+ * - classification - ordered SKU → family rules (skuClassifier.js)
+ * - version - bumped by scripts/calibrate-rules.js, which refits the family
+ *   numbers from validated shipments (older versions in data/rule-history/)
+ *
+ * Plain ESM with no browser/Node dependencies. CJS callers load it with
+ * `await import()`.
+ */
+
+import PRODUCT_FAMILIES from './data/product-families.json' with { type: 'json' }
+import { classifySku } from './skuClassifier.js'
+
+export { PRODUCT_FAMILIES }
+
+// Compiled hardware patterns per rule set (calibration/backtests pass their own)
+const hardwarePatternCache = new WeakMap()
+
+function getHardwarePatterns(rules) {
+  if (!hardwarePatternCache.has(rules)) {
+    hardwarePatternCache.set(rules, (rules.hardwareSkuPatterns || []).map(p => new RegExp(p, 'i')))
+  }
+  return hardwarePatternCache.get(rules)
+}
+
+/**
+ * SKU → family rules key (see skuClassifier.js for the rules)
+ */
+export function getProductKey(sku, family, name = '', rules = PRODUCT_FAMILIES) {
+  return classifySku(sku, family, name, rules).key
+}
+
+/**
+ * Family rules for a reference key, or null if the family isn't in the rule set
+ */
+export function getFamilyRules(key, rules = PRODUCT_FAMILIES) {
+  return (key && rules.families[key]) || null
+}
+
+/**
+ * Hardware/kit lines pack with the main product and don't add pallets
+ */
+export function isHardwareSku(sku, rules = PRODUCT_FAMILIES) {
+  return getHardwarePatterns(rules).some(pattern => pattern.test(sku || ''))
+}
+
+/**
+ * BOL-calibrated shipping weight per unit, or null if uncalibrated
+ */
+export function getCalibratedWeight(sku, family, name = '') {
+  return getFamilyRules(getProductKey(sku, family, name))?.weightPerUnit ?? null
+}
+
+/**
+ * Pallet count for a quantity from [minQty, maxQty, pallets] ranges
+ * @returns {number|null} pallets, or null if there are no ranges
+ */
+export function palletsFromRanges(ranges, qty) {
+  if (!ranges?.length) return null
+
+  for (const [minQty, maxQty, pallets] of ranges) {
+    if (qty >= minQty && qty <= maxQty) {
+      return pallets
+    }
+  }
+  // If qty exceeds all ranges, extrapolate from last range
+  const lastRange = ranges[ranges.length - 1]
+  const unitsPerPallet = lastRange[1] / lastRange[2]
+  return Math.ceil(qty / unitsPerPallet)
+}
+
+/**
+ * Pallet count for a product type and quantity from real BOL ranges
+ * @returns {number|null} pallets, or null if the family has no BOL ranges
+ */
+export function getEstimatedPallets(sku, family, qty, name = '') {
+  return palletsFromRanges(getFamilyRules(getProductKey(sku, family, name))?.palletCounts, qty)
+}
+
+/**
+ * Predict pallets + weight for an order, line by line
+ * @param {Array} items - Order lines ({ sku, name, family?, qty })
+ * @param {Object} rules - Rule set (default: product-families.json)
+ * @returns {Object} { totalPallets, totalWeight, breakdown, skipped }
+ *   breakdown: [{ sku, name, qty, key, pallets, weight, rule }]
+ *   skipped: hardware lines left out of the prediction
+ */
+export function predictPallets(items, rules = PRODUCT_FAMILIES) {
+  const { defaults } = rules
+  const skipped = items.filter(item => isHardwareSku(item.sku, rules))
+
+  let totalPallets = 0
+  let totalWeight = 0
+  const breakdown = []
+
+  for (const item of items) {
+    if (isHardwareSku(item.sku, rules)) continue
+
+    const qty = item.qty || 0
+    const key = getProductKey(item.sku, item.family, item.name, rules)
+    const familyRules = getFamilyRules(key, rules)
+    const upp = familyRules?.unitsPerPallet ?? defaults.unitsPerPallet
+    const wpu = familyRules?.weightPerUnit ?? defaults.weightPerUnit
+
+    const pallets = palletsFromRanges(familyRules?.palletCounts, qty) ?? Math.ceil(qty / upp)
+    const weight = qty * wpu
+
+    totalPallets += pallets
+    totalWeight += weight
+    breakdown.push({
+      sku: item.sku,
+      name: item.name,
+      qty,
+      key,
+      pallets,
+      weight: Math.round(weight),
+      rule: `${upp}/pallet, ${wpu}lbs/unit`,
+    })
+  }
+
+  return {
+    totalPallets,
+    totalWeight: Math.round(totalWeight),
+    breakdown,
+    skipped: skipped.map(item => item.sku),
+  }
+}
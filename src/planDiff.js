@@ -0,0 +1,99 @@
+/**
+ * Saved Plan Diff
+ *
+ * What changed between two revisions of a saved packing plan (/api/plans):
+ * totals, item quantities and pallets. Pallets are compared by position
+ * (pallet 1 with pallet 1) - revisions of the same order are packed the same
+ * way, so a shifted pallet list shows up as changed pallets.
+ *
+ * Plain ESM with no browser/Node dependencies.
+ */
+
+import { getPlanSignature } from './planSignature.js'
+
+// Units per SKU across all pallets (BOM children by their own SKU)
+function itemQuantities(result) {
+  const qty = new Map()
+  for (const pallet of result?.pallets || []) {
+    for (const item of pallet.items || []) {
+      qty.set(item.sku, (qty.get(item.sku) || 0) + (item.qty || 1))
+    }
+  }
+  return qty
+}
+
+const palletSummary = (pallet) => pallet && {
+  base: pallet.base || pallet.palletSize || null,
+  dims: pallet.dims || [],
+  weight: pallet.weight || 0,
+  units: (pallet.items || []).reduce((sum, item) => sum + (item.qty || 1), 0),
+}
+
+const sameDims = (a, b) => a.length === b.length && a.every((v, i) => v === b[i])
+
+/**
+ * Diff two packing results (saved plan `result`s or packOrder() output)
+ * @returns {Object} { same, signatures: [before, after], totals: { pallets, weight, cubicFeet } as
+ *   [before, after], items: [{ sku, before, after }], pallets: [{ index, change, before, after }] }
+ *   change: 'added' | 'removed' | 'changed'; unchanged items/pallets are left out
+ */
+export function diffPlans(before, after) {
+  const signatures = [before?.signature || getPlanSignature(before), after?.signature || getPlanSignature(after)]
+
+  const beforeQty = itemQuantities(before)
+  const afterQty = itemQuantities(after)
+  const items = [...new Set([...beforeQty.keys(), ...afterQty.keys()])]
+    .sort()
+    .map(sku => ({ sku, before: beforeQty.get(sku) || 0, after: afterQty.get(sku) || 0 }))
+    .filter(item => item.before !== item.after)
+
+  const beforePallets = before?.pallets || []
+  const afterPallets = after?.pallets || []
+  const pallets = []
+  for (let i = 0; i < Math.max(beforePallets.length, afterPallets.length); i++) {
+    const a = palletSummary(beforePallets[i])
+    const b = palletSummary(afterPallets[i])
+    const change = !a ? 'added' : !b ? 'removed'
+      : (a.base !== b.base || !sameDims(a.dims, b.dims) || a.weight !== b.weight || a.units !== b.units) ? 'changed'
+      : null
+    if (change) pallets.push({ index: i + 1, change, before: a || null, after: b || null })
+  }
+
+  return {
+    same: signatures[0] === signatures[1],
+    signatures,
+    totals: {
+      pallets: [beforePallets.length, afterPallets.length],
+      weight: [before?.totalWeight || 0, after?.totalWeight || 0],
+      cubicFeet: [before?.totalCubicFeet || 0, after?.totalCubicFeet || 0],
+    },
+    items,
+    pallets,
+  }
+}
+
+const describePallet = (p) => `${p.dims.join('×')}" ${p.base || ''} ${p.weight} lbs, ${p.units} units`.replace(/\s+/g, ' ')
+
+/**
+ * Diff → text lines (plan history, API)
+ */
+export function describePlanDiff(diff) {
+  if (diff.same) return [`Same plan (${diff.signatures[0]})`]
+
+  const lines = [`Plan ${diff.signatures[0]} → ${diff.signatures[1]}`]
+  const { pallets, weight, cubicFeet } = diff.totals
+  if (pallets[0] !== pallets[1]) lines.push(`Pallets: ${pallets[0]} → ${pallets[1]}`)
+  if (weight[0] !== weight[1]) lines.push(`Weight: ${weight[0]} → ${weight[1]} lbs`)
+  if (cubicFeet[0] !== cubicFeet[1]) lines.push(`Cubic feet: ${cubicFeet[0]} → ${cubicFeet[1]}`)
+
+  for (const item of diff.items) {
+    lines.push(`${item.sku}: ${item.before} → ${item.after}`)
+  }
+  for (const p of diff.pallets) {
+    if (p.change === 'added') lines.push(`+ Pallet ${p.index}: ${describePallet(p.after)}`)
+    else if (p.change === 'removed') lines.push(`- Pallet ${p.index}: ${describePallet(p.before)}`)
+    else lines.push(`~ Pallet ${p.index}: ${describePallet(p.before)} → ${describePallet(p.after)}`)
+  }
+  if (lines.length === 1) lines.push('Same pallets and items - boxes placed differently')
+  return lines
+}
@@ -0,0 +1,271 @@
+/**
+ * Manual Plan Editing
+ *
+ * Box-level edits from the 3D viewer (PalletViewer3D.jsx): move a box, turn it
+ * on the deck, or transfer it to another pallet. Each edit is checked with the
+ * packer's own rules (binPacking3D.js Pallet.placeAt / tryPlace: bounds and
+ * collision via canPlace, support, stacking limits) plus the mixing matrix for
+ * transfers. A moved box snaps to deck and neighbouring box edges within
+ * SNAP_DISTANCE and drops to its resting height.
+ *
+ * Every edit returns a new packOrder() result: the pallets it touched get
+ * items, dims, weight, COG, overhang and freight class recomputed, then the
+ * totals, warnings and signature - so the packing slip, PDF and a saved
+ * revision all come from the edited plan. result.manualEdits lists the edits.
+ *
+ * Only a box with nothing resting on it can be picked up. Crate and oversized
+ * pallets are built as a whole and aren't editable box by box.
+ *
+ * Plain ESM with no browser/Node dependencies.
+ */
+
+import { PALLET, Pallet, PACKING_CONFIG, getAllOrientations, calculateCenterOfGravity } from './binPacking3D.js'
+import { PACKING_RULES, summarizePalletItems, getPalletWarnings, getFreightMethod } from './packingPipeline.js'
+import { PACKING_COMPATIBILITY, canMix } from './packingCompatibility.js'
+import { getBase, getMaxOverhang, calculateOverhang } from './palletBases.js'
+import { applyFreightClasses } from './freightClass.js'
+import { getPlanSignature } from './planSignature.js'
+
+export const SNAP_DISTANCE = 0.75 // inches - a moved box this close to an edge lines up with it
+
+const TOUCH = 0.5 // "Resting on" tolerance, same as the packer
+const round = (v) => Math.round(v * 10) / 10
+const boxWeight = (box) => box.item?.weight || 50
+const skuOf = (box) => box.item?.sku || box.item?.name || 'box'
+
+/**
+ * Why a pallet can't be edited box by box, null if it can
+ */
+export function getEditBlocker(pallet) {
+  if (!pallet?.boxes?.length) return 'This pallet has no box positions'
+  if (pallet.group === 'oversized') return 'Oversized pallets are built as one stack'
+  // Crate pallets show one box for the whole crate - not the items on it
+  if (!pallet.boxes.every(b => pallet.items?.some(item => item.sku === b.item?.sku))) {
+    return 'Crates are packed as a whole'
+  }
+  return null
+}
+
+/**
+ * Why a box can't be picked up (something rests on it), null if it can
+ */
+export function getMoveBlocker(pallet, index) {
+  const box = pallet?.boxes?.[index]
+  if (!box) return 'Select a box first'
+  const onTop = pallet.boxes.filter((b, i) => i !== index &&
+    Math.abs(b.y - (box.y + box.h)) <= TOUCH &&
+    b.x < box.x + box.l - 0.001 && b.x + b.l > box.x + 0.001 &&
+    b.z < box.z + box.w - 0.001 && b.z + b.w > box.z + 0.001
+  )
+  return onTop.length > 0
+    ? `${onTop.length} box${onTop.length > 1 ? 'es' : ''} (${skuOf(onTop[0])}) resting on it - move ${onTop.length > 1 ? 'those' : 'that'} first`
+    : null
+}
+
+// Deck [length, width] the pallet's box coordinates are relative to
+function getDeck(pallet) {
+  if (pallet.overhang?.deck) return pallet.overhang.deck
+  const base = getBase(pallet.base)
+  if (base) return [base.length, base.width]
+  const [l, w] = String(pallet.palletSize || '').split('x').map(Number)
+  return l && w ? [l, w] : [PALLET.length, PALLET.width]
+}
+
+// Packer pallet with the plan's boxes (minus the one being edited)
+function buildPallet(pallet, skipIndex = -1, item = null) {
+  const [length, width] = getDeck(pallet)
+  const base = getBase(pallet.base)
+  return Pallet.fromBoxes(pallet.id, pallet.boxes.filter((_, i) => i !== skipIndex), {
+    length,
+    width,
+    // Same limits packOrder() used (older plans don't carry them)
+    maxHeight: (pallet.maxHeight ?? PACKING_RULES.maxPalletHeight) - (base?.deckHeight ?? 6),
+    maxWeight: pallet.maxWeight ?? PACKING_RULES.maxPalletWeight,
+    maxOverhang: getMaxOverhang(base),
+    overhangMargin: Math.max(getMaxOverhang(base, item?.maxOverhang), pallet.overhang?.max || 0),
+  })
+}
+
+// Orientation id for the item in these dims (see getAllOrientations)
+function getOrientationId(box, dims) {
+  if (!box.item?.dims) return box.orientation || 0
+  const match = getAllOrientations(box.item.dims)
+    .find(o => round(o.l) === round(dims.l) && round(o.w) === round(dims.w) && round(o.h) === round(dims.h))
+  return match ? match.id : box.orientation || 0
+}
+
+function snapAxis(value, edges) {
+  let best = null
+  for (const edge of edges) {
+    if (Math.abs(edge - value) <= SNAP_DISTANCE && (best === null || Math.abs(edge - value) < Math.abs(best - value))) {
+      best = edge
+    }
+  }
+  const grid = PACKING_CONFIG.heightMapResolution
+  return round(best ?? Math.round(value / grid) * grid)
+}
+
+/**
+ * Snap a box position to deck edges and the edges of the other boxes
+ * (flush against them) within SNAP_DISTANCE, else to the packer's grid
+ * @returns {Object} { x, z }
+ */
+export function snapPosition(pallet, index, x, z, dims) {
+  const [length, width] = getDeck(pallet)
+  const others = pallet.boxes.filter((_, i) => i !== index)
+  const xs = [0, length - dims.l, ...others.flatMap(b => [b.x, b.x - dims.l, b.x + b.l, b.x + b.l - dims.l])]
+  const zs = [0, width - dims.w, ...others.flatMap(b => [b.z, b.z - dims.w, b.z + b.w, b.z + b.w - dims.w])]
+  return { x: snapAxis(x, xs), z: snapAxis(z, zs) }
+}
+
+// Result pallet with everything derived from its boxes recomputed
+function rebuildResultPallet(pallet, boxes) {
+  const deck = getDeck(pallet)
+  const base = getBase(pallet.base)
+  const items = summarizePalletItems(boxes)
+  const height = Math.max(0, ...boxes.map(b => b.y + b.h))
+  const volume = boxes.reduce((sum, b) => sum + b.l * b.w * b.h, 0)
+  const overhang = calculateOverhang(boxes, deck)
+
+  const rebuilt = {
+    ...pallet,
+    items,
+    boxes,
+    dims: [...overhang.footprint, Math.ceil(height + (base?.deckHeight ?? 6))],
+    overhang,
+    weight: boxes.reduce((sum, b) => sum + boxWeight(b), 0) + (base?.tare ?? PACKING_RULES.palletWeight),
+    utilization: height > 0 ? volume / (deck[0] * deck[1] * height) : 0,
+    family: items.length === 1 ? items[0].family : 'Mixed',
+    cog: calculateCenterOfGravity(boxes, deck),
+  }
+  if (!(overhang.max > 0)) delete rebuilt.overhang // Only overhanging pallets carry it
+  applyFreightClasses([rebuilt])
+  return rebuilt
+}
+
+// New result from edited pallets: empties dropped (renumbered), totals, warnings, signature
+function finishEdit(result, pallets, edit) {
+  const kept = pallets.filter(p => p.boxes.length > 0)
+  const renumbered = kept.length < pallets.length ? kept.map((p, i) => ({ ...p, id: i + 1 })) : kept
+
+  const totalWeight = renumbered.reduce((sum, p) => sum + p.weight, 0)
+  const next = {
+    ...result,
+    pallets: renumbered,
+    totalWeight,
+    totalCubicFeet: round(renumbered.reduce((sum, p) => sum + p.cubicFeet, 0)),
+    totalPallets: renumbered.length,
+    totalBaseCost: renumbered.reduce((sum, p) => sum + (p.baseCost || 0), 0),
+    shippingMethod: getFreightMethod(totalWeight, renumbered.length),
+    warnings: [...(result.warnings || []).filter(w => w.palletId == null), ...getPalletWarnings(renumbered)],
+    manualEdits: [...(result.manualEdits || []), { ...edit, at: new Date().toISOString() }],
+  }
+  next.signature = getPlanSignature(next)
+  return next
+}
+
+// Where a box ended up in an edited result → { palletId, boxIndex }
+function locate(result, box) {
+  for (const pallet of result.pallets) {
+    const boxIndex = pallet.boxes.indexOf(box)
+    if (boxIndex >= 0) return { palletId: pallet.id, boxIndex }
+  }
+  return { palletId: null, boxIndex: null }
+}
+
+// Put a box back on its own pallet at (x, z) in these dims
+function replaceBox(result, palletId, index, x, z, dims, edit) {
+  const pallet = result.pallets.find(p => p.id === palletId)
+  const blocked = getEditBlocker(pallet) || getMoveBlocker(pallet, index)
+  if (blocked) return { error: blocked }
+
+  const box = pallet.boxes[index]
+  const packed = buildPallet(pallet, index, box.item)
+  const overhang = getMaxOverhang(getBase(pallet.base), box.item?.maxOverhang)
+  const placed = packed.placeAt(box.item, x, z, { ...dims, id: getOrientationId(box, dims) }, overhang)
+  if (placed.error) return { error: placed.error }
+
+  const { x: px, y, z: pz, l, w, h, orientation } = placed.box
+  const moved = { ...box, x: px, y, z: pz, l, w, h, orientation }
+  const pallets = result.pallets.map(p => p.id === palletId
+    ? rebuildResultPallet(p, p.boxes.map((b, i) => (i === index ? moved : b)))
+    : p
+  )
+  const next = finishEdit(result, pallets, { ...edit, sku: skuOf(box), palletId })
+  return { result: next, ...locate(next, moved) }
+}
+
+/**
+ * Move a box to (x, z) on its pallet (snapped, dropped to its resting height)
+ * @param {Object} to - { x, z } inches from the deck corner
+ * @param {Object} options - { snap: false to place exactly }
+ * @returns {Object} { result, palletId, boxIndex } or { error }
+ */
+export function moveBox(result, palletId, index, to, options = {}) {
+  const pallet = result.pallets.find(p => p.id === palletId)
+  const box = pallet?.boxes?.[index]
+  if (!box) return { error: 'Select a box first' }
+  const dims = { l: box.l, w: box.w, h: box.h }
+  const { x, z } = options.snap === false ? to : snapPosition(pallet, index, to.x, to.z, dims)
+  return replaceBox(result, palletId, index, x, z, dims, {
+    type: 'move',
+    from: { x: box.x, y: box.y, z: box.z },
+  })
+}
+
+/**
+ * Turn a box 90° on the deck (about its center, kept on the deck if it fits, snapped)
+ * @returns {Object} { result, palletId, boxIndex } or { error }
+ */
+export function rotateBox(result, palletId, index) {
+  const pallet = result.pallets.find(p => p.id === palletId)
+  const box = pallet?.boxes?.[index]
+  if (!box) return { error: 'Select a box first' }
+  const dims = { l: box.w, w: box.l, h: box.h }
+  const [length, width] = getDeck(pallet)
+  const onDeck = (v, room) => (room >= 0 ? Math.min(Math.max(v, 0), room) : v)
+  const { x, z } = snapPosition(
+    pallet,
+    index,
+    onDeck(box.x + (box.l - box.w) / 2, length - dims.l),
+    onDeck(box.z + (box.w - box.l) / 2, width - dims.w),
+    dims
+  )
+  return replaceBox(result, palletId, index, x, z, dims, { type: 'rotate' })
+}
+
+/**
+ * Move a box to another pallet - the packer finds its spot there
+ * (turned on the deck if that fits better)
+ * @param {Object} options - { compatibility: mixing matrix for who may share a pallet }
+ * @returns {Object} { result, palletId, boxIndex } or { error }
+ */
+export function transferBox(result, palletId, index, targetId, options = {}) {
+  const { compatibility = PACKING_COMPATIBILITY } = options
+  const source = result.pallets.find(p => p.id === palletId)
+  const target = result.pallets.find(p => p.id === targetId)
+  if (!target || target === source) return { error: 'Pick another pallet' }
+  const blocked = getEditBlocker(source) || getMoveBlocker(source, index) || getEditBlocker(target)
+  if (blocked) return { error: blocked }
+
+  const box = source.boxes[index]
+  const clash = target.boxes.find(b => !canMix(box.item, b.item, compatibility))
+  if (clash) return { error: `${skuOf(box)} can't share a pallet with ${skuOf(clash)} (mixing rules)` }
+
+  const packed = buildPallet(target, -1, box.item)
+  const placed = packed.tryPlace({ ...box.item, dims: { l: box.l, w: box.w, h: box.h } }, 'upright')
+  if (!placed) {
+    const reason = packed.stackingRejections[0]?.reason
+    return { error: `No room for ${skuOf(box)} on pallet ${targetId}${reason ? ` - ${reason}` : ''}` }
+  }
+
+  const dims = { l: placed.l, w: placed.w, h: placed.h }
+  const moved = { ...box, x: placed.x, y: placed.y, z: placed.z, ...dims, orientation: getOrientationId(box, dims) }
+  const pallets = result.pallets.map(p => {
+    if (p.id === palletId) return rebuildResultPallet(p, p.boxes.filter((_, i) => i !== index))
+    if (p.id === targetId) return rebuildResultPallet(p, [...p.boxes, moved])
+    return p
+  })
+  const next = finishEdit(result, pallets, { type: 'transfer', sku: skuOf(box), palletId, toPalletId: targetId })
+  return { result: next, ...locate(next, moved) }
+}
@@ -0,0 +1,43 @@
+/**
+ * Packing Plan Signature
+ *
+ * Content hash of a packOrder() result: pallet bases, dims, weights and every
+ * box with its position. Packing is deterministic, so the same order, rules
+ * version (and seed) always gives the same signature - saved plans,
+ * validations and packing slips show it to prove they refer to the same plan.
+ *
+ * Derived numbers (COG, utilization, freight class) and anything
+ * session-specific (timestamps, log ids) are left out.
+ */
+
+import { hashRules } from './rulesVersion.js'
+
+// 0.1" / 0.1 lb - float noise from the packers doesn't change the plan
+const round = (v) => (typeof v === 'number' ? Math.round(v * 10) / 10 : v ?? null)
+
+// What a plan is, as plain data
+function planContent(result) {
+  return {
+    shippingMethod: result.shippingMethod || null,
+    pallets: (result.pallets || []).map(p => ({
+      base: p.base || p.palletSize || null,
+      dims: (p.dims || []).map(round),
+      weight: round(p.weight),
+      boxes: (p.boxes || []).map(b => [
+        b.item?.parentSku || null,
+        b.item?.sku || null,
+        b.item?.nestedQty || 1,
+        round(b.x), round(b.y), round(b.z),
+        round(b.l), round(b.w), round(b.h),
+      ]),
+      items: (p.items || []).map(item => [item.parentSku || null, item.sku, item.qty]),
+    })),
+  }
+}
+
+/**
+ * 8-char signature for a packing result (packOrder() or a saved copy of it)
+ */
+export function getPlanSignature(result) {
+  return hashRules(planContent(result))
+}
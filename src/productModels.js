@@ -3,8 +3,36 @@
  * Generated from STEP files provided by Chad (2026-01-30)
  * 
  * All dimensions in inches, weights in lbs
+ *
+ * Stacking attributes (used by the 3D packer):
+ * - maxLoadOnTop: max lbs that may rest on top of one unit (crush limit)
+ * - topOnly: nothing may be stacked on this unit
+ * - bottomOnly: unit must sit on the pallet deck
+ * - maxOverhang: inches per side the unit may stick out past the pallet deck
+ *   (over the base's maxOverhang; families without a model can set it in
+ *   product-families.json)
+ *
+ * Nesting attributes (packers build one "nested stack" box per stack):
+ * - nestable: units nest into each other when stacked
+ * - nestingFirst: height of the first unit
+ * - nestingIncrement: height each additional unit adds
+ * - lengthGrowth: length each additional unit adds (stack creeps forward)
+ * - maxStack / maxHeight: cap on units / stacked height per nested stack
+ *
+ * Multi-box products (exploded by bomExplosion.js before packing):
+ * - bom: [{ child, qty, name?, dims?, weight?, crate? }] - child packages per unit.
+ *   child is a PRODUCT_MODELS key (dims/weight default from it); children with
+ *   a crate are consolidated across the order, the rest go to the packer.
+ *   Child weights left null share the parent weight by volume.
+ * - Crate entries: capacity, countBy (child counted against capacity), dims or
+ *   heightPerUnit, contentDims, weight (full crate, prorated), label, unitLabel,
+ *   boxSku, boxFamily, color, family, group, source (carried onto the crate pallet),
+ *   base (pallet-bases.json id - tare + base reported on the crate pallet)
  */
 
+import { classifySku } from './skuClassifier.js'
+import { getFamilyRules } from './palletPrediction.js'
+
 export const PRODUCT_MODELS = {
   // === VARSITY ===
   'dv215': {
@@ -15,6 +43,7 @@ export const PRODUCT_MODELS = {
     type: 'box',
     stackable: true,
     unitsPerPallet: 70, // Very efficient flat pack
+    maxLoadOnTop: 400, // lbs - estimated, corrugated 2-pack
   },
   
   // === VR2 ===
@@ -26,6 +55,7 @@ export const PRODUCT_MODELS = {
     type: 'box',
     stackable: true,
     unitsPerPallet: 50,
+    maxLoadOnTop: 500, // lbs - estimated
   },
   
   // === HOOP RUNNER (verified by Chad 2026-02-03) ===
@@ -45,6 +75,7 @@ export const PRODUCT_MODELS = {
     nestingIncrement: 2,
     unitsPerPallet: 60,
     note: 'Nested stacking: first=6", each additional=+2"',
+    maxLoadOnTop: 60, // lbs - unboxed flat pack crushes easily, keep heavy boxes off
   },
   
   // === CIRCLE SERIES ===
@@ -56,6 +87,7 @@ export const PRODUCT_MODELS = {
     type: 'product',
     stackable: true,
     unitsPerPallet: 15,
+    maxLoadOnTop: 200, // lbs - estimated
   },
   
   // === UNDERGRAD (verified by Chad 2026-02-02) ===
@@ -180,11 +212,11 @@ export const PRODUCT_MODELS = {
     stackable: true,
     unitsPerPallet: 16,
     note: 'Tops ship separately',
+    maxLoadOnTop: 250, // lbs - estimated
   },
   
   // === DOUBLE DOCKER COMPONENTS (verified by Chad 2026-02-03) ===
-  // DD4 Components per unit: 2 slides, 2 tracks, 1 manifold, 1 leg
-  // DD6 component counts: TODO - needs verification
+  // Per-unit counts live in the dd4/dd6 bom below
   
   // Individual component dimensions (for reference)
   'dd-slide': {
@@ -194,8 +226,6 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED per-unit weight
     type: 'component',
     parent: 'dd',
-    perDD4: 2, // Verified Feb 2
-    perDD6: 3, // Verified Feb 3 (Chad + NetSuite)
   },
   'dd-lower': {
     name: 'DD Lower Track',
@@ -204,8 +234,6 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED per-unit weight
     type: 'component',
     parent: 'dd',
-    perDD4: 2, // Verified Feb 2
-    perDD6: 3, // Verified Feb 3 (Chad + NetSuite)
     note: 'Slides and tracks nest inside each other',
   },
   'dd-leg': {
@@ -215,8 +243,6 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED per-unit weight
     type: 'component',
     parent: 'dd',
-    perDD4: 1, // Verified Feb 2
-    perDD6: 1, // Verified Feb 3
   },
   'dd-manifold': {
     name: 'DD Manifold',
@@ -225,8 +251,6 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED per-unit weight
     type: 'component',
     parent: 'dd',
-    perDD4: 1, // Verified Feb 2
-    perDD6: 1, // Verified Feb 3 (DD6 manifolds are larger, don't nest well)
     note: 'DD6 manifolds are larger - ride along on existing pallets (adds weight, not space)',
   },
   
@@ -237,8 +261,19 @@ export const PRODUCT_MODELS = {
     weight: 1510, // Full crate weight
     type: 'crate',
     capacity: 21, // 21 nested sets (7 per layer × 3 layers)
+    countBy: 'dd-slide', // One slide + one track = one nested set
     layersPerCrate: 3,
     setsPerLayer: 7,
+    contentDims: { l: 78, w: 41, h: 54 },
+    label: 'Slide/Track Crate',
+    unitLabel: 'sets',
+    boxSku: 'dd-crate-slidetrack',
+    color: '#dc2626', // Red for slides/tracks
+    family: 'Double Docker',
+    boxFamily: 'DD Crate',
+    group: 'double-docker',
+    source: 'dd-slide-track',
+    base: 'crate-dd-slide-track',
     note: 'Slides and tracks nest inside each other',
   },
   'dd-manifold-crate': {
@@ -249,6 +284,16 @@ export const PRODUCT_MODELS = {
     capacity: 40, // 40 manifolds (10 per layer × 4 layers)
     layersPerCrate: 4,
     unitsPerLayer: 10,
+    contentDims: { l: 52, w: 26, h: 53 },
+    label: 'Manifold Crate',
+    unitLabel: 'pcs',
+    boxSku: 'dd-crate-manifold',
+    color: '#3b82f6', // Blue for manifolds
+    family: 'Double Docker',
+    boxFamily: 'DD Crate',
+    group: 'double-docker',
+    source: 'dd-manifold',
+    base: 'crate-dd-manifold',
   },
   'dd-legs-pallet': {
     name: 'DD Legs Pallet',
@@ -259,6 +304,19 @@ export const PRODUCT_MODELS = {
     type: 'pallet',
     capacityMin: 30,
     capacityMax: 40,
+    capacity: 40, // Updated per Chad 2026-02-03
+    dims: { l: 48, w: 45 }, // Footprint with overhang; height from heightPerUnit
+    heightPerUnit: 1.8, // ~53" at 30 legs
+    contentDims: { l: 44, w: 43 },
+    label: 'Legs Pallet',
+    unitLabel: 'pcs',
+    boxSku: 'dd-pallet-legs',
+    color: '#737373', // Gray for legs
+    family: 'Double Docker',
+    boxFamily: 'DD Crate',
+    group: 'double-docker',
+    source: 'dd-legs',
+    base: 'gma-48x40', // Legs overhang to 45" wide
     note: 'Height varies by quantity; ~53" at 30 legs',
   },
   
@@ -271,9 +329,13 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 12,
-    components: ['dd-slide', 'dd-lower', 'dd-leg', 'dd-manifold'],
-    // Verified component counts per DD4 unit:
-    componentCounts: { slide: 2, track: 2, manifold: 1, leg: 1 },
+    // Verified component counts per DD4 unit (Feb 2); ships in DD crates
+    bom: [
+      { child: 'dd-slide', qty: 2, name: 'Upper Slide', crate: 'dd-slide-track-crate' },
+      { child: 'dd-lower', qty: 2, name: 'Lower Track', crate: 'dd-slide-track-crate' },
+      { child: 'dd-manifold', qty: 1, name: 'Manifold', weight: 25, crate: 'dd-manifold-crate' }, // ⚠️ UNVERIFIED weight
+      { child: 'dd-leg', qty: 1, name: 'Support Leg', weight: 30, crate: 'dd-legs-pallet' }, // ⚠️ UNVERIFIED weight
+    ],
   },
   'dd6': {
     name: 'Double Docker 6',
@@ -283,14 +345,19 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 8,
-    components: ['dd-slide', 'dd-lower', 'dd-leg', 'dd-manifold'],
-    // Verified Feb 3 (Chad + NetSuite)
-    componentCounts: { slide: 3, track: 3, manifold: 1, leg: 1 },
+    // Verified Feb 3 (Chad + NetSuite); ships in DD crates
+    bom: [
+      { child: 'dd-slide', qty: 3, name: 'Upper Slide', crate: 'dd-slide-track-crate' },
+      { child: 'dd-lower', qty: 3, name: 'Lower Track', crate: 'dd-slide-track-crate' },
+      { child: 'dd-manifold', qty: 1, name: 'Manifold', weight: 25, crate: 'dd-manifold-crate' }, // ⚠️ UNVERIFIED weight
+      { child: 'dd-leg', qty: 1, name: 'Support Leg', weight: 30, crate: 'dd-legs-pallet' }, // ⚠️ UNVERIFIED weight
+    ],
     note: 'DD6 manifolds are larger than DD4 - typically ride along on existing pallets',
   },
   
   // === LOCKERS - 1 BIKE (VISI1 / MBV1) (verified by Chad 2026-02-03) ===
-  // Each locker = 2 boxes
+  // Each locker = 2 boxes. Lockers are packed as these boxes (bom), so the
+  // stacking limits live on the boxes, not on the mbv/visi assemblies.
   // Package A (side panels): 81" × 26" × 5"
   // Package B (top/doors): 82" × 32" × 8"
   'locker-1-box-a': {
@@ -300,6 +367,8 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED - needs confirmation
     type: 'box',
     parent: 'locker-1',
+    bottomOnly: true, // Steel panels - too heavy to ride on top of anything
+    maxLoadOnTop: 600, // lbs
     note: 'Weight unverified',
   },
   'locker-1-box-b': {
@@ -309,6 +378,8 @@ export const PRODUCT_MODELS = {
     weight: null, // ⚠️ UNVERIFIED - needs confirmation
     type: 'box',
     parent: 'locker-1',
+    bottomOnly: true, // Steel panels - too heavy to ride on top of anything
+    maxLoadOnTop: 600, // lbs
     note: 'Weight unverified',
   },
   'mbv1': {
@@ -319,7 +390,10 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 4,
-    boxes: ['locker-1-box-a', 'locker-1-box-b'],
+    bom: [
+      { child: 'locker-1-box-a', qty: 1 },
+      { child: 'locker-1-box-b', qty: 1 },
+    ],
   },
   'visi1': {
     name: 'VisiLocker 1',
@@ -329,7 +403,10 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 6,
-    boxes: ['locker-1-box-a', 'locker-1-box-b'],
+    bom: [
+      { child: 'locker-1-box-a', qty: 1 },
+      { child: 'locker-1-box-b', qty: 1 },
+    ],
   },
   
   // === LOCKERS - 2 BIKE (VISI2 / MBV2) ===
@@ -340,6 +417,8 @@ export const PRODUCT_MODELS = {
     weight: 80,
     type: 'box',
     parent: 'locker-2',
+    bottomOnly: true, // Steel panels - too heavy to ride on top of anything
+    maxLoadOnTop: 600, // lbs
   },
   'locker-2-box-b': {
     name: 'Locker 2-Bike Box B (Doors)',
@@ -348,6 +427,8 @@ export const PRODUCT_MODELS = {
     weight: 90,
     type: 'box',
     parent: 'locker-2',
+    bottomOnly: true, // Steel panels - too heavy to ride on top of anything
+    maxLoadOnTop: 600, // lbs
   },
   'locker-2-box-c': {
     name: 'Locker 2-Bike Box C (Top & Divider)',
@@ -356,6 +437,8 @@ export const PRODUCT_MODELS = {
     weight: 60,
     type: 'box',
     parent: 'locker-2',
+    bottomOnly: true, // Steel panels - too heavy to ride on top of anything
+    maxLoadOnTop: 600, // lbs
   },
   'mbv2': {
     name: 'Metal Bike Vault 2',
@@ -365,7 +448,11 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 2,
-    boxes: ['locker-2-box-a', 'locker-2-box-b', 'locker-2-box-c'],
+    bom: [
+      { child: 'locker-2-box-a', qty: 1 },
+      { child: 'locker-2-box-b', qty: 1 },
+      { child: 'locker-2-box-c', qty: 1 },
+    ],
   },
   'visi2': {
     name: 'VisiLocker 2',
@@ -375,106 +462,25 @@ export const PRODUCT_MODELS = {
     type: 'assembly',
     stackable: false,
     unitsPerPallet: 3,
-    boxes: ['locker-2-box-a', 'locker-2-box-b', 'locker-2-box-c'],
+    bom: [
+      { child: 'locker-2-box-a', qty: 1 },
+      { child: 'locker-2-box-b', qty: 1 },
+      { child: 'locker-2-box-c', qty: 1 },
+    ],
   },
 }
 
 /**
- * Map SKU patterns to product keys
+ * SKU → PRODUCT_MODELS key (see skuClassifier.js for the rules)
  * Handles all color variants (GAV, BLK, GRY) → same model
  */
 export function getProductModelKey(sku, family) {
   const skuLower = (sku || '').toLowerCase()
-  const familyLower = (family || '').toLowerCase()
-  
-  // === VARSITY ===
-  // Patterns: DV215, 90101-2287-*, 80101-008*, 80301-008*, 80101-028*, 80301-028*
-  if (skuLower.includes('dv215') || skuLower.includes('varsity')) return 'dv215'
-  if (skuLower.startsWith('90101-2287')) return 'dv215'
-  if (skuLower.startsWith('80101-008') || skuLower.startsWith('80301-008')) return 'dv215'
-  if (skuLower.startsWith('80101-028') || skuLower.startsWith('80301-028')) return 'dv215'
-  if (familyLower === 'varsity') return 'dv215'
-  
-  // === VR2 ===
-  // Patterns: VR2, VR-VR2, 90101-0172-*, 80101-0172-*
-  if (skuLower.includes('vr2') || skuLower.includes('vr-vr2')) return 'vr2'
-  if (skuLower.startsWith('90101-0172') || skuLower.startsWith('80101-0172')) return 'vr2'
-  if (familyLower.includes('vr2')) return 'vr2'
-  
-  // === DOUBLE DOCKER ===
-  // Main SKUs: DD-SS-04-*, DD-SS-06-*, DD-DS-08-*, DD-DS-12-*
-  // Kit SKUs: 80101-0257-*-KIT (DD4), 80101-0258-*-KIT (DD6)
-  if (skuLower.includes('dd-ss-04') || skuLower.includes('dd-04') || skuLower.includes('dd4')) return 'dd4'
-  if (skuLower.includes('dd-ss-06') || skuLower.includes('dd-06') || skuLower.includes('dd6')) return 'dd6'
-  if (skuLower.includes('dd-ds-08') || skuLower.includes('dd8')) return 'dd4' // DS-08 uses DD4 components
-  if (skuLower.includes('dd-ds-12') || skuLower.includes('dd12')) return 'dd6' // DS-12 uses DD6 components
-  if (skuLower.startsWith('80101-0257')) return 'dd4' // DD4 kit
-  if (skuLower.startsWith('80101-0258')) return 'dd6' // DD6 kit
-  if (familyLower.includes('double docker')) return 'dd4' // Default to DD4
-  
-  // === LOCKERS ===
-  // MBV1, MBV2, VISI1, VISI2
-  if (skuLower.includes('mbv1') || skuLower.includes('mbv-1')) return 'mbv1'
-  if (skuLower.includes('mbv2') || skuLower.includes('mbv-2')) return 'mbv2'
-  if (skuLower.includes('visi1') || skuLower.includes('visi-1')) return 'visi1'
-  if (skuLower.includes('visi2') || skuLower.includes('visi-2')) return 'visi2'
-  if (familyLower.includes('metal bike vault') || familyLower.includes('visilocker')) {
-    // Try to determine 1 vs 2 bike from description
-    if (skuLower.includes('1') || skuLower.includes('-1-')) return 'mbv1'
-    if (skuLower.includes('2') || skuLower.includes('-2-')) return 'mbv2'
-    return 'mbv1' // Default
-  }
-  
-  // === SKATEDOCK ===
-  // SM10x, SD6x, 89901-121*, 89901-140*
-  if (skuLower.includes('sm10') || skuLower.includes('sd6')) return 'sm10x'
-  if (skuLower.includes('skatedock')) return 'sm10x'
-  if (skuLower.startsWith('89901-121') || skuLower.startsWith('89901-140')) return 'sm10x'
-  if (familyLower.includes('skatedock')) return 'sm10x'
-  
-  // === HOOP RUNNER ===
-  // HR101, HR-101, SM-HR101-*, 80301-0165-*, 80301-0166-*
-  if (skuLower.includes('hr101') || skuLower.includes('hr-101')) return 'hr101'
-  if (skuLower.includes('sm-hr101')) return 'hr101'
-  if (skuLower.startsWith('80301-0165') || skuLower.startsWith('80301-0166')) return 'hr101'
-  if (familyLower.includes('hoop runner')) return 'hr101'
-  
-  // === CIRCLE SERIES ===
-  // CS200, CS-200, 80301-0151-*
-  if (skuLower.includes('cs200') || skuLower.includes('cs-200')) return 'cs200'
-  if (skuLower.startsWith('80301-0151')) return 'cs200'
-  if (familyLower.includes('circle series')) return 'cs200'
-  
-  // === UNDERGRAD (verified dims from Chad 2026-02-02) ===
-  // Single-sided: 3/4/5 bike - lay flat, stack 5-10/pallet
-  // Double-sided: 6/8/10 bike - stack max 3/pallet
-  // All are OVERSIZED (148-160" length) - need special handling
-  if (skuLower.includes('undergrad') || familyLower.includes('undergrad')) {
-    // Check for double-sided first (DS in name or even bike counts 6/8/10)
-    const isDoubleSided = skuLower.includes('ds') || skuLower.includes('double')
-    
-    // Extract bike count from SKU or name
-    const bikeMatch = sku.match(/(\d+)\s*-?\s*bike/i) || sku.match(/-(\d+)-/) || sku.match(/(\d+)$/)
-    const bikeCount = bikeMatch ? parseInt(bikeMatch[1]) : null
-    
-    if (isDoubleSided || (bikeCount && bikeCount >= 6)) {
-      // Double-sided
-      if (bikeCount === 6) return 'undergrad-ds-6'
-      if (bikeCount === 8) return 'undergrad-ds-8'
-      if (bikeCount === 10 || bikeCount > 8) return 'undergrad-ds-10'
-      return 'undergrad-ds-6' // Default DS
-    } else {
-      // Single-sided
-      if (bikeCount === 3) return 'undergrad-ss-3'
-      if (bikeCount === 4) return 'undergrad-ss-4'
-      if (bikeCount === 5 || bikeCount > 4) return 'undergrad-ss-5'
-      return 'undergrad-ss-5' // Default SS
-    }
-  }
-  // Legacy SKU pattern - assume 10-bike double-sided
-  if (skuLower.startsWith('80101-0370')) return 'undergrad-ds-10'
-  
-  return null
+
+  // Catalog keys map to themselves (BOM children, crates)
+  if (PRODUCT_MODELS[skuLower]) return skuLower
+
+  return classifySku(sku, family).model
 }
 
 /**
@@ -485,6 +491,80 @@ export function getProductModel(sku) {
   return key ? PRODUCT_MODELS[key] : null
 }
 
+/**
+ * Get stacking limits for a product (crush rating, top/bottom only, overhang)
+ * Unknown products get no limits - the packer falls back to support % only.
+ * maxOverhang null = the pallet base's limit applies.
+ */
+export function getStackingRules(sku, family) {
+  const key = getProductModelKey(sku, family)
+  const model = key ? PRODUCT_MODELS[key] : null
+  return {
+    maxLoadOnTop: model?.maxLoadOnTop ?? null,
+    topOnly: !!model?.topOnly,
+    bottomOnly: !!model?.bottomOnly,
+    maxOverhang: model?.maxOverhang ?? getFamilyRules(classifySku(sku, family).key)?.maxOverhang ?? null,
+  }
+}
+
+/**
+ * Get nesting rules for a product, or null if its units don't nest
+ */
+export function getNestingRules(sku, family) {
+  const key = getProductModelKey(sku, family)
+  const model = key ? PRODUCT_MODELS[key] : null
+  if (!model?.nestable) return null
+  return {
+    first: model.nestingFirst ?? model.dims.h,
+    increment: model.nestingIncrement ?? model.dims.h,
+    lengthGrowth: model.lengthGrowth || 0,
+    maxStack: model.maxStack ?? Infinity,
+    maxHeight: model.maxHeight ?? Infinity,
+  }
+}
+
+/**
+ * Dimensions of one nested stack
+ * Height: first + ((qty - 1) × increment), length: base + ((qty - 1) × lengthGrowth)
+ *
+ * @param {object} rules - From getNestingRules()
+ * @param {number} qty - Units in the stack
+ * @param {object} baseDims - Single unit { l, w }
+ * @returns {object} - { qty, l, w, h }
+ */
+export function calculateNestedStack(rules, qty, baseDims) {
+  if (qty <= 0) return null
+  return {
+    qty,
+    l: baseDims.l + ((qty - 1) * rules.lengthGrowth),
+    w: baseDims.w,
+    h: rules.first + ((qty - 1) * rules.increment),
+  }
+}
+
+/**
+ * Split a quantity into nested stacks that fit under a height limit
+ * Units are spread evenly so stacks come out the same height (same as the
+ * Undergrad per-pallet split) - equal stacks share a layer on the pallet
+ *
+ * @param {object} rules - From getNestingRules()
+ * @param {number} qty - Total units
+ * @param {number} heightLimit - Usable pallet height in inches
+ * @returns {number[]} - Units per stack
+ */
+export function splitIntoNestedStacks(rules, qty, heightLimit = Infinity) {
+  const limit = Math.min(heightLimit, rules.maxHeight)
+  const byHeight = rules.increment > 0
+    ? Math.floor((limit - rules.first) / rules.increment) + 1
+    : Infinity
+  const perStack = Math.max(1, Math.min(rules.maxStack, byHeight))
+
+  const stackCount = Math.ceil(qty / perStack)
+  const base = Math.floor(qty / stackCount)
+  const extra = qty % stackCount
+  return Array.from({ length: stackCount }, (_, i) => base + (i < extra ? 1 : 0))
+}
+
 /**
  * Get accurate dimensions for a product
  */
@@ -525,31 +605,23 @@ export function getProductDims(sku) {
 export const DD_COMPONENTS = {
   'dd-slide': {
     name: 'Upper Slide Assembly',
-    perDD4: 2, // Verified Feb 2
-    perDD6: 3, // Verified Feb 3 (Chad + NetSuite)
     dims: { l: 80.4, w: 16.5, h: 6.5 },
     weight: null, // ⚠️ Per-unit weight unverified
     note: 'Slides and tracks nest inside each other in crate',
   },
   'dd-lower': {
     name: 'Lower Track',
-    perDD4: 2, // Verified Feb 2
-    perDD6: 3, // Verified Feb 3 (Chad + NetSuite)
     dims: { l: 79.3, w: 12.2, h: 6.0 },
     weight: null, // ⚠️ Per-unit weight unverified
     note: 'Nests inside slides',
   },
   'dd-leg': {
     name: 'Support Leg',
-    perDD4: 1, // Verified Feb 2
-    perDD6: 1, // Verified Feb 3
     dims: { l: 43.7, w: 24.9, h: 7.0 },
     weight: null, // ⚠️ Per-unit weight unverified
   },
   'dd-manifold': {
     name: 'Manifold',
-    perDD4: 1, // Verified Feb 2
-    perDD6: 1, // Verified Feb 3 (larger than DD4, doesn't nest well)
     dims: { l: 29.7, w: 12.3, h: 11.8 },
     weight: null, // ⚠️ Per-unit weight unverified
     note: 'DD6 manifolds are larger and ride along on existing pallets (adds weight, not space)',
@@ -607,21 +679,17 @@ export const DD_CRATES = {
 export function calculateDDPallets(dd4Qty = 0, dd6Qty = 0) {
   const warnings = []
   
-  // Calculate DD4 components (verified Feb 2)
-  const dd4Components = {
-    slides: dd4Qty * 2,
-    tracks: dd4Qty * 2,
-    manifolds: dd4Qty * 1,
-    legs: dd4Qty * 1,
-  }
+  // Per-unit component counts from the DD4/DD6 BOM
+  const bomQty = (key, child) => PRODUCT_MODELS[key].bom.find(line => line.child === child)?.qty || 0
+  const componentsFor = (key, qty) => ({
+    slides: qty * bomQty(key, 'dd-slide'),
+    tracks: qty * bomQty(key, 'dd-lower'),
+    manifolds: qty * bomQty(key, 'dd-manifold'),
+    legs: qty * bomQty(key, 'dd-leg'),
+  })
   
-  // Calculate DD6 components (verified Feb 3)
-  const dd6Components = {
-    slides: dd6Qty * 3,
-    tracks: dd6Qty * 3,
-    manifolds: dd6Qty * 1, // Larger than DD4, handled separately
-    legs: dd6Qty * 1,
-  }
+  const dd4Components = componentsFor('dd4', dd4Qty)
+  const dd6Components = componentsFor('dd6', dd6Qty) // DD6 manifolds are larger, handled separately
   
   const totalComponents = {
     slides: dd4Components.slides + dd6Components.slides,
@@ -764,14 +832,16 @@ export function calculateDDPallets(dd4Qty = 0, dd6Qty = 0) {
 export function calculateHoopRunnerStackHeight(qty) {
   if (qty <= 0) return { height: 0, formula: 'N/A', dims: null }
   
-  const height = 6 + ((qty - 1) * 2)
+  const rules = getNestingRules('hr101')
+  const stack = calculateNestedStack(rules, qty, PRODUCT_MODELS['hr101'].dims)
+  const height = stack.h
   
   return {
     height,
-    formula: `6 + ((${qty} - 1) × 2) = ${height}"`,
+    formula: `${rules.first} + ((${qty} - 1) × ${rules.increment}) = ${height}"`,
     dims: {
-      l: 32, // Individual length
-      w: 28, // Individual width
+      l: stack.l, // Individual length
+      w: stack.w, // Individual width
       h: height, // Stacked height
     },
     note: 'Verified by Chad 2026-02-03: nested stacking, first=6", each additional=+2"',
@@ -864,17 +934,15 @@ export function calcUndergradSingleStack(qty, bikeCount = 5, entryType = 'perpen
   // Entry type adjustment (right/left adds 35" to length)
   const entryAdder = (entryType === 'left' || entryType === 'right') ? 35 : 0
   
-  // Nesting calculations
-  const nestingFirst = 12      // First unit height
-  const nestingIncrement = 2.5 // Each additional unit height
-  const lengthGrowth = 2.5     // Length growth per additional unit (average of 2-3")
-  const maxPerPallet = 10
-  const maxHeight = 36
+  // Nesting rules from the product model (first 12", +2.5" height/length each)
+  const rules = getNestingRules(`undergrad-ss-${base ? bikeCount : 5}`)
+  const { first: nestingFirst, increment: nestingIncrement, lengthGrowth } = rules
+  const maxPerPallet = rules.maxStack
+  const maxHeight = rules.maxHeight
+  const startDims = { l: baseL + entryAdder, w: baseW }
   
   // Calculate stacked dimensions
-  const height = nestingFirst + ((qty - 1) * nestingIncrement)
-  const length = baseL + entryAdder + ((qty - 1) * lengthGrowth)
-  const width = baseW
+  const { l: length, w: width, h: height } = calculateNestedStack(rules, qty, startDims)
   
   // Check constraints
   if (qty > maxPerPallet) {
@@ -891,8 +959,7 @@ export function calcUndergradSingleStack(qty, bikeCount = 5, entryType = 'perpen
     : qty
   
   // Recalculate dims for actual units per pallet
-  const actualHeight = nestingFirst + ((unitsPerPallet - 1) * nestingIncrement)
-  const actualLength = baseL + entryAdder + ((unitsPerPallet - 1) * lengthGrowth)
+  const { l: actualLength, h: actualHeight } = calculateNestedStack(rules, unitsPerPallet, startDims)
   
   return {
     qty,
@@ -911,16 +978,16 @@ export function calcUndergradSingleStack(qty, bikeCount = 5, entryType = 'perpen
     palletsNeeded,
     unitsPerPallet: palletsNeeded > 1 ? unitsPerPallet : qty,
     formulas: {
-      height: `12 + ((${qty} - 1) × 2.5) = ${height}"`,
-      length: `${baseL} + ${entryAdder} + ((${qty} - 1) × 2.5) = ${length}"`,
+      height: `${nestingFirst} + ((${qty} - 1) × ${nestingIncrement}) = ${height}"`,
+      length: `${baseL} + ${entryAdder} + ((${qty} - 1) × ${lengthGrowth}) = ${length}"`,
     },
     instructions: [
       `Stack ${bikeCount}-bike single-sided units flat`,
       entryAdder > 0 
         ? `${entryType.charAt(0).toUpperCase() + entryType.slice(1)} entry: base ${baseL}" + ${entryAdder}" = ${baseL + entryAdder}" starting length`
         : `Perpendicular entry: ${baseL}" base length`,
-      `First unit: 12" height`,
-      `Each additional: +2.5" height, +2.5" length`,
+      `First unit: ${nestingFirst}" height`,
+      `Each additional: +${nestingIncrement}" height, +${lengthGrowth}" length`,
       qty > maxPerPallet
         ? `Split into ${palletsNeeded} pallets (~${unitsPerPallet} units each)`
         : `All ${qty} units fit on single pallet`,
@@ -0,0 +1,306 @@
+/**
+ * Packing Rule Calibration
+ *
+ * Fits per-family rules in product-families.json to real shipments:
+ * - unitsPerPallet: value that reproduces the most actual pallet counts
+ * - palletCounts: [minQty, maxQty, pallets] breakpoints, one per pallet count
+ * - weightPerUnit: actual shipped weight / units shipped
+ *
+ * Only single-family orders are used for fitting (a mixed order's pallets
+ * can't be split between families); every record counts for accuracy.
+ *
+ * Records come from the validations table (warehouse-entered actuals) and
+ * from parsed BOLs (validation-results/*.json written by the BOL scripts).
+ * Pure functions - scripts/calibrate-rules.js and scripts/backtest-rules.js
+ * do the I/O.
+ */
+
+import { predictPallets, getProductKey, getFamilyRules, isHardwareSku } from './palletPrediction.js'
+
+/**
+ * Validations table row → calibration record, or null if unusable
+ * Handles both the schema columns (predicted_items, actual_weight_lbs) and
+ * what api/validate-shipment.js inserts (predicted_breakdown, actual_weight).
+ */
+export function normalizeValidation(row) {
+  const items = row.predicted_breakdown || row.predicted_items
+  if (!Array.isArray(items) || items.length === 0 || !row.actual_pallets) return null
+
+  return {
+    id: row.id,
+    source: 'validation',
+    soNumber: String(row.sales_order_id || row.pick_ticket_id || '').replace(/^SO/i, ''),
+    date: row.validated_at || row.validation_timestamp || row.created_at || null,
+    items: items.map(({ sku, name, qty }) => ({ sku, name, qty })),
+    actualPallets: Number(row.actual_pallets),
+    actualWeight: Number(row.actual_weight ?? row.actual_weight_lbs) || null,
+    rulesVersion: row.rules_version || null,
+  }
+}
+
+/**
+ * Parsed BOL result (validation-results/*.json) → calibration record, or null
+ */
+export function normalizeBolResult(result, fileName = null) {
+  const items = result.items || result.predicted?.breakdown
+  if (!Array.isArray(items) || items.length === 0 || !result.actual?.pallets) return null
+
+  return {
+    id: fileName || result.hawb || result.soNumber,
+    source: 'bol',
+    soNumber: String(result.soNumber || ''),
+    date: result.timestamp || null,
+    items: items.map(({ sku, name, qty }) => ({ sku, name, qty })),
+    actualPallets: Number(result.actual.pallets),
+    actualWeight: Number(result.actual.weight) || null,
+    rulesVersion: result.predicted?.rulesVersion || null,
+  }
+}
+
+/**
+ * One record per sales order: warehouse validations win over BOLs, newest wins after that
+ */
+export function dedupeRecords(records) {
+  const rank = (r) => (r.source === 'validation' ? 1 : 0)
+  const bySo = new Map()
+  const unkeyed = []
+
+  records.forEach(record => {
+    if (!record.soNumber) {
+      unkeyed.push(record)
+      return
+    }
+    const existing = bySo.get(record.soNumber)
+    if (!existing ||
+        rank(record) > rank(existing) ||
+        (rank(record) === rank(existing) && (record.date || '') > (existing.date || ''))) {
+      bySo.set(record.soNumber, record)
+    }
+  })
+
+  return [...bySo.values(), ...unkeyed]
+}
+
+/**
+ * Accuracy of a rule set against records
+ * @returns {Object} { count, exact, withinOne, exactPct, withinOnePct, avgPalletError, avgWeightError }
+ */
+export function evaluateRules(records, rules) {
+  let exact = 0
+  let withinOne = 0
+  let palletError = 0
+  let weightError = 0
+  let weighed = 0
+
+  records.forEach(record => {
+    const prediction = predictPallets(record.items, rules)
+    const variance = record.actualPallets - prediction.totalPallets
+    if (variance === 0) exact++
+    if (Math.abs(variance) <= 1) withinOne++
+    palletError += Math.abs(variance)
+
+    if (record.actualWeight) {
+      weightError += Math.abs(record.actualWeight - prediction.totalWeight)
+      weighed++
+    }
+  })
+
+  const count = records.length
+  const pct = (n) => (count ? Math.round((1000 * n) / count) / 10 : 0)
+  return {
+    count,
+    exact,
+    withinOne,
+    exactPct: pct(exact),
+    withinOnePct: pct(withinOne),
+    avgPalletError: count ? Math.round((100 * palletError) / count) / 100 : 0,
+    avgWeightError: weighed ? Math.round(weightError / weighed) : null,
+  }
+}
+
+/**
+ * Replay records through two family rule sets (A/B backtest)
+ * predictPallets() reads the family rules only - PRODUCT_MODELS and pallet
+ * bases don't enter these numbers
+ * @returns {Object} { base, candidate, changed }
+ *   base/candidate: evaluateRules() accuracy
+ *   changed: [{ record, base, candidate }] orders whose predicted pallets or weight differ
+ */
+export function compareRules(records, baseRules, candidateRules) {
+  const changed = []
+  records.forEach(record => {
+    const base = predictPallets(record.items, baseRules)
+    const candidate = predictPallets(record.items, candidateRules)
+    if (base.totalPallets !== candidate.totalPallets || base.totalWeight !== candidate.totalWeight) {
+      changed.push({
+        record,
+        base: { pallets: base.totalPallets, weight: base.totalWeight },
+        candidate: { pallets: candidate.totalPallets, weight: candidate.totalWeight },
+      })
+    }
+  })
+
+  return {
+    base: evaluateRules(records, baseRules),
+    candidate: evaluateRules(records, candidateRules),
+    changed,
+  }
+}
+
+/**
+ * Family key if every product line on the order is the same family, else null
+ */
+export function getOrderFamily(record, rules) {
+  const keys = new Set(record.items
+    .filter(item => !isHardwareSku(item.sku, rules))
+    .map(item => getProductKey(item.sku, item.family, item.name, rules)))
+  if (keys.size !== 1) return null
+  const [key] = keys
+  return key
+}
+
+// Exact matches first, then ±1; ties go to the value closest to the current one
+function scoreUnitsPerPallet(samples, upp) {
+  let exact = 0
+  let withinOne = 0
+  samples.forEach(({ qty, pallets }) => {
+    const predicted = Math.ceil(qty / upp)
+    if (predicted === pallets) exact++
+    if (Math.abs(predicted - pallets) <= 1) withinOne++
+  })
+  return exact * (samples.length + 1) + withinOne
+}
+
+/**
+ * Units per pallet that reproduces the most actual pallet counts
+ * @param {Array} samples - [{ qty, pallets }] single-family orders
+ * @param {number} current - Current value (kept on ties)
+ */
+export function fitUnitsPerPallet(samples, current) {
+  // ceil(qty / upp) === pallets for ceil(qty / pallets) <= upp < qty / (pallets - 1)
+  const candidates = new Set([current])
+  samples.forEach(({ qty, pallets }) => {
+    candidates.add(Math.max(1, Math.ceil(qty / pallets)))
+    if (pallets > 1) candidates.add(Math.max(1, Math.ceil(qty / (pallets - 1)) - 1))
+  })
+
+  let best = current
+  let bestScore = scoreUnitsPerPallet(samples, current)
+  candidates.forEach(upp => {
+    const score = scoreUnitsPerPallet(samples, upp)
+    if (score > bestScore || (score === bestScore && Math.abs(upp - current) < Math.abs(best - current))) {
+      best = upp
+      bestScore = score
+    }
+  })
+  return best
+}
+
+/**
+ * [minQty, maxQty, pallets] breakpoints from actual shipments
+ * Each breakpoint is the max qty that ships in that many pallets, chosen to
+ * misclassify the fewest orders; ties go to the unitsPerPallet multiple.
+ */
+export function fitPalletCounts(samples, upp) {
+  const maxPallets = Math.max(2, ...samples.map(s => s.pallets))
+  const quantities = [...new Set(samples.map(s => s.qty))]
+  const ranges = []
+  let previous = 0
+
+  for (let pallets = 1; pallets <= maxPallets; pallets++) {
+    const target = upp * pallets
+    const candidates = [...quantities, target].filter(q => q > previous)
+
+    let best = Math.max(target, previous + 1)
+    let bestErrors = Infinity
+    candidates.forEach(threshold => {
+      const errors = samples.filter(s =>
+        (s.pallets <= pallets && s.qty > threshold) || (s.pallets > pallets && s.qty <= threshold)
+      ).length
+      if (errors < bestErrors || (errors === bestErrors && Math.abs(threshold - target) < Math.abs(best - target))) {
+        best = threshold
+        bestErrors = errors
+      }
+    })
+
+    ranges.push([previous + 1, best, pallets])
+    previous = best
+  }
+  return ranges
+}
+
+/**
+ * Shipped weight per unit (BOL weight incl. pallets, same basis as predictPallets)
+ */
+export function fitWeightPerUnit(samples) {
+  const weighed = samples.filter(s => s.weight)
+  const units = weighed.reduce((sum, s) => sum + s.qty, 0)
+  if (!units) return null
+  return Math.round(weighed.reduce((sum, s) => sum + s.weight, 0) / units)
+}
+
+/**
+ * Fit every family with enough single-family orders
+ * @param {Array} records - Normalized, deduped records
+ * @param {Object} rules - Current rule set
+ * @param {Object} options - { minSamples = 3, now = new Date() }
+ * @returns {Object} { rules, families, before, after }
+ *   rules: new rule set (version + 1, calibration metadata)
+ *   families: [{ key, samples, before, after }] for every family that changed
+ */
+export function calibrateRules(records, rules, options = {}) {
+  const { minSamples = 3, now = new Date() } = options
+
+  const samplesByFamily = new Map()
+  records.forEach(record => {
+    const key = getOrderFamily(record, rules)
+    if (!key || !getFamilyRules(key, rules)) return
+    const qty = record.items
+      .filter(item => !isHardwareSku(item.sku, rules))
+      .reduce((sum, item) => sum + (item.qty || 0), 0)
+    if (!samplesByFamily.has(key)) samplesByFamily.set(key, [])
+    samplesByFamily.get(key).push({ qty, pallets: record.actualPallets, weight: record.actualWeight })
+  })
+
+  const next = structuredClone(rules)
+  const families = []
+
+  samplesByFamily.forEach((samples, key) => {
+    if (samples.length < minSamples) return
+
+    const current = next.families[key]
+    const before = {
+      unitsPerPallet: current.unitsPerPallet,
+      weightPerUnit: current.weightPerUnit,
+      palletCounts: current.palletCounts || null,
+    }
+    const unitsPerPallet = fitUnitsPerPallet(samples, current.unitsPerPallet ?? rules.defaults.unitsPerPallet)
+    const after = {
+      unitsPerPallet,
+      weightPerUnit: fitWeightPerUnit(samples) ?? current.weightPerUnit,
+      palletCounts: fitPalletCounts(samples, unitsPerPallet),
+    }
+
+    Object.assign(current, after, { calibrated: true, samples: samples.length })
+    families.push({ key, samples: samples.length, before, after })
+  })
+
+  const before = evaluateRules(records, rules)
+  const after = evaluateRules(records, next)
+
+  next.version = (rules.version || 1) + 1
+  next.updated = now.toISOString()
+  next.calibration = {
+    date: now.toISOString(),
+    records: records.length,
+    sources: {
+      validations: records.filter(r => r.source === 'validation').length,
+      bols: records.filter(r => r.source === 'bol').length,
+    },
+    previousVersion: rules.version || 1,
+    families: families.map(f => f.key),
+    accuracy: { before, after },
+  }
+
+  return { rules: next, families, before, after }
+}
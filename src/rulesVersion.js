@@ -0,0 +1,50 @@
+/**
+ * Packing Rules Version
+ *
+ * One version string for everything a prediction depends on: the family
+ * rules in data/product-families.json, PRODUCT_MODELS and the pallet base
+ * catalog in data/pallet-bases.json. Stamped on every
+ * logged calculation and validation so backtests can tell which rules
+ * produced a prediction.
+ *
+ * Format: v<rules file version>-<content hash>. The number only moves when
+ * calibration writes a new file; the hash moves on any hand edit too.
+ */
+
+import { PRODUCT_FAMILIES } from './palletPrediction.js'
+import { PRODUCT_MODELS } from './productModels.js'
+import { PALLET_BASES } from './palletBases.js'
+
+// Key-sorted JSON so the hash doesn't depend on property order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+/**
+ * 8-char FNV-1a hash of a rules object (sync + isomorphic, no crypto needed)
+ */
+export function hashRules(value) {
+  const text = stableStringify(value)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Version string for a family rule set + product models + pallet bases
+ */
+export function getRulesVersion(families = PRODUCT_FAMILIES, models = PRODUCT_MODELS, bases = PALLET_BASES) {
+  return `v${families.version || 1}-${hashRules({ families, models, bases })}`
+}
+
+export const RULES_VERSION = getRulesVersion()
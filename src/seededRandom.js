@@ -0,0 +1,46 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Packing never calls Math.random - randomized strategies (shuffled item
+ * orders) only run when a seed is given, and draw from this generator so the
+ * same seed always gives the same pallets. Seeds may be numbers or strings.
+ *
+ * mulberry32 - small, fast, plenty for shuffling. Plain ESM, no dependencies.
+ */
+
+import { hashRules } from './rulesVersion.js'
+
+/**
+ * Seed → 32-bit integer (strings are hashed, numbers truncated)
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0
+  return parseInt(hashRules(String(seed)), 16)
+}
+
+/**
+ * Random number generator for a seed
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = normalizeSeed(seed)
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ */
+export function shuffle(items, random) {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
@@ -0,0 +1,157 @@
+/**
+ * SKU Classification
+ *
+ * One classifier for every place that needs to know what a SKU is. Rules live
+ * in ./data/product-families.json under `classification` and are tried in
+ * order; the first rule whose conditions all match wins:
+ *
+ *   { "id": "dsdd8", "sku": "dd-ds-08|dsdd-?08", "key": "dsdd", "model": "dd4", "note": "..." }
+ *
+ * Conditions (case-insensitive, any combination):
+ * - sku: regex tested against the SKU
+ * - prefix: SKU prefix, or a list of them
+ * - family: regex tested against the NetSuite class / catalog family
+ * - name: regex tested against the display name / quote line description
+ *
+ * A match gives:
+ * - key: family rules key (families[key] - pallet prediction, packing plan)
+ * - model: PRODUCT_MODELS key (3D dims, BOM explosion), null if none
+ * - group: bin-packing constraint group - rule `group`, else families[key].group,
+ *   else 'other'
+ *
+ * `npm run classify-skus -- --check` compares the whole catalog against the
+ * expected table in ./data/sku-classes.json.
+ */
+
+import PRODUCT_FAMILIES from './data/product-families.json' with { type: 'json' }
+
+const CONDITIONS = ['sku', 'prefix', 'family', 'name']
+
+// Compiled rules per rule set (calibration/backtests pass their own)
+const compiledCache = new WeakMap()
+
+function compileRule(rule) {
+  const tests = []
+  if (rule.sku) tests.push({ field: 'sku', pattern: new RegExp(rule.sku, 'i') })
+  if (rule.prefix) {
+    const prefixes = [].concat(rule.prefix).map(p => p.toLowerCase())
+    tests.push({ field: 'sku', prefixes })
+  }
+  if (rule.family) tests.push({ field: 'family', pattern: new RegExp(rule.family, 'i') })
+  if (rule.name) tests.push({ field: 'name', pattern: new RegExp(rule.name, 'i') })
+  if (tests.length === 0) {
+    throw new Error(`Classification rule "${rule.id}" has no conditions (${CONDITIONS.join('/')})`)
+  }
+  return { rule, tests }
+}
+
+function getCompiledRules(rules) {
+  if (!compiledCache.has(rules)) {
+    compiledCache.set(rules, (rules.classification || []).map(compileRule))
+  }
+  return compiledCache.get(rules)
+}
+
+// Why a test matched, or null if it didn't
+function runTest(test, input) {
+  const value = input[test.field] || ''
+  if (test.prefixes) {
+    const prefix = test.prefixes.find(p => value.toLowerCase().startsWith(p))
+    return prefix ? `sku "${value}" starts with ${prefix}` : null
+  }
+  const match = value.match(test.pattern)
+  return match ? `${test.field} "${value}" matches /${test.pattern.source}/ ("${match[0]}")` : null
+}
+
+function toInput(sku, family, name) {
+  return { sku: String(sku || '').trim(), family: String(family || '').trim(), name: String(name || '').trim() }
+}
+
+function toClassification(rule, rules) {
+  if (!rule) return { key: null, model: null, group: 'other', rule: null }
+  return {
+    key: rule.key || null,
+    model: rule.model || null,
+    group: rule.group || rules.families?.[rule.key]?.group || 'other',
+    rule: rule.id,
+  }
+}
+
+/**
+ * Classify a SKU
+ * @param {string} sku
+ * @param {string} family - NetSuite class / catalog family (optional)
+ * @param {string} name - Display name / quote line description (optional)
+ * @param {Object} rules - Rule set (default: product-families.json)
+ * @returns {Object} { key, model, group, rule } - rule is the matching rule id (null = unclassified)
+ */
+export function classifySku(sku, family, name, rules = PRODUCT_FAMILIES) {
+  const input = toInput(sku, family, name)
+  const hit = getCompiledRules(rules).find(({ tests }) => tests.every(test => runTest(test, input)))
+  return toClassification(hit?.rule, rules)
+}
+
+/**
+ * Classify a SKU and say why
+ * @returns {Object} classifySku() result plus
+ *   { input, reasons: [why the winning rule matched], groupSource, skipped: [rule ids tried first] }
+ */
+export function explainSku(sku, family, name, rules = PRODUCT_FAMILIES) {
+  const input = toInput(sku, family, name)
+  const skipped = []
+
+  for (const { rule, tests } of getCompiledRules(rules)) {
+    const reasons = tests.map(test => runTest(test, input))
+    if (reasons.every(Boolean)) {
+      const result = toClassification(rule, rules)
+      const groupSource = rule.group ? `rule ${rule.id}`
+        : rules.families?.[rule.key]?.group ? `families.${rule.key}.group`
+        : 'default'
+      return { ...result, input, reasons, note: rule.note || null, groupSource, skipped }
+    }
+    skipped.push(rule.id)
+  }
+
+  return { ...toClassification(null, rules), input, reasons: [], note: null, groupSource: 'default', skipped }
+}
+
+/**
+ * explainSku() result → one readable line per fact
+ */
+export function formatExplanation(explanation) {
+  const { input, key, model, group, rule, reasons, note, groupSource, skipped } = explanation
+  const lines = [`${input.sku}${input.family ? ` [${input.family}]` : ''}${input.name ? ` "${input.name}"` : ''}`]
+  if (!rule) {
+    lines.push(`  no rule matched (${skipped.length} tried) → unclassified, group ${group}`)
+    return lines.join('\n')
+  }
+  lines.push(`  rule ${rule} (#${skipped.length + 1}): ${reasons.join(' and ')}`)
+  if (note) lines.push(`  note: ${note}`)
+  lines.push(`  → key ${key}, model ${model || '-'}, group ${group} (from ${groupSource})`)
+  return lines.join('\n')
+}
+
+/**
+ * Rule set problems: unknown family keys, unknown models, bad regexes
+ * @param {Object} rules - Rule set
+ * @param {Object} models - PRODUCT_MODELS (to check `model`)
+ * @returns {Array} error strings (empty = OK)
+ */
+export function validateClassificationRules(rules = PRODUCT_FAMILIES, models = null) {
+  const errors = []
+  const ids = new Set()
+  for (const [i, rule] of (rules.classification || []).entries()) {
+    const label = `classification[${i}] ${rule.id || '(no id)'}`
+    if (!rule.id) errors.push(`${label}: missing id`)
+    else if (ids.has(rule.id)) errors.push(`${label}: duplicate id`)
+    ids.add(rule.id)
+    try {
+      compileRule(rule)
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`)
+    }
+    if (!rule.key || !rules.families?.[rule.key]) errors.push(`${label}: unknown family key "${rule.key}"`)
+    if (rule.model && models && !models[rule.model]) errors.push(`${label}: unknown model "${rule.model}"`)
+  }
+  return errors
+}
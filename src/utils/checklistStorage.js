@@ -11,7 +11,8 @@ const TTL_DAYS = 7
 /**
  * Save checklist state for a quote
  * @param {string} quoteNumber - Quote identifier
- * @param {Object} state - Checklist state { checkedItems, notes }
+ * @param {Object} state - Checklist state { checkedItems, notes, entryTimes }
+ *   entryTimes: when each entry last changed (checklistSync conflict rule)
  */
 export function saveChecklist(quoteNumber, state) {
   if (!quoteNumber) return
@@ -22,6 +23,7 @@ export function saveChecklist(quoteNumber, state) {
     updatedAt: new Date().toISOString(),
     checkedItems: state.checkedItems || {},
     notes: state.notes || {},
+    entryTimes: state.entryTimes || {},
     expiresAt: Date.now() + (TTL_DAYS * 24 * 60 * 60 * 1000)
   }
   
@@ -58,6 +60,7 @@ export function loadChecklist(quoteNumber) {
     return {
       checkedItems: data.checkedItems || {},
       notes: data.notes || {},
+      entryTimes: data.entryTimes || {},
       updatedAt: data.updatedAt
     }
   } catch (err) {
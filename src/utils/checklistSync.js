@@ -0,0 +1,147 @@
+/**
+ * Warehouse Checklist Sync
+ *
+ * Keeps one order's checklist in step with every other tablet through
+ * /api/checklist. Local changes go through the offline queue (IndexedDB,
+ * replayed when the Wi-Fi is back); remote changes are pulled by polling -
+ * immediately when Supabase Realtime reports a change, if the browser has
+ * Supabase configured.
+ *
+ * Each entry (one checkbox, one pallet's notes) carries the time it changed;
+ * the latest change wins, the same rule the server applies.
+ */
+
+import { supabase } from '../lib/supabase'
+import { enqueue, processQueue, registerHandler, onReplayed, postJson } from './offlineQueue'
+import { getQueueEntries } from './offlineStore'
+
+const CHECKLIST_ENDPOINT = '/api/checklist'
+const DEVICE_KEY = 'gcs_device_id'
+const PACKER_KEY = 'gcs_packer_name'
+const POLL_MS = 4000
+const REALTIME_POLL_MS = 20000 // Safety net when Realtime pushes changes
+
+export const entryId = (kind, key) => `${kind}:${key}`
+
+// Queued changes → server (replayed in order, also after a reload)
+registerHandler('checklist', (payload) => postJson(CHECKLIST_ENDPOINT, payload))
+
+/**
+ * Stable id for this browser (tie-breaker between simultaneous changes)
+ */
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_KEY)
+  if (!id) {
+    id = `tablet-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    localStorage.setItem(DEVICE_KEY, id)
+  }
+  return id
+}
+
+export function getPackerName() {
+  return localStorage.getItem(PACKER_KEY) || ''
+}
+
+export function setPackerName(name) {
+  localStorage.setItem(PACKER_KEY, name)
+}
+
+/**
+ * Does a remote entry beat what this tablet has? (same rule as the server)
+ */
+export function isNewer(entry, local) {
+  if (!local) return true
+  if (entry.changedAt !== local.changedAt) return entry.changedAt > local.changedAt
+  return String(entry.deviceId || '') >= String(local.deviceId || '')
+}
+
+/**
+ * Start syncing an order's checklist
+ * @param {Object} options
+ *   orderKey: quote / SO number
+ *   getMeta: () => { planSignature, totalItems } sent with each push
+ *   onEntries: (entries, order) => void - remote entries to apply (check isNewer)
+ *   onStatus: ({ state: 'live' | 'syncing' | 'offline', pending, order }) => void -
+ *     pending: this order's changes still queued
+ * @returns {Object} { push(changes), stop() }
+ */
+export function createChecklistSync({ orderKey, getMeta = () => ({}), onEntries, onStatus }) {
+  const deviceId = getDeviceId()
+  let cursor = null
+  let stopped = false
+  let timer = null
+  let channel = null
+  let order = null
+
+  const report = async (state) => {
+    const queued = (await getQueueEntries()).filter(e => e.type === 'checklist' && e.payload.key === orderKey)
+    if (!stopped) onStatus?.({ state, pending: queued.length, order })
+    return queued.length
+  }
+
+  const pull = async () => {
+    const query = `key=${encodeURIComponent(orderKey)}${cursor ? `&since=${encodeURIComponent(cursor)}` : ''}`
+    const response = await fetch(`${CHECKLIST_ENDPOINT}?${query}`)
+    const data = await response.json()
+    if (!data.success) throw new Error(data.error || `HTTP ${response.status}`)
+    cursor = data.cursor || cursor
+    order = data.order
+    if (!stopped && data.entries.length > 0) onEntries?.(data.entries, order)
+  }
+
+  // Someone else changed these later - show their value
+  const stopReplays = onReplayed((entry, data) => {
+    if (stopped || entry.type !== 'checklist' || entry.payload.key !== orderKey) return
+    order = data.order
+    if (data.rejected.length > 0) onEntries?.(data.rejected, order)
+  })
+
+  const sync = async () => {
+    if (stopped) return
+    await report('syncing')
+    try {
+      await processQueue()
+      await pull()
+      const pending = await report('syncing')
+      if (pending === 0) await report('live')
+    } catch (err) {
+      console.warn('📋 Checklist sync failed, will retry:', err.message)
+      await report('offline')
+    }
+  }
+
+  const schedule = () => {
+    if (stopped) return
+    timer = setTimeout(async () => {
+      await sync()
+      schedule()
+    }, channel ? REALTIME_POLL_MS : POLL_MS)
+  }
+
+  if (supabase) {
+    channel = supabase
+      .channel(`checklist-${orderKey}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'checklist_entries', filter: `order_key=eq.${orderKey}` }, () => sync())
+      .subscribe()
+  }
+
+  sync().then(schedule)
+
+  return {
+    // Local changes: [{ kind, key, value, changedAt }] - queued, so they survive a reload
+    async push(changes) {
+      await enqueue(
+        'checklist',
+        { key: orderKey, deviceId, packer: getPackerName() || null, ...getMeta(), changes },
+        `Checklist ${orderKey}`
+      )
+      sync()
+    },
+    stop() {
+      stopped = true
+      clearTimeout(timer)
+      stopReplays()
+      if (channel) supabase.removeChannel(channel)
+    },
+  }
+}
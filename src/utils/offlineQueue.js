@@ -0,0 +1,211 @@
+/**
+ * Offline Queue
+ *
+ * Work that needs the server - checklist changes, validation submissions,
+ * photos - goes through here so Warehouse and Validate modes keep working on
+ * spotty Wi-Fi. Entries are stored in IndexedDB (offlineStore.js) and replayed
+ * in order when the connection returns, with backoff between attempts.
+ *
+ * Each entry type has a handler (registerHandler) that sends one payload and
+ * throws on failure. Errors marked `permanent` (4xx - the server won't take
+ * it no matter how often we retry) park the entry as failed for someone to
+ * retry or discard; anything else is retried.
+ */
+
+import { addQueueEntry, getQueueEntries, putQueueEntry, deleteQueueEntry } from './offlineStore'
+
+const RETRY_BASE_MS = 2000
+const RETRY_MAX_MS = 5 * 60 * 1000
+const POLL_MS = 15000
+
+const handlers = {}
+const statusListeners = new Set()
+const replayListeners = new Set()
+
+let status = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  failed: 0,
+  lastSyncAt: null,
+  lastError: null,
+}
+let processing = null
+
+function setStatus(changes) {
+  status = { ...status, ...changes }
+  statusListeners.forEach(listener => listener(status))
+}
+
+async function refreshCounts() {
+  const entries = await getQueueEntries()
+  setStatus({
+    pending: entries.filter(e => e.status !== 'failed').length,
+    failed: entries.filter(e => e.status === 'failed').length,
+  })
+  return entries
+}
+
+/**
+ * Error for a response the server rejected (4xx except timeout/rate limit = permanent)
+ */
+export function responseError(message, httpStatus) {
+  const error = new Error(message)
+  error.status = httpStatus
+  error.permanent = httpStatus >= 400 && httpStatus < 500 && httpStatus !== 408 && httpStatus !== 429
+  return error
+}
+
+/**
+ * POST JSON → response data; throws responseError on { success: false } / HTTP errors
+ */
+export async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok || data.success === false) {
+    throw responseError(data.error || `HTTP ${response.status}`, response.status)
+  }
+  return data
+}
+
+/**
+ * Handler for an entry type: async (payload) => result
+ */
+export function registerHandler(type, handler) {
+  handlers[type] = handler
+}
+
+/**
+ * Queue a payload for replay → stored entry
+ * @param {string} label - What it is, for the sync status list ("Validation SO7706")
+ */
+export async function enqueue(type, payload, label = type) {
+  const entry = await addQueueEntry({
+    type,
+    payload,
+    label,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  })
+  await refreshCounts()
+  processQueue()
+  return entry
+}
+
+/**
+ * Send now if we can, queue if the network is the problem
+ * @returns {Object} { queued: false, result } or { queued: true }; permanent errors throw
+ */
+export async function sendOrQueue(type, payload, label = type) {
+  if (status.online) {
+    try {
+      return { queued: false, result: await handlers[type](payload) }
+    } catch (err) {
+      if (err.permanent) throw err
+      console.warn(`📴 ${label} not sent, queued:`, err.message)
+    }
+  }
+  await enqueue(type, payload, label)
+  return { queued: true }
+}
+
+async function replay(entry) {
+  const handler = handlers[entry.type]
+  if (!handler) return 'skipped' // Registered once its module loads
+  try {
+    const result = await handler(entry.payload)
+    await deleteQueueEntry(entry.id)
+    replayListeners.forEach(listener => listener(entry, result))
+    return 'sent'
+  } catch (err) {
+    const attempts = entry.attempts + 1
+    await putQueueEntry({
+      ...entry,
+      attempts,
+      status: err.permanent ? 'failed' : 'pending',
+      nextAttemptAt: Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS),
+      lastError: err.message,
+    })
+    setStatus({ lastError: `${entry.label}: ${err.message}` })
+    return err.permanent ? 'failed' : 'retry'
+  }
+}
+
+/**
+ * Replay due entries in order. Stops at the first retryable failure - if the
+ * network is down the rest would fail too.
+ */
+export function processQueue() {
+  if (processing) return processing
+  processing = (async () => {
+    const due = (await getQueueEntries()).filter(e => e.status !== 'failed' && e.nextAttemptAt <= Date.now())
+    if (due.length === 0 || !status.online) return
+    setStatus({ syncing: true })
+    for (const entry of due) {
+      if ((await replay(entry)) === 'retry') break
+    }
+    setStatus({ lastSyncAt: new Date().toISOString() })
+  })()
+    .catch(err => console.error('📴 Offline queue replay failed:', err))
+    .finally(async () => {
+      processing = null
+      await refreshCounts()
+      setStatus({ syncing: false })
+    })
+  return processing
+}
+
+/**
+ * Failed entries (permanent errors) for the sync status list
+ */
+export async function getFailedEntries() {
+  return (await getQueueEntries()).filter(e => e.status === 'failed')
+}
+
+export async function retryEntry(id) {
+  const entry = (await getQueueEntries()).find(e => e.id === id)
+  if (!entry) return
+  await putQueueEntry({ ...entry, status: 'pending', nextAttemptAt: 0 })
+  await refreshCounts()
+  processQueue()
+}
+
+export async function discardEntry(id) {
+  await deleteQueueEntry(id)
+  await refreshCounts()
+}
+
+/**
+ * Listen to { online, syncing, pending, failed, lastSyncAt, lastError } → unsubscribe
+ */
+export function subscribeStatus(listener) {
+  statusListeners.add(listener)
+  listener(status)
+  return () => statusListeners.delete(listener)
+}
+
+/**
+ * Listen to replayed entries: (entry, result) → unsubscribe
+ */
+export function onReplayed(listener) {
+  replayListeners.add(listener)
+  return () => replayListeners.delete(listener)
+}
+
+// Replay when the connection comes back, and every so often for backoff retries
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    setStatus({ online: true })
+    processQueue()
+  })
+  window.addEventListener('offline', () => setStatus({ online: false }))
+  setInterval(processQueue, POLL_MS)
+  setTimeout(() => refreshCounts().then(processQueue), 1000)
+}
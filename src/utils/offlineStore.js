@@ -0,0 +1,97 @@
+/**
+ * Offline Store (IndexedDB)
+ *
+ * Two object stores in the `gcs-offline` database:
+ *   queue - work waiting for the network (checklist changes, validations,
+ *           photos as Blobs), replayed in order by offlineQueue.js
+ *   cache - last copy of things Warehouse/Validate need offline (opened plans)
+ *
+ * Falls back to memory where IndexedDB isn't available (private browsing on
+ * some tablets) - the queue still works until the page is closed.
+ */
+
+const DB_NAME = 'gcs-offline'
+const DB_VERSION = 1
+
+let dbPromise = null
+const memory = { queue: new Map(), cache: new Map(), nextId: 1 }
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true })
+        if (!db.objectStoreNames.contains('cache')) db.createObjectStore('cache', { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.warn('📴 IndexedDB unavailable, offline queue kept in memory:', request.error?.message)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run one request in a transaction → its result
+async function run(storeName, mode, fn) {
+  const db = await openDb()
+  if (!db) return fn(null)
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// ---- Queue ----
+
+/**
+ * Add an entry → stored entry with id
+ */
+export async function addQueueEntry(entry) {
+  const id = await run('queue', 'readwrite', store => store ? store.add(entry) : null)
+  if (id != null) return { ...entry, id }
+  const stored = { ...entry, id: memory.nextId++ }
+  memory.queue.set(stored.id, stored)
+  return stored
+}
+
+/**
+ * All queued entries, oldest first
+ */
+export async function getQueueEntries() {
+  const entries = await run('queue', 'readonly', store => store ? store.getAll() : null)
+  return entries || [...memory.queue.values()]
+}
+
+export async function putQueueEntry(entry) {
+  const done = await run('queue', 'readwrite', store => store ? store.put(entry) : null)
+  if (done == null) memory.queue.set(entry.id, entry)
+}
+
+export async function deleteQueueEntry(id) {
+  await run('queue', 'readwrite', store => store ? store.delete(id) : null)
+  memory.queue.delete(id)
+}
+
+// ---- Cache ----
+
+export async function cachePut(key, value) {
+  const entry = { key, value, savedAt: new Date().toISOString() }
+  const done = await run('cache', 'readwrite', store => store ? store.put(entry) : null)
+  if (done == null) memory.cache.set(key, entry)
+}
+
+/**
+ * Cached entry { key, value, savedAt } or null
+ */
+export async function cacheGet(key) {
+  const entry = await run('cache', 'readonly', store => store ? store.get(key) : null)
+  return entry || memory.cache.get(key) || null
+}
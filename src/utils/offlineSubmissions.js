@@ -0,0 +1,95 @@
+/**
+ * Offline Submissions
+ *
+ * Queue handlers for Validate mode: validation submissions and pallet photos.
+ * A validation carries a submissionId made on the tablet, so the server saves
+ * it once however often it is replayed. Photos wait for their validation - a
+ * photo taken offline is uploaded after the validation it belongs to has been
+ * saved and has an id.
+ */
+
+import { supabase, isSupabaseConfigured } from '../lib/supabase'
+import { registerHandler, sendOrQueue, enqueue, postJson, responseError } from './offlineQueue'
+import { cachePut, cacheGet } from './offlineStore'
+
+const VALIDATE_ENDPOINT = '/api/validate-shipment'
+const PHOTO_BUCKET = 'pallet-photos'
+
+export const newSubmissionId = () =>
+  `sub-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+registerHandler('validation', async (payload) => {
+  const data = await postJson(VALIDATE_ENDPOINT, payload)
+  // Remember which validation this submission became (for its queued photos)
+  await cachePut(`submission:${payload.submissionId}`, { validationId: data.validationId || null })
+  return data
+})
+
+registerHandler('photo', async (payload) => {
+  if (!isSupabaseConfigured()) throw responseError('Database not configured - photo not saved', 400)
+
+  let validationId = payload.validationId
+  if (!validationId) {
+    const submission = await cacheGet(`submission:${payload.submissionId}`)
+    if (!submission) throw new Error('Waiting for the validation to be submitted')
+    validationId = submission.value.validationId
+    if (!validationId) throw responseError('Validation was not saved to the database', 400)
+  }
+
+  const { photoId, palletNumber, file, fileName } = payload
+  const path = `${validationId}/pallet-${palletNumber || 'general'}-${photoId}.${fileName.split('.').pop()}`
+
+  // Same path on every attempt, so a replay overwrites instead of duplicating
+  const { error: uploadError } = await supabase.storage.from(PHOTO_BUCKET).upload(path, file, { upsert: true })
+  if (uploadError) throw uploadError
+
+  const { data: existing } = await supabase.from('attachments').select('id').eq('file_path', path).limit(1)
+  if (!existing?.length) {
+    const { error: dbError } = await supabase.from('attachments').insert({
+      validation_id: validationId,
+      filename: fileName,
+      file_path: path,
+      file_size: file.size,
+      mime_type: file.type,
+      pallet_number: palletNumber ?? null,
+    })
+    if (dbError) throw dbError
+  }
+  return { path }
+})
+
+/**
+ * Submit a validation now, or queue it when offline
+ * @param {Object} body - /api/validate-shipment body (submissionId added if missing)
+ * @returns {Object} { queued, result, submissionId }; server rejections throw
+ */
+export async function submitValidation(body) {
+  const payload = { ...body, submissionId: body.submissionId || newSubmissionId() }
+  const { queued, result } = await sendOrQueue('validation', payload, `Validation SO${payload.soNumber}`)
+  return { queued, result, submissionId: payload.submissionId }
+}
+
+/**
+ * Upload a pallet photo now, or queue it
+ * @param {File} file
+ * @param {Object} target - { validationId } or { submissionId } of a validation still queued
+ * @returns {Object} { queued, path? }
+ */
+export async function submitPhoto(file, { validationId = null, submissionId = null, palletNumber = null } = {}) {
+  const payload = {
+    photoId: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    validationId,
+    submissionId,
+    palletNumber,
+    file,
+    fileName: file.name,
+  }
+  const label = `Photo${palletNumber ? ` pallet ${palletNumber}` : ''}`
+  // Behind a queued validation it has to wait its turn
+  if (!validationId) {
+    await enqueue('photo', payload, label)
+    return { queued: true }
+  }
+  const { queued, result } = await sendOrQueue('photo', payload, label)
+  return { queued, path: result?.path }
+}
@@ -44,7 +44,7 @@ export async function generatePDF(results, quoteNumber, onProgress) {
     pdf.setFontSize(9)
     pdf.setTextColor(100)
     pdf.text(
-      `${quoteNumber || 'Packing Slip'} | ${dateStr} | Page ${pageNum} of ${totalPages}`,
+      `${quoteNumber || 'Packing Slip'} | ${dateStr}${results.signature ? ` | Plan ${results.signature}${results.manualEdits?.length ? ' (edited)' : ''}` : ''} | Page ${pageNum} of ${totalPages}`,
       pageWidth / 2,
       pageHeight - 20,
       { align: 'center' }
@@ -127,8 +127,8 @@ export async function generatePDF(results, quoteNumber, onProgress) {
   yPos += 15
 
   // Table header
-  const colWidths = [60, 180, 80, 80, 80]
-  const headers = ['Pallet', 'Contents', 'Weight', 'Dims', 'Items']
+  const colWidths = [55, 165, 70, 85, 55, 50]
+  const headers = ['Pallet', 'Contents', 'Weight', 'Dims', 'Class', 'Items']
   
   pdf.setFillColor(30, 41, 59) // #1e293b
   pdf.rect(margin, yPos, contentWidth, 20, 'F')
@@ -180,6 +180,10 @@ export async function generatePDF(results, quoteNumber, onProgress) {
     pdf.text(`${dims[0]}×${dims[1]}×${dims[2]}"`, colX, yPos + 15)
     colX += colWidths[3]
 
+    // Freight class
+    pdf.text(pallet.freightClass ? String(pallet.freightClass) : '—', colX, yPos + 15)
+    colX += colWidths[4]
+
     // Item count
     const itemCount = pallet.items?.reduce((sum, i) => sum + (i.qty || 1), 0) || 0
     pdf.text(itemCount.toString(), colX, yPos + 15)
@@ -222,7 +226,8 @@ export async function generatePDF(results, quoteNumber, onProgress) {
     pdf.setFontSize(10)
     pdf.setFont('helvetica', 'normal')
     const dims = pallet.dims || [48, 40, 48]
-    pdf.text(`${dims[0]}" × ${dims[1]}" × ${dims[2]}"`, pageWidth - margin - 15, yPos + 38, { align: 'right' })
+    const freightClass = pallet.freightClass ? `  •  Class ${pallet.freightClass}` : ''
+    pdf.text(`${dims[0]}" × ${dims[1]}" × ${dims[2]}"${freightClass}`, pageWidth - margin - 15, yPos + 38, { align: 'right' })
 
     yPos += 60
 
@@ -0,0 +1,70 @@
+/**
+ * Offline Plan Cache
+ *
+ * Keeps the last plans opened on this tablet (IndexedDB, offlineStore.js) and
+ * the 3D models of their products (Cache Storage, shared with public/sw.js),
+ * so Warehouse mode can open them with no connection.
+ */
+
+import { cachePut, cacheGet } from './offlineStore'
+import { PRODUCT_MODELS, getProductModelKey } from '../productModels'
+
+export const MODEL_CACHE = 'gcs-models' // Same name in public/sw.js
+const LAST_PLAN = 'plan:last'
+
+const planCacheKey = (key) => `plan:${String(key).trim().toUpperCase()}`
+
+// GLB files the 3D viewer needs for these items (BOM children included)
+function modelUrls(items = []) {
+  const urls = new Set()
+  items.forEach(item => {
+    const model = PRODUCT_MODELS[getProductModelKey(item.sku, item.family)]
+    if (model?.model) urls.add(model.model)
+    model?.bom?.forEach(line => {
+      const child = PRODUCT_MODELS[line.child]
+      if (child?.model) urls.add(child.model)
+    })
+  })
+  return [...urls]
+}
+
+async function warmModels(items) {
+  if (typeof caches === 'undefined') return
+  const cache = await caches.open(MODEL_CACHE)
+  await Promise.all(modelUrls(items).map(async url => {
+    if (!(await cache.match(url))) await cache.add(url)
+  }))
+}
+
+/**
+ * Keep a plan for offline use
+ * @param {Object} plan - { key, revision?, items, result, signature, rulesVersion? };
+ *   saved plans (with a revision) can be found by key, any plan becomes the last one
+ */
+export async function rememberPlan(plan) {
+  try {
+    if (plan.key && plan.revision) await cachePut(planCacheKey(plan.key), plan)
+    await cachePut(LAST_PLAN, plan)
+    await warmModels(plan.items)
+  } catch (err) {
+    console.warn('📴 Plan not cached for offline use:', err.message)
+  }
+}
+
+/**
+ * Offline copy of a saved plan → { plan, savedAt } or null
+ * (null too if a different revision was asked for)
+ */
+export async function getCachedPlan(key, revision = null) {
+  const entry = await cacheGet(planCacheKey(key))
+  if (!entry || (revision && String(entry.value.revision) !== String(revision))) return null
+  return { plan: entry.value, savedAt: entry.savedAt }
+}
+
+/**
+ * Last plan opened or calculated on this tablet → { plan, savedAt } or null
+ */
+export async function getLastPlan() {
+  const entry = await cacheGet(LAST_PLAN)
+  return entry ? { plan: entry.value, savedAt: entry.savedAt } : null
+}
@@ -0,0 +1,35 @@
+// Test locker stacking limits: an MBV2 order is packed as its locker boxes
+// (bomExplosion.js), and those boxes must sit on the deck with nothing on top
+import assert from 'node:assert/strict'
+import { packItemsWithConstraints } from './src/binPacking3D.js'
+import { explodeOrder } from './src/bomExplosion.js'
+
+const { log, warn } = console
+console.log = console.warn = () => {} // Packer logs
+
+const order = [{ sku: 'MBV2-BLK', family: 'Metal Bike Vault / VisiLocker', displayName: 'MBV2', qty: 2 }]
+const { items } = explodeOrder(order)
+const packingItems = items.map(item => ({ ...item, name: item.displayName || item.sku }))
+const pallets = packItemsWithConstraints(packingItems, { allowRotation: 'upright' }) // Flat, as packOrder() packs them
+
+Object.assign(console, { log, warn })
+console.log('=== MBV2 × 2: locker boxes ===')
+const boxes = pallets.flatMap(p => p.boxes.map(box => ({ pallet: p.id, box })))
+for (const { pallet, box } of boxes) {
+  console.log(`  Pallet ${pallet}: ${box.item.sku} pos(${box.x}, ${box.y}, ${box.z}) size(${box.l}×${box.w}×${box.h})`)
+}
+
+const lockerBoxes = boxes.filter(({ box }) => box.item.sku.startsWith('locker-2-box-'))
+assert.equal(lockerBoxes.length, 6, '2 MBV2 = 6 locker boxes')
+
+for (const { pallet, box } of lockerBoxes) {
+  assert.equal(box.y, 0, `${box.item.sku} on pallet ${pallet} is off the deck`)
+  const onTop = pallets.find(p => p.id === pallet).boxes.filter(b => b !== box &&
+    b.y >= box.y + box.h - 0.5 &&
+    b.x < box.x + box.l && b.x + b.l > box.x &&
+    b.z < box.z + box.w && b.z + b.w > box.z
+  )
+  assert.deepEqual(onTop.map(b => b.item.sku), [], `${box.item.sku} on pallet ${pallet} has boxes on top`)
+}
+
+console.log(`✅ ${lockerBoxes.length} locker boxes on ${pallets.length} pallets, all on the deck with nothing on top`)